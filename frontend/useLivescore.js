@@ -148,6 +148,80 @@ export const useLiveMatches = (refreshInterval = 30000) => {
     });
 };
 
+/**
+ * Hook untuk live score via Server-Sent Events (gantinya polling)
+ * Server push snapshot pas connect, lalu event 'change' tiap ada goal/status/menit/kartu merah.
+ * EventSource otomatis reconnect + kirim Last-Event-ID, jadi event yang kelewat di-resume server.
+ */
+export const useLiveScoreStream = (options = {}) => {
+    const { enabled = true, onChange = null } = options;
+
+    const [matches, setMatches] = useState([]);
+    const [lastEvent, setLastEvent] = useState(null);
+    const [connected, setConnected] = useState(false);
+    const [error, setError] = useState(null);
+    const [lastUpdated, setLastUpdated] = useState(null);
+
+    const onChangeRef = useRef(onChange);
+    onChangeRef.current = onChange;
+
+    useEffect(() => {
+        if (!enabled || typeof EventSource === 'undefined') return;
+
+        const source = new EventSource(`${API_BASE_URL}/api/matches/live/stream`);
+
+        source.onopen = () => {
+            setConnected(true);
+            setError(null);
+        };
+
+        source.onerror = () => {
+            // Browser bakal reconnect sendiri (retry dari server)
+            setConnected(false);
+            setError('Live stream disconnected, reconnecting...');
+        };
+
+        source.addEventListener('snapshot', (e) => {
+            const data = JSON.parse(e.data);
+            setMatches(data.matches || []);
+            setLastUpdated(new Date());
+        });
+
+        source.addEventListener('change', (e) => {
+            const event = JSON.parse(e.data);
+
+            setMatches(prev => {
+                if (event.type === 'removed') {
+                    return prev.filter(m => m.id !== event.match_id);
+                }
+
+                const exists = prev.some(m => m.id === event.match_id);
+                return exists
+                    ? prev.map(m => (m.id === event.match_id ? event.match : m))
+                    : [...prev, event.match];
+            });
+
+            setLastEvent(event);
+            setLastUpdated(new Date());
+
+            if (onChangeRef.current) onChangeRef.current(event);
+        });
+
+        return () => {
+            source.close();
+            setConnected(false);
+        };
+    }, [enabled]);
+
+    return {
+        matches,
+        lastEvent,
+        connected,
+        error,
+        lastUpdated
+    };
+};
+
 /**
  * Hook untuk fetch match detail
  */
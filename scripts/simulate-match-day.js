@@ -0,0 +1,64 @@
+/**
+ * Match day simulator CLI
+ * Replay match rekaman menit per menit lewat live sync (lihat src/services/matchDaySimulator.js)
+ *
+ * Usage:
+ *   npm run simulate -- 1035037 1035038 --speed=500 --from=80
+ *
+ * Selalu HTTP_MODE=replay (detail match dibaca dari fixtures/http, rekam dulu pake HTTP_MODE=record),
+ * HTTP_MODE di .env diabaikan. --live = nembak API beneran (makan quota)
+ * Hasil simulasi ditulis ke Supabase dari .env: selain Supabase lokal harus pake --allow-remote-db
+ */
+
+require('dotenv').config();
+
+const args = process.argv.slice(2);
+const options = Object.fromEntries(
+    args
+        .filter(arg => arg.startsWith('--'))
+        .map(arg => arg.slice(2).split('='))
+);
+const fixtureIds = args.filter(arg => /^\d+$/.test(arg));
+
+// Di-set sebelum require src/: httpClient baca HTTP_MODE waktu load
+process.env.HTTP_MODE = 'live' in options ? 'live' : 'replay';
+
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '::1', '[::1]', 'host.docker.internal'];
+
+const isLocalSupabase = () => {
+    if (!process.env.SUPABASE_URL) return true;
+    try {
+        return LOCAL_HOSTS.includes(new URL(process.env.SUPABASE_URL).hostname);
+    } catch {
+        return false;
+    }
+};
+
+if (!isLocalSupabase() && !('allow-remote-db' in options)) {
+    console.error(`❌ SUPABASE_URL (${process.env.SUPABASE_URL}) bukan Supabase lokal, simulator bakal nulis match palsu ke situ.`);
+    console.error('   Pake Supabase lokal, atau tambah --allow-remote-db kalau memang sengaja.');
+    process.exit(1);
+}
+
+const matchDaySimulator = require('../src/services/matchDaySimulator');
+
+if (fixtureIds.length === 0) {
+    console.error('Usage: npm run simulate -- <fixtureId...> [--speed=1000] [--from=0] [--live] [--allow-remote-db]');
+    process.exit(1);
+}
+
+matchDaySimulator.simulate(fixtureIds, {
+    speedMs: parseInt(options.speed) || 1000,
+    fromMinute: parseInt(options.from) || 0
+})
+    .then(result => {
+        if (!result.success) {
+            console.error('❌ Simulation failed:', result.error);
+            process.exit(1);
+        }
+        process.exit(0);
+    })
+    .catch(error => {
+        console.error('❌ Simulation error:', error);
+        process.exit(1);
+    });
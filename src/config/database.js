@@ -2,6 +2,7 @@ const { createClient } = require('@supabase/supabase-js');
 
 const supabaseUrl = process.env.SUPABASE_URL;
 const supabaseKey = process.env.SUPABASE_ANON_KEY;
+const serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
 
 if (!supabaseUrl || !supabaseKey) {
     console.warn('⚠️  Supabase credentials not found. Database caching disabled.');
@@ -11,4 +12,12 @@ const supabase = supabaseUrl && supabaseKey
     ? createClient(supabaseUrl, supabaseKey)
     : null;
 
-module.exports = { supabase };
+// Client service_role buat write yang cuma boleh dari admin API (blacklist, manual override),
+// table-nya gak dikasih policy write buat anon
+const supabaseAdmin = supabaseUrl && serviceRoleKey
+    ? createClient(supabaseUrl, serviceRoleKey, {
+        auth: { autoRefreshToken: false, persistSession: false }
+    })
+    : null;
+
+module.exports = { supabase, supabaseAdmin };
@@ -17,6 +17,11 @@ const accountRouter = require('./routes/account');
 const logoutRouter = require('./routes/logout');
 const searchRoutes = require('./routes/search');
 const highlightsRoutes = require('./routes/highlights');
+const notificationsRouter = require('./routes/notifications');
+const leaderboardRouter = require('./routes/leaderboard');
+const adminRouter = require('./routes/admin');
+const jobsRouter = require('./routes/jobs');
+const eventsRouter = require('./routes/events');
 
 // Import Tennis
 const tennisRouter = require('./routes/tennis');
@@ -45,6 +50,13 @@ const cronJobs = require('./jobs/cronJobs');
 
 // Import services
 const apiFootball = require('./services/apiFootball');
+const cache = require('./services/cache');
+const liveHub = require('./services/liveHub');
+const notificationDispatcher = require('./services/notificationDispatcher');
+const matchArchive = require('./services/matchArchive');
+const liveSyncPlanner = require('./services/liveSyncPlanner');
+const quotaBudget = require('./services/quotaBudget');
+const footballProvider = require('./services/footballProvider');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -56,7 +68,9 @@ const corsOptions = {
         : ['http://localhost:5173', 'http://localhost:3000'],
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization']
+    allowedHeaders: ['Content-Type', 'Authorization'],
+    // Biar frontend bisa baca sumber & umur data /api/matches
+    exposedHeaders: ['X-Data-Source', 'X-Data-Age', 'X-Data-Updated-At']
 };
 
 // Middleware
@@ -88,25 +102,26 @@ app.get('/health', async (req, res) => {
 });
 
 // API status endpoint
+// Status lokal (cache, quota, live sync, provider) tetap dikirim walaupun API-Football lagi gak bisa dicek
 app.get('/api/status', async (req, res) => {
     try {
-        const status = await apiFootball.getApiStatus();
-
-        if (!status.success) {
-            return res.status(500).json({
-                success: false,
-                error: status.error
-            });
-        }
+        const status = await apiFootball.getApiStatus()
+            .catch(error => ({ success: false, error: error.message }));
 
         res.json({
             success: true,
             server: 'online',
-            apiFootball: {
+            apiFootball: status.success ? {
                 account: status.data.account,
                 subscription: status.data.subscription,
                 requests: status.data.requests
-            }
+            } : null,
+            apiFootballError: status.success ? null : status.error,
+            cache: cache.getStats(),
+            liveHub: liveHub.getStatus(),
+            liveSync: liveSyncPlanner.getStatus(),
+            quota: quotaBudget.getStatus(),
+            footballProviders: footballProvider.getStatus()
         });
     } catch (error) {
         res.status(500).json({
@@ -130,6 +145,11 @@ app.use('/api/account', accountRouter);
 app.use('/api/logout', logoutRouter);
 app.use('/api/search', searchRoutes);
 app.use('/api/highlights', highlightsRoutes);
+app.use('/api/notifications', notificationsRouter);
+app.use('/api/leaderboard', leaderboardRouter);
+app.use('/api/admin', adminRouter);
+app.use('/api/jobs', jobsRouter);
+app.use('/api/events', eventsRouter);
 app.use('/api/tennis', tennisRouter);
 app.use('/api/basketball', basketballRoutes);
 app.use('/api/volleyball', volleyballRoutes);
@@ -155,7 +175,7 @@ app.use((err, req, res, next) => {
 });
 
 // Start server
-app.listen(PORT, async () => {
+const server = app.listen(PORT, async () => {
     console.log(`
 ╔═══════════════════════════════════════════════════════════╗
 ║                                                           ║
@@ -194,11 +214,25 @@ app.listen(PORT, async () => {
     console.log('   GET  /api/matches?live=true     - Live matches only');
     console.log('   GET  /api/matches?date=YYYY-MM-DD');
     console.log('   GET  /api/matches/:id           - Match detail');
-    console.log('   GET  /api/matches/:id?stats=true&events=true&lineups=true');
+    console.log('   GET  /api/matches/:id?stats=true&events=true&lineups=true&players=true');
+    console.log('   GET  /api/events?date=&sport=&live= - All sports, canonical format');
     console.log('   GET  /api/leagues               - All leagues');
     console.log('   GET  /api/leagues/popular       - Popular leagues');
     console.log('   GET  /api/leagues/:id           - League detail');
+    console.log('   GET  /api/leaderboard?period=week|month|season|all&league=');
+    console.log('   *    /api/admin/*               - Admin ops (role admin)');
+    console.log('   GET  /api/jobs                  - Job status & run history (role admin)');
+    console.log('   WS   /ws                        - Live hub (all sports)');
     console.log('');
 });
 
+// WebSocket live hub (share port dengan HTTP server)
+liveHub.attach(server);
+
+// Push notifications untuk goal/kickoff/fulltime
+notificationDispatcher.start();
+
+// Arsip events/lineups/statistics/rating pemain waktu match selesai
+matchArchive.start();
+
 module.exports = app;
@@ -1,185 +1,352 @@
-const cron = require('node-cron');
+const scheduler = require('./scheduler');
 const matchSync = require('../services/matchSync');
+const matchArchive = require('../services/matchArchive');
 const apiFootball = require('../services/apiFootball');
 const gradingService = require('../services/gradingService');
+const sportSync = require('../services/sportSync');
+const leaderboardService = require('../services/leaderboardService');
+const liveSyncPlanner = require('../services/liveSyncPlanner');
+const quotaBudget = require('../services/quotaBudget');
 const { supabase } = require('../config/database');
 
-let isLiveSyncRunning = false;
-let isDailySyncRunning = false;
-let isGradingRunning = false;
-let isCleanupRunning = false;
-let isFixStuckRunning = false;
+const JOB_RUNS_RETENTION_DAYS = parseInt(process.env.JOB_RUNS_RETENTION_DAYS) || 7;
 
 /**
- * Sync live matches setiap 1 menit
- * Ini buat update skor real-time
+ * Semua background job didaftarin ke scheduler (src/jobs/scheduler.js)
+ * Scheduler yang ngurus lock per job, lease antar instance, dan catat run ke job_runs
+ * Handler cukup return result { success, ...counts }
  */
-const startLiveSync = () => {
-    // Setiap 1 menit
-    cron.schedule('*/1 * * * *', async () => {
-        if (isLiveSyncRunning) {
-            console.log('⏳ Live sync already running, skipping...');
-            return;
-        }
 
-        isLiveSyncRunning = true;
+/**
+ * Sync live matches buat update skor real-time
+ * Tick tiap 10 detik, tapi liveSyncPlanner yang nentuin beneran nembak API atau gak:
+ * idle kalau gak ada match, cepat kalau ada liga tier-1 / di-follow, backoff kalau quota tipis
+ */
+scheduler.defineJob({
+    name: 'liveSync',
+    schedule: '*/10 * * * * *',
+    description: '🔄 Live sync (adaptive)',
+    priority: 'critical',
+    leaseSeconds: 2 * 60,
+    shouldRun: () => liveSyncPlanner.planLiveSync(),
+    handler: async () => {
+        liveSyncPlanner.markLiveSync();
         console.log(`\n⚡ [${new Date().toLocaleTimeString()}] Running live sync...`);
 
-        try {
-            const result = await matchSync.syncLiveMatches();
-            
-            if (result.success) {
-                console.log(`✅ Live sync complete: ${result.liveCount} live matches`);
-            } else {
-                console.error('❌ Live sync failed:', result.error);
-            }
-        } catch (error) {
-            console.error('❌ Live sync error:', error.message);
-        } finally {
-            isLiveSyncRunning = false;
+        const result = await matchSync.syncLiveMatches();
+
+        if (result.success) {
+            console.log(`✅ Live sync complete: ${result.liveCount} live matches`);
+        } else {
+            console.error('❌ Live sync failed:', result.error);
         }
-    });
 
-    console.log('🔄 Live sync cron started (every 1 minute)');
-};
+        return result;
+    }
+});
 
 /**
- * Sync semua matches hari ini setiap 15 menit
+ * Sync semua matches hari ini
  * Ini buat catch new matches atau status changes
+ * Tiap 15 menit kalau ada match yang lagi/mau main, selain itu DAILY_SYNC_IDLE_MINUTES (liveSyncPlanner)
  */
-const startDailySync = () => {
-    // Setiap 15 menit
-    cron.schedule('*/15 * * * *', async () => {
-        if (isDailySyncRunning) {
-            console.log('⏳ Daily sync already running, skipping...');
-            return;
-        }
-
-        isDailySyncRunning = true;
+scheduler.defineJob({
+    name: 'dailySync',
+    schedule: '*/15 * * * *',
+    description: '📅 Daily sync (adaptive)',
+    shouldRun: () => liveSyncPlanner.planDailySync(),
+    handler: async () => {
+        liveSyncPlanner.markDailySync();
         console.log(`\n📅 [${new Date().toLocaleTimeString()}] Running daily sync...`);
 
-        try {
-            const result = await matchSync.syncTodayMatches();
-            
-            if (result.success) {
-                console.log(`✅ Daily sync complete: ${result.fetched} matches`);
-            } else {
-                console.error('❌ Daily sync failed:', result.error);
-            }
-        } catch (error) {
-            console.error('❌ Daily sync error:', error.message);
-        } finally {
-            isDailySyncRunning = false;
+        const result = await matchSync.syncTodayMatches();
+
+        if (result.success) {
+            console.log(`✅ Daily sync complete: ${result.fetched} matches`);
+        } else {
+            console.error('❌ Daily sync failed:', result.error);
         }
-    });
 
-    console.log('📅 Daily sync cron started (every 15 minutes)');
-};
+        return result;
+    }
+});
 
 /**
  * Auto grading setiap 2 menit
  * Check match yang sudah FT dan grade predictions
  */
-const startAutoGrading = () => {
-    // Setiap 2 menit
-    cron.schedule('*/2 * * * *', async () => {
-        if (isGradingRunning) {
-            console.log('⏳ Grading already running, skipping...');
-            return;
-        }
-
-        isGradingRunning = true;
+scheduler.defineJob({
+    name: 'autoGrading',
+    schedule: '*/2 * * * *',
+    description: '🎯 Auto grading',
+    priority: 'critical',
+    handler: async () => {
         console.log(`\n🎯 [${new Date().toLocaleTimeString()}] Running auto grading...`);
 
-        try {
-            const result = await gradingService.gradeAllPendingPredictions();
-            
-            if (result.success) {
-                if (result.graded > 0) {
-                    console.log(`✅ Grading complete: ${result.graded} predictions graded, ${result.correct} correct`);
-                }
-            } else {
-                console.error('❌ Grading failed:', result.error);
+        const result = await gradingService.gradeAllPendingPredictions();
+
+        if (result.success) {
+            if (result.graded > 0) {
+                console.log(`✅ Grading complete: ${result.graded} predictions graded, ${result.correct} correct`);
             }
-        } catch (error) {
-            console.error('❌ Grading error:', error.message);
-        } finally {
-            isGradingRunning = false;
+        } else {
+            console.error('❌ Grading failed:', result.error);
         }
-    });
 
-    console.log('🎯 Auto grading cron started (every 2 minutes)');
-};
+        return result;
+    }
+});
+
+/**
+ * Reconcile profiles.total_experience terhadap points_ledger setiap hari jam 4 pagi
+ */
+scheduler.defineJob({
+    name: 'pointsReconcile',
+    schedule: '0 4 * * *',
+    description: '🧮 Points reconcile',
+    leaseSeconds: 30 * 60,
+    handler: async () => {
+        console.log(`\n🧮 [${new Date().toLocaleTimeString()}] Reconciling points with ledger...`);
+
+        const result = await gradingService.reconcileAllUserPoints();
+
+        if (result.success) {
+            console.log(`✅ Reconcile complete: ${result.checked} profiles checked, ${result.adjusted} adjusted`);
+        } else {
+            console.error('❌ Reconcile failed:', result.error || `${result.failed} profiles failed`);
+        }
+
+        return result;
+    }
+});
+
+/**
+ * Cek ulang hasil match yang di-grade 48 jam terakhir
+ * Tiap jam di 6 jam pertama, abis itu tiap 6 jam (gradingService.verifyRecentGrades), biar gak nembak provider terus
+ * Kalau provider koreksi skor / match ternyata ABD, prediksinya di-regrade
+ */
+scheduler.defineJob({
+    name: 'regradeCheck',
+    schedule: '45 * * * *',
+    description: '♻️  Regrade check',
+    priority: 'critical',
+    leaseSeconds: 30 * 60,
+    handler: async () => {
+        console.log(`\n♻️  [${new Date().toLocaleTimeString()}] Checking graded matches for corrections...`);
+
+        const result = await gradingService.verifyRecentGrades(48);
+
+        if (result.regraded > 0) {
+            console.log(`✅ Regrade check: ${result.regraded} predictions regraded across ${result.checked} matches`);
+        }
+
+        return result;
+    }
+});
+
+/**
+ * Cek season setiap hari jam 00:10
+ * Kalau season aktif udah lewat ends_at: arsip klasemen akhir, reset season_points, buka season baru
+ */
+scheduler.defineJob({
+    name: 'seasonRollover',
+    schedule: '10 0 * * *',
+    description: '🏆 Season rollover',
+    handler: async () => {
+        const result = await leaderboardService.rolloverSeasonIfDue();
+
+        if (!result.success) {
+            console.error('❌ Season rollover failed:', result.error);
+        }
+
+        for (const rollover of result.rolled || []) {
+            console.log(`🏆 Season ${rollover.archived_season_id} archived (${rollover.archived_standings} users), season ${rollover.season_id} started`);
+        }
+
+        return { ...result, rolledOver: (result.rolled || []).length };
+    }
+});
 
 /**
  * Check API quota setiap jam
+ * getApiStatus sekalian nyetor angka quota ke quotaBudget (budget per sport/job)
  */
-const startQuotaCheck = () => {
-    cron.schedule('0 * * * *', async () => {
+scheduler.defineJob({
+    name: 'quotaCheck',
+    schedule: '0 * * * *',
+    description: '📊 Quota check',
+    handler: async () => {
         console.log('\n📊 Checking API quota...');
-        
-        try {
-            const status = await apiFootball.getApiStatus();
-            
-            if (status.success) {
-                const account = status.data.account;
-                const subscription = status.data.subscription;
-                const requests = status.data.requests;
-                
-                console.log('📊 API Status:');
-                console.log(`   Account: ${account.firstname} ${account.lastname}`);
-                console.log(`   Plan: ${subscription.plan}`);
-                console.log(`   Requests today: ${requests.current}/${requests.limit_day}`);
-                
-                // Warning jika mendekati limit
-                const usagePercent = (requests.current / requests.limit_day) * 100;
-                if (usagePercent > 80) {
-                    console.warn(`⚠️  WARNING: API usage at ${usagePercent.toFixed(1)}%`);
-                }
-            }
-        } catch (error) {
-            console.error('❌ Quota check error:', error.message);
+
+        const status = await apiFootball.getApiStatus();
+
+        if (!status.success) {
+            return status;
         }
-    });
 
-    console.log('📊 Quota check cron started (every hour)');
-};
+        const account = status.data.account;
+        const subscription = status.data.subscription;
+        const requests = status.data.requests;
+
+        console.log('📊 API Status:');
+        console.log(`   Account: ${account.firstname} ${account.lastname}`);
+        console.log(`   Plan: ${subscription.plan}`);
+        console.log(`   Requests today: ${requests.current}/${requests.limit_day}`);
+
+        // Warning jika mendekati limit
+        const usagePercent = (requests.current / requests.limit_day) * 100;
+        if (usagePercent > 80) {
+            console.warn(`⚠️  WARNING: API usage at ${usagePercent.toFixed(1)}%`);
+        }
+
+        const budget = quotaBudget.getStatus();
+        const usedBySport = Object.entries(budget.sports)
+            .filter(([, sport]) => sport.used > 0)
+            .map(([name, sport]) => `${name}=${sport.used}${sport.budget !== null ? `/${sport.budget}` : ''}`)
+            .join(', ');
+        console.log(`   Budget used this instance: ${usedBySport || 'none'}`);
+
+        const refused = Object.values(budget.refused).reduce((sum, count) => sum + count, 0);
+
+        return { success: true, current: requests.current, limit: requests.limit_day, refused };
+    }
+});
 
 /**
- * Auto cleanup matches older than 30 days
+ * Auto cleanup matches older than X days (default 30)
  * Runs daily at 3:00 AM
  */
-const startAutoCleanup = () => {
-    // Setiap hari jam 3 pagi
-    cron.schedule('0 3 * * *', async () => {
-        if (isCleanupRunning) {
-            console.log('⏳ Cleanup already running, skipping...');
-            return;
+scheduler.defineJob({
+    name: 'autoCleanup',
+    schedule: '0 3 * * *',
+    description: '🗑️ Auto cleanup',
+    handler: async ({ days = 30 } = {}) => {
+        console.log(`\n🗑️ [${new Date().toLocaleTimeString()}] Running auto cleanup...`);
+
+        const result = await cleanupOldMatches(days);
+
+        if (result.success) {
+            console.log(`✅ Cleanup complete: ${result.deleted} old matches deleted`);
+        } else {
+            console.error('❌ Cleanup failed:', result.error);
         }
 
-        isCleanupRunning = true;
-        console.log(`\n🗑️ [${new Date().toLocaleTimeString()}] Running auto cleanup...`);
+        return result;
+    }
+});
+
+/**
+ * Hapus history job_runs lama (default simpan 7 hari) setiap hari jam 3:30
+ */
+scheduler.defineJob({
+    name: 'jobRunsCleanup',
+    schedule: '30 3 * * *',
+    description: '🧹 Job runs cleanup',
+    handler: async () => {
+        const result = await scheduler.pruneRuns(JOB_RUNS_RETENTION_DAYS);
 
-        try {
-            const result = await cleanupOldMatches(30); // 30 days
-            
-            if (result.success) {
-                console.log(`✅ Cleanup complete: ${result.deleted} old matches deleted`);
+        if (result.success) {
+            console.log(`🧹 Deleted ${result.deleted} job runs older than ${JOB_RUNS_RETENTION_DAYS} days`);
+        } else {
+            console.error('❌ Job runs cleanup failed:', result.error);
+        }
+
+        return result;
+    }
+});
+
+/**
+ * Auto fix stuck matches every 30 minutes
+ * Fixes matches that are "LIVE" for more than X hours (default 4)
+ */
+scheduler.defineJob({
+    name: 'fixStuckMatches',
+    schedule: '*/30 * * * *',
+    description: '🔧 Fix stuck matches',
+    handler: async ({ maxHours = 4 } = {}) => {
+        console.log(`\n🔧 [${new Date().toLocaleTimeString()}] Running fix stuck matches...`);
+
+        const result = await matchSync.fixStuckMatches(maxHours);
+
+        if (result.success) {
+            if (result.fixed > 0) {
+                console.log(`✅ Fixed ${result.fixed} stuck matches`);
             } else {
-                console.error('❌ Cleanup failed:', result.error);
+                console.log('✅ No stuck matches found');
             }
-        } catch (error) {
-            console.error('❌ Cleanup error:', error.message);
-        } finally {
-            isCleanupRunning = false;
+        } else {
+            console.error('❌ Fix stuck failed:', result.error);
         }
-    });
 
-    console.log('🗑️ Auto cleanup cron started (daily at 3:00 AM)');
-};
+        return result;
+    }
+});
+
+/**
+ * Arsip detail match yang udah selesai (events, lineups, statistics, rating pemain) tiap 30 menit
+ * Normalnya udah di-finalize pas match.fulltime, ini nyapu yang kelewat / gagal / belum lengkap
+ * Menit ke-20 & 50 biar gak barengan daily sync
+ */
+scheduler.defineJob({
+    name: 'matchArchive',
+    schedule: '20,50 * * * *',
+    description: '🗄️  Match archive',
+    handler: async () => {
+        const result = await matchArchive.archivePendingMatches();
+
+        if (result.success) {
+            if (result.pending > 0) {
+                console.log(`🗄️  Match archive: ${result.archived} archived, ${result.failed} failed (${result.pending} pending)`);
+            }
+        } else {
+            console.error('❌ Match archive failed:', result.error);
+        }
+
+        return result;
+    }
+});
+
+/**
+ * Sync hari ini untuk sport lain (basketball, volleyball, baseball, tennis, MMA, F1)
+ * setiap 30 menit - persist ke sport_events
+ * Menit ke-5 & 35 biar gak barengan daily sync football
+ */
+scheduler.defineJob({
+    name: 'sportsSync',
+    schedule: '5,35 * * * *',
+    description: '🏅 Sports sync',
+    handler: async () => {
+        console.log(`\n🏅 [${new Date().toLocaleTimeString()}] Running sports sync...`);
+
+        const result = await sportSync.syncAllSports('today');
+        const summary = result.results.map(r => `${r.sport}=${r.success ? r.saved : 'ERR'}`).join(', ');
+        console.log(`✅ Sports sync complete: ${result.saved} events (${summary})`);
+
+        return result;
+    }
+});
+
+/**
+ * Sync live games sport lain setiap 5 menit
+ */
+scheduler.defineJob({
+    name: 'sportsLiveSync',
+    schedule: '*/5 * * * *',
+    description: '🏅 Sports live sync',
+    handler: async () => {
+        const result = await sportSync.syncAllSports('live');
+
+        if (result.saved > 0) {
+            console.log(`✅ Sports live sync: ${result.saved} live events updated`);
+        }
+
+        return result;
+    }
+});
 
 /**
  * Delete matches older than X days
+ * Detail match yang udah di-arsip (match_archives, lihat matchArchive) gak ikut kehapus
  * @param {number} days - Number of days to keep
  */
 const cleanupOldMatches = async (days = 30) => {
@@ -195,6 +362,14 @@ const cleanupOldMatches = async (days = 30) => {
 
         console.log(`🗑️ Deleting matches older than ${days} days (before ${cutoffISO.split('T')[0]})`);
 
+        // Catatan hari ke-sync dihapus duluan: kalau hapus matches gagal, read cuma fallback ke provider
+        const pruneResult = await matchSync.pruneSyncedDays(cutoffISO);
+
+        if (!pruneResult.success) {
+            console.error('❌ Synced days prune error:', pruneResult.error);
+            return { success: false, error: pruneResult.error };
+        }
+
         // First, count how many will be deleted
         const { count: toDeleteCount, error: countError } = await supabase
             .from('matches')
@@ -210,7 +385,7 @@ const cleanupOldMatches = async (days = 30) => {
         console.log(`📊 Found ${toDeleteCount || 0} matches to delete`);
 
         if (toDeleteCount === 0) {
-            return { success: true, deleted: 0, message: 'No old matches to delete' };
+            return { success: true, deleted: 0, syncedDaysDeleted: pruneResult.deleted, message: 'No old matches to delete' };
         }
 
         // Delete old finished matches
@@ -230,6 +405,7 @@ const cleanupOldMatches = async (days = 30) => {
         return { 
             success: true, 
             deleted: toDeleteCount,
+            syncedDaysDeleted: pruneResult.deleted,
             cutoffDate: cutoffISO.split('T')[0]
         };
 
@@ -239,75 +415,33 @@ const cleanupOldMatches = async (days = 30) => {
     }
 };
 
-/**
- * Auto fix stuck matches every 30 minutes
- * Fixes matches that are "LIVE" for more than 4 hours
- */
-const startFixStuckMatches = () => {
-    // Setiap 30 menit
-    cron.schedule('*/30 * * * *', async () => {
-        if (isFixStuckRunning) {
-            console.log('⏳ Fix stuck already running, skipping...');
-            return;
-        }
-
-        isFixStuckRunning = true;
-        console.log(`\n🔧 [${new Date().toLocaleTimeString()}] Running fix stuck matches...`);
-
-        try {
-            const result = await matchSync.fixStuckMatches(4); // 4 hours
-            
-            if (result.success) {
-                if (result.fixed > 0) {
-                    console.log(`✅ Fixed ${result.fixed} stuck matches`);
-                } else {
-                    console.log('✅ No stuck matches found');
-                }
-            } else {
-                console.error('❌ Fix stuck failed:', result.error);
-            }
-        } catch (error) {
-            console.error('❌ Fix stuck error:', error.message);
-        } finally {
-            isFixStuckRunning = false;
-        }
-    });
-
-    console.log('🔧 Fix stuck matches cron started (every 30 minutes)');
-};
-
 /**
  * Start all cron jobs
  */
 const startAllJobs = () => {
     console.log('\n🚀 Starting cron jobs...\n');
-    
-    startLiveSync();
-    startDailySync();
-    startAutoGrading();
-    startQuotaCheck();
-    startAutoCleanup();
-    startFixStuckMatches();  // NEW: Auto fix stuck matches
-    
+
+    scheduler.startAll();
+
     console.log('\n✅ All cron jobs started!\n');
 };
 
 /**
- * Manual trigger untuk initial sync
+ * Manual trigger untuk initial sync (lewat job dailySync biar kena lease juga)
  */
 const runInitialSync = async () => {
     console.log('\n🔄 Running initial sync...\n');
-    
+
     try {
-        const result = await matchSync.syncTodayMatches();
-        
+        const result = await scheduler.runJob('dailySync', { trigger: 'startup' });
+
         if (result.success) {
             console.log(`✅ Initial sync complete: ${result.fetched} matches loaded\n`);
-            return result;
         } else {
             console.error('❌ Initial sync failed:', result.error);
-            return result;
         }
+
+        return result;
     } catch (error) {
         console.error('❌ Initial sync error:', error.message);
         return { success: false, error: error.message };
@@ -317,27 +451,25 @@ const runInitialSync = async () => {
 /**
  * Manual trigger untuk grading (bisa dipanggil dari endpoint)
  */
-const runManualGrading = async () => {
-    console.log('\n🎯 Running manual grading...\n');
-    
-    try {
-        const result = await gradingService.gradeAllPendingPredictions();
-        return result;
-    } catch (error) {
-        console.error('❌ Manual grading error:', error.message);
-        return { success: false, error: error.message };
-    }
-};
+const runManualGrading = () => scheduler.runJob('autoGrading', { trigger: 'manual' });
+
+/**
+ * Manual trigger cleanup (dari admin API)
+ * @param {number} days - Number of days to keep
+ */
+const runManualCleanup = (days = 30) => scheduler.runJob('autoCleanup', { trigger: 'manual', params: { days } });
+
+/**
+ * Manual trigger fix stuck matches (dari admin API)
+ * @param {number} maxHours - Maximum hours a match can be "LIVE"
+ */
+const runManualFixStuck = (maxHours = 4) => scheduler.runJob('fixStuckMatches', { trigger: 'manual', params: { maxHours } });
 
 module.exports = {
     startAllJobs,
-    startLiveSync,
-    startDailySync,
-    startAutoGrading,
-    startQuotaCheck,
-    startAutoCleanup,
-    startFixStuckMatches,
     runInitialSync,
     runManualGrading,
+    runManualCleanup,
+    runManualFixStuck,
     cleanupOldMatches
 };
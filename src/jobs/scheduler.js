@@ -0,0 +1,373 @@
+/**
+ * Job Scheduler
+ * Wrapper node-cron buat semua background job:
+ *
+ * - Tiap run dicatat di table job_runs (mulai, selesai, durasi, status, counts, error)
+ * - Enable/disable + override schedule per job dari env:
+ *     JOB_<NAME>_ENABLED=false
+ *     JOB_<NAME>_SCHEDULE="30 3 * * *"
+ *   <NAME> = nama job dalam UPPER_SNAKE (liveSync → LIVE_SYNC)
+ * - Lease di table job_leases biar kalau server jalan lebih dari satu instance,
+ *   job yang sama cuma jalan di satu instance
+ * - Semua akses DB lewat service_role: tanpa SUPABASE_SERVICE_ROLE_KEY job tetap jalan,
+ *   tapi tanpa lease & history
+ *
+ * Usage:
+ *   scheduler.defineJob({ name: 'liveSync', schedule: '* * * * *', description, handler })
+ *   scheduler.startAll()
+ *   await scheduler.runJob('autoGrading', { trigger: 'manual' })
+ */
+
+const cron = require('node-cron');
+const os = require('os');
+const crypto = require('crypto');
+// job_runs & lease RPC cuma bisa ditulis / dipanggil service_role
+const { supabaseAdmin: supabase } = require('../config/database');
+const quotaBudget = require('../services/quotaBudget');
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+const DEFAULT_LEASE_SECONDS = 10 * 60; // 10 menit
+const DEFAULT_RUNS_LIMIT = 20;
+const MAX_RUNS_LIMIT = 100;
+
+const jobs = new Map();
+
+/**
+ * liveSync → JOB_LIVE_SYNC
+ */
+const toEnvKey = (name) => `JOB_${name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase()}`;
+
+/**
+ * Daftarin job
+ * @param {Object} definition
+ *   name         - nama unik job (camelCase)
+ *   schedule     - cron expression default
+ *   description  - buat log & GET /api/jobs
+ *   leaseSeconds - lama lease maksimal (harus lebih lama dari durasi run normal)
+ *   handler      - async (params) => result { success, ...counts }
+ *   shouldRun    - opsional, async () => { run, reason }; dicek tiap tick cron,
+ *                  run: false = tick di-skip tanpa dicatat ke job_runs (trigger manual gak dicek)
+ *   priority     - prioritas call API di quota budget: critical | normal | low (default normal)
+ */
+const defineJob = ({ name, schedule, description, leaseSeconds = DEFAULT_LEASE_SECONDS, handler, shouldRun = null, priority = 'normal' }) => {
+    const envKey = toEnvKey(name);
+    const envSchedule = process.env[`${envKey}_SCHEDULE`];
+
+    if (envSchedule && !cron.validate(envSchedule)) {
+        console.warn(`⚠️  Invalid ${envKey}_SCHEDULE "${envSchedule}", using default ${schedule}`);
+    }
+
+    jobs.set(name, {
+        name,
+        description,
+        handler,
+        shouldRun,
+        priority,
+        leaseSeconds,
+        envKey,
+        defaultSchedule: schedule,
+        schedule: envSchedule && cron.validate(envSchedule) ? envSchedule : schedule,
+        enabled: process.env[`${envKey}_ENABLED`] !== 'false',
+        running: false,
+        leaseWarned: false,
+        lastRun: null,
+        task: null
+    });
+};
+
+/**
+ * Ambil angka-angka dari result (fetched, graded, deleted, dll) buat kolom counts
+ */
+const getCounts = (result) => Object.fromEntries(
+    Object.entries(result || {}).filter(([, value]) => typeof value === 'number')
+);
+
+/**
+ * Ambil lease job. Fail-open: kalau table/function lease belum ada,
+ * job tetap jalan (single instance) dan warning cuma di-log sekali
+ */
+const acquireLease = async (job) => {
+    if (!supabase) return true;
+
+    const { data, error } = await supabase.rpc('acquire_job_lease', {
+        p_job_name: job.name,
+        p_holder: INSTANCE_ID,
+        p_ttl_seconds: job.leaseSeconds
+    });
+
+    if (error) {
+        if (!job.leaseWarned) {
+            console.warn(`⚠️  Job lease unavailable for ${job.name}, running without lease:`, error.message);
+            job.leaseWarned = true;
+        }
+        return true;
+    }
+
+    return data === true;
+};
+
+const releaseLease = async (job) => {
+    if (!supabase) return;
+
+    const { error } = await supabase.rpc('release_job_lease', {
+        p_job_name: job.name,
+        p_holder: INSTANCE_ID
+    });
+
+    if (error && !job.leaseWarned) {
+        console.error(`❌ Failed to release lease for ${job.name}:`, error.message);
+    }
+};
+
+/**
+ * Insert row job_runs status running, return id (null kalau gagal / DB gak ada)
+ */
+const insertRun = async (job, triggeredBy, startedAt) => {
+    if (!supabase) return null;
+
+    const { data, error } = await supabase
+        .from('job_runs')
+        .insert({
+            job_name: job.name,
+            triggered_by: triggeredBy,
+            instance_id: INSTANCE_ID,
+            status: 'running',
+            started_at: startedAt.toISOString()
+        })
+        .select('id')
+        .single();
+
+    if (error) {
+        console.error(`❌ Failed to record run for ${job.name}:`, error.message);
+        return null;
+    }
+
+    return data.id;
+};
+
+const finishRun = async (runId, run) => {
+    if (!supabase || !runId) return;
+
+    const { error } = await supabase
+        .from('job_runs')
+        .update({
+            status: run.status,
+            finished_at: run.finished_at,
+            duration_ms: run.duration_ms,
+            counts: run.counts,
+            error: run.error
+        })
+        .eq('id', runId);
+
+    if (error) {
+        console.error(`❌ Failed to update run for ${run.job_name}:`, error.message);
+    }
+};
+
+/**
+ * Jalanin job sekali (dari cron, startup, atau manual dari admin API)
+ * Returns: result handler, { success: true, skipped: true } kalau shouldRun bilang gak perlu,
+ * atau { success: false, busy: true } kalau job lagi jalan di instance ini / lease dipegang instance lain
+ */
+const runJob = async (name, { trigger = 'cron', params } = {}) => {
+    const job = jobs.get(name);
+
+    if (!job) {
+        return { success: false, notFound: true, error: `Unknown job: ${name}` };
+    }
+
+    if (job.running) {
+        return { success: false, busy: true, error: `${name} already running` };
+    }
+
+    job.running = true;
+    let hasLease = false;
+
+    try {
+        if (trigger === 'cron' && job.shouldRun) {
+            const decision = await job.shouldRun();
+            if (!decision.run) {
+                return { success: true, skipped: true, reason: decision.reason };
+            }
+        }
+
+        hasLease = await acquireLease(job);
+        if (!hasLease) {
+            return { success: false, busy: true, error: `${name} is running on another instance` };
+        }
+
+        const startedAt = new Date();
+        const runId = await insertRun(job, trigger, startedAt);
+
+        let result;
+        try {
+            // Semua call API di dalam handler dihitung ke budget job ini
+            result = await quotaBudget.runWith(
+                { consumer: name, priority: job.priority },
+                () => job.handler(params)
+            );
+        } catch (error) {
+            console.error(`❌ ${name} error:`, error.message);
+            result = { success: false, error: error.message };
+        }
+
+        const failed = result?.success === false;
+        const finishedAt = new Date();
+
+        job.lastRun = {
+            job_name: name,
+            triggered_by: trigger,
+            instance_id: INSTANCE_ID,
+            status: failed ? 'failed' : 'success',
+            started_at: startedAt.toISOString(),
+            finished_at: finishedAt.toISOString(),
+            duration_ms: finishedAt - startedAt,
+            counts: getCounts(result),
+            error: failed ? String(result.error || 'Unknown error') : null
+        };
+
+        await finishRun(runId, job.lastRun);
+
+        return result;
+    } finally {
+        if (hasLease) await releaseLease(job);
+        job.running = false;
+    }
+};
+
+/**
+ * Schedule semua job yang enabled
+ */
+const startAll = () => {
+    for (const job of jobs.values()) {
+        if (!job.enabled) {
+            console.log(`⏸️  ${job.description} disabled (${job.envKey}_ENABLED=false)`);
+            continue;
+        }
+
+        job.task = cron.schedule(job.schedule, async () => {
+            try {
+                const result = await runJob(job.name);
+                if (result.busy) {
+                    console.log(`⏳ ${result.error}, skipping...`);
+                }
+            } catch (error) {
+                console.error(`❌ ${job.name} scheduler error:`, error.message);
+            }
+        });
+
+        console.log(`⏰ ${job.description} (${job.schedule})`);
+    }
+};
+
+/**
+ * Run terakhir per job dari view job_latest_runs
+ * @returns {Map} job_name -> run
+ */
+const getLatestRuns = async () => {
+    const latest = new Map();
+    if (!supabase) return latest;
+
+    const { data, error } = await supabase
+        .from('job_latest_runs')
+        .select('*');
+
+    if (error) {
+        console.error('❌ Error fetching latest job runs:', error.message);
+        return latest;
+    }
+
+    for (const row of data || []) {
+        latest.set(row.job_name, row);
+    }
+
+    return latest;
+};
+
+/**
+ * Semua job + config + run terakhir
+ * lastRun dari database (semua instance), fallback ke memory instance ini
+ */
+const getJobs = async () => {
+    const latest = await getLatestRuns();
+
+    return Array.from(jobs.values()).map(job => ({
+        name: job.name,
+        description: job.description,
+        schedule: job.schedule,
+        defaultSchedule: job.defaultSchedule,
+        enabled: job.enabled,
+        priority: job.priority,
+        running: job.running,
+        lastRun: latest.get(job.name) || job.lastRun
+    }));
+};
+
+/**
+ * History run satu job
+ * @param {string} name - nama job
+ * @param {Object} options - { limit, status }
+ */
+const getJobRuns = async (name, { limit = DEFAULT_RUNS_LIMIT, status } = {}) => {
+    if (!jobs.has(name)) {
+        return { success: false, notFound: true, error: `Unknown job: ${name}` };
+    }
+
+    if (!supabase) {
+        return { success: false, error: 'Database not configured' };
+    }
+
+    const safeLimit = Math.min(Math.max(parseInt(limit) || DEFAULT_RUNS_LIMIT, 1), MAX_RUNS_LIMIT);
+
+    let query = supabase
+        .from('job_runs')
+        .select('*')
+        .eq('job_name', name)
+        .order('started_at', { ascending: false })
+        .limit(safeLimit);
+
+    if (status) {
+        query = query.eq('status', status);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+        return { success: false, error: error.message };
+    }
+
+    return { success: true, runs: data || [] };
+};
+
+/**
+ * Hapus history job_runs yang lebih tua dari X hari
+ */
+const pruneRuns = async (days) => {
+    if (!supabase) {
+        return { success: false, error: 'Database not configured' };
+    }
+
+    const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+    const { count, error } = await supabase
+        .from('job_runs')
+        .delete({ count: 'exact' })
+        .lt('started_at', cutoff);
+
+    if (error) {
+        return { success: false, error: error.message };
+    }
+
+    return { success: true, deleted: count || 0 };
+};
+
+module.exports = {
+    defineJob,
+    runJob,
+    startAll,
+    getJobs,
+    getJobRuns,
+    pruneRuns,
+    toEnvKey,
+    INSTANCE_ID
+};
@@ -0,0 +1,122 @@
+/**
+ * Auth Middleware
+ * Verifikasi Supabase access token (Authorization: Bearer <token>)
+ * dan attach user yang udah diverifikasi ke req.user
+ *
+ * Role dibaca dari app_metadata (cuma bisa di-set pake service_role, bukan sama user):
+ *   app_metadata.role = 'admin'  atau  app_metadata.roles = ['admin', ...]
+ *
+ * Usage:
+ *   router.post('/', requireAuth, handler)
+ *   router.post('/grade', requireAuth, requireRole('admin'), handler)
+ *   router.use(requireAdmin)
+ */
+
+const { supabase } = require('../config/database');
+
+/**
+ * Ambil token dari header Authorization
+ */
+const getBearerToken = (req) => {
+    const header = req.get('Authorization') || '';
+    return header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+};
+
+/**
+ * Role user dari app_metadata
+ */
+const getUserRoles = (user) => {
+    const meta = user?.app_metadata || {};
+    const roles = Array.isArray(meta.roles) ? [...meta.roles] : [];
+    if (meta.role) roles.push(meta.role);
+    return Array.from(new Set(roles));
+};
+
+/**
+ * Verifikasi token ke Supabase Auth
+ * Returns: user atau null
+ */
+const verifyToken = async (token) => {
+    if (!token || !supabase) return null;
+
+    const { data, error } = await supabase.auth.getUser(token);
+    if (error || !data?.user) return null;
+
+    return data.user;
+};
+
+/**
+ * Attach user ke request: req.user = { id, email, roles, raw }
+ */
+const attachUser = (req, user) => {
+    req.user = {
+        id: user.id,
+        email: user.email?.toLowerCase(),
+        roles: getUserRoles(user),
+        raw: user
+    };
+};
+
+/**
+ * Wajib login, 401 kalau token gak ada / invalid / expired
+ */
+const requireAuth = async (req, res, next) => {
+    try {
+        if (!supabase) {
+            return res.status(500).json({ success: false, error: 'Database not configured' });
+        }
+
+        const user = await verifyToken(getBearerToken(req));
+        if (!user) {
+            return res.status(401).json({ success: false, error: 'Unauthorized' });
+        }
+
+        attachUser(req, user);
+        next();
+    } catch (error) {
+        console.error('❌ Auth error:', error.message);
+        res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+};
+
+/**
+ * Login opsional: attach req.user kalau token valid, lanjut terus kalau gak
+ */
+const optionalAuth = async (req, res, next) => {
+    try {
+        const user = await verifyToken(getBearerToken(req));
+        if (user) attachUser(req, user);
+    } catch (error) {
+        console.error('❌ Auth error:', error.message);
+    }
+
+    next();
+};
+
+/**
+ * Wajib punya salah satu role (dipasang setelah requireAuth)
+ */
+const requireRole = (...roles) => (req, res, next) => {
+    if (!req.user) {
+        return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+
+    if (!roles.some(role => req.user.roles.includes(role))) {
+        return res.status(403).json({ success: false, error: 'Forbidden' });
+    }
+
+    next();
+};
+
+/**
+ * Shortcut: login + role admin
+ */
+const requireAdmin = [requireAuth, requireRole('admin')];
+
+module.exports = {
+    requireAuth,
+    optionalAuth,
+    requireRole,
+    requireAdmin,
+    getUserRoles
+};
@@ -0,0 +1,33 @@
+/**
+ * Timezone Middleware
+ * Baca ?tz= (nama IANA, default DEFAULT_TIMEZONE / Asia/Jakarta) dan attach ke req.timezone,
+ * dipake buat nentuin "hari ini" dan batas tanggal (lihat services/timezone)
+ *
+ * Usage:
+ *   router.get('/', resolveTimezone, handler)   // GET /?tz=Asia/Makassar
+ */
+
+const timezone = require('../services/timezone');
+
+const resolveTimezone = (req, res, next) => {
+    const { tz } = req.query;
+
+    if (tz === undefined || tz === '') {
+        req.timezone = timezone.DEFAULT_TIMEZONE;
+        return next();
+    }
+
+    if (!timezone.isValidTimezone(tz)) {
+        return res.status(400).json({
+            success: false,
+            error: `Invalid timezone "${tz}". Use an IANA name, e.g. Asia/Jakarta`
+        });
+    }
+
+    req.timezone = tz;
+    next();
+};
+
+module.exports = {
+    resolveTimezone
+};
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { createClient } = require('@supabase/supabase-js');
+const { requireAuth } = require('../middleware/auth');
 
 // Supabase Admin Client (dengan service_role key untuk akses penuh)
 // Hanya dibuat jika key tersedia
@@ -32,11 +33,11 @@ if (process.env.SUPABASE_URL && process.env.SUPABASE_ANON_KEY) {
 
 /**
  * DELETE /api/account/delete
- * Hapus akun user secara permanen
+ * Hapus akun user yang login secara permanen
  * 
- * Body: { userId, email }
+ * Header: Authorization: Bearer <supabase_access_token>
  */
-router.delete('/delete', async (req, res) => {
+router.delete('/delete', requireAuth, async (req, res) => {
     try {
         // Cek apakah Supabase Admin sudah dikonfigurasi
         if (!supabaseAdmin || !supabase) {
@@ -46,15 +47,8 @@ router.delete('/delete', async (req, res) => {
             });
         }
 
-        const { userId, email } = req.body;
-
-        // Validasi input
-        if (!userId || !email) {
-            return res.status(400).json({
-                success: false,
-                error: 'userId dan email wajib diisi'
-            });
-        }
+        // User dari token, bukan dari body (biar gak bisa hapus akun orang lain)
+        const { id: userId, email } = req.user;
 
         console.log(`🗑️ Deleting account for user: ${email} (${userId})`);
 
@@ -107,7 +101,31 @@ router.delete('/delete', async (req, res) => {
             console.log('✅ Deleted from active_sessions');
         }
 
-        // 5. Delete dari auth.users (PENTING! Supaya bisa daftar lagi dengan email yang sama)
+        // 5. Delete dari push_subscriptions (biar device-nya gak dapet Web Push lagi)
+        const { error: pushError } = await supabase
+            .from('push_subscriptions')
+            .delete()
+            .eq('user_id', userId);
+
+        if (pushError) {
+            console.error('Error deleting push_subscriptions:', pushError);
+        } else {
+            console.log('✅ Deleted from push_subscriptions');
+        }
+
+        // 6. Delete dari notification_follows
+        const { error: followsError } = await supabase
+            .from('notification_follows')
+            .delete()
+            .eq('user_id', userId);
+
+        if (followsError) {
+            console.error('Error deleting notification_follows:', followsError);
+        } else {
+            console.log('✅ Deleted from notification_follows');
+        }
+
+        // 7. Delete dari auth.users (PENTING! Supaya bisa daftar lagi dengan email yang sama)
         const { error: authError } = await supabaseAdmin.auth.admin.deleteUser(userId);
 
         if (authError) {
@@ -0,0 +1,303 @@
+// routes/admin.js
+// Admin API: trigger grading / cleanup / fix stuck, kelola blacklist, override match, status cron
+// Semua endpoint wajib login + role admin (app_metadata.role = 'admin')
+
+const express = require('express');
+const router = express.Router();
+const cronJobs = require('../jobs/cronJobs');
+const scheduler = require('../jobs/scheduler');
+const matchSync = require('../services/matchSync');
+const gradingService = require('../services/gradingService');
+const { SUPPORTED_SPORTS } = require('../services/sportGradingStrategies');
+const { requireAdmin } = require('../middleware/auth');
+
+const MAX_OVERRIDE_SCORE = 99;
+
+router.use(requireAdmin);
+
+/**
+ * Parse ID dari params/body, null kalau bukan integer positif
+ */
+const parseId = (value) => {
+    const id = Number(value);
+    return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+/**
+ * Kirim result service: busy → 409, notFound → 404, gagal lainnya → failStatus
+ */
+const sendResult = (res, result, failStatus = 500) => {
+    if (!result.success) {
+        const status = result.busy ? 409 : result.notFound ? 404 : failStatus;
+        return res.status(status).json({ success: false, error: result.error });
+    }
+
+    res.json(result);
+};
+
+/**
+ * GET /api/admin/jobs
+ * Status tiap cron job: lagi jalan atau gak + hasil run terakhir (sama dengan GET /api/jobs)
+ */
+router.get('/jobs', async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            jobs: await scheduler.getJobs()
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/admin/grading/run
+ * Grade semua prediksi pending (sama kayak cron auto grading)
+ */
+router.post('/grading/run', async (req, res) => {
+    try {
+        sendResult(res, await cronJobs.runManualGrading());
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/admin/grading/:matchId
+ * Grade prediksi winner/score untuk satu match football
+ */
+router.post('/grading/:matchId', async (req, res) => {
+    try {
+        const matchId = parseId(req.params.matchId);
+        if (!matchId) {
+            return res.status(400).json({ success: false, error: 'matchId must be a positive integer' });
+        }
+
+        // Gagal = match belum selesai / gak ketemu di provider
+        sendResult(res, await gradingService.gradeMatch(matchId), 422);
+    } catch (error) {
+        console.error('❌ Admin grade match error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/admin/grading/:matchId/regrade
+ * Body: { sport } (default football)
+ * Cek ulang hasil match yang udah di-grade, koreksi poin kalau hasilnya berubah
+ */
+router.post('/grading/:matchId/regrade', async (req, res) => {
+    try {
+        const { sport = 'football' } = req.body || {};
+
+        if (sport !== 'football' && !SUPPORTED_SPORTS.includes(sport)) {
+            return res.status(400).json({
+                success: false,
+                error: `sport must be one of football, ${SUPPORTED_SPORTS.join(', ')}`
+            });
+        }
+
+        // Fixture ID football numeric, sport lain bisa string (tennis event_key dll)
+        const matchId = sport === 'football' ? parseId(req.params.matchId) : req.params.matchId;
+        if (!matchId) {
+            return res.status(400).json({ success: false, error: 'matchId must be a positive integer' });
+        }
+
+        sendResult(res, await gradingService.regradeMatch(matchId, sport), 422);
+    } catch (error) {
+        console.error('❌ Admin regrade error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/admin/cleanup
+ * Body: { days } (default 30) - hapus match selesai yang lebih tua dari X hari
+ */
+router.post('/cleanup', async (req, res) => {
+    try {
+        const days = req.body?.days === undefined ? 30 : parseId(req.body.days);
+        if (!days) {
+            return res.status(400).json({ success: false, error: 'days must be a positive integer' });
+        }
+
+        sendResult(res, await cronJobs.runManualCleanup(days));
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/admin/fix-stuck
+ * Body: { maxHours } (default 4) - match LIVE lebih dari X jam di-set FT / ABD
+ */
+router.post('/fix-stuck', async (req, res) => {
+    try {
+        const maxHours = req.body?.maxHours === undefined ? 4 : parseId(req.body.maxHours);
+        if (!maxHours) {
+            return res.status(400).json({ success: false, error: 'maxHours must be a positive integer' });
+        }
+
+        sendResult(res, await cronJobs.runManualFixStuck(maxHours));
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/admin/blacklist
+ * List match yang di-skip waktu sync
+ */
+router.get('/blacklist', async (req, res) => {
+    try {
+        const result = await matchSync.getBlacklist();
+
+        if (!result.success) {
+            return res.status(500).json({ success: false, error: result.error });
+        }
+
+        res.json({
+            success: true,
+            count: result.data.length,
+            blacklist: result.data
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/admin/blacklist
+ * Body: { matchId, reason, purge }
+ *   purge = true → row match yang udah ada di database ikut dihapus
+ */
+router.post('/blacklist', async (req, res) => {
+    try {
+        const { matchId, reason, purge = false } = req.body || {};
+        const id = parseId(matchId);
+
+        if (!id) {
+            return res.status(400).json({ success: false, error: 'matchId must be a positive integer' });
+        }
+
+        if (typeof reason !== 'string' || !reason.trim()) {
+            return res.status(400).json({ success: false, error: 'reason is required' });
+        }
+
+        const result = await matchSync.addToBlacklist(id, {
+            reason: reason.trim(),
+            createdBy: req.user.email,
+            purge: purge === true
+        });
+
+        if (!result.success) {
+            return res.status(500).json({ success: false, error: result.error });
+        }
+
+        res.status(201).json({
+            success: true,
+            blacklisted: result.data,
+            purged: result.purged
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * DELETE /api/admin/blacklist/:matchId
+ */
+router.delete('/blacklist/:matchId', async (req, res) => {
+    try {
+        const matchId = parseId(req.params.matchId);
+        if (!matchId) {
+            return res.status(400).json({ success: false, error: 'matchId must be a positive integer' });
+        }
+
+        sendResult(res, await matchSync.removeFromBlacklist(matchId));
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * PUT /api/admin/matches/:id/override
+ * Body: { status, homeScore, awayScore, elapsed, reason } (minimal satu dari status/skor/elapsed)
+ * status = status short API-Football (NS, 1H, HT, 2H, FT, ABD, dll)
+ * Row di-lock dari sync sampai override di-clear
+ */
+router.put('/matches/:id/override', async (req, res) => {
+    try {
+        const matchId = parseId(req.params.id);
+        if (!matchId) {
+            return res.status(400).json({ success: false, error: 'Match ID must be a positive integer' });
+        }
+
+        const { status, homeScore, awayScore, elapsed, reason = null } = req.body || {};
+
+        if (status === undefined && homeScore === undefined && awayScore === undefined && elapsed === undefined) {
+            return res.status(400).json({
+                success: false,
+                error: 'Provide at least one of status, homeScore, awayScore, elapsed'
+            });
+        }
+
+        if (status !== undefined && !matchSync.STATUS_LABELS[status]) {
+            return res.status(400).json({
+                success: false,
+                error: `status must be one of ${Object.keys(matchSync.STATUS_LABELS).join(', ')}`
+            });
+        }
+
+        const isValidScore = (value) => value === undefined ||
+            (Number.isInteger(value) && value >= 0 && value <= MAX_OVERRIDE_SCORE);
+
+        if (!isValidScore(homeScore) || !isValidScore(awayScore)) {
+            return res.status(400).json({
+                success: false,
+                error: `homeScore and awayScore must be integers between 0 and ${MAX_OVERRIDE_SCORE}`
+            });
+        }
+
+        if (elapsed !== undefined && !(Number.isInteger(elapsed) && elapsed >= 0 && elapsed <= 150)) {
+            return res.status(400).json({ success: false, error: 'elapsed must be an integer between 0 and 150' });
+        }
+
+        const result = await matchSync.overrideMatch(matchId, {
+            statusShort: status,
+            homeScore,
+            awayScore,
+            elapsed,
+            reason,
+            overriddenBy: req.user.email
+        });
+
+        if (!result.success) {
+            return sendResult(res, result);
+        }
+
+        res.json({ success: true, match: result.data });
+    } catch (error) {
+        console.error('❌ Admin override error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * DELETE /api/admin/matches/:id/override
+ * Lepas lock override, sync berikutnya balik pakai data API
+ */
+router.delete('/matches/:id/override', async (req, res) => {
+    try {
+        const matchId = parseId(req.params.id);
+        if (!matchId) {
+            return res.status(400).json({ success: false, error: 'Match ID must be a positive integer' });
+        }
+
+        sendResult(res, await matchSync.clearOverride(matchId));
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+module.exports = router;
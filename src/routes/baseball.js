@@ -6,6 +6,7 @@
 const express = require('express');
 const router = express.Router();
 const apiBaseball = require('../services/apiBaseball');
+const { resolveTimezone } = require('../middleware/timezone');
 
 // ============================================================
 // CONSTANTS - Popular Leagues
@@ -106,8 +107,9 @@ function groupByLeague(games) {
 /**
  * GET /api/baseball
  * Get today's baseball games
+ * ?tz= (IANA, default Asia/Jakarta) nentuin "hari ini" dan tanggal ?date=
  */
-router.get('/', async (req, res) => {
+router.get('/', resolveTimezone, async (req, res) => {
     try {
         const { date, live_only } = req.query;
 
@@ -118,9 +120,9 @@ router.get('/', async (req, res) => {
         if (live_only === 'true') {
             result = await apiBaseball.getLiveGames();
         } else if (date) {
-            result = await apiBaseball.getGamesByDate(date);
+            result = await apiBaseball.getGamesByDate(date, req.timezone);
         } else {
-            result = await apiBaseball.getTodayGames();
+            result = await apiBaseball.getTodayGames(req.timezone);
         }
 
         if (!result.success) {
@@ -146,6 +148,7 @@ router.get('/', async (req, res) => {
 
         res.json({
             success: true,
+            timezone: req.timezone,
             count: games.length,
             stats: {
                 live: liveCount,
@@ -6,6 +6,7 @@
 const express = require('express');
 const router = express.Router();
 const apiBasketball = require('../services/apiBasketball');
+const { resolveTimezone } = require('../middleware/timezone');
 
 // ============================================================
 // CONSTANTS - Popular Leagues
@@ -111,8 +112,9 @@ function groupByLeague(games) {
 /**
  * GET /api/basketball
  * Get today's basketball games
+ * ?tz= (IANA, default Asia/Jakarta) nentuin "hari ini" dan tanggal ?date=
  */
-router.get('/', async (req, res) => {
+router.get('/', resolveTimezone, async (req, res) => {
     try {
         const { date, live_only } = req.query;
 
@@ -123,9 +125,9 @@ router.get('/', async (req, res) => {
         if (live_only === 'true') {
             result = await apiBasketball.getLiveGames();
         } else if (date) {
-            result = await apiBasketball.getGamesByDate(date);
+            result = await apiBasketball.getGamesByDate(date, req.timezone);
         } else {
-            result = await apiBasketball.getTodayGames();
+            result = await apiBasketball.getTodayGames(req.timezone);
         }
 
         if (!result.success) {
@@ -151,6 +153,7 @@ router.get('/', async (req, res) => {
 
         res.json({
             success: true,
+            timezone: req.timezone,
             count: games.length,
             stats: {
                 live: liveCount,
@@ -0,0 +1,74 @@
+// routes/events.js
+// Route untuk event semua sport dalam satu format (canonical event, lihat eventNormalizer)
+
+const express = require('express');
+const router = express.Router();
+const eventsService = require('../services/eventsService');
+const { resolveTimezone } = require('../middleware/timezone');
+
+/**
+ * GET /api/events
+ * Semua sport digabung & diurutkan (live dulu, lalu jam mulai)
+ * Query params:
+ *   - date (optional): YYYY-MM-DD, default hari ini
+ *   - sport (optional): satu atau beberapa sport dipisah koma (football,basketball,...)
+ *   - live (optional): true = cuma event yang lagi jalan (date diabaikan)
+ *   - tz (optional): IANA, default Asia/Jakarta - nentuin "hari ini" dan batas tanggal semua sport
+ */
+router.get('/', resolveTimezone, async (req, res) => {
+    try {
+        const { date, sport, live } = req.query;
+
+        if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid date format. Use YYYY-MM-DD'
+            });
+        }
+
+        const sports = sport
+            ? [...new Set(sport.split(',').map(name => name.trim().toLowerCase()).filter(Boolean))]
+            : eventsService.SPORTS;
+
+        const unknown = sports.filter(name => !eventsService.SPORTS.includes(name));
+        if (unknown.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: `Unknown sport: ${unknown.join(', ')}. Available: ${eventsService.SPORTS.join(', ')}`
+            });
+        }
+
+        const isLive = live === 'true';
+        console.log(`🗓️ GET /api/events (date: ${date || 'today'}, sport: ${sport || 'all'}, live: ${isLive}, tz: ${req.timezone})`);
+
+        const result = await eventsService.getEvents({ date, sports, live: isLive, tz: req.timezone });
+
+        if (!result.success) {
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to fetch events',
+                sports: result.sports
+            });
+        }
+
+        res.json({
+            success: true,
+            date: result.date,
+            timezone: req.timezone,
+            live: isLive,
+            count: result.events.length,
+            events: result.events,
+            sports: result.sports,
+            lastUpdated: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('❌ Events route error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -3,7 +3,7 @@
 
 const express = require('express');
 const router = express.Router();
-const apiFootball = require('../services/apiFootball');
+const footballProvider = require('../services/footballProvider');
 
 /**
  * GET /api/h2h
@@ -26,10 +26,10 @@ router.get('/', async (req, res) => {
 
         console.log(`⚔️ Fetching H2H: Team ${team1} vs Team ${team2}`);
 
-        const result = await apiFootball.getH2H(team1, team2, parseInt(last));
+        const result = await footballProvider.getH2H(team1, team2, parseInt(last));
 
         if (!result.success) {
-            return res.status(500).json({
+            return res.status(result.unsupported ? 422 : 500).json({
                 success: false,
                 error: result.error || 'Failed to fetch H2H data'
             });
@@ -79,8 +79,8 @@ router.get('/', async (req, res) => {
             }
 
             matches.push({
-                id: fixture.fixture?.id,
-                date: fixture.fixture?.date,
+                id: fixture.id,
+                date: fixture.date,
                 home_team: home.name,
                 home_team_id: home.id,
                 home_team_logo: home.logo,
@@ -91,7 +91,7 @@ router.get('/', async (req, res) => {
                 away_score: away_goals,
                 league: league.name,
                 league_logo: league.logo,
-                venue: fixture.fixture?.venue?.name
+                venue: fixture.venue?.name
             });
         }
 
@@ -129,6 +129,7 @@ router.get('/', async (req, res) => {
 
         res.json({
             success: true,
+            provider: result.provider,
             h2h: {
                 total_matches: fixtures.length,
                 team1: {
@@ -0,0 +1,77 @@
+// routes/jobs.js
+// Status background job + history run (dari table job_runs)
+// Wajib login + role admin
+
+const express = require('express');
+const router = express.Router();
+const scheduler = require('../jobs/scheduler');
+const { requireAdmin } = require('../middleware/auth');
+
+const RUN_STATUSES = ['running', 'success', 'failed'];
+
+router.use(requireAdmin);
+
+/**
+ * GET /api/jobs
+ * Semua job: schedule (setelah override env), enabled, lagi jalan, run terakhir
+ */
+router.get('/', async (req, res) => {
+    try {
+        const jobs = await scheduler.getJobs();
+
+        res.json({
+            success: true,
+            instance: scheduler.INSTANCE_ID,
+            count: jobs.length,
+            jobs
+        });
+    } catch (error) {
+        console.error('❌ Jobs error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/jobs/:name/runs
+ * Query params:
+ *   limit  - jumlah run (default 20, max 100)
+ *   status - running | success | failed (opsional)
+ */
+router.get('/:name/runs', async (req, res) => {
+    try {
+        const { limit, status } = req.query;
+
+        if (status && !RUN_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                error: `status must be one of ${RUN_STATUSES.join(', ')}`
+            });
+        }
+
+        const result = await scheduler.getJobRuns(req.params.name, { limit, status });
+
+        if (!result.success) {
+            return res.status(result.notFound ? 404 : 500).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        res.json({
+            success: true,
+            job: req.params.name,
+            count: result.runs.length,
+            runs: result.runs
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
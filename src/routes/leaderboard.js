@@ -0,0 +1,133 @@
+// routes/leaderboard.js
+// Leaderboard prediction game: mingguan, bulanan, season, all-time, dan per liga
+
+const express = require('express');
+const router = express.Router();
+const leaderboardService = require('../services/leaderboardService');
+
+/**
+ * GET /api/leaderboard
+ * Query params:
+ *   period - week | month | season | all (default: season)
+ *   league - league ID API-Football (opsional, leaderboard per liga)
+ *   limit  - jumlah user (default 50, max 200)
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { period = 'season', league, limit } = req.query;
+
+        if (!leaderboardService.PERIODS.includes(period)) {
+            return res.status(400).json({
+                success: false,
+                error: `period must be one of ${leaderboardService.PERIODS.join(', ')}`
+            });
+        }
+
+        if (league && isNaN(parseInt(league))) {
+            return res.status(400).json({
+                success: false,
+                error: 'league must be a numeric league ID'
+            });
+        }
+
+        const result = await leaderboardService.getLeaderboard({
+            period,
+            leagueId: league ? parseInt(league) : null,
+            limit
+        });
+
+        if (!result.success) {
+            return res.status(500).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        res.json({
+            success: true,
+            period: result.period,
+            league: result.league,
+            since: result.since,
+            season: result.season,
+            count: result.entries.length,
+            leaderboard: result.entries
+        });
+
+    } catch (error) {
+        console.error('❌ Leaderboard error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/leaderboard/seasons
+ * List season (aktif + yang udah diarsip)
+ */
+router.get('/seasons', async (req, res) => {
+    try {
+        const result = await leaderboardService.getSeasons();
+
+        if (!result.success) {
+            return res.status(500).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        res.json({
+            success: true,
+            count: result.seasons.length,
+            seasons: result.seasons
+        });
+
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/leaderboard/seasons/:id
+ * Klasemen akhir season yang udah diarsip
+ */
+router.get('/seasons/:id', async (req, res) => {
+    try {
+        const seasonId = Number(req.params.id);
+
+        if (!Number.isInteger(seasonId) || seasonId <= 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Season ID must be a positive integer'
+            });
+        }
+
+        const result = await leaderboardService.getSeasonStandings(seasonId, req.query.limit);
+
+        if (!result.success) {
+            return res.status(result.notFound ? 404 : 500).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        res.json({
+            success: true,
+            season: result.season,
+            count: result.entries.length,
+            leaderboard: result.entries
+        });
+
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
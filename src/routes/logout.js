@@ -1,10 +1,11 @@
 // routes/logout.js
-// Endpoint untuk clear active_sessions tanpa perlu auth
+// Endpoint untuk clear active_sessions user yang login
 // Pake service_role key jadi gak kena RLS
 
 const express = require('express');
 const router = express.Router();
 const { createClient } = require('@supabase/supabase-js');
+const { requireAuth } = require('../middleware/auth');
 
 // Supabase admin client dengan service_role key
 const supabaseAdmin = createClient(
@@ -13,17 +14,10 @@ const supabaseAdmin = createClient(
 );
 
 // POST /api/logout
-// Body: { email: "user@email.com" }
-router.post('/', async (req, res) => {
+// Header: Authorization: Bearer <supabase_access_token>
+router.post('/', requireAuth, async (req, res) => {
     try {
-        const { email } = req.body;
-
-        if (!email) {
-            return res.status(400).json({ 
-                success: false, 
-                error: 'Email is required' 
-            });
-        }
+        const { email } = req.user;
 
         console.log('🚪 Clearing session for:', email);
 
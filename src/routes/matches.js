@@ -2,25 +2,35 @@ const express = require('express');
 const router = express.Router();
 const apiFootball = require('../services/apiFootball');
 const matchSync = require('../services/matchSync');
+const footballProvider = require('../services/footballProvider');
+const liveScoreFeed = require('../services/liveScoreFeed');
+const matchTimeline = require('../services/matchTimeline');
+const statSnapshots = require('../services/statSnapshots');
+const matchArchive = require('../services/matchArchive');
+const quotaBudget = require('../services/quotaBudget');
+const timezone = require('../services/timezone');
+const { resolveTimezone } = require('../middleware/timezone');
 const { supabase } = require('../config/database');
 
+const isPlainDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value);
+
 /**
  * GET /api/matches/top-players
- * Get top rated players from TODAY'S finished matches
+ * Get top rated players from TODAY'S finished matches ("hari ini" ikut ?tz=, default Asia/Jakarta)
  * Fallback to season stats if no finished matches today
+ * Fan-out ke API-Football = prioritas rendah di quota budget: kalau quota tipis,
+ * call ditolak (atau di-serve dari cache stale) dan response ditandai degraded: true
  */
-router.get('/top-players', async (req, res) => {
+router.get('/top-players', resolveTimezone, (req, res) => quotaBudget.runWith({ consumer: 'topPlayers', priority: 'low' }, async (budget) => {
     try {
         const { limit = 5 } = req.query;
 
         console.log(`📥 GET /api/matches/top-players (limit: ${limit})`);
 
         // PRIORITAS 1: Ambil dari match HARI INI yang udah selesai (FT)
-        const today = new Date();
-        const startOfDay = new Date(today.getFullYear(), today.getMonth(), today.getDate()).toISOString();
-        const endOfDay = new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1).toISOString();
+        const { start: startOfDay, end: endOfDay } = timezone.getDayRange(timezone.today(req.timezone), req.timezone);
 
-        console.log(`📅 Looking for finished matches: ${startOfDay} - ${endOfDay}`);
+        console.log(`📅 Looking for finished matches: ${startOfDay} - ${endOfDay} (${req.timezone})`);
 
         const { data: finishedMatches, error: dbError } = await supabase
             .from('matches')
@@ -84,6 +94,9 @@ router.get('/top-players', async (req, res) => {
                 } catch (err) {
                     console.log(`⚠️ Could not fetch players for match ${match.id}:`, err.message);
                 }
+
+                // Budget habis → sisa match juga bakal ditolak, stop di sini
+                if (budget.refused > 0) break;
             }
         }
 
@@ -127,6 +140,7 @@ router.get('/top-players', async (req, res) => {
                 data: topPlayers,
                 source: 'today_matches',
                 matchesProcessed: Math.min(finishedMatches.length, 10),
+                degraded: budget.refused > 0,
                 lastUpdated: new Date().toISOString()
             });
         }
@@ -160,6 +174,7 @@ router.get('/top-players', async (req, res) => {
                 success: true,
                 data: topPlayers,
                 source: 'season_stats',
+                degraded: budget.refused > 0,
                 lastUpdated: new Date().toISOString()
             });
         }
@@ -169,6 +184,7 @@ router.get('/top-players', async (req, res) => {
             success: true,
             data: [],
             message: 'Belum ada data rating pemain. Data tersedia setelah match selesai.',
+            degraded: budget.refused > 0,
             lastUpdated: new Date().toISOString()
         });
 
@@ -179,7 +195,7 @@ router.get('/top-players', async (req, res) => {
             error: error.message
         });
     }
-});
+}));
 
 // Helper: Translate position to Indonesian
 function translatePosition(pos) {
@@ -208,8 +224,9 @@ function getRatingColor(rating) {
 /**
  * GET /api/matches/archived
  * Get archived/finished matches from database
+ * date_from / date_to format YYYY-MM-DD = tanggal lokal di ?tz= (default Asia/Jakarta), inklusif
  */
-router.get('/archived', async (req, res) => {
+router.get('/archived', resolveTimezone, async (req, res) => {
     try {
         const { limit = 20, offset = 0, league, date_from, date_to } = req.query;
 
@@ -234,11 +251,15 @@ router.get('/archived', async (req, res) => {
         }
 
         if (date_from) {
-            query = query.gte('date', date_from);
+            query = isPlainDate(date_from)
+                ? query.gte('date', timezone.getDayRange(date_from, req.timezone).start)
+                : query.gte('date', date_from);
         }
 
         if (date_to) {
-            query = query.lte('date', date_to);
+            query = isPlainDate(date_to)
+                ? query.lt('date', timezone.getDayRange(date_to, req.timezone).end)
+                : query.lte('date', date_to);
         }
 
         const { data, error, count } = await query;
@@ -258,6 +279,7 @@ router.get('/archived', async (req, res) => {
             date: match.date,
             match_date: match.date,
             local_date: new Date(match.date).toLocaleDateString('id-ID', {
+                timeZone: req.timezone,
                 weekday: 'long',
                 day: 'numeric',
                 month: 'long',
@@ -302,6 +324,7 @@ router.get('/archived', async (req, res) => {
 
         res.json({
             success: true,
+            timezone: req.timezone,
             data: {
                 matches: matches,
                 total: matches.length,
@@ -382,71 +405,214 @@ router.get('/archived/stats', async (req, res) => {
     }
 });
 
+// Snapshot live sync terakhir (in-process) dipake buat overlay selama masih segar;
+// lebih tua dari ini (instance lain yang pegang lease liveSync) → row is_live dari database
+const LIVE_OVERLAY_MAX_AGE_MS = 2 * 60 * 1000;
+
 /**
- * GET /api/matches
- * Get all matches (today + live by default)
+ * Timestamp paling baru dari list ISO string (null di-skip)
  */
-router.get('/', async (req, res) => {
-    try {
-        const { date, league, live } = req.query;
+const newestTimestamp = (timestamps) => timestamps.reduce((newest, value) => {
+    if (!value) return newest;
+    return !newest || Date.parse(value) > Date.parse(newest) ? value : newest;
+}, null);
 
-        let result;
+/**
+ * Baca matches dari database (hasil sync cron)
+ * Returns: { matches, updatedAt } atau null kalau database gak ada / error / belum ada data
+ * (belum ke-sync → caller fallback ke provider)
+ * Sync jalan per hari Asia/Jakarta: hari di ?tz= lain cuma dibaca dari database kalau
+ * seluruh range-nya udah ke-sync (match_sync_days), biar gak balikin setengah hari
+ * Tanpa date (liga satu season penuh) selalu dianggap belum ke-sync: database cuma nyimpen hari-hari yang di-sync
+ */
+const readMatchesFromDb = async ({ date, league_id, timezone: tz }) => {
+    if (!date) return null;
 
-        if (live === 'true') {
-            // Get live matches only
-            result = await apiFootball.getLiveMatches();
-        } else if (date) {
-            // Get matches by specific date
-            result = await apiFootball.getMatchesByDate(date);
-        } else if (league) {
-            // Get matches by league
-            result = await apiFootball.getMatchesByLeague(league);
-        } else {
-            // Default: get today's matches + any LIVE matches (including from yesterday)
-            console.log('📅 Fetching today matches + live matches...');
+    const { start, end } = timezone.getDayRange(date, tz);
+    const synced = await matchSync.isRangeSynced(start, end);
 
-            // Fetch both in parallel
-            const [todayResult, liveResult] = await Promise.all([
-                apiFootball.getTodayMatches(),
-                apiFootball.getLiveMatches()
-            ]);
+    if (!synced.success) {
+        if (supabase) console.error('❌ Synced days read error, falling back to provider:', synced.error);
+        return null;
+    }
 
-            // Combine results
-            const todayMatches = todayResult.success ? todayResult.data : [];
-            const liveMatches = liveResult.success ? liveResult.data : [];
+    if (!synced.covered) return null;
 
-            // Merge and deduplicate by fixture ID
-            const matchMap = new Map();
+    const filters = { date, timezone: tz };
+    if (league_id) filters.league_id = league_id;
 
-            // Add today's matches first
-            for (const match of todayMatches) {
-                matchMap.set(match.fixture.id, match);
-            }
+    const result = await matchSync.getMatchesFromDb(filters);
 
-            // Add/update with live matches (live data is more current)
-            for (const match of liveMatches) {
-                matchMap.set(match.fixture.id, match);
-            }
+    if (!result.success) {
+        if (supabase) console.error('❌ Matches DB read error, falling back to provider:', result.error);
+        return null;
+    }
 
-            const combinedMatches = Array.from(matchMap.values());
+    if (result.data.length === 0) {
+        return null;
+    }
 
-            console.log(`✅ Combined: ${todayMatches.length} today + ${liveMatches.length} live = ${combinedMatches.length} unique matches`);
+    return {
+        matches: result.data,
+        updatedAt: newestTimestamp(result.data.map(match => match.last_updated))
+    };
+};
 
-            result = {
-                success: true,
-                data: combinedMatches
-            };
+/**
+ * Live matches terbaru: snapshot live sync kalau masih segar, kalau gak dari database
+ */
+const getLiveOverlay = async () => {
+    const snapshot = liveScoreFeed.getSnapshot();
+
+    if (snapshot.lastSyncAt && Date.now() - Date.parse(snapshot.lastSyncAt) <= LIVE_OVERLAY_MAX_AGE_MS) {
+        return { matches: snapshot.matches, updatedAt: snapshot.lastSyncAt };
+    }
+
+    const result = await matchSync.getMatchesFromDb({ is_live: true });
+    const matches = result.success ? result.data : [];
+
+    return { matches, updatedAt: newestTimestamp(matches.map(match => match.last_updated)) };
+};
+
+/**
+ * Timpa / tambah live matches ke hasil database (termasuk yang kickoff kemarin)
+ * Match yang di-override admin atau di-blacklist gak ditimpa
+ */
+const withLiveOverlay = async (stored, leagueId = null) => {
+    const overlay = await getLiveOverlay();
+    const matchMap = new Map(stored.matches.map(match => [match.id, match]));
+
+    for (const match of overlay.matches) {
+        if (leagueId && String(match.league_id) !== String(leagueId)) continue;
+
+        const existing = matchMap.get(match.id);
+        if (existing?.manual_override || matchSync.isBlacklisted(match.id)) continue;
+
+        matchMap.set(match.id, existing ? { ...existing, ...match } : match);
+    }
+
+    return {
+        matches: Array.from(matchMap.values()),
+        updatedAt: newestTimestamp([stored.updatedAt, overlay.updatedAt])
+    };
+};
+
+/**
+ * Header sumber data: database (hasil sync) atau provider (fetch langsung)
+ */
+const setDataSource = (res, source, updatedAt) => {
+    res.set('X-Data-Source', source);
+
+    if (updatedAt) {
+        res.set('X-Data-Updated-At', new Date(updatedAt).toISOString());
+        res.set('X-Data-Age', String(Math.max(0, Math.round((Date.now() - Date.parse(updatedAt)) / 1000))));
+    }
+};
+
+/**
+ * Fetch langsung ke provider (live, atau tanggal/liga yang belum ada di database)
+ * Default: today + live matches (termasuk yang kickoff kemarin)
+ */
+const fetchMatchesFromProvider = async ({ date, league, live, timezone: tz }) => {
+    let result;
+
+    if (live === 'true') {
+        // Get live matches only
+        result = await footballProvider.getLiveMatches();
+    } else if (date) {
+        // Get matches by specific date
+        result = await footballProvider.getMatchesByDate(date, { timezone: tz });
+    } else if (league) {
+        // Get matches by league
+        result = await footballProvider.getMatchesByLeague(league);
+    } else {
+        // Default: get today's matches + any LIVE matches (including from yesterday)
+        console.log('📅 Fetching today matches + live matches...');
+
+        // Fetch both in parallel
+        const [todayResult, liveResult] = await Promise.all([
+            footballProvider.getTodayMatches({ timezone: tz }),
+            footballProvider.getLiveMatches()
+        ]);
+
+        // Combine results
+        const todayMatches = todayResult.success ? todayResult.data : [];
+        const liveMatches = liveResult.success ? liveResult.data : [];
+
+        // Merge and deduplicate by fixture ID
+        const matchMap = new Map();
+
+        // Add today's matches first
+        for (const match of todayMatches) {
+            matchMap.set(match.id, match);
         }
 
-        if (!result.success) {
-            return res.status(500).json({
-                success: false,
-                error: result.error
-            });
+        // Add/update with live matches (live data is more current)
+        for (const match of liveMatches) {
+            matchMap.set(match.id, match);
         }
 
-        // Transform data ke format yang clean
-        const matches = matchSync.transformMatches(result.data);
+        const combinedMatches = Array.from(matchMap.values());
+
+        console.log(`✅ Combined: ${todayMatches.length} today + ${liveMatches.length} live = ${combinedMatches.length} unique matches`);
+
+        result = {
+            success: todayResult.success || liveResult.success,
+            error: todayResult.error || liveResult.error,
+            data: combinedMatches,
+            provider: todayResult.provider || liveResult.provider
+        };
+    }
+
+    return result;
+};
+
+/**
+ * GET /api/matches
+ * Get all matches (today + live by default)
+ * Default dan ?date= (plus ?league=) dibaca dari table matches (di-sync cron), provider cuma
+ * dipanggil kalau tanggal itu belum ke-sync atau ?league= tanpa ?date= (season penuh). Sumber & umur data ada di header
+ * X-Data-Source dan X-Data-Age / X-Data-Updated-At
+ * "Hari ini" dan batas ?date= ikut ?tz= (IANA, default Asia/Jakarta)
+ */
+router.get('/', resolveTimezone, async (req, res) => {
+    try {
+        const { date, league, live } = req.query;
+
+        let stored = null;
+
+        if (live !== 'true') {
+            const today = timezone.today(req.timezone);
+            const targetDate = league ? date : (date || today);
+
+            stored = await readMatchesFromDb({ date: targetDate, league_id: league, timezone: req.timezone });
+
+            if (stored && targetDate === today) {
+                stored = await withLiveOverlay(stored, league);
+            }
+        }
+
+        let matches;
+        let provider = null;
+
+        if (stored) {
+            matches = stored.matches;
+            setDataSource(res, 'database', stored.updatedAt);
+        } else {
+            const result = await fetchMatchesFromProvider({ date, league, live, timezone: req.timezone });
+
+            if (!result.success) {
+                return res.status(500).json({
+                    success: false,
+                    error: result.error
+                });
+            }
+
+            // Transform data ke format yang clean
+            matches = matchSync.transformMatches(result.data);
+            provider = result.provider;
+            setDataSource(res, 'provider', new Date().toISOString());
+        }
 
         // League Tier Priority (lower = more important)
         const TIER_1_LEAGUES = [
@@ -550,10 +716,13 @@ router.get('/', async (req, res) => {
 
         res.json({
             success: true,
+            source: stored ? 'database' : 'provider',
+            provider: provider,
+            timezone: req.timezone,
             count: matches.length,
             matches: matches,
             grouped: Object.values(groupedByLeague),
-            lastUpdated: new Date().toISOString()
+            lastUpdated: stored?.updatedAt || new Date().toISOString()
         });
 
     } catch (error) {
@@ -571,7 +740,7 @@ router.get('/', async (req, res) => {
  */
 router.get('/live', async (req, res) => {
     try {
-        const result = await apiFootball.getLiveMatches();
+        const result = await footballProvider.getLiveMatches();
 
         if (!result.success) {
             return res.status(500).json({
@@ -584,6 +753,7 @@ router.get('/live', async (req, res) => {
 
         res.json({
             success: true,
+            provider: result.provider,
             count: matches.length,
             matches: matches,
             lastUpdated: new Date().toISOString()
@@ -597,50 +767,160 @@ router.get('/live', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/matches/live/stream
+ * Server-Sent Events: push perubahan live score (goal, status, elapsed, red card)
+ * Resume pake header Last-Event-ID (otomatis dari EventSource) atau ?lastEventId=
+ */
+router.get('/live/stream', (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const send = (event, data, id = null) => {
+        if (id) res.write(`id: ${id}\n`);
+        res.write(`event: ${event}\n`);
+        res.write(`data: ${JSON.stringify(data)}\n\n`);
+    };
+
+    // Client reconnect setelah 5 detik kalau koneksi putus
+    res.write('retry: 5000\n\n');
+
+    const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+    const missedEvents = liveScoreFeed.getEventsSince(lastEventId);
+
+    if (missedEvents) {
+        // Resume: kirim event yang kelewat aja
+        for (const event of missedEvents) {
+            send('change', event, event.id);
+        }
+    } else {
+        // Koneksi baru (atau ID udah expired): kirim full snapshot dulu
+        const snapshot = liveScoreFeed.getSnapshot();
+        send('snapshot', {
+            count: snapshot.matches.length,
+            matches: snapshot.matches,
+            lastSyncAt: snapshot.lastSyncAt
+        });
+    }
+
+    const unsubscribe = liveScoreFeed.subscribe((event) => {
+        send('change', event, event.id);
+    });
+
+    // Heartbeat biar proxy gak nutup koneksi idle
+    const heartbeat = setInterval(() => {
+        res.write(': ping\n\n');
+    }, 25000);
+
+    console.log(`📡 SSE client connected (${liveScoreFeed.getSubscriberCount()} active)`);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+        console.log(`📡 SSE client disconnected (${liveScoreFeed.getSubscriberCount()} active)`);
+    });
+});
+
+/**
+ * Fixture detail buat /:id dan /:id/timeline
+ * Arsip lengkap (matchArchive) → dari database, gak nembak provider; selain itu provider,
+ * dengan arsip yang belum lengkap sebagai cadangan kalau provider gagal
+ * @param {Object} include - { statistics, events, lineups, players }
+ * Returns: { success, source, provider, fixture, players, updatedAt } / result gagal dari provider
+ */
+const loadMatchDetail = async (id, include) => {
+    const archived = await matchArchive.getArchivedMatch(id).catch(error => {
+        console.error('❌ Match archive read error:', error.message);
+        return null;
+    });
+
+    const fromArchive = () => ({
+        success: true,
+        source: 'archive',
+        provider: archived.provider,
+        fixture: archived.fixture,
+        players: archived.players,
+        updatedAt: archived.finalized_at
+    });
+
+    if (archived?.complete) return fromArchive();
+
+    const matchResult = await footballProvider.getMatchById(id, {
+        statistics: include.statistics,
+        events: include.events,
+        lineups: include.lineups
+    });
+
+    if (!matchResult.success) {
+        return archived ? fromArchive() : matchResult;
+    }
+
+    // Rating pemain cuma ada di API-Football
+    let players = null;
+    if (include.players && matchResult.provider === 'api-football') {
+        const playersResult = await apiFootball.getFixturePlayers(id);
+        if (playersResult.success) players = playersResult.data;
+    }
+
+    return {
+        success: true,
+        source: 'provider',
+        provider: matchResult.provider,
+        fixture: matchResult.data,
+        players,
+        updatedAt: new Date().toISOString()
+    };
+};
+
 /**
  * GET /api/matches/:id
- * Get match detail
+ * Get match detail (+ ?stats=true&events=true&lineups=true&players=true)
+ * Match yang udah selesai di-serve dari arsip, tetap ada setelah cleanup matches / waktu API down
  */
 router.get('/:id', async (req, res) => {
     try {
         const { id } = req.params;
-        const { stats, events, lineups } = req.query;
+        const { stats, events, lineups, players } = req.query;
 
-        // Get basic match info
-        const matchResult = await apiFootball.getMatchById(id);
+        const detail = await loadMatchDetail(id, {
+            statistics: stats === 'true',
+            events: events === 'true',
+            lineups: lineups === 'true',
+            players: players === 'true'
+        });
 
-        if (!matchResult.success || matchResult.data.length === 0) {
-            return res.status(404).json({
+        if (!detail.success) {
+            return res.status(detail.notFound ? 404 : 500).json({
                 success: false,
-                error: 'Match not found'
+                error: detail.notFound ? 'Match not found' : detail.error
             });
         }
 
-        const match = matchSync.transformMatch(matchResult.data[0]);
-        const response = { match };
+        const { fixture } = detail;
+        const response = { provider: detail.provider, source: detail.source, match: matchSync.transformMatch(fixture) };
 
-        // Optionally fetch additional data
-        if (stats === 'true') {
-            const statsResult = await apiFootball.getMatchStatistics(id);
-            if (statsResult.success) {
-                response.statistics = statsResult.data;
-            }
+        if (stats === 'true' && fixture.statistics) {
+            response.statistics = fixture.statistics;
         }
 
-        if (events === 'true') {
-            const eventsResult = await apiFootball.getMatchEvents(id);
-            if (eventsResult.success) {
-                response.events = eventsResult.data;
-            }
+        if (events === 'true' && fixture.events) {
+            response.events = fixture.events;
         }
 
-        if (lineups === 'true') {
-            const lineupsResult = await apiFootball.getMatchLineups(id);
-            if (lineupsResult.success) {
-                response.lineups = lineupsResult.data;
-            }
+        if (lineups === 'true' && fixture.lineups) {
+            response.lineups = fixture.lineups;
         }
 
+        if (players === 'true' && detail.players) {
+            response.players = detail.players;
+        }
+
+        setDataSource(res, detail.source, detail.updatedAt);
         res.json({
             success: true,
             ...response
@@ -654,11 +934,100 @@ router.get('/:id', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/matches/:id/timeline
+ * Events + lineups + statistics digabung jadi timeline menit per menit (goal + assist, kartu,
+ * pergantian, VAR) dengan skor berjalan, plus momentum dari snapshot statistik live sync
+ */
+router.get('/:id/timeline', async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const detail = await loadMatchDetail(id, {
+            statistics: true,
+            events: true,
+            lineups: true
+        });
+
+        if (!detail.success) {
+            return res.status(detail.notFound ? 404 : 500).json({
+                success: false,
+                error: detail.notFound ? 'Match not found' : detail.error
+            });
+        }
+
+        const { fixture } = detail;
+        const timeline = matchTimeline.buildTimeline(fixture, await statSnapshots.getSnapshots(fixture.id));
+
+        res.json({
+            success: true,
+            provider: detail.provider,
+            source: detail.source,
+            match: matchSync.transformMatch(fixture),
+            ...timeline,
+            lastUpdated: detail.updatedAt
+        });
+
+    } catch (error) {
+        console.error('❌ Timeline error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/matches/:id/statistics/history
+ * Perkembangan statistik (possession, shots, corner, ...) dari snapshot yang direkam live sync
+ * tiap STAT_SNAPSHOT_INTERVAL_MINUTES menit, tetap ada setelah match selesai.
+ * Cuma match liga tier-1 / yang di-follow user yang direkam
+ */
+router.get('/:id/statistics/history', async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const snapshots = await statSnapshots.getSnapshots(id);
+
+        // Home team dari table matches, biar statistik gak ketuker sisi
+        let match = null;
+        if (supabase && /^\d+$/.test(id)) {
+            const { data } = await supabase
+                .from('matches')
+                .select('id, home_team_id, home_team_name, away_team_id, away_team_name, status_short')
+                .eq('id', id)
+                .maybeSingle();
+            match = data || null;
+        }
+
+        const history = matchTimeline.buildStatisticsHistory(snapshots, match?.home_team_id ?? null);
+
+        res.json({
+            success: true,
+            match_id: id,
+            match: match,
+            interval_minutes: statSnapshots.SNAPSHOT_INTERVAL_MINUTES,
+            count: history.snapshots.length,
+            ...history,
+            lastUpdated: history.snapshots.length > 0
+                ? history.snapshots[history.snapshots.length - 1].captured_at
+                : new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('❌ Statistics history error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
 /**
  * GET /api/matches/date/:date
- * Get matches by date (format: YYYY-MM-DD)
+ * Get matches by date (format: YYYY-MM-DD, tanggal lokal di ?tz=, default Asia/Jakarta)
  */
-router.get('/date/:date', async (req, res) => {
+router.get('/date/:date', resolveTimezone, async (req, res) => {
     try {
         const { date } = req.params;
 
@@ -670,7 +1039,24 @@ router.get('/date/:date', async (req, res) => {
             });
         }
 
-        const result = await apiFootball.getMatchesByDate(date);
+        const stored = await readMatchesFromDb({ date, timezone: req.timezone });
+
+        if (stored) {
+            setDataSource(res, 'database', stored.updatedAt);
+
+            return res.json({
+                success: true,
+                source: 'database',
+                provider: null,
+                date: date,
+                timezone: req.timezone,
+                count: stored.matches.length,
+                matches: stored.matches,
+                lastUpdated: stored.updatedAt || new Date().toISOString()
+            });
+        }
+
+        const result = await footballProvider.getMatchesByDate(date, { timezone: req.timezone });
 
         if (!result.success) {
             return res.status(500).json({
@@ -680,10 +1066,14 @@ router.get('/date/:date', async (req, res) => {
         }
 
         const matches = matchSync.transformMatches(result.data);
+        setDataSource(res, 'provider', new Date().toISOString());
 
         res.json({
             success: true,
+            source: 'provider',
+            provider: result.provider,
             date: date,
+            timezone: req.timezone,
             count: matches.length,
             matches: matches,
             lastUpdated: new Date().toISOString()
@@ -700,21 +1090,41 @@ router.get('/date/:date', async (req, res) => {
 /**
  * GET /api/matches/league/:leagueId
  * Get matches by league
+ * ?date= (tanpa ?season=) dibaca dari database kalau hari itu udah ke-sync;
+ * season penuh (tanpa ?date=), ?season= tertentu / hari yang belum ke-sync → provider. ?date= = tanggal lokal di ?tz=
  */
-router.get('/league/:leagueId', async (req, res) => {
+router.get('/league/:leagueId', resolveTimezone, async (req, res) => {
     try {
         const { leagueId } = req.params;
         const { date, season } = req.query;
 
+        const stored = season ? null : await readMatchesFromDb({ date, league_id: leagueId, timezone: req.timezone });
+
+        if (stored) {
+            setDataSource(res, 'database', stored.updatedAt);
+
+            return res.json({
+                success: true,
+                source: 'database',
+                provider: null,
+                league_id: leagueId,
+                count: stored.matches.length,
+                matches: stored.matches,
+                lastUpdated: stored.updatedAt || new Date().toISOString()
+            });
+        }
+
         let result;
 
         if (date) {
-            result = await apiFootball.getFixtures({
+            result = await footballProvider.getFixtures({
                 league: leagueId,
-                date: date
+                season: season || apiFootball.getCurrentSeason(),
+                date: date,
+                timezone: req.timezone
             });
         } else {
-            result = await apiFootball.getMatchesByLeague(leagueId, season);
+            result = await footballProvider.getMatchesByLeague(leagueId, season);
         }
 
         if (!result.success) {
@@ -725,9 +1135,12 @@ router.get('/league/:leagueId', async (req, res) => {
         }
 
         const matches = matchSync.transformMatches(result.data);
+        setDataSource(res, 'provider', new Date().toISOString());
 
         res.json({
             success: true,
+            source: 'provider',
+            provider: result.provider,
             league_id: leagueId,
             count: matches.length,
             matches: matches,
@@ -6,6 +6,7 @@
 const express = require('express');
 const router = express.Router();
 const apiMMA = require('../services/apiMMA');
+const { resolveTimezone } = require('../middleware/timezone');
 
 // ============================================================
 // CONSTANTS - Popular Categories (Promotions)
@@ -98,8 +99,9 @@ function groupByCategory(fights) {
 /**
  * GET /api/mma
  * Get today's MMA fights
+ * ?tz= (IANA, default Asia/Jakarta) nentuin "hari ini" dan tanggal ?date=
  */
-router.get('/', async (req, res) => {
+router.get('/', resolveTimezone, async (req, res) => {
     try {
         const { date, live_only } = req.query;
 
@@ -110,9 +112,9 @@ router.get('/', async (req, res) => {
         if (live_only === 'true') {
             result = await apiMMA.getLiveFights();
         } else if (date) {
-            result = await apiMMA.getFightsByDate(date);
+            result = await apiMMA.getFightsByDate(date, req.timezone);
         } else {
-            result = await apiMMA.getTodayFights();
+            result = await apiMMA.getTodayFights(req.timezone);
         }
 
         if (!result.success) {
@@ -138,6 +140,7 @@ router.get('/', async (req, res) => {
 
         res.json({
             success: true,
+            timezone: req.timezone,
             count: fights.length,
             stats: {
                 live: liveCount,
@@ -0,0 +1,245 @@
+// routes/notifications.js
+// Follow tim / liga / fixture + register device untuk Web Push notifications
+
+const express = require('express');
+const router = express.Router();
+// notification_follows & push_subscriptions gak bisa diakses anon (RLS), jadi lewat service_role
+const { supabaseAdmin: supabase } = require('../config/database');
+const notificationDispatcher = require('../services/notificationDispatcher');
+const { requireAuth } = require('../middleware/auth');
+
+const DEFAULT_EVENTS = Object.values(notificationDispatcher.NOTIFIABLE_EVENTS);
+
+/**
+ * Parse entityId (ID tim / liga / fixture), null kalau bukan integer positif
+ */
+const parseEntityId = (value) => {
+    const id = Number(value);
+    return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+/**
+ * Simpan push subscription (dari PushManager.subscribe() di browser)
+ */
+const savePushSubscription = async (userId, subscription) => {
+    if (!subscription?.endpoint || !subscription?.keys?.p256dh || !subscription?.keys?.auth) {
+        return { success: false, error: 'Invalid push subscription' };
+    }
+
+    const { error } = await supabase
+        .from('push_subscriptions')
+        .upsert({
+            user_id: userId,
+            endpoint: subscription.endpoint,
+            p256dh: subscription.keys.p256dh,
+            auth: subscription.keys.auth,
+            updated_at: new Date().toISOString()
+        }, { onConflict: 'endpoint' });
+
+    if (error) {
+        return { success: false, error: error.message };
+    }
+
+    return { success: true };
+};
+
+/**
+ * GET /api/notifications/vapid-public-key
+ * Public key buat PushManager.subscribe({ applicationServerKey })
+ */
+router.get('/vapid-public-key', (req, res) => {
+    if (!notificationDispatcher.isConfigured()) {
+        return res.status(503).json({
+            success: false,
+            error: 'Push notifications not configured'
+        });
+    }
+
+    res.json({
+        success: true,
+        publicKey: notificationDispatcher.VAPID_PUBLIC_KEY
+    });
+});
+
+/**
+ * POST /api/notifications/subscribe
+ * Follow entity dan/atau register device
+ * Body: { type: 'team'|'league'|'fixture', entityId, events?: ['goal','kickoff','fulltime'], subscription? }
+ */
+router.post('/subscribe', requireAuth, async (req, res) => {
+    try {
+        if (!supabase) {
+            return res.status(500).json({ success: false, error: 'Supabase service role not configured' });
+        }
+
+        const user = req.user;
+
+        const { type, entityId, events, subscription } = req.body || {};
+
+        if (!subscription && !type) {
+            return res.status(400).json({
+                success: false,
+                error: 'type + entityId or subscription is required'
+            });
+        }
+
+        // Validasi follow dulu, biar device gak ke-register kalau request-nya ditolak
+        if (type && (!notificationDispatcher.ENTITY_TYPES.includes(type) || parseEntityId(entityId) === null)) {
+            return res.status(400).json({
+                success: false,
+                error: `type must be one of ${notificationDispatcher.ENTITY_TYPES.join(', ')} and entityId must be a positive integer`
+            });
+        }
+
+        if (subscription) {
+            const saveResult = await savePushSubscription(user.id, subscription);
+            if (!saveResult.success) {
+                return res.status(400).json({ success: false, error: saveResult.error });
+            }
+        }
+
+        let follow = null;
+
+        if (type) {
+            const selectedEvents = Array.isArray(events) && events.length > 0
+                ? events.filter(e => DEFAULT_EVENTS.includes(e))
+                : DEFAULT_EVENTS;
+
+            const { data, error } = await supabase
+                .from('notification_follows')
+                .upsert({
+                    user_id: user.id,
+                    entity_type: type,
+                    entity_id: parseEntityId(entityId),
+                    events: selectedEvents
+                }, { onConflict: 'user_id,entity_type,entity_id' })
+                .select()
+                .single();
+
+            if (error) {
+                console.error('❌ Error saving follow:', error);
+                return res.status(500).json({ success: false, error: error.message });
+            }
+
+            follow = data;
+            console.log(`🔔 ${user.email} follows ${type} ${entityId}`);
+        }
+
+        res.json({
+            success: true,
+            follow,
+            deviceRegistered: !!subscription
+        });
+
+    } catch (error) {
+        console.error('❌ Subscribe error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/notifications/unsubscribe
+ * Unfollow entity dan/atau hapus device
+ * Body: { type, entityId } atau { endpoint }
+ */
+router.post('/unsubscribe', requireAuth, async (req, res) => {
+    try {
+        if (!supabase) {
+            return res.status(500).json({ success: false, error: 'Supabase service role not configured' });
+        }
+
+        const user = req.user;
+
+        const { type, entityId, endpoint } = req.body || {};
+
+        if (!endpoint && !(type && entityId)) {
+            return res.status(400).json({
+                success: false,
+                error: 'type + entityId or endpoint is required'
+            });
+        }
+
+        if (type && entityId && parseEntityId(entityId) === null) {
+            return res.status(400).json({ success: false, error: 'entityId must be a positive integer' });
+        }
+
+        if (type && entityId) {
+            const { error } = await supabase
+                .from('notification_follows')
+                .delete()
+                .eq('user_id', user.id)
+                .eq('entity_type', type)
+                .eq('entity_id', parseEntityId(entityId));
+
+            if (error) {
+                return res.status(500).json({ success: false, error: error.message });
+            }
+        }
+
+        if (endpoint) {
+            const { error } = await supabase
+                .from('push_subscriptions')
+                .delete()
+                .eq('user_id', user.id)
+                .eq('endpoint', endpoint);
+
+            if (error) {
+                return res.status(500).json({ success: false, error: error.message });
+            }
+        }
+
+        res.json({ success: true });
+
+    } catch (error) {
+        console.error('❌ Unsubscribe error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/notifications/list
+ * List follows + jumlah device user yang login
+ */
+router.get('/list', requireAuth, async (req, res) => {
+    try {
+        if (!supabase) {
+            return res.status(500).json({ success: false, error: 'Supabase service role not configured' });
+        }
+
+        const user = req.user;
+
+        const [followsResult, devicesResult] = await Promise.all([
+            supabase
+                .from('notification_follows')
+                .select('entity_type, entity_id, events, created_at')
+                .eq('user_id', user.id)
+                .order('created_at', { ascending: false }),
+            supabase
+                .from('push_subscriptions')
+                .select('endpoint', { count: 'exact', head: true })
+                .eq('user_id', user.id)
+        ]);
+
+        if (followsResult.error) {
+            return res.status(500).json({ success: false, error: followsResult.error.message });
+        }
+
+        const follows = followsResult.data || [];
+
+        res.json({
+            success: true,
+            follows: {
+                teams: follows.filter(f => f.entity_type === 'team'),
+                leagues: follows.filter(f => f.entity_type === 'league'),
+                fixtures: follows.filter(f => f.entity_type === 'fixture')
+            },
+            devices: devicesResult.count || 0
+        });
+
+    } catch (error) {
+        console.error('❌ List notifications error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+module.exports = router;
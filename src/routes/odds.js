@@ -4,6 +4,7 @@
 const express = require('express');
 const router = express.Router();
 const apiFootball = require('../services/apiFootball');
+const footballProvider = require('../services/footballProvider');
 
 /**
  * GET /api/odds/:fixtureId
@@ -22,22 +23,23 @@ router.get('/:fixtureId', async (req, res) => {
 
         console.log(`📊 Fetching odds for fixture ${fixtureId}`);
 
-        const result = await apiFootball.getOdds(fixtureId);
+        const result = await footballProvider.getOdds(fixtureId);
 
         if (!result.success) {
-            return res.status(500).json({
+            return res.status(result.unsupported ? 422 : 500).json({
                 success: false,
                 error: result.error || 'Failed to fetch odds'
             });
         }
 
         // Extract bets from response
-        const oddsData = result.data?.[0]?.bookmakers?.[0]?.bets || [];
+        const bookmaker = result.data.bookmakers[0];
 
         res.json({
             success: true,
-            data: oddsData,
-            bookmaker: result.data?.[0]?.bookmakers?.[0]?.name || 'Unknown',
+            provider: result.provider,
+            data: bookmaker?.bets || [],
+            bookmaker: bookmaker?.name || 'Unknown',
             fixture: fixtureId
         });
 
@@ -53,6 +55,7 @@ router.get('/:fixtureId', async (req, res) => {
 /**
  * GET /api/odds/live/:fixtureId
  * Get live/in-play odds for a specific match
+ * Cuma API-Football yang punya odds in-play, jadi langsung ke client-nya (gak lewat footballProvider)
  */
 router.get('/live/:fixtureId', async (req, res) => {
     try {
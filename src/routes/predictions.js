@@ -1,9 +1,191 @@
 // routes/predictions.js
 // Route untuk fetch match predictions dari API-Football
+// + submit prediksi user (winner / score) dengan kickoff lock
 
 const express = require('express');
 const router = express.Router();
 const apiFootball = require('../services/apiFootball');
+const { supabase, supabaseAdmin } = require('../config/database');
+const { requireAuth } = require('../middleware/auth');
+
+// Prediksi cuma boleh sebelum kickoff
+const OPEN_STATUSES = ['NS', 'TBD'];
+const WINNER_OPTIONS = ['home', 'draw', 'away'];
+const MAX_PREDICTED_SCORE = 20;
+
+/**
+ * Cek fixture di table matches: masih boleh diprediksi atau udah kickoff
+ * Returns: { match } atau { status, error }
+ */
+const getOpenMatch = async (matchId) => {
+    const { data: match, error } = await supabase
+        .from('matches')
+        .select('id, date, status_short, league_name, home_team_name, away_team_name')
+        .eq('id', matchId)
+        .maybeSingle();
+
+    if (error) {
+        return { status: 500, error: error.message };
+    }
+
+    if (!match) {
+        return { status: 404, error: 'Match not found' };
+    }
+
+    if (!OPEN_STATUSES.includes(match.status_short) || new Date(match.date) <= new Date()) {
+        return { status: 403, error: 'Predictions are locked after kickoff' };
+    }
+
+    return { match };
+};
+
+/**
+ * Simpan / update prediksi (satu per user per match per type)
+ * Row yang udah ada cuma di-update kalau masih pending
+ * Table prediksi gak bisa ditulis anon (RLS), jadi kickoff lock gak bisa dilewatin lewat PostgREST langsung
+ */
+const savePrediction = async (table, email, matchId, values) => {
+    if (!supabaseAdmin) {
+        return { status: 500, error: 'Supabase service role not configured' };
+    }
+
+    const { data: existing, error: fetchError } = await supabaseAdmin
+        .from(table)
+        .select('id, status')
+        .eq('email', email)
+        .eq('match_id', matchId)
+        .maybeSingle();
+
+    if (fetchError) {
+        return { status: 500, error: fetchError.message };
+    }
+
+    if (existing && existing.status !== 'pending') {
+        return { status: 409, error: 'Prediction already graded' };
+    }
+
+    const { data, error } = await supabaseAdmin
+        .from(table)
+        .upsert({
+            email,
+            match_id: matchId,
+            ...values,
+            status: 'pending'
+        }, { onConflict: 'email,match_id' })
+        .select()
+        .single();
+
+    if (error) {
+        return { status: 500, error: error.message };
+    }
+
+    return { prediction: data, updated: !!existing };
+};
+
+/**
+ * Validasi request submit: matchId + kickoff lock (user dari requireAuth)
+ * Returns: { user, matchId } atau kirim response error dan return null
+ */
+const prepareSubmission = async (req, res) => {
+    const user = req.user;
+
+    // Number() bukan parseInt: "123abc" / -1 / 1.5 ditolak, bukan diam-diam jadi id lain
+    const matchId = Number(req.body?.matchId);
+    if (!Number.isInteger(matchId) || matchId <= 0) {
+        res.status(400).json({ success: false, error: 'matchId must be a positive integer' });
+        return null;
+    }
+
+    const lock = await getOpenMatch(matchId);
+    if (!lock.match) {
+        res.status(lock.status).json({ success: false, error: lock.error });
+        return null;
+    }
+
+    return { user, matchId };
+};
+
+/**
+ * POST /api/predictions/winner
+ * Body: { matchId, prediction: 'home' | 'draw' | 'away' }
+ */
+router.post('/winner', requireAuth, async (req, res) => {
+    try {
+        const { prediction } = req.body || {};
+
+        if (!WINNER_OPTIONS.includes(prediction)) {
+            return res.status(400).json({
+                success: false,
+                error: `prediction must be one of ${WINNER_OPTIONS.join(', ')}`
+            });
+        }
+
+        const submission = await prepareSubmission(req, res);
+        if (!submission) return;
+
+        const result = await savePrediction('winner_predictions', submission.user.email, submission.matchId, {
+            predicted_result: prediction
+        });
+
+        if (result.error) {
+            return res.status(result.status).json({ success: false, error: result.error });
+        }
+
+        console.log(`🎯 ${submission.user.email} predicts ${prediction} for match ${submission.matchId}`);
+
+        res.status(result.updated ? 200 : 201).json({
+            success: true,
+            updated: result.updated,
+            prediction: result.prediction
+        });
+
+    } catch (error) {
+        console.error('❌ Winner prediction error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/predictions/score
+ * Body: { matchId, homeScore, awayScore }
+ */
+router.post('/score', requireAuth, async (req, res) => {
+    try {
+        const { homeScore, awayScore } = req.body || {};
+        const isValidScore = (value) => Number.isInteger(value) && value >= 0 && value <= MAX_PREDICTED_SCORE;
+
+        if (!isValidScore(homeScore) || !isValidScore(awayScore)) {
+            return res.status(400).json({
+                success: false,
+                error: `homeScore and awayScore must be integers between 0 and ${MAX_PREDICTED_SCORE}`
+            });
+        }
+
+        const submission = await prepareSubmission(req, res);
+        if (!submission) return;
+
+        const result = await savePrediction('score_predictions', submission.user.email, submission.matchId, {
+            predicted_home_score: homeScore,
+            predicted_away_score: awayScore
+        });
+
+        if (result.error) {
+            return res.status(result.status).json({ success: false, error: result.error });
+        }
+
+        console.log(`🎯 ${submission.user.email} predicts ${homeScore}-${awayScore} for match ${submission.matchId}`);
+
+        res.status(result.updated ? 200 : 201).json({
+            success: true,
+            updated: result.updated,
+            prediction: result.prediction
+        });
+
+    } catch (error) {
+        console.error('❌ Score prediction error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
 
 /**
  * GET /api/predictions
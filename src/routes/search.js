@@ -7,7 +7,7 @@ const express = require('express');
 const router = express.Router();
 
 // Import all sport services
-const apiFootball = require('../services/apiFootball');
+const footballProvider = require('../services/footballProvider');
 const apiTennis = require('../services/apiTennis');
 const apiBasketball = require('../services/apiBasketball');
 const apiVolleyball = require('../services/apiVolleyball');
@@ -101,8 +101,8 @@ router.get('/', async (req, res) => {
                 case 'football':
                     return searchMatchesInSport(
                         'football',
-                        () => apiFootball.getTodayMatches(),
-                        null, // Already formatted
+                        () => footballProvider.getTodayMatches(),
+                        null, // Canonical fixture (teams.home.name, league.name)
                         query
                     );
                 case 'tennis':
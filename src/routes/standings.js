@@ -3,7 +3,7 @@
 
 const express = require('express');
 const router = express.Router();
-const apiFootball = require('../services/apiFootball');
+const footballProvider = require('../services/footballProvider');
 
 /**
  * GET /api/standings
@@ -23,7 +23,7 @@ router.get('/', async (req, res) => {
 
         console.log(`📊 Fetching standings for league ${league}, season ${season || 'current'}`);
 
-        const result = await apiFootball.getStandings(league, season);
+        const result = await footballProvider.getStandings(league, season);
 
         if (!result.success) {
             return res.status(500).json({
@@ -32,19 +32,18 @@ router.get('/', async (req, res) => {
             });
         }
 
-        const standingsData = result.data || [];
-
         // Parse standings data
-        if (!standingsData.length) {
+        if (!result.data) {
             return res.json({
                 success: true,
+                provider: result.provider,
                 standings: [],
                 league: null
             });
         }
 
-        const leagueInfo = standingsData[0]?.league || {};
-        const standingsRaw = leagueInfo.standings || [[]];
+        const leagueInfo = result.data.league;
+        const standingsRaw = result.data.standings.length > 0 ? result.data.standings : [[]];
 
         // Transform standings to clean format
         const standings = [];
@@ -90,6 +89,7 @@ router.get('/', async (req, res) => {
 
         res.json({
             success: true,
+            provider: result.provider,
             league: {
                 id: leagueInfo.id,
                 name: leagueInfo.name,
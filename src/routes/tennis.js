@@ -6,6 +6,8 @@
 const express = require('express');
 const router = express.Router();
 const apiTennis = require('../services/apiTennis');
+const timezone = require('../services/timezone');
+const { resolveTimezone } = require('../middleware/timezone');
 
 // ============================================================
 // CONSTANTS
@@ -151,8 +153,9 @@ function groupByTournament(matches) {
 /**
  * GET /api/tennis
  * Get today's tennis matches (live + scheduled + finished)
+ * ?tz= (IANA, default Asia/Jakarta) nentuin "hari ini" dan tanggal ?date=
  */
-router.get('/', async (req, res) => {
+router.get('/', resolveTimezone, async (req, res) => {
     try {
         const { date, live_only } = req.query;
         
@@ -165,10 +168,10 @@ router.get('/', async (req, res) => {
             result = await apiTennis.getLiveMatches();
         } else if (date) {
             // Specific date
-            result = await apiTennis.getMatchesByDate(date);
+            result = await apiTennis.getMatchesByDate(date, req.timezone);
         } else {
             // Today's matches
-            result = await apiTennis.getTodayMatches();
+            result = await apiTennis.getTodayMatches(req.timezone);
         }
         
         if (!result.success) {
@@ -194,6 +197,7 @@ router.get('/', async (req, res) => {
         
         res.json({
             success: true,
+            timezone: req.timezone,
             count: matches.length,
             stats: {
                 live: liveCount,
@@ -437,15 +441,15 @@ router.get('/tournaments', async (req, res) => {
  * GET /api/tennis/match/:matchKey
  * Get match detail with point by point
  */
-router.get('/match/:matchKey', async (req, res) => {
+router.get('/match/:matchKey', resolveTimezone, async (req, res) => {
     try {
         const { matchKey } = req.params;
         
         console.log(`🎾 GET /api/tennis/match/${matchKey}`);
         
         // Get match from fixtures
-        const today = new Date().toISOString().split('T')[0];
-        const result = await apiTennis.getFixtures(today, today, { match_key: matchKey });
+        const today = timezone.today(req.timezone);
+        const result = await apiTennis.getFixtures(today, today, { match_key: matchKey, timezone: req.timezone });
         
         if (!result.success) {
             return res.status(500).json({
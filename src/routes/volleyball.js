@@ -6,6 +6,7 @@
 const express = require('express');
 const router = express.Router();
 const apiVolleyball = require('../services/apiVolleyball');
+const { resolveTimezone } = require('../middleware/timezone');
 
 // ============================================================
 // CONSTANTS - Popular Leagues
@@ -116,8 +117,9 @@ function groupByLeague(games) {
 /**
  * GET /api/volleyball
  * Get today's volleyball games
+ * ?tz= (IANA, default Asia/Jakarta) nentuin "hari ini" dan tanggal ?date=
  */
-router.get('/', async (req, res) => {
+router.get('/', resolveTimezone, async (req, res) => {
     try {
         const { date, live_only } = req.query;
 
@@ -128,9 +130,9 @@ router.get('/', async (req, res) => {
         if (live_only === 'true') {
             result = await apiVolleyball.getLiveGames();
         } else if (date) {
-            result = await apiVolleyball.getGamesByDate(date);
+            result = await apiVolleyball.getGamesByDate(date, req.timezone);
         } else {
-            result = await apiVolleyball.getTodayGames();
+            result = await apiVolleyball.getTodayGames(req.timezone);
         }
 
         if (!result.success) {
@@ -156,6 +158,7 @@ router.get('/', async (req, res) => {
 
         res.json({
             success: true,
+            timezone: req.timezone,
             count: games.length,
             stats: {
                 live: liveCount,
@@ -4,7 +4,10 @@
  * Documentation: https://api-sports.io/documentation/baseball/v1
  */
 
-const axios = require('axios');
+const httpClient = require('./httpClient');
+const cache = require('./cache');
+const quotaBudget = require('./quotaBudget');
+const timezone = require('./timezone');
 
 const BASE_URL = 'https://v1.baseball.api-sports.io';
 const API_KEY = process.env.API_SPORTS_KEY || process.env.API_FOOTBALL_KEY;
@@ -16,26 +19,34 @@ async function makeRequest(endpoint, params = {}) {
     try {
         console.log(`⚾ Baseball API: ${endpoint}`);
 
-        const response = await axios.get(`${BASE_URL}${endpoint}`, {
-            headers: {
-                'x-apisports-key': API_KEY
+        const payload = await cache.wrap(
+            cache.buildKey('baseball', endpoint, params),
+            cache.getTtl(endpoint, params),
+            async () => {
+                const response = await quotaBudget.track('baseball', () => httpClient.get(`${BASE_URL}${endpoint}`, {
+                    headers: {
+                        'x-apisports-key': API_KEY
+                    },
+                    params: params,
+                    timeout: 30000
+                }));
+                return response.data;
             },
-            params: params,
-            timeout: 30000
-        });
+            { isCacheable: cache.isApiSportsPayloadOk }
+        );
 
-        if (response.data && response.data.response) {
+        if (payload && payload.response) {
             return {
                 success: true,
-                data: response.data.response,
-                results: response.data.results,
-                paging: response.data.paging
+                data: payload.response,
+                results: payload.results,
+                paging: payload.paging
             };
         }
 
         return {
             success: false,
-            error: response.data?.errors || 'Unknown error',
+            error: payload?.errors || 'Unknown error',
             data: []
         };
 
@@ -63,17 +74,17 @@ async function getLiveGames() {
 /**
  * Get games by date
  * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} tz - Optional IANA timezone (date = tanggal lokal, jam di response ikut timezone)
  */
-async function getGamesByDate(date) {
-    return await makeRequest('/games', { date: date });
+async function getGamesByDate(date, tz = null) {
+    return await makeRequest('/games', tz ? { date: date, timezone: tz } : { date: date });
 }
 
 /**
- * Get today's games
+ * Get today's games ("hari ini" di timezone itu, default Asia/Jakarta)
  */
-async function getTodayGames() {
-    const today = new Date().toISOString().split('T')[0];
-    return await getGamesByDate(today);
+async function getTodayGames(tz = timezone.DEFAULT_TIMEZONE) {
+    return await getGamesByDate(timezone.today(tz), tz);
 }
 
 /**
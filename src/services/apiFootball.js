@@ -1,9 +1,12 @@
-const axios = require('axios');
+const httpClient = require('./httpClient');
+const cache = require('./cache');
+const quotaBudget = require('./quotaBudget');
+const timezone = require('./timezone');
 
 const API_BASE_URL = 'https://v3.football.api-sports.io';
 
-// Create axios instance with default config
-const apiClient = axios.create({
+// Create HTTP client (axios instance + record/replay) with default config
+const apiClient = httpClient.create({
     baseURL: API_BASE_URL,
     timeout: 30000,
     headers: {
@@ -11,6 +14,23 @@ const apiClient = axios.create({
     }
 });
 
+/**
+ * GET ke API-Football lewat shared cache
+ * Signature sama kayak apiClient.get, return { data } biar caller gak berubah
+ */
+const cachedGet = async (endpoint, config = {}) => {
+    const params = config.params || {};
+
+    const data = await cache.wrap(
+        cache.buildKey('football', endpoint, params),
+        cache.getTtl(endpoint, params),
+        async () => (await quotaBudget.track('football', () => apiClient.get(endpoint, { params }))).data,
+        { isCacheable: cache.isApiSportsPayloadOk }
+    );
+
+    return { data };
+};
+
 // Popular leagues to fetch (bisa di-customize)
 const POPULAR_LEAGUES = [
     39,   // Premier League
@@ -50,7 +70,7 @@ const formatDate = (date) => {
  */
 const getFixtures = async (params = {}) => {
     try {
-        const response = await apiClient.get('/fixtures', { params });
+        const response = await cachedGet('/fixtures', { params });
 
         if (response.data.errors && Object.keys(response.data.errors).length > 0) {
             console.error('❌ API-Football Error:', response.data.errors);
@@ -71,19 +91,20 @@ const getFixtures = async (params = {}) => {
 
 /**
  * Get matches untuk hari ini
+ * "Hari ini" & jam kickoff di response ikut timezone (param timezone API-Football)
  */
-const getTodayMatches = async () => {
-    const today = formatDate(new Date());
-    console.log(`📅 Fetching matches for: ${today}`);
+const getTodayMatches = async (tz = timezone.DEFAULT_TIMEZONE) => {
+    const today = timezone.today(tz);
+    console.log(`📅 Fetching matches for: ${today} (${tz})`);
 
-    return await getFixtures({ date: today });
+    return await getFixtures({ date: today, timezone: tz });
 };
 
 /**
- * Get matches untuk tanggal tertentu
+ * Get matches untuk tanggal tertentu (tanggal lokal di timezone itu)
  */
-const getMatchesByDate = async (date) => {
-    return await getFixtures({ date });
+const getMatchesByDate = async (date, tz = timezone.DEFAULT_TIMEZONE) => {
+    return await getFixtures({ date, timezone: tz });
 };
 
 /**
@@ -113,14 +134,15 @@ const getMatchById = async (fixtureId) => {
 /**
  * Get matches untuk popular leagues hari ini
  */
-const getPopularLeagueMatches = async () => {
-    const today = formatDate(new Date());
+const getPopularLeagueMatches = async (tz = timezone.DEFAULT_TIMEZONE) => {
+    const today = timezone.today(tz);
     const allMatches = [];
 
     for (const leagueId of POPULAR_LEAGUES) {
         const result = await getFixtures({
             league: leagueId,
-            date: today
+            date: today,
+            timezone: tz
         });
 
         if (result.success && result.data) {
@@ -153,7 +175,7 @@ const getMatchesDateRange = async (fromDate, toDate) => {
  */
 const getLeagues = async (params = {}) => {
     try {
-        const response = await apiClient.get('/leagues', { params });
+        const response = await cachedGet('/leagues', { params });
         return {
             success: true,
             data: response.data.response
@@ -168,7 +190,7 @@ const getLeagues = async (params = {}) => {
  */
 const getMatchStatistics = async (fixtureId) => {
     try {
-        const response = await apiClient.get('/fixtures/statistics', {
+        const response = await cachedGet('/fixtures/statistics', {
             params: { fixture: fixtureId }
         });
         return {
@@ -185,7 +207,7 @@ const getMatchStatistics = async (fixtureId) => {
  */
 const getMatchEvents = async (fixtureId) => {
     try {
-        const response = await apiClient.get('/fixtures/events', {
+        const response = await cachedGet('/fixtures/events', {
             params: { fixture: fixtureId }
         });
         return {
@@ -202,7 +224,7 @@ const getMatchEvents = async (fixtureId) => {
  */
 const getMatchLineups = async (fixtureId) => {
     try {
-        const response = await apiClient.get('/fixtures/lineups', {
+        const response = await cachedGet('/fixtures/lineups', {
             params: { fixture: fixtureId }
         });
         return {
@@ -226,7 +248,7 @@ const getStandings = async (leagueId, season = null) => {
 
         console.log(`🏆 Fetching standings: league=${leagueId}, season=${params.season}`);
 
-        const response = await apiClient.get('/standings', { params });
+        const response = await cachedGet('/standings', { params });
 
         if (response.data.errors && Object.keys(response.data.errors).length > 0) {
             console.error('❌ Standings API Error:', response.data.errors);
@@ -253,7 +275,7 @@ const getH2H = async (team1, team2, last = 12) => {
     try {
         console.log(`⚔️ Fetching H2H: team1=${team1}, team2=${team2}, last=${last}`);
 
-        const response = await apiClient.get('/fixtures/headtohead', {
+        const response = await cachedGet('/fixtures/headtohead', {
             params: {
                 h2h: `${team1}-${team2}`,
                 last: last
@@ -282,7 +304,7 @@ const getOdds = async (fixtureId) => {
     try {
         console.log(`📊 Fetching odds for fixture: ${fixtureId}`);
 
-        const response = await apiClient.get('/odds', {
+        const response = await cachedGet('/odds', {
             params: { fixture: fixtureId }
         });
 
@@ -308,7 +330,7 @@ const getLiveOdds = async (fixtureId) => {
     try {
         console.log(`📊 Fetching live odds for fixture: ${fixtureId}`);
 
-        const response = await apiClient.get('/odds/live', {
+        const response = await cachedGet('/odds/live', {
             params: { fixture: fixtureId }
         });
 
@@ -333,6 +355,8 @@ const getLiveOdds = async (fixtureId) => {
 const getApiStatus = async () => {
     try {
         const response = await apiClient.get('/status');
+        // /status gak ngurangin quota, tapi angkanya paling akurat buat budget
+        quotaBudget.recordStatus('football', response.data.response?.requests);
         return {
             success: true,
             data: response.data.response
@@ -350,7 +374,7 @@ const getPredictions = async (fixtureId) => {
     try {
         console.log(`🔮 Fetching predictions for fixture: ${fixtureId}`);
 
-        const response = await apiClient.get('/predictions', {
+        const response = await cachedGet('/predictions', {
             params: { fixture: fixtureId }
         });
 
@@ -379,7 +403,7 @@ const getTeamStatistics = async (teamId, leagueId, season) => {
     try {
         console.log(`📊 Fetching team statistics: team=${teamId}, league=${leagueId}, season=${season}`);
 
-        const response = await apiClient.get('/teams/statistics', {
+        const response = await cachedGet('/teams/statistics', {
             params: {
                 team: teamId,
                 league: leagueId,
@@ -418,7 +442,7 @@ const getPlayersStatistics = async (leagueId, season = null, page = 1) => {
 
         console.log(`👤 Fetching players: league=${leagueId}, season=${params.season}, page=${page}`);
 
-        const response = await apiClient.get('/players', { params });
+        const response = await cachedGet('/players', { params });
 
         if (response.data.errors && Object.keys(response.data.errors).length > 0) {
             console.error('❌ Players API Error:', response.data.errors);
@@ -514,7 +538,7 @@ const getFixturePlayers = async (fixtureId) => {
     try {
         console.log(`👥 Fetching players for fixture: ${fixtureId}`);
 
-        const response = await apiClient.get('/fixtures/players', {
+        const response = await cachedGet('/fixtures/players', {
             params: { fixture: fixtureId }
         });
 
@@ -534,6 +558,7 @@ const getFixturePlayers = async (fixtureId) => {
 };
 
 module.exports = {
+    getFixtures,
     getTodayMatches,
     getMatchesByDate,
     getLiveMatches,
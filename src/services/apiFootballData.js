@@ -0,0 +1,133 @@
+/**
+ * football-data.org Service
+ * Provider: football-data.org (v4)
+ * Documentation: https://docs.football-data.org/general/v4/index.html
+ *
+ * Sumber data football cadangan kalau API-Football down / quota habis
+ * Dipake lewat src/services/providers/footballDataProvider.js, bukan langsung dari routes
+ * Free tier: 10 request/menit, cuma kompetisi besar (PL, La Liga, Serie A, UCL, dll)
+ */
+
+const httpClient = require('./httpClient');
+const cache = require('./cache');
+
+const BASE_URL = 'https://api.football-data.org/v4';
+const API_KEY = process.env.FOOTBALL_DATA_API_KEY;
+
+/**
+ * Payload football-data dianggap sukses kalau gak ada errorCode
+ */
+const isPayloadOk = (payload) => Boolean(payload) && !payload.errorCode;
+
+/**
+ * Replay mode gak butuh API key (response dari fixture rekaman)
+ */
+const isConfigured = () => Boolean(API_KEY) || httpClient.getMode() === 'replay';
+
+/**
+ * Helper: Make API request to football-data.org
+ */
+async function makeRequest(endpoint, params = {}) {
+    if (!isConfigured()) {
+        return { success: false, error: 'FOOTBALL_DATA_API_KEY not configured' };
+    }
+
+    try {
+        console.log(`⚽ football-data API: ${endpoint}`);
+
+        const payload = await cache.wrap(
+            cache.buildKey('football-data', endpoint, params),
+            cache.getTtl(endpoint, params),
+            async () => {
+                const response = await httpClient.get(`${BASE_URL}${endpoint}`, {
+                    headers: {
+                        'X-Auth-Token': API_KEY
+                    },
+                    params: params,
+                    timeout: 15000
+                });
+                return response.data;
+            },
+            { isCacheable: isPayloadOk }
+        );
+
+        if (!isPayloadOk(payload)) {
+            return { success: false, error: payload?.message || 'Unknown error' };
+        }
+
+        return { success: true, data: payload };
+
+    } catch (error) {
+        const status = error.response?.status;
+        const message = error.response?.data?.message || error.message;
+        console.error(`❌ football-data API Error (${endpoint}):`, message);
+
+        return {
+            success: false,
+            notFound: status === 404,
+            error: message
+        };
+    }
+}
+
+/**
+ * Matches by date (YYYY-MM-DD)
+ */
+async function getMatchesByDate(date) {
+    return await makeRequest('/matches', { date });
+}
+
+/**
+ * Matches date range (max 10 hari di free tier)
+ */
+async function getMatchesDateRange(dateFrom, dateTo) {
+    return await makeRequest('/matches', { dateFrom, dateTo });
+}
+
+/**
+ * Matches yang lagi jalan (IN_PLAY + PAUSED)
+ */
+async function getLiveMatches() {
+    return await makeRequest('/matches', { status: 'LIVE' });
+}
+
+/**
+ * Match detail
+ */
+async function getMatchById(matchId) {
+    return await makeRequest(`/matches/${matchId}`);
+}
+
+/**
+ * Matches satu kompetisi
+ * @param {string} code - Competition code (PL, PD, SA, ...)
+ * @param {Object} params - { season, dateFrom, dateTo }
+ */
+async function getCompetitionMatches(code, params = {}) {
+    return await makeRequest(`/competitions/${code}/matches`, params);
+}
+
+/**
+ * Klasemen kompetisi
+ */
+async function getStandings(code, season = null) {
+    return await makeRequest(`/competitions/${code}/standings`, season ? { season } : {});
+}
+
+/**
+ * Head-to-head berdasarkan satu match (football-data gak punya H2H by team ID)
+ */
+async function getHeadToHead(matchId, limit = 10) {
+    return await makeRequest(`/matches/${matchId}/head2head`, { limit });
+}
+
+module.exports = {
+    getMatchesByDate,
+    getMatchesDateRange,
+    getLiveMatches,
+    getMatchById,
+    getCompetitionMatches,
+    getStandings,
+    getHeadToHead,
+    isConfigured
+};
@@ -4,7 +4,9 @@
  * Documentation: https://api-sports.io/documentation/formula-1/v1
  */
 
-const axios = require('axios');
+const httpClient = require('./httpClient');
+const cache = require('./cache');
+const quotaBudget = require('./quotaBudget');
 
 const BASE_URL = 'https://v1.formula-1.api-sports.io';
 const API_KEY = process.env.API_SPORTS_KEY || process.env.API_FOOTBALL_KEY;
@@ -16,26 +18,34 @@ async function makeRequest(endpoint, params = {}) {
     try {
         console.log(`🏎️ Formula 1 API: ${endpoint}`);
 
-        const response = await axios.get(`${BASE_URL}${endpoint}`, {
-            headers: {
-                'x-apisports-key': API_KEY
+        const payload = await cache.wrap(
+            cache.buildKey('formula1', endpoint, params),
+            cache.getTtl(endpoint, params),
+            async () => {
+                const response = await quotaBudget.track('formula1', () => httpClient.get(`${BASE_URL}${endpoint}`, {
+                    headers: {
+                        'x-apisports-key': API_KEY
+                    },
+                    params: params,
+                    timeout: 30000
+                }));
+                return response.data;
             },
-            params: params,
-            timeout: 30000
-        });
+            { isCacheable: cache.isApiSportsPayloadOk }
+        );
 
-        if (response.data && response.data.response) {
+        if (payload && payload.response) {
             return {
                 success: true,
-                data: response.data.response,
-                results: response.data.results,
-                paging: response.data.paging
+                data: payload.response,
+                results: payload.results,
+                paging: payload.paging
             };
         }
 
         return {
             success: false,
-            error: response.data?.errors || 'Unknown error',
+            error: payload?.errors || 'Unknown error',
             data: []
         };
 
@@ -5,7 +5,10 @@
  * Endpoints: Fights, Fighters, Categories, Odds
  */
 
-const axios = require('axios');
+const httpClient = require('./httpClient');
+const cache = require('./cache');
+const quotaBudget = require('./quotaBudget');
+const timezone = require('./timezone');
 
 const BASE_URL = 'https://v1.mma.api-sports.io';
 const API_KEY = process.env.API_SPORTS_KEY || process.env.API_FOOTBALL_KEY;
@@ -17,26 +20,34 @@ async function makeRequest(endpoint, params = {}) {
     try {
         console.log(`🥊 MMA API: ${endpoint}`);
 
-        const response = await axios.get(`${BASE_URL}${endpoint}`, {
-            headers: {
-                'x-apisports-key': API_KEY
+        const payload = await cache.wrap(
+            cache.buildKey('mma', endpoint, params),
+            cache.getTtl(endpoint, params),
+            async () => {
+                const response = await quotaBudget.track('mma', () => httpClient.get(`${BASE_URL}${endpoint}`, {
+                    headers: {
+                        'x-apisports-key': API_KEY
+                    },
+                    params: params,
+                    timeout: 30000
+                }));
+                return response.data;
             },
-            params: params,
-            timeout: 30000
-        });
+            { isCacheable: cache.isApiSportsPayloadOk }
+        );
 
-        if (response.data && response.data.response) {
+        if (payload && payload.response) {
             return {
                 success: true,
-                data: response.data.response,
-                results: response.data.results,
-                paging: response.data.paging
+                data: payload.response,
+                results: payload.results,
+                paging: payload.paging
             };
         }
 
         return {
             success: false,
-            error: response.data?.errors || 'Unknown error',
+            error: payload?.errors || 'Unknown error',
             data: []
         };
 
@@ -64,17 +75,17 @@ async function getLiveFights() {
 /**
  * Get fights by date
  * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} tz - Optional IANA timezone (date = tanggal lokal, jam di response ikut timezone)
  */
-async function getFightsByDate(date) {
-    return await makeRequest('/fights', { date: date });
+async function getFightsByDate(date, tz = null) {
+    return await makeRequest('/fights', tz ? { date: date, timezone: tz } : { date: date });
 }
 
 /**
- * Get today's fights
+ * Get today's fights ("hari ini" di timezone itu, default Asia/Jakarta)
  */
-async function getTodayFights() {
-    const today = new Date().toISOString().split('T')[0];
-    return await getFightsByDate(today);
+async function getTodayFights(tz = timezone.DEFAULT_TIMEZONE) {
+    return await getFightsByDate(timezone.today(tz), tz);
 }
 
 /**
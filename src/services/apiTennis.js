@@ -4,7 +4,9 @@
  * Documentation: https://api-tennis.com/documentation
  */
 
-const axios = require('axios');
+const httpClient = require('./httpClient');
+const cache = require('./cache');
+const timezone = require('./timezone');
 
 // Base URL - bisa pake direct atau via RapidAPI
 const BASE_URL = 'https://api.api-tennis.com/tennis';
@@ -25,23 +27,31 @@ async function makeRequest(method, params = {}) {
 
         console.log(`🎾 Tennis API: ${method}`);
 
-        const response = await axios.get(fullUrl, {
-            timeout: 30000,
-            headers: {
-                'Accept': 'application/json'
-            }
-        });
+        const payload = await cache.wrap(
+            cache.buildKey('tennis', method, params),
+            cache.getTtl(method, params),
+            async () => {
+                const response = await httpClient.get(fullUrl, {
+                    timeout: 30000,
+                    headers: {
+                        'Accept': 'application/json'
+                    }
+                });
+                return response.data;
+            },
+            { isCacheable: (data) => data?.success === 1 }
+        );
 
-        if (response.data && response.data.success === 1) {
+        if (payload && payload.success === 1) {
             return {
                 success: true,
-                data: response.data.result
+                data: payload.result
             };
         }
 
         return {
             success: false,
-            error: response.data?.error || 'Unknown error',
+            error: payload?.error || 'Unknown error',
             data: []
         };
 
@@ -80,18 +90,20 @@ async function getFixtures(dateStart, dateStop, options = {}) {
 
 /**
  * Get today's tennis matches (live + scheduled + finished)
+ * "Hari ini" di timezone itu (default Asia/Jakarta)
  */
-async function getTodayMatches() {
-    const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD
-    return await getFixtures(today, today);
+async function getTodayMatches(tz = timezone.DEFAULT_TIMEZONE) {
+    const today = timezone.today(tz); // YYYY-MM-DD
+    return await getFixtures(today, today, { timezone: tz });
 }
 
 /**
  * Get matches by specific date
  * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} tz - Optional IANA timezone (date = tanggal lokal, jam di response ikut timezone)
  */
-async function getMatchesByDate(date) {
-    return await getFixtures(date, date);
+async function getMatchesByDate(date, tz = null) {
+    return await getFixtures(date, date, tz ? { timezone: tz } : {});
 }
 
 /**
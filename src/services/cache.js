@@ -0,0 +1,350 @@
+/**
+ * Cache Service
+ * Shared caching layer di depan semua provider client (api-sports, api-tennis, football-data)
+ *
+ * - Default: in-memory LRU (per instance)
+ * - Optional: Redis-compatible backend via REDIS_URL (butuh package `ioredis`)
+ * - TTL per endpoint: live = detik, standings = jam, leagues = hari
+ * - Stale-while-revalidate: kalau provider error, serve payload terakhir yang bagus
+ */
+
+const CACHE_ENABLED = process.env.CACHE_ENABLED !== 'false';
+const CACHE_MAX_ENTRIES = parseInt(process.env.CACHE_MAX_ENTRIES) || 1000;
+const STALE_WHILE_REVALIDATE = process.env.CACHE_STALE_WHILE_REVALIDATE !== 'false';
+
+// Berapa lama payload expired masih boleh di-serve sebagai fallback (detik)
+const STALE_TTL = parseInt(process.env.CACHE_STALE_TTL) || 24 * 60 * 60;
+
+// TTL dalam detik
+const TTL = {
+    NONE: 0,
+    LIVE: 15,
+    FIXTURES: 60,
+    DETAIL: 60,
+    ODDS: 5 * 60,
+    DEFAULT: 10 * 60,
+    STANDINGS: 3 * 60 * 60,
+    STATISTICS: 6 * 60 * 60,
+    LEAGUES: 24 * 60 * 60
+};
+
+/**
+ * Rules TTL per endpoint (dicek berurutan, yang pertama match dipake)
+ * Endpoint dibandingkan dalam lowercase, jadi bisa dipake buat path api-sports
+ * (/fixtures, /games, ...) maupun method api-tennis (get_livescore, ...)
+ */
+const TTL_RULES = [
+    { test: (endpoint) => endpoint.includes('status'), ttl: TTL.NONE },
+    { test: (endpoint, params) => params.live !== undefined || params.status === 'LIVE' || /livescore|live_odds|\/live/.test(endpoint), ttl: TTL.LIVE },
+    { test: (endpoint) => endpoint.includes('odds'), ttl: TTL.ODDS },
+    { test: (endpoint) => /standings|rankings/.test(endpoint), ttl: TTL.STANDINGS },
+    // football-data: /matches, /competitions/:code/matches (sebelum rule competitions)
+    { test: (endpoint) => /\/matches/.test(endpoint), ttl: TTL.FIXTURES },
+    { test: (endpoint) => /leagues|seasons|countries|circuits|competitions|categories|tournaments|get_events|timezone/.test(endpoint), ttl: TTL.LEAGUES },
+    { test: (endpoint) => /(fixtures|games|fights)\/(statistics|events|lineups|players)/.test(endpoint), ttl: TTL.DETAIL },
+    { test: (endpoint) => /\/players|\/teams|\/statistics|\/drivers|\/fighters|get_players/.test(endpoint), ttl: TTL.STATISTICS },
+    { test: (endpoint, params) => /fixtures|games|fights|races/.test(endpoint) && params.id !== undefined, ttl: TTL.DETAIL },
+    { test: (endpoint) => /fixtures|games|fights|races|h2h|headtohead/.test(endpoint), ttl: TTL.FIXTURES }
+];
+
+/**
+ * Resolve TTL (detik) untuk endpoint + params
+ */
+const getTtl = (endpoint, params = {}) => {
+    const normalized = (endpoint || '').toLowerCase();
+    const rule = TTL_RULES.find(r => r.test(normalized, params || {}));
+    return rule ? rule.ttl : TTL.DEFAULT;
+};
+
+/**
+ * Build cache key yang stabil (params di-sort biar urutan gak ngaruh)
+ */
+const buildKey = (namespace, endpoint, params = {}) => {
+    const sorted = Object.keys(params || {})
+        .filter(key => params[key] !== undefined && params[key] !== null)
+        .sort()
+        .map(key => `${key}=${params[key]}`)
+        .join('&');
+
+    return `${namespace}:${endpoint}${sorted ? `?${sorted}` : ''}`;
+};
+
+/**
+ * Payload api-sports dianggap sukses kalau field errors kosong
+ * (api-sports balikin errors: [] atau {} kalau OK)
+ */
+const isApiSportsPayloadOk = (payload) => {
+    if (!payload || !payload.response) return false;
+    if (!payload.errors) return true;
+    return Object.keys(payload.errors).length === 0;
+};
+
+// ============================================================
+// STORES
+// ============================================================
+
+/**
+ * In-memory LRU store
+ * Map di JS menjaga urutan insert, jadi entry paling lama dipake ada di depan
+ */
+const createMemoryStore = (maxEntries = CACHE_MAX_ENTRIES) => {
+    const entries = new Map();
+
+    return {
+        name: 'memory',
+
+        async get(key) {
+            if (!entries.has(key)) return null;
+
+            // Pindahin ke belakang (most recently used)
+            const entry = entries.get(key);
+            entries.delete(key);
+            entries.set(key, entry);
+            return entry;
+        },
+
+        async set(key, entry) {
+            if (entries.has(key)) entries.delete(key);
+            entries.set(key, entry);
+
+            while (entries.size > maxEntries) {
+                const oldestKey = entries.keys().next().value;
+                entries.delete(oldestKey);
+            }
+        },
+
+        async del(key) {
+            entries.delete(key);
+        },
+
+        async clear() {
+            entries.clear();
+        },
+
+        size() {
+            return entries.size;
+        }
+    };
+};
+
+/**
+ * Redis-compatible store (Redis, KeyDB, Dragonfly, Upstash, dll)
+ * Entry disimpan sebagai JSON dan di-expire sama Redis setelah stale window habis
+ */
+const createRedisStore = (url) => {
+    // Lazy require - ioredis cuma dibutuhin kalau REDIS_URL di-set
+    const Redis = require('ioredis');
+    const client = new Redis(url, { maxRetriesPerRequest: 1, lazyConnect: false });
+
+    client.on('error', (error) => {
+        console.error('❌ Redis cache error:', error.message);
+    });
+
+    const prefix = process.env.CACHE_PREFIX || 'livescore:';
+
+    return {
+        name: 'redis',
+
+        async get(key) {
+            const raw = await client.get(prefix + key);
+            return raw ? JSON.parse(raw) : null;
+        },
+
+        async set(key, entry) {
+            const ttlMs = Math.max(entry.staleUntil - Date.now(), 1000);
+            await client.set(prefix + key, JSON.stringify(entry), 'PX', ttlMs);
+        },
+
+        async del(key) {
+            await client.del(prefix + key);
+        },
+
+        async clear() {
+            const keys = await client.keys(`${prefix}*`);
+            if (keys.length > 0) await client.del(...keys);
+        },
+
+        size() {
+            return null;
+        }
+    };
+};
+
+/**
+ * Pilih store berdasarkan env
+ */
+const createDefaultStore = () => {
+    if (process.env.REDIS_URL) {
+        try {
+            const store = createRedisStore(process.env.REDIS_URL);
+            console.log('✅ Cache backend: Redis');
+            return store;
+        } catch (error) {
+            console.warn(`⚠️  Redis cache unavailable (${error.message}), falling back to memory`);
+        }
+    }
+
+    return createMemoryStore();
+};
+
+let store = createDefaultStore();
+
+// Request yang lagi jalan, biar request identik gak nembak provider berkali-kali
+const inFlight = new Map();
+
+const stats = {
+    hits: 0,
+    misses: 0,
+    staleServed: 0,
+    errors: 0
+};
+
+/**
+ * Ganti backend cache (misal custom store dengan interface get/set/del/clear)
+ */
+const setStore = (newStore) => {
+    store = newStore;
+};
+
+/**
+ * Fetch dari provider lalu simpan ke cache
+ */
+const refresh = async (key, ttl, fetcher, isCacheable) => {
+    if (inFlight.has(key)) {
+        return inFlight.get(key);
+    }
+
+    const promise = (async () => {
+        const value = await fetcher();
+
+        if (isCacheable(value)) {
+            const now = Date.now();
+            await store.set(key, {
+                value,
+                storedAt: now,
+                expiresAt: now + ttl * 1000,
+                staleUntil: now + (ttl + STALE_TTL) * 1000
+            }).catch(error => {
+                stats.errors++;
+                console.error(`❌ Cache write failed (${key}):`, error.message);
+            });
+        }
+
+        return value;
+    })();
+
+    inFlight.set(key, promise);
+
+    try {
+        return await promise;
+    } finally {
+        inFlight.delete(key);
+    }
+};
+
+/**
+ * Ambil dari cache, atau fetch dari provider kalau belum ada / expired
+ *
+ * @param {string} key - Cache key (pake buildKey)
+ * @param {number} ttl - TTL dalam detik (0 = bypass cache)
+ * @param {Function} fetcher - Async function yang manggil provider
+ * @param {object} options
+ * @param {Function} options.isCacheable - Return false untuk payload yang gak boleh di-cache (error dari provider)
+ * @param {boolean} options.staleWhileRevalidate - Serve stale payload saat provider error/expired
+ */
+const wrap = async (key, ttl, fetcher, options = {}) => {
+    const {
+        isCacheable = () => true,
+        staleWhileRevalidate = STALE_WHILE_REVALIDATE
+    } = options;
+
+    if (!CACHE_ENABLED || !ttl) {
+        return fetcher();
+    }
+
+    let entry = null;
+    try {
+        entry = await store.get(key);
+    } catch (error) {
+        stats.errors++;
+        console.error(`❌ Cache read failed (${key}):`, error.message);
+    }
+
+    const now = Date.now();
+
+    if (entry && entry.expiresAt > now) {
+        stats.hits++;
+        return entry.value;
+    }
+
+    stats.misses++;
+
+    const hasStale = staleWhileRevalidate && entry && entry.staleUntil > now;
+
+    try {
+        const value = await refresh(key, ttl, fetcher, isCacheable);
+
+        // Provider balikin error payload - pake data terakhir yang bagus
+        if (hasStale && !isCacheable(value)) {
+            stats.staleServed++;
+            console.warn(`♻️  Serving stale cache for ${key}`);
+            return entry.value;
+        }
+
+        return value;
+    } catch (error) {
+        if (hasStale) {
+            stats.staleServed++;
+            console.warn(`♻️  Provider failed (${error.message}), serving stale cache for ${key}`);
+            return entry.value;
+        }
+        throw error;
+    }
+};
+
+/**
+ * Hapus satu key dari cache
+ */
+const invalidate = async (key) => {
+    await store.del(key);
+};
+
+/**
+ * Kosongkan semua cache
+ */
+const clear = async () => {
+    await store.clear();
+};
+
+/**
+ * Cache stats buat /api/status
+ */
+const getStats = () => {
+    const total = stats.hits + stats.misses;
+
+    return {
+        enabled: CACHE_ENABLED,
+        backend: store.name,
+        entries: store.size(),
+        hits: stats.hits,
+        misses: stats.misses,
+        hitRate: total > 0 ? Number((stats.hits / total).toFixed(3)) : 0,
+        staleServed: stats.staleServed,
+        errors: stats.errors,
+        staleWhileRevalidate: STALE_WHILE_REVALIDATE
+    };
+};
+
+module.exports = {
+    wrap,
+    buildKey,
+    getTtl,
+    isApiSportsPayloadOk,
+    invalidate,
+    clear,
+    getStats,
+    setStore,
+    createMemoryStore,
+    createRedisStore,
+    TTL
+};
@@ -0,0 +1,52 @@
+/**
+ * Event Bus
+ * In-process pub/sub untuk domain events (goal, kickoff, fulltime, dll)
+ *
+ * Contoh:
+ *   eventBus.on('match.goal', (event) => { ... });
+ *   eventBus.onAny((event) => { ... });
+ */
+
+const { EventEmitter } = require('events');
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const ANY = '*';
+
+/**
+ * Publish event ke subscriber type tersebut + subscriber wildcard
+ * Error di satu handler gak boleh bikin publisher ikut gagal
+ */
+const publish = (event) => {
+    for (const type of [event.type, ANY]) {
+        for (const listener of emitter.listeners(type)) {
+            Promise.resolve()
+                .then(() => listener(event))
+                .catch(error => {
+                    console.error(`❌ Event handler error (${event.type}):`, error.message);
+                });
+        }
+    }
+};
+
+/**
+ * Subscribe ke satu event type
+ * @returns {Function} unsubscribe
+ */
+const on = (type, listener) => {
+    emitter.on(type, listener);
+    return () => emitter.off(type, listener);
+};
+
+/**
+ * Subscribe ke semua event
+ * @returns {Function} unsubscribe
+ */
+const onAny = (listener) => on(ANY, listener);
+
+module.exports = {
+    publish,
+    on,
+    onAny
+};
@@ -0,0 +1,313 @@
+/**
+ * Event Normalizer
+ * Satu bentuk canonical buat event semua sport, dipake GET /api/events
+ * Input adapter = output transform* masing-masing service (format yang udah dipake frontend),
+ * bukan raw API, jadi row table matches (transformMatch) juga bisa langsung dinormalisasi
+ *
+ * Canonical event:
+ * {
+ *   id: 'basketball-12345',          // unik lintas sport
+ *   sport, externalId,
+ *   name,                            // "Lakers vs Celtics", "Monaco Grand Prix - Race"
+ *   startTime,                       // ISO string
+ *   status: { state, short, long, clock },
+ *     // state: scheduled | live | finished | postponed | cancelled
+ *   competition: { id, name, logo, country, season, round },
+ *   participants: [{ side: 'home'|'away', id, name, logo, score, winner }],   // F1: []
+ *   periods: [{ label, home, away }],                                           // Q1, S1, 1H, inning, ...
+ *   venue
+ * }
+ */
+
+const SPORTS = ['football', 'basketball', 'volleyball', 'baseball', 'tennis', 'mma', 'formula1'];
+
+// Kode status yang berarti ditunda / batal (di-cek sebelum isLive/isFinished:
+// baseball & MMA nganggep POST/CANC "finished")
+const POSTPONED_CODES = ['PST', 'POST', 'SUSP', 'INT', 'INTR', 'ABD', 'Postponed', 'Suspended', 'Interrupted'];
+const CANCELLED_CODES = ['CANC', 'AWD', 'WO', 'Cancelled', 'Walk Over', 'Retired'];
+
+const toId = (value) => (value === undefined || value === null ? null : String(value));
+
+const resolveState = ({ short, isLive, isFinished }) => {
+    if (CANCELLED_CODES.includes(short)) return 'cancelled';
+    if (POSTPONED_CODES.includes(short)) return 'postponed';
+    if (isLive) return 'live';
+    if (isFinished) return 'finished';
+    return 'scheduled';
+};
+
+/**
+ * Pemenang dari skor kalau provider gak ngasih flag winner (cuma buat event yang udah selesai)
+ */
+const winnerByScore = (state, ownScore, otherScore) => {
+    if (state !== 'finished' || ownScore === null || otherScore === null) return null;
+    if (ownScore === otherScore) return null;
+    return ownScore > otherScore;
+};
+
+const participant = (side, { id, name, logo, score, winner }) => ({
+    side,
+    id: toId(id),
+    name: name || null,
+    logo: logo || null,
+    score: score ?? null,
+    winner: winner ?? null
+});
+
+/**
+ * Periode yang belum dimainkan (home & away null) dibuang
+ */
+const periodList = (entries) => entries
+    .filter(([, home, away]) => (home !== null && home !== undefined) || (away !== null && away !== undefined))
+    .map(([label, home, away]) => ({ label, home: home ?? null, away: away ?? null }));
+
+/**
+ * Rakit canonical event. Event yang belum mulai gak punya skor/periode
+ * (api-sports ngirim 0 buat game yang belum jalan)
+ */
+const buildEvent = ({ sport, externalId, startTime, status, competition, participants, periods, venue }) => {
+    const started = !['scheduled', 'postponed', 'cancelled'].includes(status.state);
+    const [home, away] = participants;
+
+    return {
+        id: `${sport}-${externalId}`,
+        sport,
+        externalId: toId(externalId),
+        name: home && away ? `${home.name} vs ${away.name}` : competition.name,
+        startTime: startTime || null,
+        status,
+        competition: {
+            id: toId(competition.id),
+            name: competition.name || null,
+            logo: competition.logo || null,
+            country: competition.country || null,
+            season: competition.season ?? null,
+            round: competition.round || null
+        },
+        participants: started ? participants : participants.map(entry => ({ ...entry, score: null, winner: null })),
+        periods: started ? periods : [],
+        venue: venue || null
+    };
+};
+
+/**
+ * Football: row transformMatch (snake_case), juga row table matches
+ */
+const fromFootball = (match) => {
+    const state = resolveState({
+        short: match.status_short,
+        isLive: match.status === 'live',
+        isFinished: match.status === 'finished'
+    });
+
+    const secondHalf = (ft, ht) => (ft === null || ft === undefined || ht === null || ht === undefined ? null : ft - ht);
+
+    return buildEvent({
+        sport: 'football',
+        externalId: match.id,
+        startTime: match.date,
+        status: {
+            state,
+            short: match.status_short || null,
+            long: match.status_long || null,
+            clock: match.elapsed ? `${match.elapsed}'` : null
+        },
+        competition: {
+            id: match.league_id,
+            name: match.league_name,
+            logo: match.league_logo,
+            country: match.league_country,
+            season: match.league_season,
+            round: match.league_round
+        },
+        participants: [
+            participant('home', { id: match.home_team_id, name: match.home_team_name, logo: match.home_team_logo, score: match.home_score, winner: match.home_team_winner }),
+            participant('away', { id: match.away_team_id, name: match.away_team_name, logo: match.away_team_logo, score: match.away_score, winner: match.away_team_winner })
+        ],
+        periods: periodList([
+            ['1H', match.ht_home, match.ht_away],
+            ['2H', secondHalf(match.ft_home, match.ht_home), secondHalf(match.ft_away, match.ht_away)],
+            ['ET', match.et_home, match.et_away],
+            ['PEN', match.pen_home, match.pen_away]
+        ]),
+        venue: match.venue
+    });
+};
+
+/**
+ * Basketball / volleyball / baseball: output transformGame (homeTeam/awayTeam)
+ */
+const fromTeamGame = (sport, game, periods, clock = null) => {
+    const state = resolveState({ short: game.status, isLive: game.isLive, isFinished: game.isFinished });
+    const homeScore = game.homeScore ?? null;
+    const awayScore = game.awayScore ?? null;
+
+    return buildEvent({
+        sport,
+        externalId: game.id,
+        startTime: game.date,
+        status: { state, short: game.status || null, long: game.statusLong || null, clock },
+        competition: {
+            id: game.league?.id,
+            name: game.league?.name,
+            logo: game.league?.logo,
+            country: game.country?.name,
+            season: game.league?.season,
+            round: game.week ? `Week ${game.week}` : null
+        },
+        participants: [
+            participant('home', { ...game.homeTeam, score: homeScore, winner: winnerByScore(state, homeScore, awayScore) }),
+            participant('away', { ...game.awayTeam, score: awayScore, winner: winnerByScore(state, awayScore, homeScore) })
+        ],
+        periods
+    });
+};
+
+const fromBasketball = (game) => fromTeamGame('basketball', game, periodList([
+    ['Q1', game.quarters?.home?.q1, game.quarters?.away?.q1],
+    ['Q2', game.quarters?.home?.q2, game.quarters?.away?.q2],
+    ['Q3', game.quarters?.home?.q3, game.quarters?.away?.q3],
+    ['Q4', game.quarters?.home?.q4, game.quarters?.away?.q4],
+    ['OT', game.quarters?.home?.ot, game.quarters?.away?.ot]
+]), game.timer ? `${game.timer}'` : null);
+
+const fromVolleyball = (game) => fromTeamGame('volleyball', game, periodList(
+    ['set1', 'set2', 'set3', 'set4', 'set5'].map((key, index) => [`S${index + 1}`, game.sets?.home?.[key], game.sets?.away?.[key]])
+));
+
+const fromBaseball = (game) => fromTeamGame('baseball', game, periodList([
+    ...Array.from({ length: 9 }, (_, index) => [String(index + 1), game.innings?.home?.[`inn${index + 1}`], game.innings?.away?.[`inn${index + 1}`]]),
+    ['EX', game.innings?.home?.extra, game.innings?.away?.extra]
+]), game.currentInning ? `Inning ${game.currentInning}` : null);
+
+/**
+ * Tennis: player1/player2, skor = set yang dimenangkan, periode = skor game per set
+ */
+const fromTennis = (match) => {
+    const state = resolveState({ short: match.status, isLive: match.isLive, isFinished: match.isFinished });
+    const winner = (side) => (match.winner ? match.winner === side : null);
+
+    return buildEvent({
+        sport: 'tennis',
+        externalId: match.id,
+        startTime: match.time ? `${match.date}T${match.time}:00` : match.date,
+        status: {
+            state,
+            short: match.status || null,
+            long: match.status || null,
+            clock: match.isLive && match.gameScore !== '-' ? match.gameScore : null
+        },
+        competition: {
+            id: match.tournament?.key,
+            name: match.tournament?.name,
+            country: match.eventType,
+            season: match.tournament?.season,
+            round: match.tournament?.round
+        },
+        participants: [
+            participant('home', { id: match.player1?.key, name: match.player1?.name, logo: match.player1?.logo, score: match.setsWon?.player1, winner: winner('First Player') }),
+            participant('away', { id: match.player2?.key, name: match.player2?.name, logo: match.player2?.logo, score: match.setsWon?.player2, winner: winner('Second Player') })
+        ],
+        periods: periodList((match.scores || []).map(set => [`S${set.set}`, set.player1, set.player2]))
+    });
+};
+
+/**
+ * transformFight cuma nyimpen flag winner yang truthy, yang kalah jadi undefined
+ */
+const fightWinner = (fighter, opponent) => (fighter?.winner ? true : opponent?.winner ? false : null);
+
+/**
+ * MMA: fighter1/fighter2, liga = category
+ */
+const fromMMA = (fight) => {
+    const state = resolveState({ short: fight.status, isLive: fight.isLive, isFinished: fight.isFinished });
+
+    return buildEvent({
+        sport: 'mma',
+        externalId: fight.id,
+        startTime: fight.date,
+        status: {
+            state,
+            short: fight.status || null,
+            long: fight.statusLong || null,
+            clock: fight.result?.round ? `R${fight.result.round}${fight.result.time ? ` ${fight.result.time}` : ''}` : null
+        },
+        competition: {
+            id: fight.category?.id,
+            name: fight.category?.name,
+            logo: fight.category?.logo,
+            country: fight.country?.name,
+            season: fight.category?.season,
+            round: fight.event?.name || (typeof fight.event === 'string' ? fight.event : null)
+        },
+        participants: [
+            participant('home', { ...fight.fighter1, score: fight.fighter1Score, winner: fightWinner(fight.fighter1, fight.fighter2) }),
+            participant('away', { ...fight.fighter2, score: fight.fighter2Score, winner: fightWinner(fight.fighter2, fight.fighter1) })
+        ],
+        periods: []
+    });
+};
+
+/**
+ * Formula 1: gak ada peserta head-to-head, nama event = Grand Prix + sesi
+ */
+const fromFormula1 = (race) => {
+    const state = resolveState({
+        short: race.status,
+        isLive: race.status === 'Live',
+        isFinished: race.status === 'Completed'
+    });
+
+    const event = buildEvent({
+        sport: 'formula1',
+        externalId: race.id,
+        startTime: race.date,
+        status: { state, short: race.status || null, long: race.status || null, clock: null },
+        competition: {
+            id: race.competition?.id,
+            name: race.competition?.name,
+            country: race.competition?.location?.country,
+            season: race.season,
+            round: race.type
+        },
+        participants: [],
+        periods: [],
+        venue: race.circuit?.name
+    });
+
+    return { ...event, name: race.type ? `${event.name} - ${race.type}` : event.name };
+};
+
+const ADAPTERS = {
+    football: fromFootball,
+    basketball: fromBasketball,
+    volleyball: fromVolleyball,
+    baseball: fromBaseball,
+    tennis: fromTennis,
+    mma: fromMMA,
+    formula1: fromFormula1
+};
+
+/**
+ * Normalisasi list output transform* satu sport
+ */
+const toEvents = (sport, items) => {
+    const adapter = ADAPTERS[sport];
+    if (!adapter) throw new Error(`Unknown sport: ${sport}`);
+    if (!Array.isArray(items)) return [];
+
+    return items.map(adapter).filter(event => event.externalId);
+};
+
+module.exports = {
+    SPORTS,
+    toEvents,
+    fromFootball,
+    fromBasketball,
+    fromVolleyball,
+    fromBaseball,
+    fromTennis,
+    fromMMA,
+    fromFormula1
+};
@@ -0,0 +1,152 @@
+/**
+ * Events Service
+ * Gabungan event semua sport dalam bentuk canonical (eventNormalizer) buat GET /api/events,
+ * biar homepage cukup satu request, bukan satu request per sport
+ *
+ * - Tiap sport di-fetch paralel lewat service masing-masing (cache & quota budget tetap jalan)
+ * - Sport yang gagal gak bikin semuanya gagal: error dilaporin per sport di field sports
+ * - Urutan: live dulu, lalu jam mulai, lalu urutan sport
+ * - Tanggal & "hari ini" pake timezone request (tz), diterusin ke semua sport biar batas harinya sama
+ */
+
+const footballProvider = require('./footballProvider');
+const matchSync = require('./matchSync');
+const apiBasketball = require('./apiBasketball');
+const apiVolleyball = require('./apiVolleyball');
+const apiBaseball = require('./apiBaseball');
+const apiTennis = require('./apiTennis');
+const apiMMA = require('./apiMMA');
+const apiFormula1 = require('./apiFormula1');
+const normalizer = require('./eventNormalizer');
+const timezone = require('./timezone');
+
+/**
+ * F1 gak punya endpoint per tanggal: ambil race satu season lalu filter (tanggal lokal tz)
+ */
+const getRacesByDate = async (date, tz) => {
+    const result = await apiFormula1.getRacesBySeason(date.slice(0, 4));
+    if (!result.success) return result;
+
+    return { success: true, data: (result.data || []).filter(race => race.date && timezone.formatDate(race.date, tz) === date) };
+};
+
+const getLiveRaces = async (tz) => {
+    const result = await getRacesByDate(timezone.today(tz), tz);
+    if (!result.success) return result;
+
+    return { success: true, data: result.data.filter(race => race.status === 'Live') };
+};
+
+/**
+ * Sumber data per sport: fetch (by date / live) + transform service → adapter canonical
+ */
+const SOURCES = {
+    football: {
+        fetchDate: (date, tz) => footballProvider.getMatchesByDate(date, { timezone: tz }),
+        fetchLive: () => footballProvider.getLiveMatches(),
+        transform: matchSync.transformMatches
+    },
+    basketball: {
+        fetchDate: (date, tz) => apiBasketball.getGamesByDate(date, tz),
+        fetchLive: () => apiBasketball.getLiveGames(),
+        transform: apiBasketball.transformGames
+    },
+    volleyball: {
+        fetchDate: (date, tz) => apiVolleyball.getGamesByDate(date, tz),
+        fetchLive: () => apiVolleyball.getLiveGames(),
+        transform: apiVolleyball.transformGames
+    },
+    baseball: {
+        fetchDate: (date, tz) => apiBaseball.getGamesByDate(date, tz),
+        fetchLive: () => apiBaseball.getLiveGames(),
+        transform: apiBaseball.transformGames
+    },
+    tennis: {
+        fetchDate: (date, tz) => apiTennis.getMatchesByDate(date, tz),
+        fetchLive: () => apiTennis.getLiveMatches(),
+        transform: apiTennis.transformMatches
+    },
+    mma: {
+        fetchDate: (date, tz) => apiMMA.getFightsByDate(date, tz),
+        fetchLive: () => apiMMA.getLiveFights(),
+        transform: apiMMA.transformFights
+    },
+    formula1: {
+        fetchDate: getRacesByDate,
+        fetchLive: getLiveRaces,
+        transform: apiFormula1.transformRaces
+    }
+};
+
+const SPORT_ORDER = Object.fromEntries(normalizer.SPORTS.map((sport, index) => [sport, index]));
+
+const compareEvents = (a, b) => {
+    const aLive = a.status.state === 'live';
+    const bLive = b.status.state === 'live';
+    if (aLive !== bLive) return aLive ? -1 : 1;
+
+    const aTime = a.startTime ? new Date(a.startTime).getTime() : Infinity;
+    const bTime = b.startTime ? new Date(b.startTime).getTime() : Infinity;
+    if (aTime !== bTime) return aTime - bTime;
+
+    return SPORT_ORDER[a.sport] - SPORT_ORDER[b.sport];
+};
+
+/**
+ * Event satu sport
+ * Returns: { success, sport, events, provider, error }
+ */
+const getSportEvents = async (sport, { date, live = false, tz = timezone.DEFAULT_TIMEZONE }) => {
+    const source = SOURCES[sport];
+
+    try {
+        const result = live ? await source.fetchLive(tz) : await source.fetchDate(date, tz);
+
+        if (!result.success) {
+            return { success: false, sport, events: [], error: result.error || 'Unknown error' };
+        }
+
+        let events = normalizer.toEvents(sport, source.transform(result.data || []));
+
+        // Provider yang gak support filter live (F1) atau ngirim campuran tetap difilter di sini
+        if (live) events = events.filter(event => event.status.state === 'live');
+
+        return { success: true, sport, events, provider: result.provider };
+    } catch (error) {
+        console.error(`❌ Events error (${sport}):`, error.message);
+        return { success: false, sport, events: [], error: error.message };
+    }
+};
+
+/**
+ * Event semua sport (atau sebagian) untuk satu tanggal / yang lagi live
+ * @param {Object} options - { date (YYYY-MM-DD, default hari ini di tz), sports (default semua), live, tz }
+ * Returns: { success, date, events, sports: { [sport]: { success, count, provider, error } } }
+ */
+const getEvents = async ({ date = null, sports = normalizer.SPORTS, live = false, tz = timezone.DEFAULT_TIMEZONE } = {}) => {
+    const targetDate = date || timezone.today(tz);
+
+    const results = await Promise.all(
+        sports.map(sport => getSportEvents(sport, { date: targetDate, live, tz }))
+    );
+
+    const events = results.flatMap(result => result.events).sort(compareEvents);
+
+    return {
+        success: results.some(result => result.success),
+        date: live ? null : targetDate,
+        events,
+        sports: Object.fromEntries(results.map(result => [result.sport, {
+            success: result.success,
+            count: result.events.length,
+            ...(result.provider && { provider: result.provider }),
+            ...(result.error && { error: result.error })
+        }]))
+    };
+};
+
+module.exports = {
+    getEvents,
+    getSportEvents,
+    SPORTS: normalizer.SPORTS
+};
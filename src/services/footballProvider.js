@@ -0,0 +1,203 @@
+/**
+ * Football Provider
+ * Satu pintu buat data football (fixtures, live, fixture detail, standings, H2H, odds)
+ * dengan failover antar provider:
+ *
+ *   FOOTBALL_PROVIDERS=api-football,football-data   (urutan prioritas)
+ *
+ * - Provider yang gagal (down, quota habis, error payload) di-skip selama
+ *   FOOTBALL_PROVIDER_COOLDOWN_SECONDS, request langsung ke provider berikutnya
+ * - Fixture/team ID cuma dimengerti provider asalnya (API-Football numerik, football-data fd-123),
+ *   jadi fixture detail / H2H / odds gak di-failover
+ * - Semua output dalam bentuk canonical (lihat matchNormalizer), plus field provider
+ *
+ * Interface provider (src/services/providers/*):
+ *   name, isConfigured(), ownsId(id),
+ *   getFixtures(query), getFixture(id, include), getStandings(leagueId, season),
+ *   getH2H(team1, team2, last), getOdds(fixtureId)
+ *   Semua return { success, data, error }; unsupported: true kalau provider gak punya datanya
+ *
+ * Sync ke database (matchSync) pake { provider: SYNC_PROVIDER }: primary key table matches
+ * dan predictions itu fixture ID API-Football, data provider cadangan gak boleh masuk situ.
+ * Dipatok by name, bukan "provider pertama": kalau API-Football gak di-config / gak ada di
+ * FOOTBALL_PROVIDERS, sync gagal daripada nyimpen ID fd-
+ */
+
+const apiFootballProvider = require('./providers/apiFootballProvider');
+const footballDataProvider = require('./providers/footballDataProvider');
+const timezone = require('./timezone');
+
+const PROVIDERS = {
+    [apiFootballProvider.name]: apiFootballProvider,
+    [footballDataProvider.name]: footballDataProvider
+};
+
+const COOLDOWN_SECONDS = parseInt(process.env.FOOTBALL_PROVIDER_COOLDOWN_SECONDS) || 60;
+
+// Satu-satunya provider yang ID-nya boleh masuk table matches
+const SYNC_PROVIDER = apiFootballProvider.name;
+
+const ORDER = (process.env.FOOTBALL_PROVIDERS || 'api-football,football-data')
+    .split(',')
+    .map(name => name.trim())
+    .filter(name => {
+        if (!PROVIDERS[name]) {
+            console.warn(`⚠️  Unknown football provider "${name}" in FOOTBALL_PROVIDERS, ignoring`);
+            return false;
+        }
+        return true;
+    });
+
+// Kesehatan per provider: { downUntil, failures, lastError, lastSuccessAt }
+const health = Object.fromEntries(
+    Object.keys(PROVIDERS).map(name => [name, { downUntil: 0, failures: 0, lastError: null, lastSuccessAt: null }])
+);
+
+const getProviders = () => ORDER.map(name => PROVIDERS[name]).filter(provider => provider.isConfigured());
+
+const markUp = (name) => {
+    health[name].failures = 0;
+    health[name].downUntil = 0;
+    health[name].lastSuccessAt = new Date().toISOString();
+};
+
+const markDown = (name, error) => {
+    const entry = health[name];
+    entry.failures++;
+    entry.lastError = typeof error === 'string' ? error : JSON.stringify(error);
+
+    if (entry.downUntil <= Date.now()) {
+        console.warn(`⚠️  Football provider ${name} failed (${entry.lastError}), cooling down ${COOLDOWN_SECONDS}s`);
+    }
+
+    entry.downUntil = Date.now() + COOLDOWN_SECONDS * 1000;
+};
+
+/**
+ * Panggil method di provider pertama yang sehat, lanjut ke berikutnya kalau gagal
+ * Provider yang lagi cooldown tetap dicoba kalau gak ada pilihan lain
+ * options.provider = patok ke satu provider by name (tanpa failover)
+ */
+const callWithFailover = async (method, args, { provider: pinned = null } = {}) => {
+    const providers = getProviders();
+    const candidates = pinned ? providers.filter(provider => provider.name === pinned) : providers;
+
+    if (candidates.length === 0) {
+        return { success: false, error: pinned ? `Football provider ${pinned} not configured` : 'No football provider configured' };
+    }
+
+    const now = Date.now();
+    const healthy = candidates.filter(provider => health[provider.name].downUntil <= now);
+    const ordered = healthy.length > 0 ? healthy : candidates;
+
+    let lastResult = null;
+
+    for (const provider of ordered) {
+        const result = await provider[method](...args);
+
+        if (result.success) {
+            markUp(provider.name);
+            return { ...result, provider: provider.name };
+        }
+
+        if (result.notFound) {
+            return { ...result, provider: provider.name };
+        }
+
+        if (!result.unsupported) {
+            markDown(provider.name, result.error);
+        }
+
+        lastResult = { ...result, provider: provider.name };
+    }
+
+    return lastResult;
+};
+
+/**
+ * Panggil method di provider pemilik ID (tanpa failover)
+ */
+const callOwner = async (method, id, args) => {
+    const provider = getProviders().find(candidate => candidate.ownsId(id)) ||
+        Object.values(PROVIDERS).find(candidate => candidate.ownsId(id));
+
+    if (!provider || !provider.isConfigured()) {
+        return { success: false, notFound: true, error: `No configured provider for ID ${id}` };
+    }
+
+    const result = await provider[method](...args);
+
+    if (result.success) {
+        markUp(provider.name);
+    } else if (!result.notFound && !result.unsupported) {
+        markDown(provider.name, result.error);
+    }
+
+    return { ...result, provider: provider.name };
+};
+
+/**
+ * Fixtures by query
+ * @param {Object} query - { date, from, to, league, season, live, id, timezone }
+ *   date = tanggal lokal di query.timezone (default DEFAULT_TIMEZONE)
+ * @param {Object} options - { provider } (default semua provider, failover)
+ */
+const getFixtures = (query, options) => callWithFailover('getFixtures', [query], options);
+
+/**
+ * @param {Object} options - { timezone, provider }
+ */
+const getTodayMatches = (options = {}) => {
+    const tz = options.timezone || timezone.DEFAULT_TIMEZONE;
+    return getFixtures({ date: timezone.today(tz), timezone: tz }, options);
+};
+
+const getMatchesByDate = (date, options = {}) =>
+    getFixtures({ date, timezone: options.timezone || timezone.DEFAULT_TIMEZONE }, options);
+
+const getLiveMatches = (options) => getFixtures({ live: true }, options);
+
+const getMatchesByLeague = (leagueId, season = null, options) => getFixtures({ league: leagueId, season }, options);
+
+/**
+ * Fixture detail (canonical fixture, bukan array)
+ * @param {Object} include - { statistics, events, lineups }
+ */
+const getMatchById = (id, include = {}) => callOwner('getFixture', id, [id, include]);
+
+const getStandings = (leagueId, season = null, options) =>
+    callWithFailover('getStandings', [leagueId, season], options);
+
+const getH2H = (team1, team2, last = 12) => callOwner('getH2H', team1, [team1, team2, last]);
+
+const getOdds = (fixtureId) => callOwner('getOdds', fixtureId, [fixtureId]);
+
+/**
+ * Status provider buat GET /api/status
+ */
+const getStatus = () => ({
+    order: ORDER,
+    cooldownSeconds: COOLDOWN_SECONDS,
+    providers: Object.fromEntries(ORDER.map(name => [name, {
+        configured: PROVIDERS[name].isConfigured(),
+        healthy: health[name].downUntil <= Date.now(),
+        failures: health[name].failures,
+        lastError: health[name].lastError,
+        lastSuccessAt: health[name].lastSuccessAt,
+        downUntil: health[name].downUntil > Date.now() ? new Date(health[name].downUntil).toISOString() : null
+    }]))
+});
+
+module.exports = {
+    getFixtures,
+    getTodayMatches,
+    getMatchesByDate,
+    getLiveMatches,
+    getMatchesByLeague,
+    getMatchById,
+    getStandings,
+    getH2H,
+    getOdds,
+    getStatus,
+    SYNC_PROVIDER
+};
@@ -6,18 +6,15 @@
  * 1. Get finished matches (FT) yang belum di-grade
  * 2. Get semua prediksi untuk match tersebut
  * 3. Compare prediksi vs hasil asli
- * 4. Kasih poin ke user
- * 5. Update streak (PER MATCH, bukan per prediksi)
+ * 4. Kasih poin ke user lewat points_ledger (idempotent, unique per prediksi + reason)
+ * 5. Update streak (PER MATCH, bukan per prediksi) di transaksi yang sama
+ * 6. Baru tandai prediksi sebagai graded
  */
 
-const { createClient } = require('@supabase/supabase-js');
-const apiFootball = require('./apiFootball');
-
-// Initialize Supabase client
-const supabase = createClient(
-    process.env.SUPABASE_URL,
-    process.env.SUPABASE_ANON_KEY
-);
+// Grading baca/tulis prediksi, ledger & profile yang gak bisa diakses anon (RLS): semua lewat service_role
+const { supabaseAdmin: supabase } = require('../config/database');
+const footballProvider = require('./footballProvider');
+const sportGradingStrategies = require('./sportGradingStrategies');
 
 // Big leagues untuk bonus poin
 const BIG_LEAGUES = [
@@ -32,6 +29,24 @@ const BIG_LEAGUES = [
     'Euro Championship'
 ];
 
+// Match batal / abandoned / walkover: prediksi di-void (0 poin, gak ngaruh ke streak)
+const VOID_STATUSES = ['CANC', 'ABD', 'AWD', 'WO'];
+
+// Postponed / suspended / interrupted: tetap pending, nunggu jadwal ulang
+// POST & INTR = kode api-sports (basketball, volleyball, baseball, MMA) - transform-nya nganggep POST "finished"
+const DEFERRED_STATUSES = ['PST', 'SUSP', 'POST', 'INTR'];
+
+// Match selesai, siap di-grade
+const FINISHED_STATUSES = ['FT', 'AET', 'PEN'];
+
+// Status prediksi yang udah di-settle (bisa di-regrade)
+const SETTLED_STATUSES = ['graded', 'void'];
+
+// Koreksi hasil biasanya datang di jam-jam awal: regradeCheck (tiap jam) cek ulang tiap jam
+// selama REGRADE_HOURLY_HOURS pertama setelah di-grade, abis itu cuma tiap REGRADE_BACKOFF_HOURS
+const REGRADE_HOURLY_HOURS = 6;
+const REGRADE_BACKOFF_HOURS = 6;
+
 /**
  * Check apakah match termasuk big match
  */
@@ -103,39 +118,99 @@ const getFinishedMatchesToGrade = async () => {
     }
 };
 
+/**
+ * Pemenang dari skor akhir: home / away / draw
+ */
+const getWinner = (homeScore, awayScore) => {
+    if (homeScore > awayScore) return 'home';
+    if (awayScore > homeScore) return 'away';
+    return 'draw';
+};
+
+/**
+ * Hasil match dari row yang di-override admin (matches.manual_override)
+ * @returns {Object|null|undefined} undefined = gak di-override, lanjut ke API-Football
+ */
+const getOverriddenResult = async (matchId) => {
+    const { data: match, error } = await supabase
+        .from('matches')
+        .select('id, status_short, home_score, away_score, home_team_name, away_team_name, league_id, league_name, manual_override')
+        .eq('id', matchId)
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Failed to read override for match ${matchId}: ${error.message}`);
+    }
+
+    if (!match?.manual_override) return undefined;
+
+    const base = {
+        matchId: match.id,
+        status: match.status_short,
+        homeTeam: match.home_team_name,
+        awayTeam: match.away_team_name,
+        leagueId: match.league_id,
+        leagueName: match.league_name
+    };
+
+    if (VOID_STATUSES.includes(match.status_short)) {
+        return { ...base, isVoid: true };
+    }
+
+    // Override ke status belum selesai (PST, 2H, ...) → tahan grading sampai override-nya berubah
+    if (!FINISHED_STATUSES.includes(match.status_short)) {
+        return null;
+    }
+
+    return {
+        ...base,
+        homeScore: match.home_score,
+        awayScore: match.away_score,
+        winner: getWinner(match.home_score, match.away_score)
+    };
+};
+
 /**
  * Get match result from API-Football
+ * Match CANC/ABD/AWD/WO return isVoid: true
+ * Match yang di-override admin pake status/skor override, bukan data API
  */
 const getMatchResult = async (matchId) => {
     try {
-        const result = await apiFootball.getMatchById(matchId);
+        const overridden = await getOverriddenResult(matchId);
+        if (overridden !== undefined) {
+            return overridden;
+        }
 
-        if (!result.success || !result.data || result.data.length === 0) {
+        // Fixture ID numerik → selalu ke API-Football (gak di-failover)
+        const result = await footballProvider.getMatchById(matchId);
+
+        if (!result.success || !result.data) {
             return null;
         }
 
-        const match = result.data[0];
-        const fixture = match.fixture;
-        const teams = match.teams;
-        const goals = match.goals;
-        const league = match.league;
+        const fixture = result.data;
+        const teams = fixture.teams;
+        const goals = fixture.goals;
+        const league = fixture.league;
+
+        if (VOID_STATUSES.includes(fixture.status.short)) {
+            return {
+                matchId: fixture.id,
+                status: fixture.status.short,
+                isVoid: true,
+                homeTeam: teams.home.name,
+                awayTeam: teams.away.name,
+                leagueId: league.id,
+                leagueName: league.name
+            };
+        }
 
         // Check if match is finished
-        const finishedStatuses = ['FT', 'AET', 'PEN'];
-        if (!finishedStatuses.includes(fixture.status.short)) {
+        if (!FINISHED_STATUSES.includes(fixture.status.short)) {
             return null; // Match not finished yet
         }
 
-        // Determine winner
-        let winner;
-        if (goals.home > goals.away) {
-            winner = 'home';
-        } else if (goals.away > goals.home) {
-            winner = 'away';
-        } else {
-            winner = 'draw';
-        }
-
         return {
             matchId: fixture.id,
             status: fixture.status.short,
@@ -143,7 +218,8 @@ const getMatchResult = async (matchId) => {
             awayTeam: teams.away.name,
             homeScore: goals.home,
             awayScore: goals.away,
-            winner: winner,
+            winner: getWinner(goals.home, goals.away),
+            leagueId: league.id,
             leagueName: league.name
         };
     } catch (error) {
@@ -152,211 +228,663 @@ const getMatchResult = async (matchId) => {
     }
 };
 
+/**
+ * Entry prediksi untuk match yang di-void: 0 poin, is_correct null
+ */
+const toVoidEntry = (entry) => ({
+    ...entry,
+    status: 'void',
+    points: 0,
+    isCorrect: null,
+    update: {}
+});
+
 /**
  * Grade winner predictions untuk satu match
- * Returns: { graded, correct, userResults: { email: { points, isCorrect } } }
+ * Cuma evaluasi, status prediksi baru di-update setelah poin masuk ledger (settleMatch)
+ * Returns: [{ email, table, id, ref, points, isCorrect, update, prediction }]
  */
-const gradeWinnerPredictions = async (matchId, matchResult) => {
+const gradeWinnerPredictions = async (matchId, matchResult, statuses = ['pending']) => {
     try {
         // Get all pending winner predictions for this match
         const { data: predictions, error } = await supabase
             .from('winner_predictions')
             .select('*')
             .eq('match_id', matchId)
-            .eq('status', 'pending');
+            .in('status', statuses);
 
         if (error || !predictions || predictions.length === 0) {
-            return { graded: 0, correct: 0, userResults: {} };
+            return [];
         }
 
-        let gradedCount = 0;
-        let correctCount = 0;
-        const userResults = {};
-
-        for (const prediction of predictions) {
+        const entries = predictions.map(prediction => {
             const isCorrect = prediction.predicted_result === matchResult.winner;
             const pointsEarned = calculatePoints('winner', isCorrect, matchResult.leagueName);
 
-            // Update prediction status
-            const { error: updateError } = await supabase
-                .from('winner_predictions')
-                .update({
-                    status: 'graded',
-                    is_correct: isCorrect,
-                    points_earned: pointsEarned,
-                    actual_result: matchResult.winner,
-                    graded_at: new Date().toISOString()
-                })
-                .eq('id', prediction.id);
-
-            if (updateError) {
-                console.error('Error updating winner prediction:', updateError);
-                continue;
-            }
-
-            // Store user result for later streak calculation
-            userResults[prediction.email] = {
+            return {
+                email: prediction.email,
+                table: 'winner_predictions',
+                id: prediction.id,
+                ref: `winner:${prediction.id}`,
                 points: pointsEarned,
-                isCorrect: isCorrect
+                isCorrect: isCorrect,
+                update: {
+                    actual_result: matchResult.winner
+                },
+                prediction
             };
+        });
 
-            if (isCorrect) correctCount++;
-            gradedCount++;
-        }
-
-        return { graded: gradedCount, correct: correctCount, userResults };
+        return matchResult.isVoid ? entries.map(toVoidEntry) : entries;
     } catch (error) {
         console.error('Error grading winner predictions:', error);
-        return { graded: 0, correct: 0, userResults: {} };
+        return [];
     }
 };
 
 /**
  * Grade score predictions untuk satu match
- * Returns: { graded, correct, userResults: { email: { points, isCorrect } } }
+ * Returns: [{ email, table, id, ref, points, isCorrect, update, prediction }]
  */
-const gradeScorePredictions = async (matchId, matchResult) => {
+const gradeScorePredictions = async (matchId, matchResult, statuses = ['pending']) => {
     try {
         // Get all pending score predictions for this match
         const { data: predictions, error } = await supabase
             .from('score_predictions')
             .select('*')
             .eq('match_id', matchId)
-            .eq('status', 'pending');
+            .in('status', statuses);
 
         if (error || !predictions || predictions.length === 0) {
-            return { graded: 0, correct: 0, userResults: {} };
+            return [];
         }
 
-        let gradedCount = 0;
-        let correctCount = 0;
-        const userResults = {};
-
-        for (const prediction of predictions) {
+        const entries = predictions.map(prediction => {
             const isCorrect =
                 prediction.predicted_home_score === matchResult.homeScore &&
                 prediction.predicted_away_score === matchResult.awayScore;
 
             const pointsEarned = calculatePoints('score', isCorrect, matchResult.leagueName);
 
-            // Update prediction status
-            const { error: updateError } = await supabase
-                .from('score_predictions')
-                .update({
-                    status: 'graded',
-                    is_correct: isCorrect,
-                    points_earned: pointsEarned,
+            return {
+                email: prediction.email,
+                table: 'score_predictions',
+                id: prediction.id,
+                ref: `score:${prediction.id}`,
+                points: pointsEarned,
+                isCorrect: isCorrect,
+                update: {
                     actual_home_score: matchResult.homeScore,
-                    actual_away_score: matchResult.awayScore,
-                    graded_at: new Date().toISOString()
-                })
-                .eq('id', prediction.id);
+                    actual_away_score: matchResult.awayScore
+                },
+                prediction
+            };
+        });
 
-            if (updateError) {
-                console.error('Error updating score prediction:', updateError);
-                continue;
+        return matchResult.isVoid ? entries.map(toVoidEntry) : entries;
+    } catch (error) {
+        console.error('Error grading score predictions:', error);
+        return [];
+    }
+};
+
+/**
+ * Catat poin satu user untuk satu match ke points_ledger + update profile (satu transaksi)
+ *
+ * apply_match_points (lihat supabase-schema.sql):
+ * - insert ledger per prediksi, unique (prediction_ref, reason) jadi run yang overlap gak double credit
+ * - lock row profile, update streak (PER MATCH, bukan per prediksi) + bonus milestone 3/5/10
+ * - kalau semua prediksi udah ada di ledger, profile gak disentuh (applied: false)
+ */
+const awardMatchPoints = async (email, matchRef, leagueId, entries) => {
+    if (!supabase) {
+        return { success: false, error: 'Supabase service role not configured' };
+    }
+
+    const { data, error } = await supabase.rpc('apply_match_points', {
+        p_email: email,
+        p_match_ref: String(matchRef),
+        p_league_id: leagueId || null,
+        p_entries: entries.map(entry => ({
+            prediction_ref: entry.ref,
+            points: entry.points,
+            is_correct: entry.isCorrect
+        }))
+    });
+
+    if (error) {
+        console.error(`Error applying points for ${email}:`, error.message);
+        return { success: false, error: error.message };
+    }
+
+    return { success: true, ...data };
+};
+
+/**
+ * Tandai prediksi sebagai graded / void (dipanggil setelah poin masuk ledger)
+ */
+const markPredictionGraded = async (entry) => {
+    const { error } = await supabase
+        .from(entry.table)
+        .update({
+            status: entry.status || 'graded',
+            is_correct: entry.isCorrect,
+            points_earned: entry.points,
+            ...entry.update,
+            graded_at: new Date().toISOString()
+        })
+        .eq('id', entry.id);
+
+    if (error) {
+        console.error(`Error updating ${entry.table} ${entry.id}:`, error);
+        return false;
+    }
+
+    return true;
+};
+
+/**
+ * Settle semua prediksi satu match: ledger + profile dulu, baru status prediksi
+ * Kalau crash di tengah, prediksi masih pending dan run berikutnya aman diulang
+ * (ledger nolak duplikat, jadi poin gak dobel)
+ * Returns: entries yang berhasil di-settle
+ */
+const settleMatch = async (matchRef, leagueId, entries) => {
+    const settled = [];
+    const byEmail = new Map();
+
+    for (const entry of entries) {
+        // Void: gak ada poin, gak masuk ledger, streak gak kena
+        if (entry.status === 'void') {
+            if (await markPredictionGraded(entry)) settled.push(entry);
+            continue;
+        }
+
+        if (!byEmail.has(entry.email)) byEmail.set(entry.email, []);
+        byEmail.get(entry.email).push(entry);
+    }
+
+    for (const [email, userEntries] of byEmail) {
+        const award = await awardMatchPoints(email, matchRef, leagueId, userEntries);
+
+        // Gagal nulis ledger → biarin pending, dicoba lagi run berikutnya
+        if (!award.success) continue;
+
+        if (award.applied) {
+            const bonus = award.streak_bonus || 0;
+            if (award.points + bonus > 0) {
+                console.log(`✅ ${email}: +${award.points} pts${bonus > 0 ? ` (+${bonus} streak bonus)` : ''}, streak: ${award.current_streak}`);
+            } else {
+                console.log(`❌ ${email}: wrong predictions, streak reset to 0`);
             }
+        } else if (award.error === 'profile_not_found') {
+            console.error(`Error fetching user profile: ${email} not found`);
+        } else {
+            console.log(`↩️  ${email}: already in ledger, skipping profile update`);
+        }
 
-            // Store user result for later streak calculation
-            userResults[prediction.email] = {
-                points: pointsEarned,
-                isCorrect: isCorrect
-            };
+        for (const entry of userEntries) {
+            if (await markPredictionGraded(entry)) {
+                settled.push(entry);
+            }
+        }
+    }
+
+    return settled;
+};
+
+/**
+ * Ringkasan hasil grading
+ */
+const summarize = (entries) => ({
+    graded: entries.filter(e => e.status !== 'void').length,
+    correct: entries.filter(e => e.isCorrect).length,
+    voided: entries.filter(e => e.status === 'void').length
+});
+
+/**
+ * Hitung ulang total_experience profile dari points_ledger
+ * Returns: { email, before, after } atau error
+ */
+const reconcileUserPoints = async (email) => {
+    if (!supabase) {
+        return { success: false, error: 'Supabase service role not configured' };
+    }
+
+    const { data, error } = await supabase.rpc('reconcile_profile_points', { p_email: email });
 
-            if (isCorrect) correctCount++;
-            gradedCount++;
+    if (error) {
+        console.error(`Error reconciling points for ${email}:`, error.message);
+        return { success: false, error: error.message };
+    }
+
+    if (data.before !== data.after) {
+        console.log(`🧮 ${email}: total_experience ${data.before} → ${data.after} (from ledger)`);
+    }
+
+    return { success: true, ...data };
+};
+
+/**
+ * Reconcile semua profile terhadap points_ledger
+ */
+const reconcileAllUserPoints = async () => {
+    const { data: profiles, error } = await supabase
+        .from('profiles')
+        .select('email')
+        .not('email', 'is', null);
+
+    if (error) {
+        console.error('Error fetching profiles for reconcile:', error);
+        return { success: false, error: error.message };
+    }
+
+    let adjusted = 0;
+    let failed = 0;
+
+    for (const profile of profiles || []) {
+        const result = await reconcileUserPoints(profile.email);
+        if (!result.success) failed++;
+        else if (result.before !== result.after) adjusted++;
+    }
+
+    return { success: failed === 0, checked: (profiles || []).length, adjusted, failed };
+};
+
+/**
+ * Get sport matches (non-football) yang punya prediksi pending
+ * Returns: [{ sport, matchId, matchDate }]
+ */
+const getSportMatchesToGrade = async () => {
+    try {
+        const { data, error } = await supabase
+            .from('sport_predictions')
+            .select('sport, match_id, match_date')
+            .eq('status', 'pending');
+
+        if (error) {
+            console.error('Error fetching pending sport predictions:', error);
+            return [];
+        }
+
+        const matches = new Map();
+        for (const p of data || []) {
+            const key = `${p.sport}:${p.match_id}`;
+            if (!matches.has(key)) {
+                matches.set(key, { sport: p.sport, matchId: p.match_id, matchDate: p.match_date });
+            }
         }
 
-        return { graded: gradedCount, correct: correctCount, userResults };
+        return Array.from(matches.values());
     } catch (error) {
-        console.error('Error grading score predictions:', error);
-        return { graded: 0, correct: 0, userResults: {} };
+        console.error('Error in getSportMatchesToGrade:', error);
+        return [];
     }
 };
 
 /**
- * Update user stats PER MATCH (combined winner + score)
- * Streak dihitung berdasarkan: ada minimal 1 prediksi benar di match ini
+ * Get hasil sport match lewat strategy (null kalau belum selesai)
+ * Match CANC/ABD/AWD/WO return isVoid: true
+ * voidDeferred: match yang ditunda (DEFERRED_STATUSES) juga isVoid - dipake regrade buat prediksi
+ * yang terlanjur ke-grade padahal match-nya ditunda
  */
-const updateUserStatsPerMatch = async (email, winnerResult, scoreResult) => {
+const getSportMatchResult = async (sport, matchId, matchDate, { voidDeferred = false } = {}) => {
+    const strategy = sportGradingStrategies.getStrategy(sport);
+    if (!strategy) return null;
+
     try {
-        // Calculate total points from this match
-        const winnerPoints = winnerResult?.points || 0;
-        const scorePoints = scoreResult?.points || 0;
-        const totalPoints = winnerPoints + scorePoints;
-
-        // Determine if user got ANY prediction correct in this match (for streak)
-        const hasCorrectPrediction = (winnerResult?.isCorrect === true) || (scoreResult?.isCorrect === true);
-
-        // Count predictions made
-        const predictionsMade = (winnerResult ? 1 : 0) + (scoreResult ? 1 : 0);
-        const correctPredictions = (winnerResult?.isCorrect ? 1 : 0) + (scoreResult?.isCorrect ? 1 : 0);
-
-        // Get current user stats
-        const { data: profile, error: fetchError } = await supabase
-            .from('profiles')
-            .select('total_experience, season_points, current_streak, best_streak, correct_predictions, total_predictions')
-            .eq('email', email)
-            .single();
-
-        if (fetchError || !profile) {
-            console.error('Error fetching user profile:', fetchError);
-            return;
+        const result = await strategy.getResult(matchId, { match_date: matchDate });
+
+        if (!result) {
+            return null;
+        }
+
+        if (DEFERRED_STATUSES.includes(result.status)) {
+            return voidDeferred ? { ...result, isVoid: true } : null;
         }
 
-        // Calculate new streak (based on match, not individual predictions)
-        let newStreak = hasCorrectPrediction ? (profile.current_streak || 0) + 1 : 0;
-        let newBestStreak = Math.max(newStreak, profile.best_streak || 0);
-
-        // Calculate streak bonus (only when reaching milestones)
-        let streakBonus = 0;
-        if (hasCorrectPrediction) {
-            const oldStreak = profile.current_streak || 0;
-            // Give bonus when reaching 3, 5, or 10
-            if (newStreak === 3 && oldStreak < 3) {
-                streakBonus = 5;
-                console.log(`🔥 Streak bonus! ${email} reached 3 streak, +5 bonus`);
-            } else if (newStreak === 5 && oldStreak < 5) {
-                streakBonus = 10;
-                console.log(`🔥 Streak bonus! ${email} reached 5 streak, +10 bonus`);
-            } else if (newStreak === 10 && oldStreak < 10) {
-                streakBonus = 25;
-                console.log(`🔥 Streak bonus! ${email} reached 10 streak, +25 bonus`);
+        if (VOID_STATUSES.includes(result.status)) {
+            return { ...result, isVoid: true };
+        }
+
+        return result.isFinished ? result : null;
+    } catch (error) {
+        console.error(`Error getting ${sport} result for ${matchId}:`, error);
+        return null;
+    }
+};
+
+/**
+ * Grade semua prediksi pending untuk satu sport match
+ * Returns: [{ email, table, id, ref, points, isCorrect, update, prediction }]
+ */
+const gradeSportPredictions = async (sport, matchId, matchResult, statuses = ['pending']) => {
+    try {
+        const { data: predictions, error } = await supabase
+            .from('sport_predictions')
+            .select('*')
+            .eq('sport', sport)
+            .eq('match_id', String(matchId))
+            .in('status', statuses);
+
+        if (error || !predictions || predictions.length === 0) {
+            return [];
+        }
+
+        const strategy = sportGradingStrategies.getStrategy(sport);
+        const entries = [];
+
+        for (const prediction of predictions) {
+            if (matchResult.isVoid) {
+                entries.push(toVoidEntry({
+                    email: prediction.email,
+                    table: 'sport_predictions',
+                    id: prediction.id,
+                    ref: `sport:${prediction.id}`,
+                    prediction
+                }));
+                continue;
+            }
+
+            if (!strategy.types[prediction.prediction_type]) {
+                console.error(`Unknown ${sport} prediction type: ${prediction.prediction_type}`);
+                continue;
             }
+
+            const { isCorrect, actual } = strategy.grade(prediction.prediction_type, prediction.prediction || {}, matchResult);
+            const pointsEarned = sportGradingStrategies.calculateSportPoints(
+                sport,
+                prediction.prediction_type,
+                isCorrect,
+                matchResult.leagueName
+            );
+
+            // Satu user bisa punya beberapa type prediksi di match yang sama
+            entries.push({
+                email: prediction.email,
+                table: 'sport_predictions',
+                id: prediction.id,
+                ref: `sport:${prediction.id}`,
+                points: pointsEarned,
+                isCorrect: isCorrect,
+                update: {
+                    actual_result: actual,
+                    league_name: matchResult.leagueName
+                },
+                prediction
+            });
         }
 
-        const totalPointsEarned = totalPoints + streakBonus;
-
-        // Update profile
-        const { error: updateError } = await supabase
-            .from('profiles')
-            .update({
-                total_experience: (profile.total_experience || 0) + totalPointsEarned,
-                season_points: (profile.season_points || 0) + totalPointsEarned,
-                current_streak: newStreak,
-                best_streak: newBestStreak,
-                correct_predictions: (profile.correct_predictions || 0) + correctPredictions,
-                total_predictions: (profile.total_predictions || 0) + predictionsMade
-            })
-            .eq('email', email);
-
-        if (updateError) {
-            console.error('Error updating user stats:', updateError);
+        return entries;
+    } catch (error) {
+        console.error(`Error grading ${sport} predictions:`, error);
+        return [];
+    }
+};
+
+/**
+ * Grade semua prediksi sport (basketball, tennis, volleyball, baseball, MMA) yang pending
+ */
+const gradeAllSportPredictions = async () => {
+    const matches = await getSportMatchesToGrade();
+
+    if (matches.length === 0) {
+        return { graded: 0, correct: 0 };
+    }
+
+    console.log(`📋 Found ${matches.length} sport matches with pending predictions`);
+
+    let totalGraded = 0;
+    let totalCorrect = 0;
+
+    for (const { sport, matchId, matchDate } of matches) {
+        const matchResult = await getSportMatchResult(sport, matchId, matchDate);
+
+        if (!matchResult) {
+            console.log(`⏳ ${sport} match ${matchId} not finished yet, skipping...`);
+            continue;
+        }
+
+        console.log(matchResult.isVoid
+            ? `\n🚫 Voiding ${sport}: ${matchResult.homeTeam} vs ${matchResult.awayTeam} (${matchResult.status})`
+            : `\n🏅 Grading ${sport}: ${matchResult.homeTeam} ${matchResult.homeScore}-${matchResult.awayScore} ${matchResult.awayTeam}`);
+
+        const entries = await gradeSportPredictions(sport, matchId, matchResult);
+        const results = summarize(await settleMatch(`${sport}:${matchId}`, null, entries));
+        console.log(`   ${sport} predictions: ${results.graded} graded, ${results.correct} correct, ${results.voided} voided`);
+
+        totalGraded += results.graded;
+        totalCorrect += results.correct;
+
+        // Small delay to avoid rate limiting
+        await new Promise(resolve => setTimeout(resolve, 500));
+    }
+
+    return { graded: totalGraded, correct: totalCorrect };
+};
+
+/**
+ * Label match untuk log / response
+ */
+const describeMatch = (matchResult) => (matchResult.isVoid
+    ? `${matchResult.homeTeam} vs ${matchResult.awayTeam} (${matchResult.status})`
+    : `${matchResult.homeTeam} ${matchResult.homeScore}-${matchResult.awayScore} ${matchResult.awayTeam}`);
+
+/**
+ * Grade + settle prediksi football satu match (winner + score)
+ */
+const gradeFootballMatch = async (matchId, matchResult) => {
+    const winnerEntries = await gradeWinnerPredictions(matchId, matchResult);
+    const scoreEntries = await gradeScorePredictions(matchId, matchResult);
+
+    // Settle PER MATCH (winner + score digabung untuk streak)
+    const settled = await settleMatch(matchId, matchResult.leagueId, [...winnerEntries, ...scoreEntries]);
+
+    return {
+        winnerPredictions: summarize(settled.filter(e => e.table === 'winner_predictions')),
+        scorePredictions: summarize(settled.filter(e => e.table === 'score_predictions'))
+    };
+};
+
+/**
+ * Apakah hasil grade baru beda dari yang tersimpan di row prediksi
+ */
+const isGradeChanged = (entry) => {
+    const previous = entry.prediction;
+    return (previous.status !== (entry.status || 'graded'))
+        || ((previous.points_earned || 0) !== entry.points)
+        || ((previous.is_correct ?? null) !== entry.isCorrect);
+};
+
+const isActualChanged = (entry) => Object.entries(entry.update)
+    .some(([key, value]) => JSON.stringify(entry.prediction[key] ?? null) !== JSON.stringify(value ?? null));
+
+/**
+ * Balikin award lama + apply hasil baru untuk satu user (lihat regrade_match_points)
+ */
+const applyRegrade = async (email, matchRef, leagueId, entries) => {
+    if (!supabase) {
+        return { success: false, error: 'Supabase service role not configured' };
+    }
+
+    const { data, error } = await supabase.rpc('regrade_match_points', {
+        p_email: email,
+        p_match_ref: String(matchRef),
+        p_league_id: leagueId || null,
+        p_entries: entries.map(entry => ({
+            prediction_ref: entry.ref,
+            points: entry.points,
+            is_correct: entry.isCorrect,
+            previous_points: entry.prediction.points_earned,
+            previous_is_correct: entry.prediction.is_correct,
+            previous_status: entry.prediction.status
+        }))
+    });
+
+    if (error) {
+        console.error(`Error regrading points for ${email}:`, error.message);
+        return { success: false, error: error.message };
+    }
+
+    return { success: true, ...data };
+};
+
+/**
+ * Regrade prediksi yang udah graded/void untuk satu match terhadap hasil terbaru
+ * Dipakai kalau skor dikoreksi provider, atau match FT/ABD yang salah ditandai (fixStuckMatches)
+ * Sport match yang ternyata ditunda (POST/INTR, dulu ke-grade 0-0) → prediksi yang udah ke-grade di-void
+ *
+ * Poin lama dibalik lewat ledger (selisihnya aja), streak + streak bonus gak diubah
+ * Aman diulang: kalau hasil gak berubah, gak ada yang ditulis
+ */
+const regradeMatch = async (matchId, sport = 'football') => {
+    const isFootball = sport === 'football';
+    const matchRef = isFootball ? matchId : `${sport}:${matchId}`;
+
+    let matchResult;
+    let entries;
+
+    if (isFootball) {
+        matchResult = await getMatchResult(matchId);
+        if (!matchResult) {
+            return { success: false, error: 'Match not finished or not found' };
+        }
+
+        entries = [
+            ...await gradeWinnerPredictions(matchId, matchResult, SETTLED_STATUSES),
+            ...await gradeScorePredictions(matchId, matchResult, SETTLED_STATUSES)
+        ];
+    } else {
+        if (!sportGradingStrategies.getStrategy(sport)) {
+            return { success: false, error: `Unknown sport: ${sport}` };
+        }
+
+        const { data: sample } = await supabase
+            .from('sport_predictions')
+            .select('match_date')
+            .eq('sport', sport)
+            .eq('match_id', String(matchId))
+            .limit(1);
+
+        matchResult = await getSportMatchResult(sport, matchId, sample?.[0]?.match_date, { voidDeferred: true });
+        if (!matchResult) {
+            return { success: false, error: 'Match not finished or not found' };
+        }
+
+        entries = await gradeSportPredictions(sport, matchId, matchResult, SETTLED_STATUSES);
+    }
+
+    const changed = entries.filter(isGradeChanged);
+    const byEmail = new Map();
+    for (const entry of changed) {
+        if (!byEmail.has(entry.email)) byEmail.set(entry.email, []);
+        byEmail.get(entry.email).push(entry);
+    }
+
+    let regraded = 0;
+
+    for (const [email, userEntries] of byEmail) {
+        const result = await applyRegrade(email, matchRef, isFootball ? matchResult.leagueId : null, userEntries);
+        if (!result.success) continue;
+
+        if (result.applied) {
+            console.log(`♻️  ${email}: ${result.points >= 0 ? '+' : ''}${result.points} pts after regrade`);
+        }
+
+        for (const entry of userEntries) {
+            if (await markPredictionGraded(entry)) regraded++;
+        }
+    }
+
+    // Poin sama tapi hasil aktual beda (misal 2-1 jadi 3-1), cukup update row prediksi
+    for (const entry of entries.filter(e => !isGradeChanged(e) && isActualChanged(e))) {
+        await markPredictionGraded(entry);
+    }
+
+    if (regraded > 0) {
+        console.log(`♻️  Regraded ${sport} match ${matchId}: ${regraded}/${entries.length} predictions changed`);
+    }
+
+    return {
+        success: true,
+        match: describeMatch(matchResult),
+        checked: entries.length,
+        regraded,
+        voided: changed.filter(e => e.status === 'void').length
+    };
+};
+
+/**
+ * Get match yang prediksinya di-settle dalam X jam terakhir
+ * Returns: [{ sport, matchId, gradedAt }] - gradedAt = grading / regrade terakhir di match itu
+ */
+const getRecentlySettledMatches = async (hours) => {
+    const cutoff = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+
+    const queries = ['winner_predictions', 'score_predictions', 'sport_predictions'].map(table =>
+        supabase
+            .from(table)
+            .select(table === 'sport_predictions' ? 'sport, match_id, graded_at' : 'match_id, graded_at')
+            .in('status', SETTLED_STATUSES)
+            .gte('graded_at', cutoff)
+    );
+
+    const results = await Promise.all(queries);
+    const matches = new Map();
+
+    results.forEach(({ data, error }) => {
+        if (error) {
+            console.error('Error fetching settled predictions:', error);
             return;
         }
 
-        // Log result
-        if (totalPointsEarned > 0) {
-            console.log(`✅ ${email}: +${totalPoints} pts${streakBonus > 0 ? ` (+${streakBonus} streak bonus)` : ''}, streak: ${newStreak}`);
-        } else if (hasCorrectPrediction) {
-            console.log(`✅ ${email}: correct but 0 pts, streak: ${newStreak}`);
-        } else {
-            console.log(`❌ ${email}: wrong predictions, streak reset to 0`);
+        for (const row of data || []) {
+            const sport = row.sport || 'football';
+            const key = `${sport}:${row.match_id}`;
+            const existing = matches.get(key);
+
+            if (!existing || Date.parse(row.graded_at) > Date.parse(existing.gradedAt)) {
+                matches.set(key, { sport, matchId: row.match_id, gradedAt: row.graded_at });
+            }
         }
+    });
 
-    } catch (error) {
-        console.error('Error in updateUserStatsPerMatch:', error);
+    return Array.from(matches.values());
+};
+
+/**
+ * Match udah waktunya dicek ulang? Tiap jam di awal, abis itu tiap REGRADE_BACKOFF_HOURS
+ * (umur dibuletin ke bawah per jam, jadi job yang jalan tiap jam kena tiap bucket sekali)
+ */
+const isRegradeDue = (gradedAt, now = Date.now()) => {
+    const ageHours = Math.floor((now - Date.parse(gradedAt)) / (60 * 60 * 1000));
+    return ageHours < REGRADE_HOURLY_HOURS || ageHours % REGRADE_BACKOFF_HOURS === 0;
+};
+
+/**
+ * Cek ulang hasil match yang baru di-grade, regrade kalau provider koreksi hasilnya
+ */
+const verifyRecentGrades = async (hours = 48) => {
+    const settled = await getRecentlySettledMatches(hours);
+    const matches = settled.filter(match => isRegradeDue(match.gradedAt));
+
+    let regraded = 0;
+    let failed = 0;
+
+    for (const { sport, matchId } of matches) {
+        try {
+            const result = await regradeMatch(matchId, sport);
+            if (result.success) regraded += result.regraded;
+        } catch (error) {
+            console.error(`Error verifying ${sport} match ${matchId}:`, error);
+            failed++;
+        }
+
+        // Small delay to avoid rate limiting
+        await new Promise(resolve => setTimeout(resolve, 500));
     }
+
+    return { success: true, checked: matches.length, skipped: settled.length - matches.length, regraded, failed };
 };
 
 /**
@@ -369,13 +897,10 @@ const gradeAllPendingPredictions = async () => {
         // Get match IDs with pending predictions
         const matchIds = await getFinishedMatchesToGrade();
 
-        if (matchIds.length === 0) {
-            console.log('📝 No pending predictions to grade');
-            return { success: true, graded: 0 };
+        if (matchIds.length > 0) {
+            console.log(`📋 Found ${matchIds.length} matches with pending predictions`);
         }
 
-        console.log(`📋 Found ${matchIds.length} matches with pending predictions`);
-
         let totalGraded = 0;
         let totalCorrect = 0;
 
@@ -388,38 +913,26 @@ const gradeAllPendingPredictions = async () => {
                 continue;
             }
 
-            console.log(`\n⚽ Grading match: ${matchResult.homeTeam} ${matchResult.homeScore}-${matchResult.awayScore} ${matchResult.awayTeam}`);
-
-            // Grade winner predictions (don't update user stats yet)
-            const winnerResults = await gradeWinnerPredictions(matchId, matchResult);
-            console.log(`   Winner predictions: ${winnerResults.graded} graded, ${winnerResults.correct} correct`);
-
-            // Grade score predictions (don't update user stats yet)
-            const scoreResults = await gradeScorePredictions(matchId, matchResult);
-            console.log(`   Score predictions: ${scoreResults.graded} graded, ${scoreResults.correct} correct`);
-
-            // Now update user stats PER MATCH (combining winner + score results)
-            // Get all unique emails from both results
-            const allEmails = new Set([
-                ...Object.keys(winnerResults.userResults),
-                ...Object.keys(scoreResults.userResults)
-            ]);
-
-            for (const email of allEmails) {
-                await updateUserStatsPerMatch(
-                    email,
-                    winnerResults.userResults[email] || null,
-                    scoreResults.userResults[email] || null
-                );
-            }
+            console.log(matchResult.isVoid
+                ? `\n🚫 Voiding match: ${matchResult.homeTeam} vs ${matchResult.awayTeam} (${matchResult.status})`
+                : `\n⚽ Grading match: ${matchResult.homeTeam} ${matchResult.homeScore}-${matchResult.awayScore} ${matchResult.awayTeam}`);
+
+            const { winnerPredictions, scorePredictions } = await gradeFootballMatch(matchId, matchResult);
+            console.log(`   Winner predictions: ${winnerPredictions.graded} graded, ${winnerPredictions.correct} correct, ${winnerPredictions.voided} voided`);
+            console.log(`   Score predictions: ${scorePredictions.graded} graded, ${scorePredictions.correct} correct, ${scorePredictions.voided} voided`);
 
-            totalGraded += winnerResults.graded + scoreResults.graded;
-            totalCorrect += winnerResults.correct + scoreResults.correct;
+            totalGraded += winnerPredictions.graded + scorePredictions.graded;
+            totalCorrect += winnerPredictions.correct + scorePredictions.correct;
 
             // Small delay to avoid rate limiting
             await new Promise(resolve => setTimeout(resolve, 500));
         }
 
+        // Basketball, tennis, volleyball, baseball, MMA
+        const sportResults = await gradeAllSportPredictions();
+        totalGraded += sportResults.graded;
+        totalCorrect += sportResults.correct;
+
         console.log(`\n✅ Grading complete! Total: ${totalGraded} predictions graded, ${totalCorrect} correct`);
 
         return {
@@ -439,6 +952,7 @@ const gradeAllPendingPredictions = async () => {
 
 /**
  * Manual grade untuk specific match (bisa dipanggil dari admin)
+ * Aman dipanggil barengan cron, poin cuma masuk sekali per prediksi
  */
 const gradeMatch = async (matchId) => {
     console.log(`\n🎯 Manual grading for match ${matchId}...`);
@@ -449,36 +963,26 @@ const gradeMatch = async (matchId) => {
         return { success: false, error: 'Match not finished or not found' };
     }
 
-    // Grade predictions
-    const winnerResults = await gradeWinnerPredictions(matchId, matchResult);
-    const scoreResults = await gradeScorePredictions(matchId, matchResult);
-
-    // Update user stats per match
-    const allEmails = new Set([
-        ...Object.keys(winnerResults.userResults),
-        ...Object.keys(scoreResults.userResults)
-    ]);
-
-    for (const email of allEmails) {
-        await updateUserStatsPerMatch(
-            email,
-            winnerResults.userResults[email] || null,
-            scoreResults.userResults[email] || null
-        );
-    }
+    const { winnerPredictions, scorePredictions } = await gradeFootballMatch(matchId, matchResult);
 
     return {
         success: true,
-        match: `${matchResult.homeTeam} ${matchResult.homeScore}-${matchResult.awayScore} ${matchResult.awayTeam}`,
-        winnerPredictions: winnerResults,
-        scorePredictions: scoreResults
+        match: describeMatch(matchResult),
+        winnerPredictions,
+        scorePredictions
     };
 };
 
 module.exports = {
     gradeAllPendingPredictions,
     gradeMatch,
+    gradeAllSportPredictions,
+    reconcileUserPoints,
+    reconcileAllUserPoints,
+    regradeMatch,
+    verifyRecentGrades,
     getMatchResult,
+    getSportMatchResult,
     calculatePoints,
     calculateStreakBonus,
     isBigMatch
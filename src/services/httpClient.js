@@ -0,0 +1,231 @@
+/**
+ * HTTP Client
+ * Semua request keluar dari service provider lewat sini (bukan axios langsung),
+ * biar bisa direkam dan di-replay buat testing offline:
+ *
+ *   HTTP_MODE=live     (default) request biasa
+ *   HTTP_MODE=record   request biasa, response disimpan ke HTTP_FIXTURES_DIR
+ *   HTTP_MODE=replay   gak ada request keluar, response diambil dari HTTP_FIXTURES_DIR
+ *
+ * File fixture: <HTTP_FIXTURES_DIR>/<host>/<path>__<params>.json
+ * Key dari method + URL + query params, param API key/token gak ikut ke key maupun file
+ *
+ * Usage (sama kayak axios):
+ *   const client = httpClient.create({ baseURL, headers })
+ *   const response = await httpClient.get(url, { params, headers, timeout })
+ */
+
+const axios = require('axios');
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+const MODES = ['live', 'record', 'replay'];
+const FIXTURES_DIR = path.resolve(process.env.HTTP_FIXTURES_DIR || path.join(__dirname, '../../fixtures/http'));
+
+// Param yang isinya credential (api-tennis kirim APIkey lewat query string)
+const SECRET_PARAM = /^(api_?key|key|token|secret|access_token)$/i;
+
+// Header response yang ikut disimpan (quota budget butuh x-ratelimit-*)
+const KEPT_HEADERS = /^(content-type|x-ratelimit-.*|x-requests-available.*)$/i;
+
+const MAX_PARAMS_SLUG = 80;
+
+let mode = process.env.HTTP_MODE || 'live';
+if (!MODES.includes(mode)) {
+    console.warn(`⚠️  Invalid HTTP_MODE "${mode}", using live`);
+    mode = 'live';
+}
+
+if (mode !== 'live') {
+    console.log(`📼 HTTP ${mode} mode (fixtures: ${FIXTURES_DIR})`);
+}
+
+// Handler in-memory per key request (dipake match day simulator), dicek sebelum mode apapun
+const intercepts = new Map();
+
+const defaultAdapter = axios.getAdapter(axios.defaults.adapter);
+
+const sanitize = (value) => String(value).replace(/[^a-zA-Z0-9._-]+/g, '_');
+
+/**
+ * Gabung baseURL + url + query params jadi deskripsi request yang stabil
+ * Returns: { method, url, params, key, file }
+ */
+const describeRequest = (config) => {
+    const isAbsolute = /^https?:\/\//i.test(config.url);
+    const fullUrl = isAbsolute || !config.baseURL
+        ? config.url
+        : `${config.baseURL.replace(/\/+$/, '')}/${config.url.replace(/^\/+/, '')}`;
+
+    const url = new URL(fullUrl);
+    const params = {};
+
+    for (const [key, value] of url.searchParams) params[key] = value;
+    for (const [key, value] of Object.entries(config.params || {})) {
+        if (value !== undefined && value !== null) params[key] = String(value);
+    }
+
+    for (const key of Object.keys(params)) {
+        if (SECRET_PARAM.test(key)) delete params[key];
+    }
+
+    const sortedKeys = Object.keys(params).sort();
+    const method = (config.method || 'get').toUpperCase();
+    const query = sortedKeys.map(key => `${key}=${params[key]}`).join('&');
+    const key = `${method} ${url.host}${url.pathname}${query ? `?${query}` : ''}`;
+
+    // Nama file kebaca manusia, kepanjangan → dipotong + hash
+    let paramsSlug = sanitize(sortedKeys.map(key => `${key}-${params[key]}`).join('_'));
+    if (paramsSlug.length > MAX_PARAMS_SLUG) {
+        const hash = crypto.createHash('sha1').update(query).digest('hex').slice(0, 10);
+        paramsSlug = `${paramsSlug.slice(0, MAX_PARAMS_SLUG)}_${hash}`;
+    }
+
+    const segments = url.pathname.split('/').filter(Boolean).map(sanitize);
+    const fileName = `${segments.pop() || 'index'}${paramsSlug ? `__${paramsSlug}` : ''}${method === 'GET' ? '' : `.${method}`}.json`;
+
+    return {
+        method,
+        url: `${url.origin}${url.pathname}`,
+        params: Object.fromEntries(sortedKeys.map(key => [key, params[key]])),
+        key,
+        file: path.join(FIXTURES_DIR, sanitize(url.host), ...segments, fileName)
+    };
+};
+
+/**
+ * Payload dari adapter bawaan masih string (belum di-transform axios)
+ */
+const parseData = (data) => {
+    if (typeof data !== 'string') return data;
+    try {
+        return JSON.parse(data);
+    } catch {
+        return data;
+    }
+};
+
+const pickHeaders = (headers = {}) => Object.fromEntries(
+    Object.entries(typeof headers.toJSON === 'function' ? headers.toJSON() : headers)
+        .filter(([name]) => KEPT_HEADERS.test(name))
+);
+
+const writeFixture = async (request, response) => {
+    const fixture = {
+        recordedAt: new Date().toISOString(),
+        request: { method: request.method, url: request.url, params: request.params },
+        response: {
+            status: response.status,
+            headers: pickHeaders(response.headers),
+            data: parseData(response.data)
+        }
+    };
+
+    try {
+        await fs.mkdir(path.dirname(request.file), { recursive: true });
+        await fs.writeFile(request.file, `${JSON.stringify(fixture, null, 2)}\n`);
+        console.log(`📼 Recorded ${request.key} → ${path.relative(process.cwd(), request.file)}`);
+    } catch (error) {
+        console.error(`❌ Failed to record ${request.key}:`, error.message);
+    }
+};
+
+const readFixture = async (request) => {
+    try {
+        const fixture = JSON.parse(await fs.readFile(request.file, 'utf8'));
+        return fixture.response;
+    } catch (error) {
+        const missing = error.code === 'ENOENT';
+        const replayError = new Error(missing
+            ? `No recorded fixture for ${request.key} (${path.relative(process.cwd(), request.file)})`
+            : `Invalid fixture ${request.file}: ${error.message}`);
+        replayError.code = 'ERR_REPLAY_MISS';
+        throw replayError;
+    }
+};
+
+/**
+ * Response fixture/intercept → response axios (non-2xx di-reject kayak request beneran)
+ */
+const toAxiosResponse = (config, { status = 200, headers = {}, data }) => {
+    const response = {
+        data,
+        status,
+        statusText: String(status),
+        headers: axios.AxiosHeaders.from(headers),
+        config,
+        request: null
+    };
+
+    const validateStatus = config.validateStatus || ((code) => code >= 200 && code < 300);
+    if (!validateStatus(status)) {
+        throw new axios.AxiosError(
+            `Request failed with status code ${status}`,
+            status >= 500 ? axios.AxiosError.ERR_BAD_RESPONSE : axios.AxiosError.ERR_BAD_REQUEST,
+            config,
+            null,
+            response
+        );
+    }
+
+    return response;
+};
+
+/**
+ * Adapter axios: intercept → replay → request beneran (+ record)
+ */
+const adapter = async (config) => {
+    const request = describeRequest(config);
+
+    const intercept = intercepts.get(request.key);
+    if (intercept) {
+        return toAxiosResponse(config, await intercept(request));
+    }
+
+    if (mode === 'replay') {
+        return toAxiosResponse(config, await readFixture(request));
+    }
+
+    try {
+        const response = await defaultAdapter(config);
+        if (mode === 'record') await writeFixture(request, response);
+        return response;
+    } catch (error) {
+        if (mode === 'record' && error.response) await writeFixture(request, error.response);
+        throw error;
+    }
+};
+
+const get = (url, config = {}) => axios.get(url, { ...config, adapter });
+
+const create = (defaults = {}) => axios.create({ ...defaults, adapter });
+
+/**
+ * Daftarin response in-memory buat satu request
+ * @param {Object} target - { url, params } (url absolut, params tanpa API key)
+ * @param {Function} handler - async (request) => { status, headers, data }
+ * @returns {Function} buat hapus intercept
+ */
+const intercept = ({ url, params = {}, method = 'get' }, handler) => {
+    const { key } = describeRequest({ url, params, method });
+    intercepts.set(key, handler);
+    return () => intercepts.delete(key);
+};
+
+const setMode = (nextMode) => {
+    if (!MODES.includes(nextMode)) {
+        throw new Error(`HTTP mode must be one of ${MODES.join(', ')}`);
+    }
+    mode = nextMode;
+};
+
+module.exports = {
+    get,
+    create,
+    intercept,
+    setMode,
+    getMode: () => mode,
+    describeRequest,
+    FIXTURES_DIR
+};
@@ -0,0 +1,257 @@
+/**
+ * Leaderboard Service
+ * Ranking prediction game per periode (week, month, season, all) dan per liga
+ *
+ * - season / all: langsung dari profiles.season_points / total_experience
+ * - week / month / per liga: agregasi points_ledger (get_leaderboard)
+ * - season rollover: rollover_season() arsip klasemen ke season_standings + reset season_points
+ */
+
+const { supabase, supabaseAdmin } = require('../config/database');
+
+const PERIODS = ['week', 'month', 'season', 'all'];
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const SEASON_LENGTH_MONTHS = parseInt(process.env.SEASON_LENGTH_MONTHS) || 3;
+
+/**
+ * Samarkan email buat ditampilkan publik: budi.santoso@gmail.com -> bud***
+ */
+const maskEmail = (email) => {
+    const name = (email || '').split('@')[0];
+    return name.length <= 3 ? `${name[0] || ''}***` : `${name.slice(0, 3)}***`;
+};
+
+/**
+ * Awal periode (UTC): week = Senin 00:00, month = tanggal 1
+ */
+const getPeriodStart = (period, now = new Date()) => {
+    const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+
+    if (period === 'week') {
+        const day = start.getUTCDay() || 7;
+        start.setUTCDate(start.getUTCDate() - (day - 1));
+        return start;
+    }
+
+    if (period === 'month') {
+        start.setUTCDate(1);
+        return start;
+    }
+
+    return null;
+};
+
+/**
+ * Season yang lagi aktif
+ */
+const getCurrentSeason = async () => {
+    const { data, error } = await supabase
+        .from('seasons')
+        .select('id, name, starts_at, ends_at')
+        .eq('status', 'active')
+        .maybeSingle();
+
+    if (error) {
+        console.error('❌ Error fetching current season:', error.message);
+        return null;
+    }
+
+    return data;
+};
+
+const toEntry = (row, index, points) => ({
+    rank: index + 1,
+    name: maskEmail(row.email),
+    points: Number(points) || 0,
+    correct_predictions: Number(row.correct_predictions) || 0,
+    total_predictions: Number(row.total_predictions) || 0
+});
+
+/**
+ * Leaderboard dari profiles (season / all)
+ */
+const getProfileLeaderboard = async (period, limit) => {
+    const column = period === 'season' ? 'season_points' : 'total_experience';
+
+    const { data, error } = await supabase
+        .from('profiles')
+        .select(`email, ${column}, correct_predictions, total_predictions, current_streak`)
+        .not('email', 'is', null)
+        .gt(column, 0)
+        .order(column, { ascending: false })
+        .limit(limit);
+
+    if (error) {
+        return { success: false, error: error.message };
+    }
+
+    return {
+        success: true,
+        entries: (data || []).map((row, index) => ({
+            ...toEntry(row, index, row[column]),
+            current_streak: row.current_streak || 0
+        }))
+    };
+};
+
+/**
+ * Leaderboard dari points_ledger (week / month / per liga)
+ */
+const getLedgerLeaderboard = async (since, leagueId, limit) => {
+    // points_ledger gak kebaca anon (RLS), get_leaderboard cuma boleh service_role
+    if (!supabaseAdmin) {
+        return { success: false, error: 'Supabase service role not configured' };
+    }
+
+    const { data, error } = await supabaseAdmin.rpc('get_leaderboard', {
+        p_since: since ? since.toISOString() : null,
+        p_league_id: leagueId || null,
+        p_limit: limit
+    });
+
+    if (error) {
+        return { success: false, error: error.message };
+    }
+
+    return {
+        success: true,
+        entries: (data || []).map((row, index) => toEntry(row, index, row.points))
+    };
+};
+
+/**
+ * Leaderboard untuk periode + liga (opsional)
+ * @param {Object} options - { period, leagueId, limit }
+ */
+const getLeaderboard = async ({ period = 'season', leagueId = null, limit = DEFAULT_LIMIT } = {}) => {
+    if (!supabase) {
+        return { success: false, error: 'Database not configured' };
+    }
+
+    const safeLimit = Math.min(Math.max(parseInt(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const season = period === 'season' ? await getCurrentSeason() : null;
+    const since = period === 'season'
+        ? (season ? new Date(season.starts_at) : null)
+        : getPeriodStart(period);
+
+    const result = !leagueId && (period === 'season' || period === 'all')
+        ? await getProfileLeaderboard(period, safeLimit)
+        : await getLedgerLeaderboard(since, leagueId, safeLimit);
+
+    if (!result.success) {
+        return result;
+    }
+
+    return {
+        success: true,
+        period,
+        league: leagueId,
+        since: since ? since.toISOString() : null,
+        season,
+        entries: result.entries
+    };
+};
+
+/**
+ * List season (aktif + arsip)
+ */
+const getSeasons = async () => {
+    if (!supabase) {
+        return { success: false, error: 'Database not configured' };
+    }
+
+    const { data, error } = await supabase
+        .from('seasons')
+        .select('id, name, starts_at, ends_at, status, archived_at')
+        .order('starts_at', { ascending: false });
+
+    if (error) {
+        return { success: false, error: error.message };
+    }
+
+    return { success: true, seasons: data || [] };
+};
+
+/**
+ * Klasemen akhir season yang udah diarsip
+ */
+const getSeasonStandings = async (seasonId, limit = DEFAULT_LIMIT) => {
+    if (!supabase) {
+        return { success: false, error: 'Database not configured' };
+    }
+
+    const safeLimit = Math.min(Math.max(parseInt(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+    const [seasonResult, standingsResult] = await Promise.all([
+        supabase
+            .from('seasons')
+            .select('id, name, starts_at, ends_at, status, archived_at')
+            .eq('id', seasonId)
+            .maybeSingle(),
+        supabase
+            .from('season_standings')
+            .select('rank, display_name, season_points, correct_predictions, total_predictions')
+            .eq('season_id', seasonId)
+            .order('rank', { ascending: true })
+            .limit(safeLimit)
+    ]);
+
+    if (seasonResult.error || standingsResult.error) {
+        return { success: false, error: (seasonResult.error || standingsResult.error).message };
+    }
+
+    if (!seasonResult.data) {
+        return { success: false, notFound: true, error: 'Season not found' };
+    }
+
+    return {
+        success: true,
+        season: seasonResult.data,
+        entries: (standingsResult.data || []).map(row => ({
+            rank: row.rank,
+            name: row.display_name,
+            points: row.season_points,
+            correct_predictions: row.correct_predictions,
+            total_predictions: row.total_predictions
+        }))
+    };
+};
+
+/**
+ * Rollover season kalau udah lewat ends_at (dipanggil cron)
+ * Di-loop biar kalau server mati lewat beberapa season tetap kekejar
+ */
+const rolloverSeasonIfDue = async () => {
+    // rollover_season nulis table yang anon cuma bisa baca, jadi cuma boleh service_role
+    if (!supabaseAdmin) {
+        return { success: false, error: 'Supabase service role not configured' };
+    }
+
+    const rolled = [];
+
+    for (let i = 0; i < 12; i++) {
+        const { data, error } = await supabaseAdmin.rpc('rollover_season', {
+            p_length_months: SEASON_LENGTH_MONTHS
+        });
+
+        if (error) {
+            return { success: false, error: error.message, rolled };
+        }
+
+        if (!data?.rolled_over) break;
+        rolled.push(data);
+    }
+
+    return { success: true, rolled };
+};
+
+module.exports = {
+    getLeaderboard,
+    getSeasons,
+    getSeasonStandings,
+    rolloverSeasonIfDue,
+    getPeriodStart,
+    maskEmail,
+    PERIODS
+};
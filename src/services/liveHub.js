@@ -0,0 +1,363 @@
+/**
+ * Live Hub (WebSocket)
+ * Satu koneksi WebSocket buat live update semua sport
+ *
+ * Channel:
+ *   {sport}:live               - semua perubahan live di sport itu
+ *   {sport}:match:{id}         - satu match/game/fight
+ *   {sport}:league:{leagueId}  - semua match live di satu liga/turnamen/kategori
+ *
+ * Client kirim: { "action": "subscribe", "channels": ["football:match:123", "tennis:live"] }
+ *               { "action": "unsubscribe", "channels": [...] }
+ *
+ * Football di-feed dari liveScoreFeed (cron live sync), sport lain pake poller sendiri
+ * yang cuma jalan kalau ada subscriber, biar gak buang quota.
+ */
+
+const { WebSocketServer } = require('ws');
+const apiBasketball = require('./apiBasketball');
+const apiVolleyball = require('./apiVolleyball');
+const apiBaseball = require('./apiBaseball');
+const apiTennis = require('./apiTennis');
+const apiMMA = require('./apiMMA');
+const liveScoreFeed = require('./liveScoreFeed');
+
+const WS_PATH = process.env.LIVE_HUB_PATH || '/ws';
+const POLL_INTERVAL = parseInt(process.env.LIVE_HUB_POLL_INTERVAL) || 30000;
+const HEARTBEAT_INTERVAL = 30000;
+
+/**
+ * Config per sport: cara fetch live data, transform, dan ambil ID liga
+ */
+const POLLED_SPORTS = {
+    basketball: {
+        fetchLive: apiBasketball.getLiveGames,
+        transform: apiBasketball.transformGames,
+        getLeagueId: (game) => game.league?.id
+    },
+    volleyball: {
+        fetchLive: apiVolleyball.getLiveGames,
+        transform: apiVolleyball.transformGames,
+        getLeagueId: (game) => game.league?.id
+    },
+    baseball: {
+        fetchLive: apiBaseball.getLiveGames,
+        transform: apiBaseball.transformGames,
+        getLeagueId: (game) => game.league?.id
+    },
+    tennis: {
+        fetchLive: apiTennis.getLiveMatches,
+        transform: apiTennis.transformMatches,
+        getLeagueId: (match) => match.tournament?.key
+    },
+    mma: {
+        fetchLive: apiMMA.getLiveFights,
+        transform: apiMMA.transformFights,
+        getLeagueId: (fight) => fight.category?.id
+    }
+};
+
+const SPORTS = ['football', ...Object.keys(POLLED_SPORTS)];
+
+// channel -> Set<WebSocket>
+const channels = new Map();
+
+// sport -> Map<id, { item, hash }>
+const snapshots = new Map(SPORTS.map(sport => [sport, new Map()]));
+
+// sport -> interval handle
+const pollers = new Map();
+
+let wss = null;
+
+/**
+ * Validasi & parse nama channel
+ */
+const parseChannel = (channel) => {
+    const parts = String(channel || '').split(':');
+    const [sport, scope, key] = parts;
+
+    if (!SPORTS.includes(sport)) return null;
+    if (parts.length === 2 && scope === 'live') return { sport, scope };
+    if (parts.length === 3 && ['match', 'league'].includes(scope) && key) return { sport, scope, key };
+
+    return null;
+};
+
+const send = (socket, message) => {
+    if (socket.readyState === socket.OPEN) {
+        socket.send(JSON.stringify(message));
+    }
+};
+
+/**
+ * Kirim update ke semua subscriber channel terkait (live, match, league)
+ */
+const broadcast = (sport, id, leagueId, type, data) => {
+    const targets = [`${sport}:live`, `${sport}:match:${id}`];
+    if (leagueId !== undefined && leagueId !== null) {
+        targets.push(`${sport}:league:${leagueId}`);
+    }
+
+    const timestamp = new Date().toISOString();
+
+    for (const channel of targets) {
+        const sockets = channels.get(channel);
+        if (!sockets) continue;
+
+        for (const socket of sockets) {
+            send(socket, { type, channel, sport, id, data, timestamp });
+        }
+    }
+};
+
+/**
+ * Item yang sekarang ada di snapshot untuk satu channel
+ */
+const getChannelSnapshot = ({ sport, scope, key }) => {
+    const items = Array.from(snapshots.get(sport).values());
+
+    if (scope === 'match') {
+        return items.filter(entry => String(entry.id) === key).map(entry => entry.item);
+    }
+    if (scope === 'league') {
+        return items.filter(entry => String(entry.leagueId) === key).map(entry => entry.item);
+    }
+    return items.map(entry => entry.item);
+};
+
+// Field yang selalu berubah tiap sync tapi bukan perubahan beneran
+const VOLATILE_FIELDS_REPLACER = (key, value) => (key === 'last_updated' ? undefined : value);
+
+/**
+ * Bandingkan snapshot lama vs output transform terbaru
+ * Emit 'start' (masuk live), 'update' (ada perubahan), 'end' (keluar dari live)
+ */
+const applySnapshot = (sport, items, getId, getLeagueId) => {
+    const previous = snapshots.get(sport);
+    const next = new Map();
+    let changes = 0;
+
+    for (const item of items) {
+        const id = getId(item);
+        const leagueId = getLeagueId(item);
+        const hash = JSON.stringify(item, VOLATILE_FIELDS_REPLACER);
+        const old = previous.get(id);
+
+        next.set(id, { id, leagueId, item, hash });
+
+        if (!old) {
+            broadcast(sport, id, leagueId, 'start', item);
+            changes++;
+        } else if (old.hash !== hash) {
+            broadcast(sport, id, leagueId, 'update', item);
+            changes++;
+        }
+    }
+
+    for (const [id, old] of previous) {
+        if (!next.has(id)) {
+            broadcast(sport, id, old.leagueId, 'end', old.item);
+            changes++;
+        }
+    }
+
+    snapshots.set(sport, next);
+    return changes;
+};
+
+/**
+ * Poll live data satu sport
+ */
+const pollSport = async (sport) => {
+    const config = POLLED_SPORTS[sport];
+
+    try {
+        const result = await config.fetchLive();
+
+        if (!result.success) {
+            console.error(`❌ Live hub poll failed (${sport}):`, result.error);
+            return;
+        }
+
+        const items = config.transform(result.data);
+        const changes = applySnapshot(sport, items, item => item.id, config.getLeagueId);
+
+        if (changes > 0) {
+            console.log(`📡 Live hub ${sport}: ${changes} changes (${items.length} live)`);
+        }
+    } catch (error) {
+        console.error(`❌ Live hub poll error (${sport}):`, error.message);
+    }
+};
+
+const hasSubscribers = (sport) => {
+    for (const [channel, sockets] of channels) {
+        if (channel.startsWith(`${sport}:`) && sockets.size > 0) return true;
+    }
+    return false;
+};
+
+/**
+ * Start/stop poller tergantung ada subscriber atau nggak
+ */
+const updatePoller = (sport) => {
+    if (!POLLED_SPORTS[sport]) return;
+
+    const active = hasSubscribers(sport);
+
+    if (active && !pollers.has(sport)) {
+        console.log(`▶️  Live hub poller started: ${sport}`);
+        pollSport(sport);
+        pollers.set(sport, setInterval(() => pollSport(sport), POLL_INTERVAL));
+    } else if (!active && pollers.has(sport)) {
+        console.log(`⏹️  Live hub poller stopped: ${sport}`);
+        clearInterval(pollers.get(sport));
+        pollers.delete(sport);
+        snapshots.set(sport, new Map());
+    }
+};
+
+const subscribe = (socket, channel) => {
+    const parsed = parseChannel(channel);
+    if (!parsed) {
+        send(socket, { type: 'error', channel, error: 'Invalid channel' });
+        return;
+    }
+
+    if (!channels.has(channel)) channels.set(channel, new Set());
+    channels.get(channel).add(socket);
+    socket.channels.add(channel);
+
+    send(socket, {
+        type: 'snapshot',
+        channel,
+        sport: parsed.sport,
+        data: getChannelSnapshot(parsed),
+        timestamp: new Date().toISOString()
+    });
+
+    updatePoller(parsed.sport);
+};
+
+const unsubscribe = (socket, channel) => {
+    const sockets = channels.get(channel);
+    if (sockets) {
+        sockets.delete(socket);
+        if (sockets.size === 0) channels.delete(channel);
+    }
+    socket.channels.delete(channel);
+
+    const parsed = parseChannel(channel);
+    if (parsed) updatePoller(parsed.sport);
+};
+
+/**
+ * Handle message dari client
+ */
+const handleMessage = (socket, raw) => {
+    let message;
+    try {
+        message = JSON.parse(raw);
+    } catch (error) {
+        send(socket, { type: 'error', error: 'Invalid JSON' });
+        return;
+    }
+
+    // JSON valid tapi bukan object (null, 42, "x", [...]) → tolak, jangan sampai throw di listener ws
+    if (!message || typeof message !== 'object' || Array.isArray(message)) {
+        send(socket, { type: 'error', error: 'Message must be a JSON object' });
+        return;
+    }
+
+    const list = Array.isArray(message.channels)
+        ? message.channels
+        : (message.channel ? [message.channel] : []);
+
+    if (message.action === 'subscribe') {
+        list.forEach(channel => subscribe(socket, channel));
+        send(socket, { type: 'subscribed', channels: Array.from(socket.channels) });
+    } else if (message.action === 'unsubscribe') {
+        list.forEach(channel => unsubscribe(socket, channel));
+        send(socket, { type: 'unsubscribed', channels: Array.from(socket.channels) });
+    } else if (message.action === 'ping') {
+        send(socket, { type: 'pong', timestamp: new Date().toISOString() });
+    } else {
+        send(socket, { type: 'error', error: `Unknown action: ${message.action}` });
+    }
+};
+
+/**
+ * Attach WebSocket server ke HTTP server (dari app.listen)
+ */
+const attach = (server) => {
+    wss = new WebSocketServer({ server, path: WS_PATH });
+
+    wss.on('connection', (socket) => {
+        socket.channels = new Set();
+        socket.isAlive = true;
+
+        socket.on('pong', () => {
+            socket.isAlive = true;
+        });
+
+        socket.on('message', (raw) => handleMessage(socket, raw.toString()));
+
+        socket.on('close', () => {
+            for (const channel of Array.from(socket.channels)) {
+                unsubscribe(socket, channel);
+            }
+        });
+
+        send(socket, {
+            type: 'welcome',
+            sports: SPORTS,
+            channels: ['{sport}:live', '{sport}:match:{id}', '{sport}:league:{leagueId}']
+        });
+    });
+
+    // Putus koneksi yang udah gak respon ping
+    const heartbeat = setInterval(() => {
+        for (const socket of wss.clients) {
+            if (!socket.isAlive) {
+                socket.terminate();
+                continue;
+            }
+            socket.isAlive = false;
+            socket.ping();
+        }
+    }, HEARTBEAT_INTERVAL);
+
+    wss.on('close', () => clearInterval(heartbeat));
+
+    // Football: pake hasil live sync cron (gak nembak API lagi)
+    liveScoreFeed.onSnapshot(({ matches }) => {
+        applySnapshot('football', matches, match => match.id, match => match.league_id);
+    });
+
+    console.log(`🔌 Live hub WebSocket ready on ${WS_PATH}`);
+    return wss;
+};
+
+/**
+ * Status hub (jumlah client, channel aktif, poller)
+ */
+const getStatus = () => {
+    return {
+        clients: wss ? wss.clients.size : 0,
+        channels: Array.from(channels.entries()).map(([channel, sockets]) => ({
+            channel,
+            subscribers: sockets.size
+        })),
+        pollers: Array.from(pollers.keys())
+    };
+};
+
+module.exports = {
+    attach,
+    getStatus,
+    handleMessage,
+    parseChannel,
+    applySnapshot,
+    SPORTS
+};
@@ -0,0 +1,237 @@
+/**
+ * Live Score Feed
+ * Bandingkan snapshot live matches dari setiap syncLiveMatches dan publish perubahannya
+ * (goal, status, elapsed, red card) ke subscriber - dipake SSE /api/matches/live/stream
+ *
+ * Event disimpan di ring buffer biar client yang reconnect bisa resume via Last-Event-ID
+ */
+
+const { EventEmitter } = require('events');
+
+const BUFFER_SIZE = parseInt(process.env.LIVE_FEED_BUFFER_SIZE) || 500;
+
+// ID unik per proses - kalau server restart, Last-Event-ID lama otomatis invalid
+const BOOT_ID = Date.now().toString(36);
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+// Snapshot terakhir: fixture ID -> { row, redCards }
+let lastSnapshot = new Map();
+let lastSyncAt = null;
+
+const buffer = [];
+let sequence = 0;
+
+/**
+ * Hitung kartu merah per tim dari events bawaan response live=all
+ */
+const countRedCards = (match) => {
+    const counts = { home: 0, away: 0 };
+    const homeId = match.teams?.home?.id;
+
+    for (const event of match.events || []) {
+        if (event.type !== 'Card') continue;
+        if (!['Red Card', 'Second Yellow card'].includes(event.detail)) continue;
+
+        if (event.team?.id === homeId) counts.home++;
+        else counts.away++;
+    }
+
+    return counts;
+};
+
+/**
+ * Bandingkan satu match (previous vs current), return list perubahan
+ */
+const diffMatch = (previous, current) => {
+    const changes = [];
+    const prevRow = previous.row;
+    const row = current.row;
+
+    if (row.home_score !== prevRow.home_score || row.away_score !== prevRow.away_score) {
+        changes.push({
+            type: 'goal',
+            from: { home: prevRow.home_score, away: prevRow.away_score },
+            to: { home: row.home_score, away: row.away_score }
+        });
+    }
+
+    if (row.status_short !== prevRow.status_short) {
+        changes.push({
+            type: 'status',
+            from: prevRow.status_short,
+            to: row.status_short
+        });
+    }
+
+    if (row.elapsed !== prevRow.elapsed) {
+        changes.push({
+            type: 'elapsed',
+            from: prevRow.elapsed,
+            to: row.elapsed
+        });
+    }
+
+    for (const side of ['home', 'away']) {
+        if (current.redCards[side] > previous.redCards[side]) {
+            changes.push({
+                type: 'red_card',
+                team: side,
+                from: previous.redCards[side],
+                to: current.redCards[side]
+            });
+        }
+    }
+
+    return changes;
+};
+
+/**
+ * Simpan event ke buffer + kirim ke subscriber
+ */
+const publish = (change) => {
+    sequence++;
+
+    const event = {
+        id: `${BOOT_ID}:${sequence}`,
+        seq: sequence,
+        timestamp: new Date().toISOString(),
+        ...change
+    };
+
+    buffer.push(event);
+    if (buffer.length > BUFFER_SIZE) {
+        buffer.shift();
+    }
+
+    emitter.emit('change', event);
+    return event;
+};
+
+/**
+ * Proses hasil getLiveMatches - dipanggil dari syncLiveMatches
+ * @param {Array} rawMatches - response.data dari getLiveMatches (buat hitung kartu merah)
+ * @param {Array} rows - rawMatches yang udah di-transformMatch (urutan sama)
+ * @returns {Array} events yang di-publish
+ */
+const processLiveSnapshot = (rawMatches = [], rows = []) => {
+    const nextSnapshot = new Map();
+    const published = [];
+
+    rawMatches.forEach((match, index) => {
+        const row = rows[index];
+        nextSnapshot.set(row.id, { row, redCards: countRedCards(match) });
+    });
+
+    // Pertama kali jalan: cuma simpan baseline, jangan spam event
+    const isFirstRun = lastSyncAt === null;
+
+    if (!isFirstRun) {
+        for (const [matchId, current] of nextSnapshot) {
+            const previous = lastSnapshot.get(matchId);
+
+            if (!previous) {
+                published.push(publish({
+                    type: 'live',
+                    match_id: matchId,
+                    match: current.row
+                }));
+                continue;
+            }
+
+            for (const change of diffMatch(previous, current)) {
+                published.push(publish({
+                    ...change,
+                    match_id: matchId,
+                    match: current.row
+                }));
+            }
+        }
+
+        // Match yang udah gak ada di feed live (biasanya FT)
+        for (const [matchId, previous] of lastSnapshot) {
+            if (!nextSnapshot.has(matchId)) {
+                published.push(publish({
+                    type: 'removed',
+                    match_id: matchId,
+                    match: previous.row
+                }));
+            }
+        }
+    }
+
+    lastSnapshot = nextSnapshot;
+    lastSyncAt = new Date().toISOString();
+
+    emitter.emit('snapshot', getSnapshot());
+
+    if (published.length > 0) {
+        console.log(`📣 Live feed: ${published.length} changes published`);
+    }
+
+    return published;
+};
+
+/**
+ * Ambil event setelah Last-Event-ID tertentu
+ * @returns {Array|null} null kalau ID gak dikenal / udah keluar dari buffer (client butuh snapshot)
+ */
+const getEventsSince = (lastEventId) => {
+    if (!lastEventId) return null;
+
+    const [bootId, seqRaw] = String(lastEventId).split(':');
+    const seq = parseInt(seqRaw);
+
+    if (bootId !== BOOT_ID || Number.isNaN(seq) || seq > sequence) {
+        return null;
+    }
+
+    const oldest = buffer.length > 0 ? buffer[0].seq : sequence + 1;
+    if (seq < oldest - 1) {
+        return null;
+    }
+
+    return buffer.filter(event => event.seq > seq);
+};
+
+/**
+ * Snapshot live matches terakhir (format transformMatch)
+ */
+const getSnapshot = () => {
+    return {
+        matches: Array.from(lastSnapshot.values()).map(entry => entry.row),
+        lastSyncAt
+    };
+};
+
+/**
+ * Subscribe ke perubahan live score
+ * @returns {Function} unsubscribe
+ */
+const subscribe = (listener) => {
+    emitter.on('change', listener);
+    return () => emitter.off('change', listener);
+};
+
+/**
+ * Subscribe ke snapshot lengkap setiap kali live sync selesai
+ * @returns {Function} unsubscribe
+ */
+const onSnapshot = (listener) => {
+    emitter.on('snapshot', listener);
+    return () => emitter.off('snapshot', listener);
+};
+
+const getSubscriberCount = () => emitter.listenerCount('change');
+
+module.exports = {
+    processLiveSnapshot,
+    getEventsSince,
+    getSnapshot,
+    subscribe,
+    onSnapshot,
+    getSubscriberCount,
+    diffMatch,
+    countRedCards
+};
@@ -0,0 +1,316 @@
+/**
+ * Live Sync Planner
+ * Nentuin kapan live sync & daily sync football perlu nembak API-Football,
+ * berdasarkan jadwal kickoff di table matches:
+ *
+ * - Gak ada match yang lagi main / mau kickoff → live sync idle (gak polling sama sekali)
+ * - Ada match liga tier-1 (POPULAR_LEAGUES) atau yang di-follow user → polling cepat
+ * - Match lain → polling normal
+ * - Daily sync tiap 15 menit kalau ada match hari ini yang belum selesai, selain itu tiap jam
+ * - Quota harian tipis (header response terakhir / getApiStatus) → interval dikali, quota hampir habis → polling berhenti
+ *
+ * Dipasang sebagai shouldRun di job liveSync / dailySync (src/jobs/cronJobs.js)
+ */
+
+const { supabase, supabaseAdmin } = require('../config/database');
+const apiFootball = require('./apiFootball');
+const quotaBudget = require('./quotaBudget');
+
+const FAST_INTERVAL = parseInt(process.env.LIVE_SYNC_FAST_SECONDS) || 20;
+const NORMAL_INTERVAL = parseInt(process.env.LIVE_SYNC_NORMAL_SECONDS) || 60;
+const PREMATCH_MINUTES = parseInt(process.env.LIVE_SYNC_PREMATCH_MINUTES) || 15;
+const DAILY_ACTIVE_INTERVAL = 15 * 60;
+const DAILY_IDLE_INTERVAL = (parseInt(process.env.DAILY_SYNC_IDLE_MINUTES) || 60) * 60;
+
+// Kickoff lebih dari 3 jam lalu dianggap udah lewat (yang masih LIVE = stuck, urusan fixStuckMatches)
+const MATCH_WINDOW_HOURS = 3;
+// Daily sync dianggap "aktif" kalau ada kickoff dalam 2 jam ke depan
+const UPCOMING_HOURS = 2;
+
+const WINDOW_CACHE_MS = 60 * 1000;
+const FOLLOWS_CACHE_MS = 10 * 60 * 1000;
+// = cap row PostgREST per request, followed_entities dibaca per page
+const FOLLOWS_PAGE_SIZE = 1000;
+const QUOTA_CACHE_MS = 10 * 60 * 1000;
+
+// Toleransi jitter tick cron (detik)
+const TICK_TOLERANCE = 2;
+
+const DONE_STATUSES = ['FT', 'AET', 'PEN', 'PST', 'CANC', 'ABD', 'AWD', 'WO'];
+
+/**
+ * Backoff berdasarkan sisa quota harian: [sisa minimal, pengali interval]
+ * Di bawah threshold terakhir polling berhenti sampai quota reset
+ */
+const QUOTA_BACKOFF = [
+    [0.25, 1],
+    [0.10, 2],
+    [0.03, 4]
+];
+
+const state = {
+    lastLiveSyncAt: null,
+    lastDailySyncAt: null,
+    mode: null,
+    window: { rows: null, fetchedAt: 0 },
+    follows: { leagues: new Set(), teams: new Set(), fixtures: new Set(), fetchedAt: 0 },
+    quota: { factor: 1, paused: false, remaining: null, limit: null, fetchedAt: 0 }
+};
+
+/**
+ * Match dengan kickoff dalam window [now - 3 jam, now + 2 jam] yang belum selesai
+ * Returns: array row, atau null kalau DB gak ada / error (planner fallback ke polling normal)
+ */
+const getWindowMatches = async (now) => {
+    if (!supabase) return null;
+
+    if (state.window.rows && now - state.window.fetchedAt < WINDOW_CACHE_MS) {
+        return state.window.rows;
+    }
+
+    const from = new Date(now.getTime() - MATCH_WINDOW_HOURS * 60 * 60 * 1000);
+    const to = new Date(now.getTime() + UPCOMING_HOURS * 60 * 60 * 1000);
+
+    const { data, error } = await supabase
+        .from('matches')
+        .select('id, date, league_id, home_team_id, away_team_id, status_short, is_live')
+        .gte('date', from.toISOString())
+        .lte('date', to.toISOString())
+        .not('status_short', 'in', `(${DONE_STATUSES.join(',')})`);
+
+    if (error) {
+        console.error('❌ Live sync planner: error fetching match window:', error.message);
+        return null;
+    }
+
+    state.window = { rows: data || [], fetchedAt: now.getTime() };
+    return state.window.rows;
+};
+
+/**
+ * Liga / tim / fixture yang di-follow minimal satu user (view followed_entities, distinct per entity)
+ * Dipake juga statSnapshots buat milih fixture yang statistiknya direkam
+ */
+const getFollows = async (now = new Date()) => {
+    // notification_follows gak bisa dibaca anon (RLS)
+    if (!supabaseAdmin || now - state.follows.fetchedAt < FOLLOWS_CACHE_MS) {
+        return state.follows;
+    }
+
+    const follows = { leagues: new Set(), teams: new Set(), fixtures: new Set(), fetchedAt: now.getTime() };
+    const sets = { league: follows.leagues, team: follows.teams, fixture: follows.fixtures };
+
+    for (let from = 0; ; from += FOLLOWS_PAGE_SIZE) {
+        const { data, error } = await supabaseAdmin
+            .from('followed_entities')
+            .select('entity_type, entity_id')
+            .order('entity_type', { ascending: true })
+            .order('entity_id', { ascending: true })
+            .range(from, from + FOLLOWS_PAGE_SIZE - 1);
+
+        // Page gagal di tengah → pake cache lama, jangan set setengah jadi
+        if (error) {
+            console.error('❌ Live sync planner: error fetching follows:', error.message);
+            return state.follows;
+        }
+
+        for (const row of data || []) {
+            sets[row.entity_type]?.add(Number(row.entity_id));
+        }
+
+        if (!data || data.length < FOLLOWS_PAGE_SIZE) break;
+    }
+
+    state.follows = follows;
+    return follows;
+};
+
+/**
+ * Sisa quota harian API-Football: dari header response terakhir (quotaBudget) kalau masih fresh,
+ * selain itu nanya /status. Returns: { limit, remaining } atau null
+ */
+const fetchQuota = async (now) => {
+    const tracked = quotaBudget.getProviderQuota('football');
+    if (tracked && now - tracked.updatedAt < QUOTA_CACHE_MS) {
+        return { limit: tracked.limit, remaining: tracked.remaining };
+    }
+
+    const status = await apiFootball.getApiStatus();
+    const requests = status.success ? status.data?.requests : null;
+
+    if (!requests?.limit_day) return null;
+
+    return { limit: requests.limit_day, remaining: Math.max(requests.limit_day - requests.current, 0) };
+};
+
+/**
+ * Sisa quota harian API-Football → pengali interval
+ * Kalau status gagal diambil, anggap quota aman (factor 1)
+ */
+const getQuotaState = async (now) => {
+    if (now - state.quota.fetchedAt < QUOTA_CACHE_MS) {
+        return state.quota;
+    }
+
+    const quota = await fetchQuota(now);
+
+    if (!quota) {
+        state.quota = { factor: 1, paused: false, remaining: null, limit: null, fetchedAt: now.getTime() };
+        return state.quota;
+    }
+
+    const ratio = quota.remaining / quota.limit;
+    const step = QUOTA_BACKOFF.find(([minRatio]) => ratio >= minRatio);
+
+    state.quota = {
+        factor: step ? step[1] : null,
+        paused: !step,
+        remaining: quota.remaining,
+        limit: quota.limit,
+        fetchedAt: now.getTime()
+    };
+
+    if (state.quota.paused) {
+        console.warn(`⚠️  API quota almost exhausted (${quota.remaining}/${quota.limit} left), pausing football sync`);
+    }
+
+    return state.quota;
+};
+
+const isPriorityMatch = (match, follows) =>
+    apiFootball.POPULAR_LEAGUES.includes(match.league_id) ||
+    follows.leagues.has(match.league_id) ||
+    follows.teams.has(match.home_team_id) ||
+    follows.teams.has(match.away_team_id) ||
+    follows.fixtures.has(Number(match.id));
+
+/**
+ * Match yang lagi main atau kickoff dalam PREMATCH_MINUTES ke depan
+ */
+const getActiveMatches = (rows, now) => {
+    const prematchUntil = now.getTime() + PREMATCH_MINUTES * 60 * 1000;
+    return rows.filter(match => match.is_live || new Date(match.date).getTime() <= prematchUntil);
+};
+
+const isDue = (lastRunAt, intervalSeconds, now) =>
+    !lastRunAt || (now - lastRunAt) / 1000 >= intervalSeconds - TICK_TOLERANCE;
+
+/**
+ * Log cuma kalau mode berubah (biar gak spam tiap tick)
+ */
+const setMode = (mode, message) => {
+    if (state.mode === mode) return;
+    state.mode = mode;
+    console.log(message);
+};
+
+/**
+ * Rencana live sync untuk tick ini
+ * Returns: { run, reason, mode, intervalSeconds, activeMatches, priorityMatches }
+ */
+const planLiveSync = async (now = new Date()) => {
+    const quota = await getQuotaState(now);
+
+    if (quota.paused) {
+        setMode('paused', '⏸️  Live sync paused: API quota almost exhausted');
+        return { run: false, reason: 'quota_exhausted', mode: 'paused' };
+    }
+
+    const rows = await getWindowMatches(now);
+
+    // Gak bisa baca jadwal → polling normal kayak dulu
+    if (rows === null) {
+        const intervalSeconds = NORMAL_INTERVAL * quota.factor;
+        setMode('fallback', `⚡ Live sync fallback mode (no schedule data), every ${intervalSeconds}s`);
+        const run = isDue(state.lastLiveSyncAt, intervalSeconds, now);
+        return { run, reason: run ? 'fallback' : 'not_due', mode: 'fallback', intervalSeconds };
+    }
+
+    const active = getActiveMatches(rows, now);
+
+    if (active.length === 0) {
+        setMode('idle', '💤 Live sync idle: no matches in or near play');
+        return { run: false, reason: 'idle', mode: 'idle', activeMatches: 0 };
+    }
+
+    const follows = await getFollows(now);
+    const priorityMatches = active.filter(match => isPriorityMatch(match, follows)).length;
+    const mode = priorityMatches > 0 ? 'fast' : 'normal';
+    const intervalSeconds = (mode === 'fast' ? FAST_INTERVAL : NORMAL_INTERVAL) * quota.factor;
+
+    setMode(mode, `⚡ Live sync ${mode} mode: ${active.length} matches (${priorityMatches} priority), every ${intervalSeconds}s`);
+
+    const run = isDue(state.lastLiveSyncAt, intervalSeconds, now);
+
+    return {
+        run,
+        reason: run ? mode : 'not_due',
+        mode,
+        intervalSeconds,
+        activeMatches: active.length,
+        priorityMatches
+    };
+};
+
+/**
+ * Rencana daily sync: 15 menit kalau ada match yang lagi/mau main, selain itu DAILY_SYNC_IDLE_MINUTES
+ */
+const planDailySync = async (now = new Date()) => {
+    const quota = await getQuotaState(now);
+
+    if (quota.paused) {
+        return { run: false, reason: 'quota_exhausted' };
+    }
+
+    const rows = await getWindowMatches(now);
+    const hasMatches = rows === null || rows.length > 0;
+    const intervalSeconds = (hasMatches ? DAILY_ACTIVE_INTERVAL : DAILY_IDLE_INTERVAL) * quota.factor;
+    const run = isDue(state.lastDailySyncAt, intervalSeconds, now);
+
+    return { run, reason: run ? (hasMatches ? 'active' : 'idle') : 'not_due', intervalSeconds };
+};
+
+/**
+ * Dipanggil handler job waktu sync beneran jalan
+ */
+const markLiveSync = (now = new Date()) => {
+    state.lastLiveSyncAt = now.getTime();
+};
+
+const markDailySync = (now = new Date()) => {
+    state.lastDailySyncAt = now.getTime();
+    // Daily sync baru update status/kickoff → window di-refresh tick berikutnya
+    state.window.fetchedAt = 0;
+};
+
+/**
+ * Status planner buat GET /api/status
+ */
+const getStatus = () => ({
+    mode: state.mode,
+    lastLiveSyncAt: state.lastLiveSyncAt ? new Date(state.lastLiveSyncAt).toISOString() : null,
+    lastDailySyncAt: state.lastDailySyncAt ? new Date(state.lastDailySyncAt).toISOString() : null,
+    windowMatches: state.window.rows ? state.window.rows.length : null,
+    quota: {
+        remaining: state.quota.remaining,
+        limit: state.quota.limit,
+        backoffFactor: state.quota.factor,
+        paused: state.quota.paused
+    },
+    intervals: {
+        fast: FAST_INTERVAL,
+        normal: NORMAL_INTERVAL,
+        dailyActive: DAILY_ACTIVE_INTERVAL,
+        dailyIdle: DAILY_IDLE_INTERVAL
+    }
+});
+
+module.exports = {
+    planLiveSync,
+    planDailySync,
+    markLiveSync,
+    markDailySync,
+    getStatus,
+    getFollows,
+    isPriorityMatch
+};
@@ -0,0 +1,486 @@
+/**
+ * Match Archive
+ * Copy permanen detail match yang udah selesai (events, lineups, statistics, rating pemain)
+ * Table matches cuma nyimpen skor dan dihapus cleanupOldMatches setelah 30 hari, jadi tanpa ini
+ * halaman detail match lama (atau waktu API down) kosong
+ *
+ * Finalize:
+ * - Otomatis waktu matchSync deteksi match.fulltime (eventBus), lihat start()
+ *   Data provider pas FT masih sementara (rating & statistik suka dikoreksi belakangan), jadi copy ini
+ *   belum complete sampai MATCH_ARCHIVE_SETTLE_MINUTES lewat dari fulltime_at
+ * - Job matchArchive nyapu match FT/AET/PEN MATCH_ARCHIVE_LOOKBACK_HOURS terakhir yang belum ke-arsip
+ *   (event kelewat, API error, data belum lengkap, copy FT yang udah settle), maksimal
+ *   MATCH_ARCHIVE_MAX_ATTEMPTS kali per match (percobaan sebelum settle gak dihitung)
+ *
+ * Tables (tanpa FK ke matches biar tetap ada setelah cleanup):
+ *   match_archives            - satu row per match: fixture canonical, counts, complete, attempts
+ *   match_archive_events      - satu row per event (urutan provider di seq)
+ *   match_archive_lineups     - satu row per tim
+ *   match_archive_statistics  - satu row per tim
+ *   match_archive_players     - satu row per pemain (rating, menit main, statistics /fixtures/players)
+ * Row detail di-upsert per key (ARCHIVE_TABLES) lalu sisanya dihapus, jadi copy lama gak pernah kosong
+ *
+ * Cuma fixture API-Football (ID numerik), sama kayak table matches
+ */
+
+const { supabase } = require('../config/database');
+const footballProvider = require('./footballProvider');
+const apiFootball = require('./apiFootball');
+const eventBus = require('./eventBus');
+const quotaBudget = require('./quotaBudget');
+const { EVENT_TYPES } = require('./matchEvents');
+
+const FINISHED_STATUSES = ['FT', 'AET', 'PEN'];
+const MAX_ATTEMPTS = parseInt(process.env.MATCH_ARCHIVE_MAX_ATTEMPTS) || 3;
+const LOOKBACK_HOURS = parseInt(process.env.MATCH_ARCHIVE_LOOKBACK_HOURS) || 48;
+const BATCH_SIZE = parseInt(process.env.MATCH_ARCHIVE_BATCH_SIZE) || 20;
+const SETTLE_MINUTES = parseInt(process.env.MATCH_ARCHIVE_SETTLE_MINUTES) || 60;
+// Sweep baca match selesai per page: gak kepotong cap 1000 row PostgREST, dan .in() ke match_archives tetap pendek
+const PAGE_SIZE = 200;
+
+const PARTS = ['events', 'lineups', 'statistics', 'players'];
+
+// Table detail per bagian + key unik satu row di dalam satu match (UNIQUE (match_id, key))
+const ARCHIVE_TABLES = {
+    events: { table: 'match_archive_events', key: 'seq' },
+    lineups: { table: 'match_archive_lineups', key: 'team_id' },
+    statistics: { table: 'match_archive_statistics', key: 'team_id' },
+    players: { table: 'match_archive_players', key: 'player_id' }
+};
+
+let isStarted = false;
+
+const isArchivable = (matchId) => /^\d+$/.test(String(matchId));
+
+/**
+ * Udah SETTLE_MINUTES lewat dari pertama kali match ketahuan selesai?
+ * Row tanpa fulltime_at (belum pernah kebaca selesai) dianggap settle
+ */
+const isSettled = (archive) =>
+    !archive?.fulltime_at || Date.now() - Date.parse(archive.fulltime_at) >= SETTLE_MINUTES * 60 * 1000;
+
+/**
+ * Urutin entry per tim: home dulu, lalu away
+ */
+const homeFirst = (homeId) => (a, b) =>
+    (String(b.team_id) === String(homeId)) - (String(a.team_id) === String(homeId));
+
+// ============================================
+// Canonical (format API-Football) ↔ row table
+// ============================================
+
+const toEventRows = (matchId, events) => (events || []).map((event, seq) => ({
+    match_id: matchId,
+    seq,
+    elapsed: event.time?.elapsed ?? null,
+    extra: event.time?.extra ?? null,
+    team_id: event.team?.id ?? null,
+    team_name: event.team?.name ?? null,
+    player_id: event.player?.id ?? null,
+    player_name: event.player?.name ?? null,
+    assist_id: event.assist?.id ?? null,
+    assist_name: event.assist?.name ?? null,
+    type: event.type ?? null,
+    detail: event.detail ?? null,
+    comments: event.comments ?? null
+}));
+
+const fromEventRows = (rows) => [...rows]
+    .sort((a, b) => a.seq - b.seq)
+    .map(row => ({
+        time: { elapsed: row.elapsed, extra: row.extra },
+        team: { id: row.team_id, name: row.team_name },
+        player: { id: row.player_id, name: row.player_name },
+        assist: { id: row.assist_id, name: row.assist_name },
+        type: row.type,
+        detail: row.detail,
+        comments: row.comments
+    }));
+
+const toLineupRows = (matchId, lineups) => (lineups || []).map(lineup => ({
+    match_id: matchId,
+    team_id: lineup.team?.id ?? null,
+    team: lineup.team || null,
+    formation: lineup.formation || null,
+    coach: lineup.coach || null,
+    start_xi: lineup.startXI || [],
+    substitutes: lineup.substitutes || []
+}));
+
+const fromLineupRows = (rows, homeId) => [...rows]
+    .sort(homeFirst(homeId))
+    .map(row => ({
+        team: row.team,
+        formation: row.formation,
+        coach: row.coach,
+        startXI: row.start_xi || [],
+        substitutes: row.substitutes || []
+    }));
+
+const toStatisticsRows = (matchId, statistics) => (statistics || []).map(teamStats => ({
+    match_id: matchId,
+    team_id: teamStats.team?.id ?? null,
+    team: teamStats.team || null,
+    statistics: teamStats.statistics || []
+}));
+
+const fromStatisticsRows = (rows, homeId) => [...rows]
+    .sort(homeFirst(homeId))
+    .map(row => ({ team: row.team, statistics: row.statistics || [] }));
+
+/**
+ * /fixtures/players ([{ team, players: [{ player, statistics: [{ games: { rating, minutes, ... } }] }] }])
+ * → satu row per pemain, rating jadi angka biar bisa di-query
+ * Pemain tanpa ID di-skip: row-nya di-key pake player_id
+ */
+const toPlayerRows = (matchId, teams) => (teams || []).flatMap(entry =>
+    (entry.players || []).filter(({ player }) => player?.id != null).map(({ player, statistics }) => {
+        const games = statistics?.[0]?.games || {};
+        const rating = parseFloat(games.rating);
+
+        return {
+            match_id: matchId,
+            team_id: entry.team?.id ?? null,
+            team_name: entry.team?.name ?? null,
+            player_id: player?.id ?? null,
+            player_name: player?.name ?? null,
+            player_photo: player?.photo ?? null,
+            number: games.number ?? null,
+            position: games.position ?? null,
+            minutes: games.minutes ?? null,
+            rating: Number.isFinite(rating) ? rating : null,
+            statistics: statistics || []
+        };
+    })
+);
+
+const fromPlayerRows = (rows, homeId) => {
+    const teams = new Map();
+
+    for (const row of [...rows].sort(homeFirst(homeId))) {
+        const key = String(row.team_id);
+
+        if (!teams.has(key)) {
+            teams.set(key, { team: { id: row.team_id, name: row.team_name }, players: [] });
+        }
+
+        teams.get(key).players.push({
+            player: { id: row.player_id, name: row.player_name, photo: row.player_photo },
+            statistics: row.statistics || []
+        });
+    }
+
+    return [...teams.values()];
+};
+
+// ============================================
+// Database
+// ============================================
+
+/**
+ * Ganti semua row satu match di table detail (finalize ulang gak bikin duplikat)
+ * Upsert dulu per (match_id, key), baru hapus row yang key-nya udah gak ada. Kalau gagal di tengah,
+ * yang kebaca paling campuran copy lama & baru, gak pernah kosong kayak delete + insert
+ */
+const replaceRows = async (part, matchId, rows) => {
+    const { table, key } = ARCHIVE_TABLES[part];
+
+    // Key dobel di satu upsert ditolak Postgres, ambil yang terakhir
+    const unique = [...new Map(rows.map(row => [String(row[key]), row])).values()];
+
+    const { error } = await supabase
+        .from(table)
+        .upsert(unique, { onConflict: `match_id,${key}`, ignoreDuplicates: false });
+
+    if (error) throw new Error(`${table}: ${error.message}`);
+
+    const { error: deleteError } = await supabase
+        .from(table)
+        .delete()
+        .eq('match_id', matchId)
+        .not(key, 'in', `(${unique.map(row => row[key]).join(',')})`);
+
+    if (deleteError) throw new Error(`${table}: ${deleteError.message}`);
+
+    return unique.length;
+};
+
+const getArchiveRow = async (matchId) => {
+    const { data, error } = await supabase
+        .from('match_archives')
+        .select('*')
+        .eq('match_id', matchId)
+        .maybeSingle();
+
+    if (error) throw new Error(`match_archives: ${error.message}`);
+    return data || null;
+};
+
+const saveArchiveRow = async (row) => {
+    const { error } = await supabase
+        .from('match_archives')
+        .upsert({ ...row, updated_at: new Date().toISOString() }, {
+            onConflict: 'match_id',
+            ignoreDuplicates: false
+        });
+
+    if (error) throw new Error(`match_archives: ${error.message}`);
+};
+
+/**
+ * Catat percobaan gagal biar job gak nyoba terus-terusan
+ */
+const markFailedAttempt = async (matchId, previous, message) => {
+    try {
+        await saveArchiveRow({
+            match_id: matchId,
+            complete: previous?.complete || false,
+            attempts: (previous?.attempts || 0) + 1,
+            last_error: message
+        });
+    } catch (error) {
+        console.error(`❌ Error recording archive attempt for ${matchId}:`, error.message);
+    }
+};
+
+/**
+ * Fetch dan simpan events, lineups, statistics, rating pemain satu match yang udah selesai
+ * Bagian yang kosong dari provider gak nimpa copy lama; match dianggap complete kalau
+ * keempatnya ada isinya dan udah settle (kalau nggak, dicoba lagi job matchArchive sampai MAX_ATTEMPTS)
+ * Returns: { success, complete, settled, counts } / { success: false, error }
+ */
+const finalizeMatch = async (matchId) => {
+    if (!supabase) {
+        return { success: false, error: 'Supabase not configured' };
+    }
+
+    if (!isArchivable(matchId)) {
+        return { success: false, error: `Fixture ${matchId} is not an API-Football fixture` };
+    }
+
+    const id = Number(matchId);
+    let previous = null;
+
+    try {
+        previous = await getArchiveRow(id);
+
+        const matchResult = await footballProvider.getMatchById(id, {
+            statistics: true,
+            events: true,
+            lineups: true
+        });
+
+        if (!matchResult.success) {
+            await markFailedAttempt(id, previous, matchResult.error);
+            return { success: false, error: matchResult.error };
+        }
+
+        const { events, lineups, statistics, ...fixture } = matchResult.data;
+
+        if (!FINISHED_STATUSES.includes(fixture.status?.short)) {
+            const message = `Match ${id} is not finished (${fixture.status?.short})`;
+            await markFailedAttempt(id, previous, message);
+            return { success: false, error: message };
+        }
+
+        const fulltimeAt = previous?.fulltime_at || new Date().toISOString();
+        const settled = isSettled({ fulltime_at: fulltimeAt });
+
+        const playersResult = await apiFootball.getFixturePlayers(id);
+
+        const parts = {
+            events: toEventRows(id, events),
+            lineups: toLineupRows(id, lineups),
+            statistics: toStatisticsRows(id, statistics),
+            players: toPlayerRows(id, playersResult.success ? playersResult.data : [])
+        };
+
+        const counts = {};
+        const failed = [];
+
+        for (const part of PARTS) {
+            const rows = parts[part];
+
+            // Kosong dari provider → copy lama dibiarin, count-nya ikut yang lama
+            if (rows.length === 0) {
+                counts[part] = previous?.counts?.[part] || 0;
+                continue;
+            }
+
+            // Table yang udah disentuh gak boleh pake count lama: gagal nulis = bagian itu belum ada
+            try {
+                counts[part] = await replaceRows(part, id, rows);
+            } catch (error) {
+                console.error(`❌ Error archiving ${part} for match ${id}:`, error.message);
+                counts[part] = 0;
+                failed.push(error.message);
+            }
+        }
+
+        const missing = PARTS.filter(part => counts[part] === 0);
+        const complete = settled && missing.length === 0;
+        const problems = [...failed, ...(missing.length > 0 ? [`Missing ${missing.join(', ')}`] : [])];
+
+        await saveArchiveRow({
+            match_id: id,
+            provider: matchResult.provider,
+            status_short: fixture.status.short,
+            fixture,
+            counts,
+            complete,
+            attempts: (previous?.attempts || 0) + (settled ? 1 : 0),
+            last_error: problems.length > 0 ? problems.join('; ') : null,
+            fulltime_at: fulltimeAt,
+            finalized_at: new Date().toISOString()
+        });
+
+        console.log(`🗄️  Archived match ${id}${settled ? '' : ' (provisional)'} (${PARTS.map(part => `${part}=${counts[part]}`).join(', ')})`);
+
+        return { success: true, complete, settled, counts };
+    } catch (error) {
+        console.error(`❌ Error archiving match ${id}:`, error.message);
+        await markFailedAttempt(id, previous, error.message);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Detail match dari arsip
+ * Returns: null kalau belum di-arsip, selain itu
+ *   { fixture (canonical + events/lineups/statistics), players, provider, complete, finalized_at }
+ */
+const getArchivedMatch = async (matchId) => {
+    if (!supabase || !isArchivable(matchId)) return null;
+
+    const archive = await getArchiveRow(Number(matchId));
+    if (!archive?.fixture) return null;
+
+    const fetchRows = async (table) => {
+        const { data, error } = await supabase
+            .from(table)
+            .select('*')
+            .eq('match_id', archive.match_id);
+
+        if (error) throw new Error(`${table}: ${error.message}`);
+        return data || [];
+    };
+
+    const [events, lineups, statistics, players] = await Promise.all([
+        fetchRows('match_archive_events'),
+        fetchRows('match_archive_lineups'),
+        fetchRows('match_archive_statistics'),
+        fetchRows('match_archive_players')
+    ]);
+
+    const homeId = archive.fixture.teams?.home?.id;
+
+    return {
+        fixture: {
+            ...archive.fixture,
+            events: fromEventRows(events),
+            lineups: fromLineupRows(lineups, homeId),
+            statistics: fromStatisticsRows(statistics, homeId)
+        },
+        players: fromPlayerRows(players, homeId),
+        provider: archive.provider,
+        complete: archive.complete,
+        finalized_at: archive.finalized_at
+    };
+};
+
+/**
+ * Match FT/AET/PEN LOOKBACK_HOURS terakhir yang belum ke-arsip, atau belum lengkap dan masih di bawah MAX_ATTEMPTS
+ * Copy FT yang belum settle ditunggu dulu, baru di-finalize ulang sekali setelah SETTLE_MINUTES
+ * Dipanggil job matchArchive, maksimal limit match per run biar quota gak kebakar
+ */
+const archivePendingMatches = async (limit = BATCH_SIZE) => {
+    if (!supabase) {
+        return { success: false, error: 'Supabase not configured' };
+    }
+
+    const cutoff = new Date(Date.now() - LOOKBACK_HOURS * 60 * 60 * 1000).toISOString();
+    const pending = [];
+
+    for (let from = 0; ; from += PAGE_SIZE) {
+        const { data: finished, error } = await supabase
+            .from('matches')
+            .select('id')
+            .in('status_short', FINISHED_STATUSES)
+            .gte('date', cutoff)
+            .order('date', { ascending: true })
+            .order('id', { ascending: true })
+            .range(from, from + PAGE_SIZE - 1);
+
+        if (error) {
+            return { success: false, error: error.message };
+        }
+
+        const ids = (finished || []).map(match => match.id);
+        if (ids.length === 0) break;
+
+        const { data: archives, error: archiveError } = await supabase
+            .from('match_archives')
+            .select('match_id, complete, attempts, fulltime_at')
+            .in('match_id', ids);
+
+        if (archiveError) {
+            return { success: false, error: archiveError.message };
+        }
+
+        const archived = new Map((archives || []).map(row => [String(row.match_id), row]));
+        pending.push(...ids.filter(id => {
+            const row = archived.get(String(id));
+            return !row || (!row.complete && (row.attempts || 0) < MAX_ATTEMPTS && isSettled(row));
+        }));
+
+        if (ids.length < PAGE_SIZE) break;
+    }
+
+    let archivedCount = 0;
+    let failed = 0;
+
+    for (const id of pending.slice(0, limit)) {
+        const result = await finalizeMatch(id);
+
+        if (result.success) {
+            archivedCount++;
+        } else {
+            failed++;
+        }
+    }
+
+    return { success: true, pending: pending.length, archived: archivedCount, failed };
+};
+
+/**
+ * Handler match.fulltime: finalize langsung, quota-nya atas nama consumer matchArchive
+ */
+const handleFulltime = (event) =>
+    quotaBudget.runWith({ consumer: 'matchArchive', priority: 'normal' }, () => finalizeMatch(event.match_id));
+
+/**
+ * Subscribe ke match.fulltime (dipanggil sekali dari index.js)
+ */
+const start = () => {
+    if (isStarted) return;
+
+    if (!supabase) {
+        console.log('⚠️  Supabase not configured - match archive disabled');
+        return;
+    }
+
+    eventBus.on(EVENT_TYPES.FULLTIME, handleFulltime);
+
+    isStarted = true;
+    console.log('🗄️  Match archive started');
+};
+
+module.exports = {
+    start,
+    finalizeMatch,
+    getArchivedMatch,
+    archivePendingMatches,
+    handleFulltime,
+    MAX_ATTEMPTS,
+    SETTLE_MINUTES
+};
@@ -0,0 +1,200 @@
+/**
+ * Match Day Simulator
+ * Replay match yang udah direkam (fixture detail API-Football + events) menit per menit
+ * lewat matchSync.syncLiveMatches, biar flow live (skor, event, SSE, notifikasi, live hub)
+ * bisa dicoba lokal tanpa API key dan tanpa nunggu match beneran
+ *
+ * - Detail match diambil lewat apiFootball.getMatchById (HTTP_MODE=replay → dari fixture rekaman)
+ * - Tiap tick, response /fixtures?live=all di-intercept (httpClient.intercept) dengan frame menit itu:
+ *   status 1H/HT/2H/ET/P, skor dan events sampai menit itu
+ * - Match yang selesai hilang dari feed live, lalu hasil akhirnya disimpan kayak daily sync
+ *
+ * CLI: npm run simulate -- <fixtureId...> [--speed=1000] [--from=0]
+ */
+
+const apiFootball = require('./apiFootball');
+const httpClient = require('./httpClient');
+const cache = require('./cache');
+const matchSync = require('./matchSync');
+const normalizer = require('./matchNormalizer');
+
+const LIVE_URL = 'https://v3.football.api-sports.io/fixtures';
+const LIVE_PARAMS = { live: 'all' };
+
+const SHOOTOUT_COMMENT = 'Penalty Shootout';
+const EXTRA_TIME_FINISHES = ['AET', 'PEN'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const isShootoutEvent = (event) => event.comments === SHOOTOUT_COMMENT;
+
+const isScoringGoal = (event) =>
+    event.type === 'Goal' && event.detail !== 'Missed Penalty' && !isShootoutEvent(event);
+
+/**
+ * Hitung skor dari events sampai menit tertentu
+ * @param {boolean} ownGoalForOpponent - own goal dicatat di tim pemain (true) atau tim yang dapet gol
+ */
+const countGoals = (events, homeId, ownGoalForOpponent) => {
+    const goals = { home: 0, away: 0 };
+
+    for (const event of events.filter(isScoringGoal)) {
+        let isHome = event.team?.id === homeId;
+        if (event.detail === 'Own Goal' && ownGoalForOpponent) isHome = !isHome;
+        goals[isHome ? 'home' : 'away']++;
+    }
+
+    return goals;
+};
+
+/**
+ * Urutan frame live: 1'..45', HT, 46'..90', (BT, 91'..120'), (P)
+ */
+const buildSteps = (finalStatus) => {
+    const steps = [];
+
+    for (let minute = 1; minute <= 45; minute++) steps.push({ short: '1H', minute });
+    steps.push({ short: 'HT', minute: 45 });
+    for (let minute = 46; minute <= 90; minute++) steps.push({ short: '2H', minute });
+
+    if (EXTRA_TIME_FINISHES.includes(finalStatus)) {
+        steps.push({ short: 'BT', minute: 90 });
+        for (let minute = 91; minute <= 120; minute++) steps.push({ short: 'ET', minute });
+    }
+
+    if (finalStatus === 'PEN') {
+        steps.push({ short: 'P', minute: 120 });
+    }
+
+    return steps;
+};
+
+/**
+ * Timeline frame live (format response API-Football) dari satu fixture rekaman
+ * Returns: { id, frames: [{ minute, short, raw }], final }
+ */
+const buildTimeline = (recorded) => {
+    const events = [...(recorded.events || [])].sort((a, b) =>
+        (a.time.elapsed + (a.time.extra || 0) / 100) - (b.time.elapsed + (b.time.extra || 0) / 100)
+    );
+    const homeId = recorded.teams.home.id;
+    const finalStatus = recorded.fixture.status.short;
+
+    // Provider gak konsisten soal tim di event own goal - pilih yang cocok sama skor akhir
+    const regularEvents = events.filter(event => !isShootoutEvent(event));
+    const asIs = countGoals(regularEvents, homeId, false);
+    const ownGoalForOpponent = !(asIs.home === recorded.goals.home && asIs.away === recorded.goals.away);
+
+    const frames = buildSteps(finalStatus).map(({ short, minute }) => {
+        const visible = events.filter(event =>
+            short === 'P' ? true : !isShootoutEvent(event) && event.time.elapsed <= minute
+        );
+        const pastHalftime = minute > 45 || short === 'HT';
+
+        return {
+            minute,
+            short,
+            raw: {
+                fixture: {
+                    ...recorded.fixture,
+                    status: { long: normalizer.STATUS_LONG[short], short, elapsed: minute, extra: null }
+                },
+                league: recorded.league,
+                teams: {
+                    home: { ...recorded.teams.home, winner: null },
+                    away: { ...recorded.teams.away, winner: null }
+                },
+                goals: countGoals(visible, homeId, ownGoalForOpponent),
+                score: {
+                    halftime: pastHalftime ? recorded.score.halftime : { home: null, away: null },
+                    fulltime: { home: null, away: null },
+                    extratime: { home: null, away: null },
+                    penalty: { home: null, away: null }
+                },
+                events: visible
+            }
+        };
+    });
+
+    return { id: recorded.fixture.id, frames, final: recorded };
+};
+
+/**
+ * Jalanin simulasi
+ * @param {Array} fixtureIds - fixture ID yang udah direkam (/fixtures?id=)
+ * @param {Object} options - { speedMs (jeda per menit), fromMinute, onTick }
+ * Returns: { success, ticks, matches, error }
+ */
+const simulate = async (fixtureIds, { speedMs = 1000, fromMinute = 0, onTick = null } = {}) => {
+    const timelines = [];
+
+    for (const id of fixtureIds) {
+        const result = await apiFootball.getMatchById(id);
+
+        if (!result.success || !result.data?.length) {
+            return { success: false, error: `Fixture ${id} not available: ${JSON.stringify(result.error || 'empty response')}` };
+        }
+
+        const timeline = buildTimeline(result.data[0]);
+        timeline.frames = timeline.frames.filter(frame => frame.minute >= fromMinute);
+        timelines.push(timeline);
+
+        console.log(`🎬 ${result.data[0].teams.home.name} vs ${result.data[0].teams.away.name}: ${timeline.frames.length} frames`);
+    }
+
+    let liveFrames = [];
+    const removeIntercept = httpClient.intercept({ url: LIVE_URL, params: LIVE_PARAMS }, async () => ({
+        status: 200,
+        headers: {},
+        data: {
+            get: 'fixtures',
+            parameters: LIVE_PARAMS,
+            errors: [],
+            results: liveFrames.length,
+            paging: { current: 1, total: 1 },
+            response: liveFrames
+        }
+    }));
+
+    const liveCacheKey = cache.buildKey('football', '/fixtures', LIVE_PARAMS);
+    const totalTicks = Math.max(...timelines.map(timeline => timeline.frames.length));
+    let ticks = 0;
+
+    try {
+        // +1 tick terakhir dengan feed kosong: semua match udah FT dan keluar dari live
+        for (let tick = 0; tick <= totalTicks; tick++) {
+            const current = timelines
+                .map(timeline => timeline.frames[tick])
+                .filter(Boolean);
+
+            liveFrames = current.map(frame => frame.raw);
+
+            await cache.invalidate(liveCacheKey);
+            const result = await matchSync.syncLiveMatches();
+            ticks++;
+
+            const summary = current
+                .map(frame => `${frame.raw.teams.home.name} ${frame.raw.goals.home}-${frame.raw.goals.away} ${frame.raw.teams.away.name} (${frame.short} ${frame.minute}')`)
+                .join(' | ');
+            console.log(`⏱️  Tick ${tick + 1}/${totalTicks + 1}: ${summary || 'no live matches'} → ${result.changes ?? 0} changes`);
+
+            if (onTick) await onTick({ tick, frames: current, result });
+            if (tick < totalTicks) await sleep(speedMs);
+        }
+
+        // Hasil akhir masuk kayak daily sync
+        const finals = timelines.map(timeline => normalizer.fromApiFootball(timeline.final));
+        const saved = await matchSync.saveMatchesToDb(finals);
+        console.log(`🏁 Simulation finished: ${finals.length} matches final (${saved.count ?? 0} saved)`);
+    } finally {
+        removeIntercept();
+        await cache.invalidate(liveCacheKey);
+    }
+
+    return { success: true, ticks, matches: timelines.length };
+};
+
+module.exports = {
+    simulate,
+    buildTimeline
+};
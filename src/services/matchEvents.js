@@ -0,0 +1,223 @@
+/**
+ * Match Events
+ * Diffing row lama (database) vs output transformMatch terbaru,
+ * hasilnya domain events yang disimpan ke match_events_log dan di-publish ke eventBus
+ *
+ * Event types:
+ *   match.kickoff, match.goal, match.goal_disallowed, match.halftime,
+ *   match.fulltime, match.penalties_started, match.postponed
+ */
+
+const { supabase } = require('../config/database');
+const eventBus = require('./eventBus');
+
+const EVENT_TYPES = {
+    KICKOFF: 'match.kickoff',
+    GOAL: 'match.goal',
+    GOAL_DISALLOWED: 'match.goal_disallowed',
+    HALFTIME: 'match.halftime',
+    FULLTIME: 'match.fulltime',
+    PENALTIES_STARTED: 'match.penalties_started',
+    POSTPONED: 'match.postponed'
+};
+
+const NOT_STARTED_STATUSES = ['TBD', 'NS'];
+const FINISHED_STATUSES = ['FT', 'AET', 'PEN'];
+const POSTPONED_STATUSES = ['PST', 'CANC', 'ABD', 'AWD', 'WO', 'SUSP', 'INT'];
+
+const FETCH_CHUNK_SIZE = 200;
+
+/**
+ * Build satu event dari row terbaru
+ * key = identitas event dalam satu match (unique di match_events_log), default type-nya
+ */
+const buildEvent = (type, row, details = {}, key = type) => ({
+    type,
+    key,
+    match_id: row.id,
+    status_short: row.status_short,
+    elapsed: row.elapsed,
+    home_score: row.home_score,
+    away_score: row.away_score,
+    payload: {
+        league_id: row.league_id,
+        league_name: row.league_name,
+        home_team_id: row.home_team_id,
+        home_team_name: row.home_team_name,
+        away_team_id: row.away_team_id,
+        away_team_name: row.away_team_name,
+        ...details
+    }
+});
+
+/**
+ * Bandingkan row lama vs baru, return list domain events
+ * Match yang belum pernah ada di DB gak menghasilkan event (gak tau state sebelumnya)
+ */
+const diffMatchRows = (previous, current) => {
+    if (!previous || !current) return [];
+
+    const events = [];
+    const prevStatus = previous.status_short;
+    const status = current.status_short;
+    const statusChanged = prevStatus !== status;
+
+    // Kickoff: dari belum mulai ke babak pertama / live
+    if (statusChanged && NOT_STARTED_STATUSES.includes(prevStatus) && current.is_live) {
+        events.push(buildEvent(EVENT_TYPES.KICKOFF, current));
+    }
+
+    // Goal / goal dianulir per tim
+    for (const side of ['home', 'away']) {
+        const before = previous[`${side}_score`] ?? 0;
+        const after = current[`${side}_score`] ?? 0;
+
+        // Key = gol ke-berapa tim itu, jadi gol yang dianulir lalu disahkan lagi gak dikirim dua kali
+        for (let i = before; i < after; i++) {
+            events.push(buildEvent(EVENT_TYPES.GOAL, current, {
+                team: side,
+                team_id: current[`${side}_team_id`],
+                team_name: current[`${side}_team_name`],
+                score: { home: current.home_score, away: current.away_score }
+            }, `${EVENT_TYPES.GOAL}:${side}:${i + 1}`));
+        }
+
+        if (after < before) {
+            events.push(buildEvent(EVENT_TYPES.GOAL_DISALLOWED, current, {
+                team: side,
+                team_id: current[`${side}_team_id`],
+                team_name: current[`${side}_team_name`],
+                previous_score: { home: previous.home_score, away: previous.away_score },
+                score: { home: current.home_score, away: current.away_score }
+            }, `${EVENT_TYPES.GOAL_DISALLOWED}:${side}:${before}`));
+        }
+    }
+
+    if (statusChanged && status === 'HT') {
+        events.push(buildEvent(EVENT_TYPES.HALFTIME, current));
+    }
+
+    if (statusChanged && status === 'P') {
+        events.push(buildEvent(EVENT_TYPES.PENALTIES_STARTED, current));
+    }
+
+    if (statusChanged && FINISHED_STATUSES.includes(status) && !FINISHED_STATUSES.includes(prevStatus)) {
+        events.push(buildEvent(EVENT_TYPES.FULLTIME, current, {
+            pen_home: current.pen_home,
+            pen_away: current.pen_away
+        }));
+    }
+
+    if (statusChanged && POSTPONED_STATUSES.includes(status) && !POSTPONED_STATUSES.includes(prevStatus)) {
+        events.push(buildEvent(EVENT_TYPES.POSTPONED, current, {
+            status_long: current.status_long
+        }, `${EVENT_TYPES.POSTPONED}:${status}`));
+    }
+
+    return events;
+};
+
+/**
+ * Ambil row yang sekarang ada di DB untuk list fixture ID (di-chunk biar URL gak kepanjangan)
+ * Satu chunk gagal = semuanya gagal: state setengah bikin manual_override kelewat dan event ke-diff dari row kosong
+ * @returns {Object} { success, data: Map id -> row, error }
+ */
+const getStoredRows = async (ids) => {
+    const rows = new Map();
+    if (!supabase || ids.length === 0) return { success: true, data: rows };
+
+    for (let i = 0; i < ids.length; i += FETCH_CHUNK_SIZE) {
+        const chunk = ids.slice(i, i + FETCH_CHUNK_SIZE);
+
+        const { data, error } = await supabase
+            .from('matches')
+            .select('id, status_short, is_live, elapsed, home_score, away_score, pen_home, pen_away, manual_override')
+            .in('id', chunk);
+
+        if (error) {
+            console.error('❌ Error fetching stored matches for diff:', error.message);
+            return { success: false, error: error.message };
+        }
+
+        for (const row of data || []) {
+            rows.set(row.id, row);
+        }
+    }
+
+    return { success: true, data: rows };
+};
+
+/**
+ * Simpan events ke match_events_log lalu publish ke eventBus
+ * Insert dulu baru publish: (match_id, event_key) unique, jadi kalau liveSync & dailySync
+ * barengan nge-diff row lama yang sama, event yang udah kecatat sync lain gak di-publish lagi
+ */
+const recordEvents = async (events) => {
+    if (events.length === 0) return { success: true, count: 0 };
+
+    let fresh = events;
+
+    if (supabase) {
+        const { data, error } = await supabase
+            .from('match_events_log')
+            .upsert(events.map(event => ({
+                match_id: event.match_id,
+                event_type: event.type,
+                event_key: event.key,
+                status_short: event.status_short,
+                elapsed: event.elapsed,
+                home_score: event.home_score,
+                away_score: event.away_score,
+                payload: event.payload
+            })), { onConflict: 'match_id,event_key', ignoreDuplicates: true })
+            .select('match_id, event_key');
+
+        if (error) {
+            // Log gagal ditulis: tetap publish (lebih baik push dobel daripada event hilang)
+            console.error('❌ Error saving match events:', error.message);
+        } else {
+            const inserted = new Set((data || []).map(row => `${row.match_id}:${row.event_key}`));
+            fresh = events.filter(event => inserted.has(`${event.match_id}:${event.key}`));
+        }
+    }
+
+    for (const event of fresh) {
+        eventBus.publish({
+            ...event,
+            occurred_at: new Date().toISOString()
+        });
+    }
+
+    if (fresh.length < events.length) {
+        console.log(`⏭️  ${events.length - fresh.length} match events already recorded by another sync`);
+    }
+
+    if (fresh.length > 0) {
+        console.log(`📣 ${fresh.length} match events: ${fresh.map(e => e.type.replace('match.', '')).join(', ')}`);
+    }
+
+    return { success: true, count: fresh.length };
+};
+
+/**
+ * Diff satu batch row (previous dari DB) dan rekam event-nya
+ * @param {Map} previousRows - hasil getStoredRows (data)
+ * @param {Array} currentRows - output transformMatches
+ */
+const processChanges = async (previousRows, currentRows) => {
+    const events = [];
+
+    for (const row of currentRows) {
+        events.push(...diffMatchRows(previousRows.get(row.id), row));
+    }
+
+    return recordEvents(events);
+};
+
+module.exports = {
+    diffMatchRows,
+    getStoredRows,
+    processChanges,
+    recordEvents,
+    EVENT_TYPES
+};
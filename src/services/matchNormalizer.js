@@ -0,0 +1,407 @@
+/**
+ * Match Normalizer
+ * Ubah payload football dari tiap provider ke satu bentuk canonical,
+ * biar matchSync.transformMatch dan routes gak perlu tau datanya dari mana
+ *
+ * Vocab canonical sengaja ngikutin API-Football (status short FT/HT/1H..., tipe event Goal/Card/subst)
+ * karena itu yang udah dipake table matches, grading, dan frontend
+ *
+ * Canonical fixture:
+ *   {
+ *     id, provider, date, timestamp, timezone,
+ *     venue:   { name, city },
+ *     status:  { short, long, elapsed, extra },
+ *     league:  { id, name, country, logo, flag, season, round },
+ *     teams:   { home: { id, name, logo, winner }, away: { ... } },
+ *     goals:   { home, away },
+ *     score:   { halftime, fulltime, extratime, penalty },   // masing-masing { home, away }
+ *     events, lineups, statistics                           // opsional, format API-Football
+ *   }
+ *
+ * ID dari provider selain API-Football dikasih prefix (fd-123) biar gak bentrok
+ * sama fixture/team ID API-Football yang dipake sebagai primary key
+ */
+
+const STATUS_LONG = {
+    TBD: 'Time To Be Defined',
+    NS: 'Not Started',
+    '1H': 'First Half',
+    HT: 'Halftime',
+    '2H': 'Second Half',
+    ET: 'Extra Time',
+    BT: 'Break Time',
+    P: 'Penalty In Progress',
+    SUSP: 'Match Suspended',
+    INT: 'Match Interrupted',
+    LIVE: 'In Progress',
+    FT: 'Match Finished',
+    AET: 'Match Finished After Extra Time',
+    PEN: 'Match Finished After Penalty',
+    PST: 'Match Postponed',
+    CANC: 'Match Cancelled',
+    ABD: 'Match Abandoned',
+    AWD: 'Technical Loss',
+    WO: 'WalkOver'
+};
+
+const EMPTY_SCORE = { home: null, away: null };
+
+const toScore = (value) => ({
+    home: value?.home ?? null,
+    away: value?.away ?? null
+});
+
+/**
+ * Prefix ID provider sekunder: ('fd', 123) → 'fd-123'
+ */
+const prefixId = (prefix, id) => (id === null || id === undefined ? null : `${prefix}-${id}`);
+
+// ============================================================
+// API-FOOTBALL
+// ============================================================
+
+/**
+ * Response /fixtures API-Football → canonical fixture
+ */
+const fromApiFootball = (raw) => {
+    const { fixture, league, teams, goals, score } = raw;
+
+    return {
+        id: fixture.id,
+        provider: 'api-football',
+        date: fixture.date,
+        timestamp: fixture.timestamp,
+        timezone: fixture.timezone,
+        venue: {
+            name: fixture.venue?.name || null,
+            city: fixture.venue?.city || null
+        },
+        status: {
+            short: fixture.status.short,
+            long: fixture.status.long,
+            elapsed: fixture.status.elapsed,
+            extra: fixture.status.extra ?? null
+        },
+        league: {
+            id: league.id,
+            name: league.name,
+            country: league.country,
+            logo: league.logo,
+            flag: league.flag,
+            season: league.season,
+            round: league.round
+        },
+        teams: {
+            home: { id: teams.home.id, name: teams.home.name, logo: teams.home.logo, winner: teams.home.winner },
+            away: { id: teams.away.id, name: teams.away.name, logo: teams.away.logo, winner: teams.away.winner }
+        },
+        goals: toScore(goals),
+        score: {
+            halftime: toScore(score?.halftime),
+            fulltime: toScore(score?.fulltime),
+            extratime: toScore(score?.extratime),
+            penalty: toScore(score?.penalty)
+        },
+        // /fixtures?id= & live=all udah include ini, list biasa gak
+        events: raw.events,
+        lineups: raw.lineups,
+        statistics: raw.statistics
+    };
+};
+
+/**
+ * Response /standings API-Football → { league, standings: [[entry]] }
+ * Entry udah bentuk canonical (rank, team, points, goalsDiff, form, all/home/away)
+ */
+const standingsFromApiFootball = (response = []) => {
+    const league = response[0]?.league;
+    if (!league) return null;
+
+    return {
+        league: {
+            id: league.id,
+            name: league.name,
+            country: league.country,
+            logo: league.logo,
+            flag: league.flag,
+            season: league.season
+        },
+        standings: league.standings || []
+    };
+};
+
+// ============================================================
+// FOOTBALL-DATA.ORG (v4)
+// ============================================================
+
+/**
+ * football-data competition code ↔ league ID API-Football
+ * Liga yang ada di sini pake ID API-Football biar filter/logo di frontend tetap nyambung
+ */
+const FOOTBALL_DATA_COMPETITIONS = {
+    39: 'PL',   // Premier League
+    140: 'PD',  // La Liga
+    135: 'SA',  // Serie A
+    78: 'BL1',  // Bundesliga
+    61: 'FL1',  // Ligue 1
+    2: 'CL',    // Champions League
+    88: 'DED',  // Eredivisie
+    94: 'PPL',  // Primeira Liga
+    40: 'ELC',  // Championship
+    71: 'BSA',  // Brasileirão Série A
+    1: 'WC',    // World Cup
+    4: 'EC'     // Euro
+};
+
+const COMPETITION_TO_LEAGUE = Object.fromEntries(
+    Object.entries(FOOTBALL_DATA_COMPETITIONS).map(([leagueId, code]) => [code, Number(leagueId)])
+);
+
+const toFootballDataCompetition = (leagueId) => FOOTBALL_DATA_COMPETITIONS[leagueId] || null;
+
+const leagueIdFromCompetition = (competition) =>
+    COMPETITION_TO_LEAGUE[competition?.code] || prefixId('fd', competition?.code || competition?.id);
+
+/**
+ * Status football-data → status short API-Football
+ */
+const footballDataStatus = (match) => {
+    const duration = match.score?.duration;
+    const minute = match.minute ? parseInt(match.minute) : null;
+
+    switch (match.status) {
+        case 'IN_PLAY':
+            if (duration === 'PENALTY_SHOOTOUT') return 'P';
+            if (minute !== null && minute > 90) return 'ET';
+            return minute !== null && minute > 45 ? '2H' : '1H';
+        case 'PAUSED':
+            return minute !== null && minute >= 90 ? 'BT' : 'HT';
+        case 'FINISHED':
+            if (duration === 'PENALTY_SHOOTOUT') return 'PEN';
+            if (duration === 'EXTRA_TIME') return 'AET';
+            return 'FT';
+        case 'SUSPENDED':
+            return 'SUSP';
+        case 'POSTPONED':
+            return 'PST';
+        case 'CANCELLED':
+            return 'CANC';
+        case 'AWARDED':
+            return 'AWD';
+        default:
+            // SCHEDULED / TIMED
+            return 'NS';
+    }
+};
+
+const footballDataTeam = (team, winner) => ({
+    id: prefixId('fd', team?.id),
+    name: team?.name || team?.shortName || null,
+    logo: team?.crest || null,
+    winner
+});
+
+const footballDataPlayer = (player) => (player ? { id: prefixId('fd', player.id), name: player.name } : { id: null, name: null });
+
+/**
+ * goals + bookings + substitutions football-data → events format API-Football
+ */
+const footballDataEvents = (match) => {
+    if (!match.goals && !match.bookings && !match.substitutions) return undefined;
+
+    const teamOf = (team) => ({ id: prefixId('fd', team?.id), name: team?.name || null, logo: team?.crest || null });
+    const goalDetail = { OWN: 'Own Goal', PENALTY: 'Penalty' };
+    const cardDetail = { YELLOW: 'Yellow Card', RED: 'Red Card', YELLOW_RED: 'Second Yellow card' };
+
+    const events = [
+        ...(match.goals || []).map(goal => ({
+            time: { elapsed: goal.minute, extra: goal.injuryTime ?? null },
+            team: teamOf(goal.team),
+            player: footballDataPlayer(goal.scorer),
+            assist: footballDataPlayer(goal.assist),
+            type: 'Goal',
+            detail: goalDetail[goal.type] || 'Normal Goal',
+            comments: null
+        })),
+        ...(match.bookings || []).map(booking => ({
+            time: { elapsed: booking.minute, extra: null },
+            team: teamOf(booking.team),
+            player: footballDataPlayer(booking.player),
+            assist: { id: null, name: null },
+            type: 'Card',
+            detail: cardDetail[booking.card] || 'Yellow Card',
+            comments: null
+        })),
+        ...(match.substitutions || []).map((substitution, index) => ({
+            time: { elapsed: substitution.minute, extra: null },
+            team: teamOf(substitution.team),
+            player: footballDataPlayer(substitution.playerOut),
+            assist: footballDataPlayer(substitution.playerIn),
+            type: 'subst',
+            detail: `Substitution ${index + 1}`,
+            comments: null
+        }))
+    ];
+
+    return events.sort((a, b) => (a.time.elapsed || 0) - (b.time.elapsed || 0));
+};
+
+/**
+ * homeTeam/awayTeam.lineup football-data → lineups format API-Football
+ */
+const footballDataLineups = (match) => {
+    if (!match.homeTeam?.lineup && !match.awayTeam?.lineup) return undefined;
+
+    const toPlayer = (player) => ({
+        player: { id: prefixId('fd', player.id), name: player.name, number: player.shirtNumber ?? null, pos: player.position || null }
+    });
+
+    return [match.homeTeam, match.awayTeam].map(team => ({
+        team: { id: prefixId('fd', team.id), name: team.name, logo: team.crest || null },
+        formation: team.formation || null,
+        coach: team.coach ? { id: prefixId('fd', team.coach.id), name: team.coach.name } : null,
+        startXI: (team.lineup || []).map(toPlayer),
+        substitutes: (team.bench || []).map(toPlayer)
+    }));
+};
+
+const FOOTBALL_DATA_STAT_LABELS = {
+    ball_possession: 'Ball Possession',
+    shots: 'Total Shots',
+    shots_on_goal: 'Shots on Goal',
+    shots_off_goal: 'Shots off Goal',
+    corner_kicks: 'Corner Kicks',
+    free_kicks: 'Free Kicks',
+    fouls: 'Fouls',
+    offsides: 'Offsides',
+    saves: 'Goalkeeper Saves',
+    yellow_cards: 'Yellow Cards',
+    red_cards: 'Red Cards'
+};
+
+/**
+ * homeTeam/awayTeam.statistics football-data → statistics format API-Football
+ */
+const footballDataStatistics = (match) => {
+    if (!match.homeTeam?.statistics && !match.awayTeam?.statistics) return undefined;
+
+    return [match.homeTeam, match.awayTeam].map(team => ({
+        team: { id: prefixId('fd', team.id), name: team.name, logo: team.crest || null },
+        statistics: Object.entries(team.statistics || {}).map(([key, value]) => ({
+            type: FOOTBALL_DATA_STAT_LABELS[key] || key,
+            value: key === 'ball_possession' && value !== null ? `${value}%` : value
+        }))
+    }));
+};
+
+/**
+ * Match football-data → canonical fixture
+ */
+const fromFootballData = (match) => {
+    const short = footballDataStatus(match);
+    const winner = match.score?.winner;
+    const penalty = toScore(match.score?.penalties);
+    const fulltime = toScore(match.score?.fullTime);
+
+    // fullTime football-data udah termasuk gol adu penalti, goals canonical gak
+    const goals = penalty.home !== null
+        ? { home: fulltime.home - penalty.home, away: fulltime.away - penalty.away }
+        : fulltime;
+
+    const timestamp = Math.floor(new Date(match.utcDate).getTime() / 1000);
+
+    return {
+        id: prefixId('fd', match.id),
+        provider: 'football-data',
+        date: match.utcDate,
+        timestamp,
+        timezone: 'UTC',
+        venue: { name: match.venue || null, city: null },
+        status: {
+            short,
+            long: STATUS_LONG[short],
+            elapsed: match.minute ? parseInt(match.minute) : null,
+            extra: match.injuryTime ?? null
+        },
+        league: {
+            id: leagueIdFromCompetition(match.competition),
+            name: match.competition?.name || null,
+            country: match.area?.name || null,
+            logo: match.competition?.emblem || null,
+            flag: match.area?.flag || null,
+            season: match.season?.startDate ? new Date(match.season.startDate).getFullYear() : null,
+            round: match.matchday ? `Matchday ${match.matchday}` : match.stage || null
+        },
+        teams: {
+            home: footballDataTeam(match.homeTeam, winner ? winner === 'HOME_TEAM' : null),
+            away: footballDataTeam(match.awayTeam, winner ? winner === 'AWAY_TEAM' : null)
+        },
+        goals,
+        score: {
+            halftime: toScore(match.score?.halfTime),
+            fulltime: match.score?.regularTime ? toScore(match.score.regularTime) : goals,
+            extratime: match.score?.extraTime ? toScore(match.score.extraTime) : { ...EMPTY_SCORE },
+            penalty
+        },
+        events: footballDataEvents(match),
+        lineups: footballDataLineups(match),
+        statistics: footballDataStatistics(match)
+    };
+};
+
+/**
+ * Response /competitions/:code/standings football-data → { league, standings: [[entry]] }
+ */
+const standingsFromFootballData = (payload) => {
+    if (!payload?.competition) return null;
+
+    const toRecord = (row) => ({
+        played: row?.playedGames ?? 0,
+        win: row?.won ?? 0,
+        draw: row?.draw ?? 0,
+        lose: row?.lost ?? 0,
+        goals: { for: row?.goalsFor ?? 0, against: row?.goalsAgainst ?? 0 }
+    });
+
+    const tables = payload.standings || [];
+    const totals = tables.filter(table => table.type === 'TOTAL');
+    const byType = (type, group) => tables.find(table => table.type === type && table.group === group);
+
+    return {
+        league: {
+            id: leagueIdFromCompetition(payload.competition),
+            name: payload.competition.name,
+            country: payload.area?.name || null,
+            logo: payload.competition.emblem || null,
+            flag: payload.area?.flag || null,
+            season: payload.season?.startDate ? new Date(payload.season.startDate).getFullYear() : null
+        },
+        standings: totals.map(total => total.table.map(row => {
+            const home = byType('HOME', total.group)?.table.find(entry => entry.team.id === row.team.id);
+            const away = byType('AWAY', total.group)?.table.find(entry => entry.team.id === row.team.id);
+
+            return {
+                rank: row.position,
+                team: { id: prefixId('fd', row.team.id), name: row.team.name, logo: row.team.crest || null },
+                points: row.points,
+                goalsDiff: row.goalDifference,
+                group: total.group || payload.competition.name,
+                form: (row.form || '').replace(/,/g, ''),
+                description: null,
+                all: toRecord(row),
+                home: toRecord(home),
+                away: toRecord(away)
+            };
+        }))
+    };
+};
+
+module.exports = {
+    fromApiFootball,
+    standingsFromApiFootball,
+    fromFootballData,
+    standingsFromFootballData,
+    toFootballDataCompetition,
+    prefixId,
+    STATUS_LONG
+};
@@ -1,62 +1,216 @@
-const { supabase } = require('../config/database');
-const apiFootball = require('./apiFootball');
+const { supabase, supabaseAdmin } = require('../config/database');
+const footballProvider = require('./footballProvider');
+const liveScoreFeed = require('./liveScoreFeed');
+const matchEvents = require('./matchEvents');
+const statSnapshots = require('./statSnapshots');
+const timezone = require('./timezone');
+
+const BLACKLIST_REFRESH_MS = 5 * 60 * 1000; // 5 menit
 
 /**
  * Blacklist match IDs - matches that are stuck/broken in API-Football
  * These will be skipped when syncing and not saved to database
- * Add match IDs here when they're stuck as LIVE for days
+ * Disimpan di table match_blacklist (dikelola lewat /api/admin/blacklist),
+ * di-cache di memory dan di-refresh tiap 5 menit
+ * Write-nya (blacklist & manual override) pake supabaseAdmin, anon cuma boleh baca
+ */
+let blacklistedIds = new Set();
+let blacklistLoadedAt = 0;
+
+/**
+ * Load blacklist dari database (pakai cache kalau belum expired)
+ * Kalau query gagal, tetap pakai blacklist terakhir yang berhasil di-load
  */
-const BLACKLISTED_MATCH_IDS = [
-    1434975,  // Rayners Lane vs Hitchin Town - stuck since 27/12/2025
-];
+const loadBlacklist = async (force = false) => {
+    if (!supabase) return blacklistedIds;
+
+    if (!force && Date.now() - blacklistLoadedAt < BLACKLIST_REFRESH_MS) {
+        return blacklistedIds;
+    }
+
+    const { data, error } = await supabase
+        .from('match_blacklist')
+        .select('match_id');
+
+    if (error) {
+        console.error('❌ Error loading match blacklist:', error.message);
+        return blacklistedIds;
+    }
+
+    blacklistedIds = new Set((data || []).map(row => Number(row.match_id)));
+    blacklistLoadedAt = Date.now();
+
+    return blacklistedIds;
+};
 
 /**
  * Check if match is blacklisted
  */
 const isBlacklisted = (matchId) => {
-    return BLACKLISTED_MATCH_IDS.includes(matchId);
+    return blacklistedIds.has(Number(matchId));
 };
 
 /**
- * Transform API-Football response ke format yang lebih clean
+ * List blacklist lengkap dengan alasan
  */
-const transformMatch = (match) => {
-    const fixture = match.fixture;
-    const league = match.league;
-    const teams = match.teams;
-    const goals = match.goals;
-    const score = match.score;
+const getBlacklist = async () => {
+    if (!supabase) {
+        return { success: false, error: 'Supabase not configured' };
+    }
 
-    // Determine match status
-    let status = 'scheduled';
-    let isLive = false;
+    const { data, error } = await supabase
+        .from('match_blacklist')
+        .select('match_id, reason, created_by, created_at')
+        .order('created_at', { ascending: false });
 
-    const shortStatus = fixture.status.short;
+    if (error) {
+        return { success: false, error: error.message };
+    }
 
-    if (['1H', '2H', 'HT', 'ET', 'P', 'BT', 'LIVE'].includes(shortStatus)) {
-        status = 'live';
-        isLive = true;
-    } else if (['FT', 'AET', 'PEN'].includes(shortStatus)) {
-        status = 'finished';
-    } else if (['PST', 'CANC', 'ABD', 'AWD', 'WO'].includes(shortStatus)) {
-        status = 'postponed';
-    } else if (['TBD', 'NS'].includes(shortStatus)) {
-        status = 'scheduled';
+    return { success: true, data: data || [] };
+};
+
+/**
+ * Tambah match ke blacklist
+ * @param {number} matchId - Fixture ID
+ * @param {Object} options - { reason, createdBy, purge }
+ *   purge = hapus juga row yang udah kesimpan di table matches
+ */
+const addToBlacklist = async (matchId, { reason, createdBy = null, purge = false } = {}) => {
+    if (!supabaseAdmin) {
+        return { success: false, error: 'Supabase service role not configured' };
+    }
+
+    const { data, error } = await supabaseAdmin
+        .from('match_blacklist')
+        .upsert({
+            match_id: matchId,
+            reason,
+            created_by: createdBy,
+            created_at: new Date().toISOString()
+        }, { onConflict: 'match_id' })
+        .select()
+        .single();
+
+    if (error) {
+        return { success: false, error: error.message };
+    }
+
+    let purged = false;
+
+    if (purge) {
+        const { error: deleteError } = await supabaseAdmin
+            .from('matches')
+            .delete()
+            .eq('id', matchId);
+
+        if (deleteError) {
+            console.error(`❌ Failed to purge blacklisted match ${matchId}:`, deleteError.message);
+        } else {
+            purged = true;
+        }
+    }
+
+    await loadBlacklist(true);
+    console.log(`🚫 Match ${matchId} blacklisted${purged ? ' and purged' : ''}: ${reason}`);
+
+    return { success: true, data, purged };
+};
+
+/**
+ * Hapus match dari blacklist
+ */
+const removeFromBlacklist = async (matchId) => {
+    if (!supabaseAdmin) {
+        return { success: false, error: 'Supabase service role not configured' };
+    }
+
+    const { data, error } = await supabaseAdmin
+        .from('match_blacklist')
+        .delete()
+        .eq('match_id', matchId)
+        .select();
+
+    if (error) {
+        return { success: false, error: error.message };
     }
 
+    if (!data || data.length === 0) {
+        return { success: false, notFound: true, error: 'Match is not blacklisted' };
+    }
+
+    await loadBlacklist(true);
+    console.log(`✅ Match ${matchId} removed from blacklist`);
+
+    return { success: true };
+};
+
+/**
+ * Status short → status internal + label (dipakai transformMatch & manual override)
+ */
+const LIVE_STATUSES = ['1H', '2H', 'HT', 'ET', 'P', 'BT', 'LIVE'];
+const FINISHED_STATUSES = ['FT', 'AET', 'PEN'];
+const POSTPONED_STATUSES = ['PST', 'CANC', 'ABD', 'AWD', 'WO'];
+
+const STATUS_LABELS = {
+    TBD: 'Time To Be Defined',
+    NS: 'Not Started',
+    '1H': 'First Half',
+    HT: 'Halftime',
+    '2H': 'Second Half',
+    ET: 'Extra Time',
+    BT: 'Break Time',
+    P: 'Penalty In Progress',
+    LIVE: 'In Progress',
+    FT: 'Match Finished',
+    AET: 'Match Finished After Extra Time',
+    PEN: 'Match Finished After Penalty',
+    PST: 'Match Postponed',
+    CANC: 'Match Cancelled',
+    ABD: 'Match Abandoned',
+    AWD: 'Technical Loss',
+    WO: 'WalkOver'
+};
+
+const getMatchStatus = (shortStatus) => {
+    if (LIVE_STATUSES.includes(shortStatus)) {
+        return { status: 'live', isLive: true };
+    }
+
+    if (FINISHED_STATUSES.includes(shortStatus)) {
+        return { status: 'finished', isLive: false };
+    }
+
+    if (POSTPONED_STATUSES.includes(shortStatus)) {
+        return { status: 'postponed', isLive: false };
+    }
+
+    return { status: 'scheduled', isLive: false };
+};
+
+/**
+ * Transform canonical fixture (matchNormalizer) ke format row table matches
+ */
+const transformMatch = (match) => {
+    const { league, teams, goals, score } = match;
+
+    // Determine match status
+    const shortStatus = match.status.short;
+    const { status, isLive } = getMatchStatus(shortStatus);
+
     return {
-        id: fixture.id,
-        date: fixture.date,
-        timestamp: fixture.timestamp,
-        timezone: fixture.timezone,
-        venue: fixture.venue?.name || null,
-        venue_city: fixture.venue?.city || null,
+        id: match.id,
+        date: match.date,
+        timestamp: match.timestamp,
+        timezone: match.timezone,
+        venue: match.venue?.name || null,
+        venue_city: match.venue?.city || null,
 
         // Status
         status: status,
         status_short: shortStatus,
-        status_long: fixture.status.long,
-        elapsed: fixture.status.elapsed,
+        status_long: match.status.long || STATUS_LABELS[shortStatus] || null,
+        elapsed: match.status.elapsed,
         is_live: isLive,
 
         // League info
@@ -115,6 +269,8 @@ const transformMatches = (matches) => {
 /**
  * Save matches to Supabase (upsert)
  * Filters out blacklisted matches before saving
+ * Match yang lagi di-override manual (manual_override) juga di-skip biar gak ketimpa data API
+ * @param {Array} matches - canonical fixtures (footballProvider)
  */
 const saveMatchesToDb = async (matches) => {
     if (!supabase) {
@@ -123,9 +279,11 @@ const saveMatchesToDb = async (matches) => {
     }
 
     try {
+        await loadBlacklist();
+
         // Filter out blacklisted matches
         const filteredMatches = matches.filter(match => {
-            const matchId = match.fixture?.id || match.id;
+            const matchId = match.id;
             if (isBlacklisted(matchId)) {
                 console.log(`🚫 Skipping blacklisted match: ${matchId}`);
                 return false;
@@ -138,7 +296,27 @@ const saveMatchesToDb = async (matches) => {
             return { success: true, count: 0 };
         }
 
-        const transformedMatches = transformMatches(filteredMatches);
+        // Ambil state lama dulu buat diffing (goal, kickoff, fulltime, dll)
+        // Gagal baca = skip save: tanpa manual_override row override bisa ketimpa (atau ditolak RLS satu batch)
+        const stored = await matchEvents.getStoredRows(filteredMatches.map(m => m.id));
+
+        if (!stored.success) {
+            return { success: false, error: `Failed to read stored matches: ${stored.error}` };
+        }
+
+        const previousRows = stored.data;
+
+        const transformedMatches = transformMatches(filteredMatches).filter(match => {
+            if (previousRows.get(match.id)?.manual_override) {
+                console.log(`✋ Skipping manually overridden match: ${match.id}`);
+                return false;
+            }
+            return true;
+        });
+
+        if (transformedMatches.length === 0) {
+            return { success: true, count: 0 };
+        }
 
         const { data, error } = await supabase
             .from('matches')
@@ -153,7 +331,10 @@ const saveMatchesToDb = async (matches) => {
         }
 
         console.log(`✅ Saved ${transformedMatches.length} matches to database`);
-        return { success: true, count: transformedMatches.length };
+
+        const eventsResult = await matchEvents.processChanges(previousRows, transformedMatches);
+
+        return { success: true, count: transformedMatches.length, events: eventsResult.count };
     } catch (error) {
         console.error('❌ Save Error:', error);
         return { success: false, error: error.message };
@@ -162,6 +343,8 @@ const saveMatchesToDb = async (matches) => {
 
 /**
  * Get matches from database
+ * @param {Object} filters - { date, timezone, league_id, is_live, status }
+ *   date = tanggal lokal di filters.timezone (default DEFAULT_TIMEZONE)
  */
 const getMatchesFromDb = async (filters = {}) => {
     if (!supabase) {
@@ -176,9 +359,8 @@ const getMatchesFromDb = async (filters = {}) => {
 
         // Apply filters
         if (filters.date) {
-            const startOfDay = `${filters.date}T00:00:00`;
-            const endOfDay = `${filters.date}T23:59:59`;
-            query = query.gte('date', startOfDay).lte('date', endOfDay);
+            const { start, end } = timezone.getDayRange(filters.date, filters.timezone);
+            query = query.gte('date', start).lt('date', end);
         }
 
         if (filters.league_id) {
@@ -205,13 +387,97 @@ const getMatchesFromDb = async (filters = {}) => {
     }
 };
 
+/**
+ * Catat hari yang barusan ke-sync: tanggal lokal + batas UTC-nya
+ * Request ?date= di timezone lain bisa nyebrang dua hari sync, jadi yang dicek range-nya, bukan tanggalnya
+ */
+const recordSyncedDay = async (date, tz = timezone.DEFAULT_TIMEZONE) => {
+    if (!supabase) {
+        return { success: false, error: 'Supabase not configured' };
+    }
+
+    const { start, end } = timezone.getDayRange(date, tz);
+
+    const { error } = await supabase
+        .from('match_sync_days')
+        .upsert({
+            sync_date: date,
+            timezone: tz,
+            range_start: start,
+            range_end: end,
+            synced_at: new Date().toISOString()
+        }, { onConflict: 'sync_date,timezone' });
+
+    if (error) {
+        console.error(`❌ Failed to record synced day ${date}:`, error.message);
+        return { success: false, error: error.message };
+    }
+
+    return { success: true };
+};
+
+/**
+ * Range UTC [start, end) ketutup penuh sama hari-hari yang udah ke-sync?
+ * Returns: { success, covered }
+ */
+const isRangeSynced = async (start, end) => {
+    if (!supabase) {
+        return { success: false, error: 'Supabase not configured' };
+    }
+
+    const { data, error } = await supabase
+        .from('match_sync_days')
+        .select('range_start, range_end')
+        .lt('range_start', end)
+        .gt('range_end', start)
+        .order('range_start', { ascending: true });
+
+    if (error) {
+        return { success: false, error: error.message };
+    }
+
+    // Sambung range yang nempel dari start; ada celah → belum ke-sync semua
+    let coveredUntil = Date.parse(start);
+    for (const day of data || []) {
+        if (Date.parse(day.range_start) > coveredUntil) break;
+        coveredUntil = Math.max(coveredUntil, Date.parse(day.range_end));
+    }
+
+    return { success: true, covered: coveredUntil >= Date.parse(end) };
+};
+
+/**
+ * Hapus catatan hari ke-sync yang mulai sebelum cutoff (dipanggil cleanupOldMatches)
+ * Hari yang kepotong cutoff ikut dihapus: sebagian match-nya udah gak ada, jadi gak boleh dianggap ketutup
+ */
+const pruneSyncedDays = async (cutoffISO) => {
+    if (!supabase) {
+        return { success: false, error: 'Supabase not configured' };
+    }
+
+    const { count, error } = await supabase
+        .from('match_sync_days')
+        .delete({ count: 'exact' })
+        .lt('range_start', cutoffISO);
+
+    if (error) {
+        return { success: false, error: error.message };
+    }
+
+    return { success: true, deleted: count || 0 };
+};
+
 /**
  * Sync today's matches (fetch from API & save to DB)
+ * Hari yang berhasil disimpan dicatat di match_sync_days (recordSyncedDay)
  */
 const syncTodayMatches = async () => {
     console.log('🔄 Syncing today matches...');
 
-    const result = await apiFootball.getTodayMatches();
+    const date = timezone.today();
+
+    // API-Football aja: ID provider cadangan gak boleh masuk table matches
+    const result = await footballProvider.getTodayMatches({ provider: footballProvider.SYNC_PROVIDER });
 
     if (!result.success) {
         console.error('❌ Failed to fetch matches:', result.error);
@@ -223,6 +489,10 @@ const syncTodayMatches = async () => {
     // Save to database
     const saveResult = await saveMatchesToDb(result.data);
 
+    if (saveResult.success) {
+        await recordSyncedDay(date);
+    }
+
     return {
         success: true,
         fetched: result.results,
@@ -237,7 +507,7 @@ const syncTodayMatches = async () => {
 const syncLiveMatches = async () => {
     console.log('⚡ Syncing live matches...');
 
-    const result = await apiFootball.getLiveMatches();
+    const result = await footballProvider.getLiveMatches({ provider: footballProvider.SYNC_PROVIDER });
 
     if (!result.success) {
         return result;
@@ -247,10 +517,20 @@ const syncLiveMatches = async () => {
         await saveMatchesToDb(result.data);
     }
 
+    const matches = transformMatches(result.data);
+
+    // Publish perubahan skor/status ke subscriber SSE
+    const changes = liveScoreFeed.processLiveSnapshot(result.data, matches);
+
+    // Rekam perkembangan statistik buat momentum timeline
+    const snapshots = await statSnapshots.captureLive(matches);
+
     return {
         success: true,
         liveCount: result.results,
-        matches: transformMatches(result.data)
+        changes: changes.length,
+        snapshots,
+        matches
     };
 };
 
@@ -367,14 +647,126 @@ const fixStuckMatches = async (maxHours = 4) => {
     }
 };
 
+/**
+ * Override manual status/skor match (dari admin API)
+ * Match di-flag manual_override jadi sync berikutnya gak nimpa, sampai override-nya di-clear
+ * @param {number} matchId - Fixture ID
+ * @param {Object} override - { statusShort, homeScore, awayScore, elapsed, reason, overriddenBy }
+ */
+const overrideMatch = async (matchId, { statusShort, homeScore, awayScore, elapsed, reason = null, overriddenBy = null } = {}) => {
+    if (!supabaseAdmin) {
+        return { success: false, error: 'Supabase service role not configured' };
+    }
+
+    try {
+        const { data: match, error: fetchError } = await supabaseAdmin
+            .from('matches')
+            .select('id, status_short, home_score, away_score')
+            .eq('id', matchId)
+            .maybeSingle();
+
+        if (fetchError) {
+            return { success: false, error: fetchError.message };
+        }
+
+        if (!match) {
+            return { success: false, notFound: true, error: 'Match not found' };
+        }
+
+        const updateData = {
+            manual_override: true,
+            override_reason: reason,
+            override_by: overriddenBy,
+            override_at: new Date().toISOString(),
+            last_updated: new Date().toISOString()
+        };
+
+        if (statusShort !== undefined) {
+            const { status, isLive } = getMatchStatus(statusShort);
+            updateData.status = status;
+            updateData.status_short = statusShort;
+            updateData.status_long = STATUS_LABELS[statusShort];
+            updateData.is_live = isLive;
+        }
+
+        if (homeScore !== undefined) updateData.home_score = homeScore;
+        if (awayScore !== undefined) updateData.away_score = awayScore;
+        if (elapsed !== undefined) updateData.elapsed = elapsed;
+
+        // Status selesai → skor akhir ikut di-set (sama kayak fixStuckMatches)
+        const finalStatus = updateData.status_short || match.status_short;
+        if (FINISHED_STATUSES.includes(finalStatus)) {
+            updateData.ft_home = updateData.home_score ?? match.home_score;
+            updateData.ft_away = updateData.away_score ?? match.away_score;
+        }
+
+        const { data, error } = await supabaseAdmin
+            .from('matches')
+            .update(updateData)
+            .eq('id', matchId)
+            .select()
+            .single();
+
+        if (error) {
+            return { success: false, error: error.message };
+        }
+
+        console.log(`✋ Match ${matchId} overridden: ${data.status_short} ${data.home_score}-${data.away_score}`);
+
+        return { success: true, data };
+    } catch (error) {
+        console.error('❌ Override match error:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Hapus flag override, sync berikutnya balik pakai data API
+ */
+const clearOverride = async (matchId) => {
+    if (!supabaseAdmin) {
+        return { success: false, error: 'Supabase service role not configured' };
+    }
+
+    const { data, error } = await supabaseAdmin
+        .from('matches')
+        .update({
+            manual_override: false,
+            override_reason: null,
+            override_by: null,
+            override_at: null
+        })
+        .eq('id', matchId)
+        .select('id');
+
+    if (error) {
+        return { success: false, error: error.message };
+    }
+
+    if (!data || data.length === 0) {
+        return { success: false, notFound: true, error: 'Match not found' };
+    }
+
+    return { success: true };
+};
+
 module.exports = {
     transformMatch,
     transformMatches,
     saveMatchesToDb,
     getMatchesFromDb,
     syncTodayMatches,
+    recordSyncedDay,
+    isRangeSynced,
+    pruneSyncedDays,
     syncLiveMatches,
     fixStuckMatches,
+    overrideMatch,
+    clearOverride,
+    loadBlacklist,
     isBlacklisted,
-    BLACKLISTED_MATCH_IDS
+    getBlacklist,
+    addToBlacklist,
+    removeFromBlacklist,
+    STATUS_LABELS
 };
@@ -0,0 +1,289 @@
+/**
+ * Match Timeline
+ * Gabungin events, lineups dan statistics fixture canonical (format API-Football) jadi satu
+ * timeline menit per menit dengan skor berjalan, plus momentum dari snapshot statistik live
+ * (lihat statSnapshots)
+ *
+ * Timeline entry:
+ *   {
+ *     minute, extra, label ("45+2'"), phase (regular | shootout),
+ *     type: goal | own_goal | penalty | missed_penalty | yellow_card | second_yellow | red_card | substitution | var,
+ *     side (home | away), team: { id, name },
+ *     player, assist,          // { id, name, number } - substitution: player = keluar, assist = masuk
+ *     detail, comments,
+ *     score: { home, away }    // skor setelah entry ini
+ *   }
+ *
+ * Own goal ngikutin vocab API-Football: team = tim si pencetak, golnya buat lawan
+ *
+ * Momentum: satu titik per snapshot, -100 (away dominan) s/d 100 (home dominan),
+ * dari tambahan shots / corner sejak snapshot sebelumnya + possession saat itu
+ */
+
+// Bobot tambahan statistik per interval buat hitung pressure
+const MOMENTUM_WEIGHTS = {
+    'Shots on Goal': 3,
+    'Shots insidebox': 1.5,
+    'Total Shots': 1,
+    'Corner Kicks': 1
+};
+
+const SHOOTOUT_COMMENT = 'Penalty Shootout';
+
+/**
+ * Label menit ala scoreboard: 45+2'
+ */
+const minuteLabel = (elapsed, extra) => {
+    if (elapsed === null || elapsed === undefined) return null;
+    return extra ? `${elapsed}+${extra}'` : `${elapsed}'`;
+};
+
+/**
+ * Tipe entry timeline dari type/detail event API-Football
+ */
+const entryType = (event) => {
+    const detail = (event.detail || '').toLowerCase();
+
+    switch ((event.type || '').toLowerCase()) {
+        case 'goal':
+            if (detail.includes('own')) return 'own_goal';
+            if (detail.includes('missed')) return 'missed_penalty';
+            if (detail.includes('penalty')) return 'penalty';
+            return 'goal';
+        case 'card':
+            if (detail.includes('second')) return 'second_yellow';
+            if (detail.includes('red')) return 'red_card';
+            return 'yellow_card';
+        case 'subst':
+            return 'substitution';
+        case 'var':
+            return 'var';
+        default:
+            return null;
+    }
+};
+
+/**
+ * Nomor punggung per player ID dari lineups (startXI + substitutes)
+ */
+const buildShirtNumbers = (lineups = []) => {
+    const numbers = new Map();
+
+    for (const lineup of lineups || []) {
+        for (const entry of [...(lineup.startXI || []), ...(lineup.substitutes || [])]) {
+            if (entry.player?.id !== null && entry.player?.id !== undefined) {
+                numbers.set(String(entry.player.id), entry.player.number ?? null);
+            }
+        }
+    }
+
+    return numbers;
+};
+
+const toPlayer = (player, numbers) => {
+    if (!player?.id && !player?.name) return null;
+
+    return {
+        id: player.id ?? null,
+        name: player.name ?? null,
+        number: player.id !== null && player.id !== undefined ? numbers.get(String(player.id)) ?? null : null
+    };
+};
+
+/**
+ * Timeline entries + skor berjalan
+ * Event diurutkan per menit (elapsed, lalu extra), urutan asli provider dipertahankan kalau sama
+ */
+const buildEntries = (fixture, numbers) => {
+    const homeId = String(fixture.teams?.home?.id);
+    const score = { home: 0, away: 0 };
+
+    const events = (fixture.events || [])
+        .map((event, index) => ({ event, index }))
+        .sort((a, b) =>
+            (a.event.time?.elapsed ?? 0) - (b.event.time?.elapsed ?? 0) ||
+            (a.event.time?.extra ?? 0) - (b.event.time?.extra ?? 0) ||
+            a.index - b.index
+        );
+
+    const entries = [];
+
+    for (const { event } of events) {
+        const type = entryType(event);
+        if (!type) continue;
+
+        const side = String(event.team?.id) === homeId ? 'home' : 'away';
+        const opponent = side === 'home' ? 'away' : 'home';
+        const phase = event.comments === SHOOTOUT_COMMENT ? 'shootout' : 'regular';
+
+        // Adu penalti gak masuk skor pertandingan
+        if (phase === 'regular') {
+            if (type === 'goal' || type === 'penalty') score[side]++;
+            if (type === 'own_goal') score[opponent]++;
+        }
+
+        entries.push({
+            minute: event.time?.elapsed ?? null,
+            extra: event.time?.extra ?? null,
+            label: minuteLabel(event.time?.elapsed, event.time?.extra),
+            phase,
+            type,
+            side,
+            team: { id: event.team?.id ?? null, name: event.team?.name ?? null },
+            player: toPlayer(event.player, numbers),
+            assist: toPlayer(event.assist, numbers),
+            detail: event.detail || null,
+            comments: event.comments || null,
+            score: { ...score }
+        });
+    }
+
+    return entries;
+};
+
+/**
+ * Nilai statistik ke angka: "55%" → 55, null → 0, "1.23" (expected_goals) → 1.23
+ */
+const statValue = (value) => {
+    if (value === null || value === undefined) return 0;
+    const number = parseFloat(String(value).replace('%', ''));
+    return Number.isFinite(number) ? number : 0;
+};
+
+/**
+ * Statistics format API-Football ([{ team, statistics: [{ type, value }] }]) →
+ * { [type]: { home, away } }
+ * Tanpa homeId, entry pertama dianggap home (urutan response API-Football)
+ */
+const pairStatistics = (statistics, homeId = null) => {
+    const paired = {};
+
+    for (const [index, teamStats] of (statistics || []).entries()) {
+        const isHome = homeId === null || homeId === undefined
+            ? index === 0
+            : String(teamStats.team?.id) === String(homeId);
+        const side = isHome ? 'home' : 'away';
+
+        for (const { type, value } of teamStats.statistics || []) {
+            if (!paired[type]) paired[type] = { home: null, away: null };
+            paired[type][side] = value;
+        }
+    }
+
+    return paired;
+};
+
+/**
+ * Momentum series dari snapshot statistik ([{ minute, statistics }], urut menit)
+ * Snapshot pertama dibandingin sama kickoff (semua 0)
+ */
+const buildMomentum = (snapshots, homeId) => {
+    const points = [];
+    let previous = { minute: 0, stats: {} };
+
+    for (const snapshot of snapshots || []) {
+        const stats = pairStatistics(snapshot.statistics, homeId);
+        const pressure = { home: 0, away: 0 };
+
+        for (const side of ['home', 'away']) {
+            for (const [type, weight] of Object.entries(MOMENTUM_WEIGHTS)) {
+                const delta = statValue(stats[type]?.[side]) - statValue(previous.stats[type]?.[side]);
+                pressure[side] += Math.max(delta, 0) * weight;
+            }
+
+            pressure[side] += statValue(stats['Ball Possession']?.[side]) / 100;
+        }
+
+        const total = pressure.home + pressure.away;
+
+        points.push({
+            from: previous.minute,
+            minute: snapshot.minute,
+            value: total > 0 ? Math.round(((pressure.home - pressure.away) / total) * 100) : 0,
+            pressure: {
+                home: Math.round(pressure.home * 100) / 100,
+                away: Math.round(pressure.away * 100) / 100
+            }
+        });
+
+        previous = { minute: snapshot.minute, stats };
+    }
+
+    return points;
+};
+
+/**
+ * History statistik dari snapshot live: per snapshot { minute, captured_at, status_short, score, statistics },
+ * plus series per tipe statistik ({ [type]: [{ minute, home, away }] }, nilai numerik) buat grafik
+ */
+const buildStatisticsHistory = (snapshots, homeId = null) => {
+    const history = [];
+    const series = {};
+
+    for (const snapshot of snapshots || []) {
+        const stats = pairStatistics(snapshot.statistics, homeId);
+
+        history.push({
+            minute: snapshot.minute,
+            captured_at: snapshot.captured_at,
+            status_short: snapshot.status_short ?? null,
+            score: { home: snapshot.home_score ?? null, away: snapshot.away_score ?? null },
+            statistics: stats
+        });
+
+        for (const [type, values] of Object.entries(stats)) {
+            if (!series[type]) series[type] = [];
+            series[type].push({ minute: snapshot.minute, home: statValue(values.home), away: statValue(values.away) });
+        }
+    }
+
+    return { snapshots: history, series };
+};
+
+/**
+ * Susunan pemain ringkas per sisi (formation, coach, starting XI, cadangan)
+ */
+const summarizeLineups = (lineups, homeId) => {
+    const summary = { home: null, away: null };
+
+    for (const lineup of lineups || []) {
+        const side = String(lineup.team?.id) === String(homeId) ? 'home' : 'away';
+        const toEntry = ({ player }) => ({ id: player?.id ?? null, name: player?.name ?? null, number: player?.number ?? null, pos: player?.pos ?? null });
+
+        summary[side] = {
+            formation: lineup.formation || null,
+            coach: lineup.coach?.name || null,
+            startXI: (lineup.startXI || []).map(toEntry),
+            substitutes: (lineup.substitutes || []).map(toEntry)
+        };
+    }
+
+    return summary;
+};
+
+/**
+ * Timeline lengkap satu fixture canonical
+ * @param {Object} fixture - canonical fixture (events/lineups/statistics opsional)
+ * @param {Array} snapshots - snapshot statistik live [{ minute, statistics }]
+ * Returns: { timeline, score, lineups, statistics, momentum }
+ */
+const buildTimeline = (fixture, snapshots = []) => {
+    const homeId = fixture.teams?.home?.id;
+    const timeline = buildEntries(fixture, buildShirtNumbers(fixture.lineups));
+    const statistics = pairStatistics(fixture.statistics, homeId);
+
+    return {
+        timeline,
+        score: timeline.length > 0 ? timeline[timeline.length - 1].score : { home: 0, away: 0 },
+        lineups: summarizeLineups(fixture.lineups, homeId),
+        statistics: Object.entries(statistics).map(([type, values]) => ({ type, ...values })),
+        momentum: buildMomentum(snapshots, homeId)
+    };
+};
+
+module.exports = {
+    buildTimeline,
+    buildMomentum,
+    buildStatisticsHistory,
+    MOMENTUM_WEIGHTS
+};
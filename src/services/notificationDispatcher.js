@@ -0,0 +1,195 @@
+/**
+ * Notification Dispatcher
+ * Kirim Web Push (VAPID) ke user yang follow tim / liga / fixture
+ * waktu matchSync deteksi kickoff, goal, atau fulltime (lewat eventBus)
+ *
+ * Tables:
+ *   notification_follows  - user follow entity (team, league, fixture)
+ *   push_subscriptions    - device/browser push subscription per user
+ * Dua table itu gak bisa diakses anon (RLS), jadi dibaca lewat service_role
+ */
+
+const webpush = require('web-push');
+const { supabaseAdmin: supabase } = require('../config/database');
+const eventBus = require('./eventBus');
+const { EVENT_TYPES } = require('./matchEvents');
+
+const VAPID_PUBLIC_KEY = process.env.VAPID_PUBLIC_KEY;
+const VAPID_PRIVATE_KEY = process.env.VAPID_PRIVATE_KEY;
+const VAPID_SUBJECT = process.env.VAPID_SUBJECT || 'mailto:admin@nobarmeriah.com';
+
+// Event yang dikirim ke user + key preferensi di notification_follows.events
+const NOTIFIABLE_EVENTS = {
+    [EVENT_TYPES.KICKOFF]: 'kickoff',
+    [EVENT_TYPES.GOAL]: 'goal',
+    [EVENT_TYPES.FULLTIME]: 'fulltime'
+};
+
+const ENTITY_TYPES = ['team', 'league', 'fixture'];
+
+// Maks user ID per query .in() biar URL gak kepanjangan
+const FETCH_CHUNK_SIZE = 200;
+
+let isStarted = false;
+
+const isConfigured = () => !!(VAPID_PUBLIC_KEY && VAPID_PRIVATE_KEY);
+
+/**
+ * Build isi notifikasi dari domain event
+ */
+const buildPayload = (event) => {
+    const p = event.payload || {};
+    const score = `${p.home_team_name} ${event.home_score ?? 0}-${event.away_score ?? 0} ${p.away_team_name}`;
+
+    let title;
+    if (event.type === EVENT_TYPES.GOAL) {
+        title = `⚽ GOAL! ${p.team_name}`;
+    } else if (event.type === EVENT_TYPES.KICKOFF) {
+        title = '🟢 Kick-off';
+    } else {
+        title = '🏁 Full Time';
+    }
+
+    return {
+        title,
+        body: event.type === EVENT_TYPES.KICKOFF
+            ? `${p.home_team_name} vs ${p.away_team_name} (${p.league_name})`
+            : `${score}${event.elapsed ? ` (${event.elapsed}')` : ''}`,
+        tag: `match-${event.match_id}`,
+        data: {
+            type: event.type,
+            match_id: event.match_id,
+            url: `/match/${event.match_id}`
+        }
+    };
+};
+
+/**
+ * Cari user yang follow fixture / tim / liga dari event ini
+ * @returns {Array} user IDs
+ */
+const findFollowers = async (event) => {
+    const p = event.payload || {};
+    const filters = [`and(entity_type.eq.fixture,entity_id.eq.${event.match_id})`];
+
+    if (p.home_team_id) filters.push(`and(entity_type.eq.team,entity_id.eq.${p.home_team_id})`);
+    if (p.away_team_id) filters.push(`and(entity_type.eq.team,entity_id.eq.${p.away_team_id})`);
+    if (p.league_id) filters.push(`and(entity_type.eq.league,entity_id.eq.${p.league_id})`);
+
+    const { data, error } = await supabase
+        .from('notification_follows')
+        .select('user_id, events')
+        .or(filters.join(','));
+
+    if (error) {
+        console.error('❌ Error fetching followers:', error.message);
+        return [];
+    }
+
+    const eventKey = NOTIFIABLE_EVENTS[event.type];
+
+    const userIds = (data || [])
+        .filter(follow => !follow.events || follow.events.includes(eventKey))
+        .map(follow => follow.user_id);
+
+    return Array.from(new Set(userIds));
+};
+
+/**
+ * Kirim push ke satu subscription, hapus kalau udah expired (404/410)
+ */
+const sendToSubscription = async (subscription, payload) => {
+    try {
+        await webpush.sendNotification({
+            endpoint: subscription.endpoint,
+            keys: {
+                p256dh: subscription.p256dh,
+                auth: subscription.auth
+            }
+        }, JSON.stringify(payload));
+        return true;
+    } catch (error) {
+        if (error.statusCode === 404 || error.statusCode === 410) {
+            await supabase
+                .from('push_subscriptions')
+                .delete()
+                .eq('endpoint', subscription.endpoint);
+            console.log(`🗑️ Removed expired push subscription for user ${subscription.user_id}`);
+        } else {
+            console.error('❌ Push send failed:', error.statusCode || error.message);
+        }
+        return false;
+    }
+};
+
+/**
+ * Handle satu domain event: cari follower, kirim push ke semua device mereka
+ */
+const dispatch = async (event) => {
+    if (!supabase || !isConfigured()) return { sent: 0 };
+
+    const userIds = await findFollowers(event);
+    if (userIds.length === 0) return { sent: 0 };
+
+    const subscriptions = [];
+
+    for (let i = 0; i < userIds.length; i += FETCH_CHUNK_SIZE) {
+        const { data, error } = await supabase
+            .from('push_subscriptions')
+            .select('user_id, endpoint, p256dh, auth')
+            .in('user_id', userIds.slice(i, i + FETCH_CHUNK_SIZE));
+
+        if (error) {
+            console.error('❌ Error fetching push subscriptions:', error.message);
+            continue;
+        }
+
+        subscriptions.push(...(data || []));
+    }
+
+    const payload = buildPayload(event);
+    const results = await Promise.all(
+        subscriptions.map(subscription => sendToSubscription(subscription, payload))
+    );
+
+    const sent = results.filter(Boolean).length;
+    console.log(`🔔 ${event.type} match ${event.match_id}: ${sent}/${results.length} push sent to ${userIds.length} users`);
+
+    return { sent };
+};
+
+/**
+ * Register ke eventBus (dipanggil sekali waktu server start)
+ */
+const start = () => {
+    if (isStarted) return;
+
+    if (!isConfigured()) {
+        console.log('⚠️  VAPID keys not set - push notifications disabled');
+        return;
+    }
+
+    if (!supabase) {
+        console.log('⚠️  Supabase service role not configured - push notifications disabled');
+        return;
+    }
+
+    webpush.setVapidDetails(VAPID_SUBJECT, VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY);
+
+    for (const type of Object.keys(NOTIFIABLE_EVENTS)) {
+        eventBus.on(type, dispatch);
+    }
+
+    isStarted = true;
+    console.log('🔔 Push notification dispatcher started');
+};
+
+module.exports = {
+    start,
+    dispatch,
+    buildPayload,
+    isConfigured,
+    ENTITY_TYPES,
+    NOTIFIABLE_EVENTS,
+    VAPID_PUBLIC_KEY
+};
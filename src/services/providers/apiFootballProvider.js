@@ -0,0 +1,117 @@
+/**
+ * Football provider: API-Football (v3.football.api-sports.io)
+ * Provider utama - fixture/team ID-nya yang dipake di table matches & predictions
+ * Bungkus src/services/apiFootball.js, output udah dinormalisasi (matchNormalizer)
+ */
+
+const apiFootball = require('../apiFootball');
+const normalizer = require('../matchNormalizer');
+const httpClient = require('../httpClient');
+
+const name = 'api-football';
+
+/**
+ * ID numerik = punya API-Football (provider lain pake prefix, fd-123)
+ */
+const ownsId = (id) => /^\d+$/.test(String(id));
+
+const withFixtures = (result) => {
+    if (!result.success) return result;
+
+    const data = (result.data || []).map(normalizer.fromApiFootball);
+    return { success: true, data, results: data.length };
+};
+
+/**
+ * @param {Object} query - { date, from, to, league, season, live, id, timezone }
+ * date = tanggal lokal di timezone itu (API-Football yang ngitung batas harinya)
+ */
+const getFixtures = async (query = {}) => {
+    if (query.live) {
+        return withFixtures(await apiFootball.getLiveMatches());
+    }
+
+    if (query.league && !query.season && !query.date) {
+        return withFixtures(await apiFootball.getMatchesByLeague(query.league));
+    }
+
+    const params = {};
+    for (const key of ['id', 'date', 'from', 'to', 'league', 'season', 'timezone']) {
+        if (query[key] !== undefined && query[key] !== null) params[key] = query[key];
+    }
+
+    return withFixtures(await apiFootball.getFixtures(params));
+};
+
+/**
+ * Fixture detail
+ * /fixtures?id= udah include events, lineups, statistics - endpoint terpisah cuma dipanggil kalau kosong
+ * @param {Object} include - { statistics, events, lineups }
+ */
+const getFixture = async (id, include = {}) => {
+    const result = await apiFootball.getMatchById(id);
+
+    if (!result.success) return result;
+
+    if (!result.data || result.data.length === 0) {
+        return { success: false, notFound: true, error: 'Match not found' };
+    }
+
+    const fixture = normalizer.fromApiFootball(result.data[0]);
+
+    const extras = [
+        ['statistics', apiFootball.getMatchStatistics],
+        ['events', apiFootball.getMatchEvents],
+        ['lineups', apiFootball.getMatchLineups]
+    ];
+
+    for (const [key, fetch] of extras) {
+        if (!include[key] || (fixture[key] && fixture[key].length > 0)) continue;
+
+        const extra = await fetch(id);
+        if (extra.success) fixture[key] = extra.data;
+    }
+
+    return { success: true, data: fixture };
+};
+
+const getStandings = async (leagueId, season = null) => {
+    const result = await apiFootball.getStandings(leagueId, season);
+    if (!result.success) return result;
+
+    return { success: true, data: normalizer.standingsFromApiFootball(result.data) };
+};
+
+const getH2H = async (team1, team2, last = 12) => {
+    return withFixtures(await apiFootball.getH2H(team1, team2, last));
+};
+
+/**
+ * Odds pre-match format API-Football (udah jadi format canonical odds)
+ * Returns: data = { bookmakers: [{ id, name, bets }], update }
+ */
+const getOdds = async (fixtureId) => {
+    const result = await apiFootball.getOdds(fixtureId);
+    if (!result.success) return result;
+
+    const entry = result.data?.[0] || {};
+
+    return {
+        success: true,
+        data: {
+            bookmakers: entry.bookmakers || [],
+            update: entry.update || null
+        }
+    };
+};
+
+module.exports = {
+    name,
+    isConfigured: () => Boolean(process.env.API_FOOTBALL_KEY) || httpClient.getMode() === 'replay',
+    ownsId,
+    getFixtures,
+    getFixture,
+    getStandings,
+    getH2H,
+    getOdds
+};
@@ -0,0 +1,125 @@
+/**
+ * Football provider: football-data.org (v4)
+ * Provider cadangan - dipake kalau API-Football down / quota habis
+ * Bungkus src/services/apiFootballData.js, output udah dinormalisasi (matchNormalizer)
+ *
+ * Keterbatasan:
+ * - Cuma kompetisi yang ada di matchNormalizer FOOTBALL_DATA_COMPETITIONS
+ * - Fixture/team ID pake prefix fd- (beda sama API-Football), jadi fixture detail & H2H
+ *   cuma bisa buat ID fd-
+ * - Gak ada odds
+ * - Filter tanggal football-data itu tanggal UTC, jadi query per tanggal lokal (timezone)
+ *   ambil H-1 s/d H+1 lalu disaring di sini
+ */
+
+const apiFootballData = require('../apiFootballData');
+const apiFootball = require('../apiFootball');
+const normalizer = require('../matchNormalizer');
+const timezone = require('../timezone');
+
+const name = 'football-data';
+const ID_PATTERN = /^fd-(\d+)$/;
+
+const ownsId = (id) => ID_PATTERN.test(String(id));
+const rawId = (id) => String(id).match(ID_PATTERN)?.[1];
+
+const unsupported = (what) => ({ success: false, unsupported: true, error: `${what} not supported by ${name}` });
+
+const withMatches = (result) => {
+    if (!result.success) return result;
+
+    const data = (result.data.matches || []).map(normalizer.fromFootballData);
+    return { success: true, data, results: data.length };
+};
+
+/**
+ * Saring fixture yang kickoff-nya jatuh di tanggal lokal itu
+ */
+const onLocalDate = (result, date, tz) => {
+    if (!result.success) return result;
+
+    const data = result.data.filter(fixture => timezone.formatDate(fixture.date, tz) === date);
+    return { success: true, data, results: data.length };
+};
+
+/**
+ * @param {Object} query - { date, from, to, league, season, live, id, timezone }
+ */
+const getFixtures = async (query = {}) => {
+    if (query.id !== undefined) {
+        const result = await getFixture(query.id);
+        return result.success ? { success: true, data: [result.data], results: 1 } : result;
+    }
+
+    if (query.live) {
+        return withMatches(await apiFootballData.getLiveMatches());
+    }
+
+    if (query.league) {
+        const code = normalizer.toFootballDataCompetition(query.league);
+        if (!code) return unsupported(`League ${query.league}`);
+
+        const params = { season: query.season || apiFootball.getCurrentSeason() };
+        if (query.date) {
+            params.dateFrom = timezone.addDays(query.date, -1);
+            params.dateTo = timezone.addDays(query.date, 1);
+        }
+
+        const result = withMatches(await apiFootballData.getCompetitionMatches(code, params));
+        return query.date ? onLocalDate(result, query.date, query.timezone || timezone.DEFAULT_TIMEZONE) : result;
+    }
+
+    if (query.from && query.to) {
+        return withMatches(await apiFootballData.getMatchesDateRange(query.from, query.to));
+    }
+
+    if (query.date) {
+        const result = withMatches(await apiFootballData.getMatchesDateRange(
+            timezone.addDays(query.date, -1),
+            timezone.addDays(query.date, 1)
+        ));
+        return onLocalDate(result, query.date, query.timezone || timezone.DEFAULT_TIMEZONE);
+    }
+
+    return unsupported('Fixture query');
+};
+
+/**
+ * Fixture detail (events/lineups/statistics ikut kalau tier API key-nya dapet)
+ */
+const getFixture = async (id) => {
+    if (!ownsId(id)) return unsupported(`Fixture ${id}`);
+
+    const result = await apiFootballData.getMatchById(rawId(id));
+    if (!result.success) return result;
+
+    return { success: true, data: normalizer.fromFootballData(result.data) };
+};
+
+const getStandings = async (leagueId, season = null) => {
+    const code = normalizer.toFootballDataCompetition(leagueId);
+    if (!code) return unsupported(`League ${leagueId}`);
+
+    const result = await apiFootballData.getStandings(code, season);
+    if (!result.success) return result;
+
+    return { success: true, data: normalizer.standingsFromFootballData(result.data) };
+};
+
+/**
+ * football-data cuma punya H2H per match (/matches/:id/head2head), bukan per pasangan tim
+ */
+const getH2H = async () => unsupported('H2H by team ID');
+
+const getOdds = async () => unsupported('Odds');
+
+module.exports = {
+    name,
+    isConfigured: apiFootballData.isConfigured,
+    ownsId,
+    getFixtures,
+    getFixture,
+    getStandings,
+    getH2H,
+    getOdds
+};
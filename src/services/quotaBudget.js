@@ -0,0 +1,271 @@
+/**
+ * Quota Budget
+ * Budget request harian bareng untuk semua client api-sports
+ * (football, basketball, volleyball, baseball, formula1, mma - satu API key)
+ *
+ * - Sisa quota dibaca dari header x-ratelimit-requests-limit / -remaining tiap response
+ * - Tiap sport api-sports punya limit sendiri di header-nya. Kalau semua sport narik dari satu
+ *   limit bareng (QUOTA_SHARED_LIMIT=true), limit itu dibagi per sport (QUOTA_SPORT_SHARES).
+ *   Kalau limitnya terpisah, tiap sport cukup dibatasi limit & reserve-nya sendiri
+ * - Budget per job/consumer (QUOTA_JOB_SHARES) = fraksi dari total limit semua sport,
+ *   karena satu job bisa nembak beberapa sport
+ * - Prioritas call: critical (live sync, grading) > normal (request user, sync) > low (fan-out)
+ *   Makin tipis sisa quota, prioritas rendah ditolak duluan
+ * - Call yang ditolak throw error code QUOTA_EXCEEDED di dalam fetcher cache.wrap,
+ *   jadi kalau ada payload stale di cache, itu yang di-serve (degrade, bukan error)
+ *
+ * Konteks (consumer + priority) di-thread pake AsyncLocalStorage:
+ *   await quotaBudget.runWith({ consumer: 'topPlayers', priority: 'low' }, () => ...)
+ * Scheduler otomatis set konteks per job, request HTTP tanpa konteks = consumer 'request', normal
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const PRIORITIES = ['critical', 'normal', 'low'];
+
+// Sisa quota minimal (fraksi dari limit harian) biar call dengan prioritas ini masih boleh jalan
+const PRIORITY_RESERVE = {
+    critical: 0,
+    normal: (parseFloat(process.env.QUOTA_RESERVE_PERCENT) || 10) / 100,
+    low: (parseFloat(process.env.QUOTA_LOW_PRIORITY_PERCENT) || 30) / 100
+};
+
+const DEFAULT_SPORT_SHARES = 'football:0.7,basketball:0.06,volleyball:0.06,baseball:0.06,formula1:0.06,mma:0.06';
+const DEFAULT_JOB_SHARES = 'sportsSync:0.1,sportsLiveSync:0.1,topPlayers:0.05';
+
+/**
+ * "football:0.7,basketball:0.06" → { football: 0.7, basketball: 0.06 }
+ */
+const parseShares = (value) => Object.fromEntries(
+    (value || '')
+        .split(',')
+        .map(pair => pair.split(':').map(part => part.trim()))
+        .filter(([key, share]) => key && !isNaN(parseFloat(share)))
+        .map(([key, share]) => [key, parseFloat(share)])
+);
+
+const SPORT_SHARES = parseShares(process.env.QUOTA_SPORT_SHARES || DEFAULT_SPORT_SHARES);
+const JOB_SHARES = parseShares(process.env.QUOTA_JOB_SHARES || DEFAULT_JOB_SHARES);
+
+// true = semua sport ngurangin satu limit harian yang sama (header tiap sport nunjukin pool yang sama)
+const SHARED_LIMIT = process.env.QUOTA_SHARED_LIMIT === 'true';
+
+const context = new AsyncLocalStorage();
+
+// Quota dari header provider per sport: { limit, remaining, updatedAt }
+const providerQuota = {};
+
+// Pemakaian hari ini (UTC, quota api-sports reset jam 00:00 UTC)
+let usage = null;
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const getUsage = () => {
+    if (!usage || usage.date !== today()) {
+        usage = { date: today(), sports: {}, consumers: {}, refused: {} };
+    }
+    return usage;
+};
+
+const getContext = () => context.getStore() || { consumer: 'request', priority: 'normal' };
+
+/**
+ * Jalanin fn dengan konteks consumer + priority
+ * Returns: hasil fn. Jumlah call yang ditolak bisa dibaca dari ctx.refused setelahnya
+ */
+const runWith = (ctx, fn) => {
+    const store = {
+        consumer: ctx.consumer || 'request',
+        priority: PRIORITIES.includes(ctx.priority) ? ctx.priority : 'normal',
+        refused: 0
+    };
+
+    return context.run(store, () => fn(store));
+};
+
+/**
+ * Limit harian yang dipake buat hitung budget (null kalau belum pernah dapet header)
+ */
+const getLimit = (sport) => providerQuota[sport]?.limit || null;
+
+/**
+ * Total limit harian semua sport yang udah ketauan (buat budget job)
+ * Limit bareng: header tiap sport nunjukin pool yang sama, jadi cukup diambil sekali
+ */
+const getTotalLimit = () => {
+    const limits = Object.values(providerQuota).map(quota => quota.limit).filter(Boolean);
+    if (limits.length === 0) return null;
+
+    return SHARED_LIMIT ? Math.max(...limits) : limits.reduce((sum, limit) => sum + limit, 0);
+};
+
+/**
+ * Budget harian satu sport (null = gak dibatasi share, cukup limit sport itu sendiri)
+ */
+const getSportBudget = (sport) => {
+    const limit = getLimit(sport);
+    if (!SHARED_LIMIT || !limit || SPORT_SHARES[sport] === undefined) return null;
+
+    return Math.floor(SPORT_SHARES[sport] * limit);
+};
+
+/**
+ * Cek boleh nembak provider atau gak
+ * Returns: { allowed, reason }
+ */
+const check = (sport, ctx = getContext()) => {
+    const quota = providerQuota[sport];
+
+    // Belum pernah dapet header → belum tau apa-apa, loloskan
+    if (!quota || !quota.limit) {
+        return { allowed: true };
+    }
+
+    if (quota.remaining <= 0) {
+        return { allowed: false, reason: 'daily quota exhausted' };
+    }
+
+    const reserve = PRIORITY_RESERVE[ctx.priority] || 0;
+    if (quota.remaining / quota.limit < reserve) {
+        return { allowed: false, reason: `remaining quota below ${ctx.priority} reserve` };
+    }
+
+    if (ctx.priority === 'critical') {
+        return { allowed: true };
+    }
+
+    const day = getUsage();
+
+    const sportBudget = getSportBudget(sport);
+    if (sportBudget !== null && (day.sports[sport] || 0) >= sportBudget) {
+        return { allowed: false, reason: `${sport} daily budget used` };
+    }
+
+    const jobShare = JOB_SHARES[ctx.consumer];
+    if (jobShare !== undefined && (day.consumers[ctx.consumer] || 0) >= jobShare * getTotalLimit()) {
+        return { allowed: false, reason: `${ctx.consumer} daily budget used` };
+    }
+
+    return { allowed: true };
+};
+
+/**
+ * Throw QUOTA_EXCEEDED kalau call gak boleh jalan
+ */
+const assertCanSpend = (sport) => {
+    const ctx = getContext();
+    const decision = check(sport, ctx);
+
+    if (decision.allowed) return;
+
+    const day = getUsage();
+    const key = `${sport}:${ctx.consumer}`;
+    day.refused[key] = (day.refused[key] || 0) + 1;
+    if (ctx.refused !== undefined) ctx.refused++;
+
+    // Log sekali per sport+consumer per hari, sisanya cuma dihitung
+    if (day.refused[key] === 1) {
+        console.warn(`⛽ Quota budget: refusing ${ctx.priority} ${sport} call from ${ctx.consumer} (${decision.reason})`);
+    }
+
+    const error = new Error(`API quota budget exceeded: ${decision.reason}`);
+    error.code = 'QUOTA_EXCEEDED';
+    throw error;
+};
+
+/**
+ * Catat quota dari header response api-sports
+ */
+const recordHeaders = (sport, headers = {}) => {
+    const limit = parseInt(headers['x-ratelimit-requests-limit']);
+    const remaining = parseInt(headers['x-ratelimit-requests-remaining']);
+
+    if (isNaN(limit) || isNaN(remaining)) return;
+
+    providerQuota[sport] = { limit, remaining, updatedAt: Date.now() };
+};
+
+/**
+ * Catat quota dari /status (dipake job quotaCheck, sebelum ada response lain)
+ */
+const recordStatus = (sport, requests) => {
+    if (!requests?.limit_day) return;
+
+    providerQuota[sport] = {
+        limit: requests.limit_day,
+        remaining: Math.max(requests.limit_day - requests.current, 0),
+        updatedAt: Date.now()
+    };
+};
+
+/**
+ * Wrapper request ke provider: cek budget, kirim, catat header + pemakaian
+ * @param {string} sport - football, basketball, dll
+ * @param {Function} request - () => axios promise
+ */
+const track = async (sport, request) => {
+    assertCanSpend(sport);
+
+    const ctx = getContext();
+    const day = getUsage();
+    day.sports[sport] = (day.sports[sport] || 0) + 1;
+    day.consumers[ctx.consumer] = (day.consumers[ctx.consumer] || 0) + 1;
+
+    try {
+        const response = await request();
+        recordHeaders(sport, response.headers);
+        return response;
+    } catch (error) {
+        if (error.response) recordHeaders(sport, error.response.headers);
+        throw error;
+    }
+};
+
+/**
+ * Quota provider terakhir untuk satu sport (dipake liveSyncPlanner)
+ */
+const getProviderQuota = (sport) => providerQuota[sport] || null;
+
+/**
+ * Ringkasan buat GET /api/status
+ */
+const getStatus = () => {
+    const day = getUsage();
+
+    const sports = Object.fromEntries(
+        Array.from(new Set([...Object.keys(SPORT_SHARES), ...Object.keys(providerQuota)])).map(sport => {
+            const quota = providerQuota[sport];
+            const limit = getLimit(sport);
+
+            return [sport, {
+                used: day.sports[sport] || 0,
+                budget: getSportBudget(sport),
+                limit,
+                remaining: quota ? quota.remaining : null,
+                updatedAt: quota ? new Date(quota.updatedAt).toISOString() : null
+            }];
+        })
+    );
+
+    return {
+        date: day.date,
+        sports,
+        consumers: day.consumers,
+        refused: day.refused,
+        sharedLimit: SHARED_LIMIT,
+        shares: { sports: SPORT_SHARES, jobs: JOB_SHARES },
+        reserve: PRIORITY_RESERVE
+    };
+};
+
+module.exports = {
+    runWith,
+    check,
+    assertCanSpend,
+    track,
+    recordHeaders,
+    recordStatus,
+    getProviderQuota,
+    getStatus,
+    PRIORITIES
+};
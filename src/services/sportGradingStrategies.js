@@ -0,0 +1,262 @@
+/**
+ * Sport Grading Strategies
+ * Aturan grading prediksi per sport (selain football)
+ *
+ * Setiap strategy punya:
+ *   types      - prediction_type yang didukung + poin [normal, big match]
+ *   bigLeagues - liga/turnamen yang dapet bonus poin
+ *   getResult  - ambil hasil akhir dari provider (null kalau belum selesai)
+ *   grade      - bandingkan prediksi (JSONB) vs hasil, return { isCorrect, actual }
+ *
+ * Format kolom prediction (JSONB) per type:
+ *   basketball  winner     { winner: 'home'|'away' }
+ *               spread     { margin: 7 }               // skor home - skor away, toleransi ±5
+ *   tennis      winner     { winner: 'player1'|'player2' }
+ *               set_score  { player1: 2, player2: 1 }
+ *   volleyball  set_score  { home: 3, away: 1 }
+ *   baseball    winner     { winner: 'home'|'away' }
+ *               run_total  { total: 9 }                // total runs, toleransi ±1
+ *   mma         winner     { winner: 'fighter1'|'fighter2' }
+ *               method     { winner, method: 'ko'|'submission'|'decision' }
+ *               round      { winner, round: 2 }
+ */
+
+const apiBasketball = require('./apiBasketball');
+const apiVolleyball = require('./apiVolleyball');
+const apiBaseball = require('./apiBaseball');
+const apiTennis = require('./apiTennis');
+const apiMMA = require('./apiMMA');
+
+const SPREAD_TOLERANCE = 5;
+const RUN_TOTAL_TOLERANCE = 1;
+
+/**
+ * Tentukan pemenang dari dua skor
+ */
+const getWinner = (homeScore, awayScore, homeKey = 'home', awayKey = 'away') => {
+    if (homeScore > awayScore) return homeKey;
+    if (awayScore > homeScore) return awayKey;
+    return 'draw';
+};
+
+/**
+ * Ambil hasil game api-sports (basketball, volleyball, baseball) lewat getGameById
+ */
+const getTeamGameResult = (service) => async (matchId) => {
+    const result = await service.getGameById(matchId);
+
+    if (!result.success || !result.data || result.data.length === 0) {
+        return null;
+    }
+
+    const game = service.transformGame(result.data[0]);
+
+    return {
+        matchId: game.id,
+        status: game.status,
+        isFinished: game.isFinished,
+        homeTeam: game.homeTeam?.name,
+        awayTeam: game.awayTeam?.name,
+        homeScore: game.homeScore,
+        awayScore: game.awayScore,
+        winner: getWinner(game.homeScore, game.awayScore),
+        leagueName: game.league?.name
+    };
+};
+
+/**
+ * Normalisasi metode kemenangan MMA
+ */
+const normalizeMethod = (method) => {
+    const value = (method || '').toLowerCase();
+    if (value.includes('ko')) return 'ko';
+    if (value.includes('sub')) return 'submission';
+    if (value.includes('dec')) return 'decision';
+    return value || null;
+};
+
+const STRATEGIES = {
+    basketball: {
+        types: {
+            winner: [10, 15],
+            spread: [20, 25]
+        },
+        bigLeagues: ['NBA', 'Euroleague'],
+        getResult: getTeamGameResult(apiBasketball),
+        grade: (type, prediction, result) => {
+            if (type === 'winner') {
+                return { isCorrect: prediction.winner === result.winner, actual: { winner: result.winner } };
+            }
+
+            const margin = result.homeScore - result.awayScore;
+            const predicted = Number(prediction.margin);
+            const sameSide = Math.sign(predicted) === Math.sign(margin);
+
+            return {
+                isCorrect: sameSide && Math.abs(margin - predicted) <= SPREAD_TOLERANCE,
+                actual: { margin }
+            };
+        }
+    },
+
+    volleyball: {
+        types: {
+            set_score: [20, 25]
+        },
+        bigLeagues: ['Olympic', 'World Championship', 'Nations League'],
+        getResult: getTeamGameResult(apiVolleyball),
+        grade: (type, prediction, result) => ({
+            isCorrect: Number(prediction.home) === result.homeScore && Number(prediction.away) === result.awayScore,
+            actual: { home: result.homeScore, away: result.awayScore }
+        })
+    },
+
+    baseball: {
+        types: {
+            winner: [10, 15],
+            run_total: [20, 25]
+        },
+        bigLeagues: ['MLB', 'NPB', 'KBO'],
+        getResult: getTeamGameResult(apiBaseball),
+        grade: (type, prediction, result) => {
+            if (type === 'winner') {
+                return { isCorrect: prediction.winner === result.winner, actual: { winner: result.winner } };
+            }
+
+            const total = result.homeScore + result.awayScore;
+            return {
+                isCorrect: Math.abs(total - Number(prediction.total)) <= RUN_TOTAL_TOLERANCE,
+                actual: { total }
+            };
+        }
+    },
+
+    tennis: {
+        types: {
+            winner: [10, 15],
+            set_score: [20, 25]
+        },
+        bigLeagues: ['Australian Open', 'French Open', 'Roland Garros', 'Wimbledon', 'US Open', 'ATP Finals'],
+        getResult: async (matchId, prediction) => {
+            // api-tennis butuh range tanggal, pake tanggal match dari prediksi
+            const date = prediction.match_date || new Date().toISOString().split('T')[0];
+            const result = await apiTennis.getFixtures(date, date, { match_key: matchId });
+
+            if (!result.success || !result.data || result.data.length === 0) {
+                return null;
+            }
+
+            const match = apiTennis.transformMatch(result.data[0]);
+            const winner = match.winner === 'First Player'
+                ? 'player1'
+                : (match.winner === 'Second Player' ? 'player2' : getWinner(match.setsWon.player1, match.setsWon.player2, 'player1', 'player2'));
+
+            return {
+                matchId: match.id,
+                status: match.status,
+                isFinished: match.isFinished,
+                homeTeam: match.player1?.name,
+                awayTeam: match.player2?.name,
+                homeScore: match.setsWon.player1,
+                awayScore: match.setsWon.player2,
+                winner,
+                leagueName: match.tournament?.name
+            };
+        },
+        grade: (type, prediction, result) => {
+            if (type === 'winner') {
+                return { isCorrect: prediction.winner === result.winner, actual: { winner: result.winner } };
+            }
+
+            return {
+                isCorrect: Number(prediction.player1) === result.homeScore && Number(prediction.player2) === result.awayScore,
+                actual: { player1: result.homeScore, player2: result.awayScore }
+            };
+        }
+    },
+
+    mma: {
+        types: {
+            winner: [10, 15],
+            method: [15, 20],
+            round: [20, 25]
+        },
+        bigLeagues: ['UFC'],
+        getResult: async (matchId) => {
+            const result = await apiMMA.getFightById(matchId);
+
+            if (!result.success || !result.data || result.data.length === 0) {
+                return null;
+            }
+
+            const fight = apiMMA.transformFight(result.data[0]);
+            let winner = 'draw';
+            if (fight.fighter1?.winner) winner = 'fighter1';
+            else if (fight.fighter2?.winner) winner = 'fighter2';
+
+            return {
+                matchId: fight.id,
+                status: fight.status,
+                isFinished: fight.isFinished,
+                homeTeam: fight.fighter1?.name,
+                awayTeam: fight.fighter2?.name,
+                homeScore: fight.fighter1Score,
+                awayScore: fight.fighter2Score,
+                winner,
+                method: normalizeMethod(fight.result?.method),
+                round: fight.result?.round ? parseInt(fight.result.round) : null,
+                leagueName: fight.category?.name
+            };
+        },
+        grade: (type, prediction, result) => {
+            const winnerCorrect = prediction.winner === result.winner;
+
+            if (type === 'winner') {
+                return { isCorrect: winnerCorrect, actual: { winner: result.winner } };
+            }
+
+            if (type === 'method') {
+                return {
+                    isCorrect: winnerCorrect && normalizeMethod(prediction.method) === result.method,
+                    actual: { winner: result.winner, method: result.method }
+                };
+            }
+
+            return {
+                isCorrect: winnerCorrect && Number(prediction.round) === result.round,
+                actual: { winner: result.winner, round: result.round }
+            };
+        }
+    }
+};
+
+const SUPPORTED_SPORTS = Object.keys(STRATEGIES);
+
+/**
+ * Ambil strategy satu sport
+ */
+const getStrategy = (sport) => STRATEGIES[sport] || null;
+
+/**
+ * Hitung poin prediksi sport (normal / big match)
+ */
+const calculateSportPoints = (sport, predictionType, isCorrect, leagueName) => {
+    if (!isCorrect) return 0;
+
+    const strategy = getStrategy(sport);
+    const points = strategy?.types[predictionType];
+    if (!points) return 0;
+
+    const isBig = !!leagueName && strategy.bigLeagues.some(league =>
+        leagueName.toLowerCase().includes(league.toLowerCase())
+    );
+
+    return isBig ? points[1] : points[0];
+};
+
+module.exports = {
+    getStrategy,
+    calculateSportPoints,
+    normalizeMethod,
+    SUPPORTED_SPORTS
+};
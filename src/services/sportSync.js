@@ -0,0 +1,265 @@
+/**
+ * Sport Sync Service
+ * Persist basketball, volleyball, baseball, tennis, MMA, dan F1 ke table sport_events
+ *
+ * Kolom umum (status, skor, peserta, liga) buat query/archive/grading,
+ * sisanya output transform* lengkap di kolom data (JSONB)
+ */
+
+const { supabase } = require('../config/database');
+const apiBasketball = require('./apiBasketball');
+const apiVolleyball = require('./apiVolleyball');
+const apiBaseball = require('./apiBaseball');
+const apiTennis = require('./apiTennis');
+const apiMMA = require('./apiMMA');
+const apiFormula1 = require('./apiFormula1');
+const timezone = require('./timezone');
+
+/**
+ * Row untuk sport dengan format homeTeam/awayTeam (basketball, volleyball, baseball)
+ */
+const teamGameToRow = (sport) => (game) => ({
+    sport,
+    external_id: String(game.id),
+    date: game.date,
+    status_short: game.status,
+    status_long: game.statusLong,
+    is_live: game.isLive,
+    is_finished: game.isFinished,
+    league_id: game.league?.id != null ? String(game.league.id) : null,
+    league_name: game.league?.name,
+    home_id: game.homeTeam?.id != null ? String(game.homeTeam.id) : null,
+    home_name: game.homeTeam?.name,
+    away_id: game.awayTeam?.id != null ? String(game.awayTeam.id) : null,
+    away_name: game.awayTeam?.name,
+    home_score: game.homeScore,
+    away_score: game.awayScore,
+    data: game
+});
+
+/**
+ * Tennis: player1/player2, skor = set yang dimenangkan
+ */
+const tennisMatchToRow = (match) => ({
+    sport: 'tennis',
+    external_id: String(match.id),
+    date: match.time ? `${match.date}T${match.time}:00` : match.date,
+    status_short: match.status,
+    status_long: match.status,
+    is_live: match.isLive,
+    is_finished: match.isFinished,
+    league_id: match.tournament?.key != null ? String(match.tournament.key) : null,
+    league_name: match.tournament?.name,
+    home_id: match.player1?.key != null ? String(match.player1.key) : null,
+    home_name: match.player1?.name,
+    away_id: match.player2?.key != null ? String(match.player2.key) : null,
+    away_name: match.player2?.name,
+    home_score: match.setsWon?.player1 ?? null,
+    away_score: match.setsWon?.player2 ?? null,
+    data: match
+});
+
+/**
+ * MMA: fighter1/fighter2, liga = category (UFC, Bellator, dll)
+ */
+const mmaFightToRow = (fight) => ({
+    sport: 'mma',
+    external_id: String(fight.id),
+    date: fight.date,
+    status_short: fight.status,
+    status_long: fight.statusLong,
+    is_live: fight.isLive,
+    is_finished: fight.isFinished,
+    league_id: fight.category?.id != null ? String(fight.category.id) : null,
+    league_name: fight.category?.name,
+    home_id: fight.fighter1?.id != null ? String(fight.fighter1.id) : null,
+    home_name: fight.fighter1?.name,
+    away_id: fight.fighter2?.id != null ? String(fight.fighter2.id) : null,
+    away_name: fight.fighter2?.name,
+    home_score: fight.fighter1Score,
+    away_score: fight.fighter2Score,
+    data: fight
+});
+
+/**
+ * F1: gak ada home/away, liga = competition (Grand Prix)
+ */
+const raceToRow = (race) => ({
+    sport: 'formula1',
+    external_id: String(race.id),
+    date: race.date,
+    status_short: race.status,
+    status_long: race.type ? `${race.type} - ${race.status}` : race.status,
+    is_live: race.status === 'Live',
+    is_finished: race.status === 'Completed',
+    league_id: race.competition?.id != null ? String(race.competition.id) : null,
+    league_name: race.competition?.name,
+    home_id: null,
+    home_name: null,
+    away_id: null,
+    away_name: null,
+    home_score: null,
+    away_score: null,
+    data: race
+});
+
+/**
+ * F1 gak punya endpoint "hari ini", jadi ambil season berjalan lalu filter tanggal
+ */
+const getTodayRaces = async () => {
+    const result = await apiFormula1.getCurrentSeasonRaces();
+    if (!result.success) return result;
+
+    const today = timezone.today();
+    const races = (result.data || []).filter(race => race.date && timezone.formatDate(race.date) === today);
+
+    return { success: true, data: races };
+};
+
+const getLiveRaces = async () => {
+    const result = await getTodayRaces();
+    if (!result.success) return result;
+
+    return { success: true, data: result.data.filter(race => race.status === 'Live') };
+};
+
+const SPORT_CONFIG = {
+    basketball: {
+        fetchToday: apiBasketball.getTodayGames,
+        fetchLive: apiBasketball.getLiveGames,
+        transform: apiBasketball.transformGames,
+        toRow: teamGameToRow('basketball')
+    },
+    volleyball: {
+        fetchToday: apiVolleyball.getTodayGames,
+        fetchLive: apiVolleyball.getLiveGames,
+        transform: apiVolleyball.transformGames,
+        toRow: teamGameToRow('volleyball')
+    },
+    baseball: {
+        fetchToday: apiBaseball.getTodayGames,
+        fetchLive: apiBaseball.getLiveGames,
+        transform: apiBaseball.transformGames,
+        toRow: teamGameToRow('baseball')
+    },
+    tennis: {
+        fetchToday: apiTennis.getTodayMatches,
+        fetchLive: apiTennis.getLiveMatches,
+        transform: apiTennis.transformMatches,
+        toRow: tennisMatchToRow
+    },
+    mma: {
+        fetchToday: apiMMA.getTodayFights,
+        fetchLive: apiMMA.getLiveFights,
+        transform: apiMMA.transformFights,
+        toRow: mmaFightToRow
+    },
+    formula1: {
+        fetchToday: getTodayRaces,
+        fetchLive: getLiveRaces,
+        transform: apiFormula1.transformRaces,
+        toRow: raceToRow
+    }
+};
+
+const SPORTS = Object.keys(SPORT_CONFIG);
+
+/**
+ * Transform hasil API ke row sport_events
+ */
+const toRows = (sport, rawItems) => {
+    const config = SPORT_CONFIG[sport];
+    const items = config.transform(rawItems || []);
+
+    return items
+        .map(config.toRow)
+        .filter(row => row.external_id && row.external_id !== 'undefined')
+        .map(row => ({ ...row, last_updated: new Date().toISOString() }));
+};
+
+/**
+ * Upsert rows ke sport_events
+ */
+const saveEventsToDb = async (rows) => {
+    if (!supabase) {
+        return { success: true, cached: false };
+    }
+
+    if (rows.length === 0) {
+        return { success: true, count: 0 };
+    }
+
+    const { error } = await supabase
+        .from('sport_events')
+        .upsert(rows, {
+            onConflict: 'sport,external_id',
+            ignoreDuplicates: false
+        });
+
+    if (error) {
+        console.error('❌ Supabase Error (sport_events):', error.message);
+        return { success: false, error: error.message };
+    }
+
+    return { success: true, count: rows.length };
+};
+
+/**
+ * Sync satu sport (mode: 'today' atau 'live')
+ */
+const syncSport = async (sport, mode = 'today') => {
+    const config = SPORT_CONFIG[sport];
+    if (!config) {
+        return { success: false, error: `Unknown sport: ${sport}` };
+    }
+
+    const fetcher = mode === 'live' ? config.fetchLive : config.fetchToday;
+    const result = await fetcher();
+
+    if (!result.success) {
+        return { success: false, sport, error: result.error };
+    }
+
+    const rows = toRows(sport, result.data);
+    const saveResult = await saveEventsToDb(rows);
+
+    return {
+        success: saveResult.success,
+        sport,
+        fetched: rows.length,
+        saved: saveResult.count || 0,
+        error: saveResult.error
+    };
+};
+
+/**
+ * Sync semua sport secara berurutan (biar gak nembak semua API barengan)
+ */
+const syncAllSports = async (mode = 'today') => {
+    const results = [];
+
+    for (const sport of SPORTS) {
+        try {
+            results.push(await syncSport(sport, mode));
+        } catch (error) {
+            console.error(`❌ Sport sync error (${sport}):`, error.message);
+            results.push({ success: false, sport, error: error.message });
+        }
+    }
+
+    const totalSaved = results.reduce((sum, r) => sum + (r.saved || 0), 0);
+
+    return {
+        success: results.some(r => r.success),
+        saved: totalSaved,
+        results
+    };
+};
+
+module.exports = {
+    syncSport,
+    syncAllSports,
+    saveEventsToDb,
+    toRows,
+    SPORTS
+};
@@ -0,0 +1,155 @@
+/**
+ * Stat Snapshots
+ * Snapshot statistik (shots, corner, possession, ...) fixture yang lagi live, diambil dari live sync
+ * tiap STAT_SNAPSHOT_INTERVAL_MINUTES menit pertandingan dan disimpan ke table match_stat_snapshots.
+ * /fixtures/statistics cuma ngasih total terakhir, perkembangannya harus direkam sendiri -
+ * dipake matchTimeline (momentum) dan GET /api/matches/:id/statistics/history
+ *
+ * - Cuma liga tier-1 (POPULAR_LEAGUES) dan liga / tim / fixture yang di-follow user
+ *   (liveSyncPlanner.isPriorityMatch), biar quota gak kebakar buat semua liga
+ * - Copy di memory per instance jadi fallback kalau database gak ada / error,
+ *   dibuang SNAPSHOT_RETENTION_HOURS setelah terakhir kelihatan live
+ */
+
+const { supabase } = require('../config/database');
+const apiFootball = require('./apiFootball');
+const liveSyncPlanner = require('./liveSyncPlanner');
+
+const SNAPSHOT_INTERVAL_MINUTES = parseInt(process.env.STAT_SNAPSHOT_INTERVAL_MINUTES) || 5;
+const SNAPSHOT_RETENTION_HOURS = 6;
+
+// fixtureId -> { snapshots: [{ minute, captured_at, status_short, home_score, away_score, statistics }], lastSeenAt }
+const series = new Map();
+
+/**
+ * Fixture live ini perlu di-snapshot sekarang?
+ * (row hasil transformMatch; menit belum nambah SNAPSHOT_INTERVAL_MINUTES sejak snapshot terakhir → skip)
+ */
+const isDue = (row, follows) => {
+    if (!row.is_live || row.elapsed === null || row.elapsed === undefined) return false;
+    if (!liveSyncPlanner.isPriorityMatch(row, follows)) return false;
+
+    const snapshots = series.get(String(row.id))?.snapshots || [];
+    const last = snapshots[snapshots.length - 1];
+
+    return !last || row.elapsed - last.minute >= SNAPSHOT_INTERVAL_MINUTES;
+};
+
+/**
+ * Buang series yang udah lama gak kelihatan live
+ */
+const prune = (now) => {
+    const cutoff = now - SNAPSHOT_RETENTION_HOURS * 60 * 60 * 1000;
+
+    for (const [fixtureId, entry] of series) {
+        if (entry.lastSeenAt < cutoff) series.delete(fixtureId);
+    }
+};
+
+/**
+ * Simpan snapshot baru ke match_stat_snapshots (match_id + minute unik)
+ */
+const persistSnapshots = async (rows) => {
+    if (!supabase || rows.length === 0) return;
+
+    const { error } = await supabase
+        .from('match_stat_snapshots')
+        .upsert(rows, {
+            onConflict: 'match_id,minute',
+            ignoreDuplicates: false
+        });
+
+    if (error) {
+        console.error('❌ Error saving statistics snapshots:', error.message);
+    }
+};
+
+/**
+ * Dipanggil tiap live sync dengan row live terbaru
+ * Returns: jumlah snapshot baru
+ */
+const captureLive = async (rows) => {
+    const now = Date.now();
+    const captured = [];
+
+    if (!(rows || []).some(row => row.is_live)) {
+        prune(now);
+        return 0;
+    }
+
+    const follows = await liveSyncPlanner.getFollows(new Date(now));
+
+    for (const row of rows || []) {
+        const fixtureId = String(row.id);
+
+        if (series.has(fixtureId)) {
+            series.get(fixtureId).lastSeenAt = now;
+        }
+
+        if (!isDue(row, follows)) continue;
+
+        const result = await apiFootball.getMatchStatistics(row.id);
+
+        if (!result.success || !result.data || result.data.length === 0) {
+            continue;
+        }
+
+        if (!series.has(fixtureId)) {
+            series.set(fixtureId, { snapshots: [], lastSeenAt: now });
+        }
+
+        const snapshot = {
+            minute: row.elapsed,
+            captured_at: new Date(now).toISOString(),
+            status_short: row.status_short,
+            home_score: row.home_score,
+            away_score: row.away_score,
+            statistics: result.data
+        };
+
+        series.get(fixtureId).snapshots.push(snapshot);
+        captured.push({ match_id: row.id, ...snapshot });
+    }
+
+    prune(now);
+    await persistSnapshots(captured);
+
+    if (captured.length > 0) {
+        console.log(`📈 Captured ${captured.length} live statistics snapshots`);
+    }
+
+    return captured.length;
+};
+
+/**
+ * Snapshot satu fixture, urut menit
+ * Dari database kalau ada, selain itu copy di memory instance ini
+ * (fixture provider cadangan, fd-123, gak pernah di-snapshot live sync)
+ */
+const getSnapshots = async (fixtureId) => {
+    const inMemory = [...(series.get(String(fixtureId))?.snapshots || [])];
+
+    if (!supabase || !/^\d+$/.test(String(fixtureId))) return inMemory;
+
+    const { data, error } = await supabase
+        .from('match_stat_snapshots')
+        .select('minute, captured_at, status_short, home_score, away_score, statistics')
+        .eq('match_id', fixtureId)
+        .order('minute', { ascending: true });
+
+    if (error) {
+        console.error('❌ Error fetching statistics snapshots:', error.message);
+        return inMemory;
+    }
+
+    return data && data.length > 0 ? data : inMemory;
+};
+
+const clear = () => series.clear();
+
+module.exports = {
+    captureLive,
+    getSnapshots,
+    clear,
+    SNAPSHOT_INTERVAL_MINUTES
+};
@@ -0,0 +1,120 @@
+/**
+ * Timezone helpers
+ * "Hari ini" dan batas hari dihitung di timezone user, bukan UTC atau jam server:
+ * kickoff 00:30 WIB itu match hari ini buat user Indonesia, padahal di UTC masih kemarin
+ *
+ *   DEFAULT_TIMEZONE=Asia/Jakarta   (WIB; WITA = Asia/Makassar, WIT = Asia/Jayapura)
+ *
+ * Semua timezone pake nama IANA, sama kayak param timezone API-Football / api-sports
+ */
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Asia/Jakarta';
+
+// Intl.DateTimeFormat lumayan mahal dibikin, cache per timezone
+const formatters = new Map();
+
+const getFormatter = (timezone) => {
+    if (!formatters.has(timezone)) {
+        formatters.set(timezone, new Intl.DateTimeFormat('en-CA', {
+            timeZone: timezone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit',
+            hourCycle: 'h23'
+        }));
+    }
+
+    return formatters.get(timezone);
+};
+
+/**
+ * Nama IANA valid? (Asia/Jakarta, UTC, ...)
+ */
+const isValidTimezone = (timezone) => {
+    if (!timezone || typeof timezone !== 'string') return false;
+
+    try {
+        getFormatter(timezone);
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * Jam dinding di timezone itu: { year, month, day, hour, minute, second }
+ */
+const getParts = (date, timezone) => Object.fromEntries(
+    getFormatter(timezone)
+        .formatToParts(date)
+        .filter(part => part.type !== 'literal')
+        .map(part => [part.type, Number(part.value)])
+);
+
+/**
+ * Offset timezone dalam menit (+420 = UTC+7) pada instant tertentu (ikut DST)
+ */
+const getOffsetMinutes = (date, timezone) => {
+    const parts = getParts(date, timezone);
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    const instant = Math.floor(date.getTime() / 1000) * 1000;
+
+    return Math.round((wallClock - instant) / 60000);
+};
+
+/**
+ * Format instant ke YYYY-MM-DD menurut tanggal lokal di timezone itu
+ */
+const formatDate = (date, timezone = DEFAULT_TIMEZONE) => {
+    const { year, month, day } = getParts(new Date(date), timezone);
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+/**
+ * Tanggal hari ini (YYYY-MM-DD) di timezone itu
+ */
+const today = (timezone = DEFAULT_TIMEZONE) => formatDate(new Date(), timezone);
+
+/**
+ * Geser tanggal YYYY-MM-DD sekian hari (kalender, tanpa timezone)
+ */
+const addDays = (date, days) => {
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().split('T')[0];
+};
+
+/**
+ * Jam 00:00 tanggal itu di timezone itu, sebagai Date (UTC)
+ * Offset dicek ulang di hasil tebakan pertama biar hari pergantian DST tetap pas
+ */
+const startOfDay = (date, timezone) => {
+    const [year, month, day] = date.split('-').map(Number);
+    const midnightUtc = Date.UTC(year, month - 1, day);
+
+    const offset = getOffsetMinutes(new Date(midnightUtc), timezone);
+    const corrected = getOffsetMinutes(new Date(midnightUtc - offset * 60000), timezone);
+
+    return new Date(midnightUtc - corrected * 60000);
+};
+
+/**
+ * Batas satu hari lokal dalam UTC: { start, end } ISO string, end eksklusif
+ * Contoh: 2026-10-19 Asia/Jakarta → 2026-10-18T17:00:00.000Z s/d 2026-10-19T17:00:00.000Z
+ */
+const getDayRange = (date, timezone = DEFAULT_TIMEZONE) => ({
+    start: startOfDay(date, timezone).toISOString(),
+    end: startOfDay(addDays(date, 1), timezone).toISOString()
+});
+
+module.exports = {
+    DEFAULT_TIMEZONE,
+    isValidTimezone,
+    getOffsetMinutes,
+    formatDate,
+    today,
+    addDays,
+    getDayRange
+};
@@ -138,6 +138,951 @@ CREATE POLICY "Allow public read leagues" ON leagues
     FOR SELECT
     USING (true);
 
+-- ============================================
+-- SPORT EVENTS
+-- Basketball, volleyball, baseball, tennis, MMA, F1
+-- Kolom umum buat query, output transform lengkap di data (JSONB)
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS sport_events (
+    sport VARCHAR(20) NOT NULL,
+    external_id VARCHAR(50) NOT NULL,
+
+    date TIMESTAMPTZ,
+    status_short VARCHAR(30),
+    status_long VARCHAR(100),
+    is_live BOOLEAN DEFAULT FALSE,
+    is_finished BOOLEAN DEFAULT FALSE,
+
+    -- Liga / turnamen / kategori / competition
+    league_id VARCHAR(50),
+    league_name VARCHAR(150),
+
+    -- Peserta (tim, pemain, fighter) - NULL untuk F1
+    home_id VARCHAR(50),
+    home_name VARCHAR(150),
+    away_id VARCHAR(50),
+    away_name VARCHAR(150),
+    home_score INTEGER,
+    away_score INTEGER,
+
+    data JSONB NOT NULL DEFAULT '{}'::jsonb,
+
+    last_updated TIMESTAMPTZ DEFAULT NOW(),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+
+    PRIMARY KEY (sport, external_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_sport_events_date ON sport_events(sport, date);
+CREATE INDEX IF NOT EXISTS idx_sport_events_live ON sport_events(sport, is_live);
+CREATE INDEX IF NOT EXISTS idx_sport_events_league ON sport_events(sport, league_id);
+
+ALTER TABLE sport_events ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow public read sport events" ON sport_events
+    FOR SELECT
+    USING (true);
+
+CREATE POLICY "Allow anon insert sport events" ON sport_events
+    FOR INSERT
+    WITH CHECK (true);
+
+CREATE POLICY "Allow anon update sport events" ON sport_events
+    FOR UPDATE
+    USING (true)
+    WITH CHECK (true);
+
+-- ============================================
+-- MATCH EVENTS LOG
+-- Domain events hasil diffing matchSync (goal, kickoff, fulltime, dll)
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS match_events_log (
+    id BIGSERIAL PRIMARY KEY,
+    match_id BIGINT NOT NULL,
+    event_type VARCHAR(50) NOT NULL,
+    event_key VARCHAR(100),
+    status_short VARCHAR(10),
+    elapsed INTEGER,
+    home_score INTEGER,
+    away_score INTEGER,
+    payload JSONB DEFAULT '{}'::jsonb,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- event_key (match.goal:home:2, match.fulltime, ...) unique per match: sync yang jalan barengan
+-- cuma bisa nyatet (dan publish) event yang sama sekali
+ALTER TABLE match_events_log ADD COLUMN IF NOT EXISTS event_key VARCHAR(100);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_match_events_log_key ON match_events_log(match_id, event_key);
+
+CREATE INDEX IF NOT EXISTS idx_match_events_log_match ON match_events_log(match_id);
+CREATE INDEX IF NOT EXISTS idx_match_events_log_type ON match_events_log(event_type);
+CREATE INDEX IF NOT EXISTS idx_match_events_log_created ON match_events_log(created_at);
+
+ALTER TABLE match_events_log ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow public read match events" ON match_events_log
+    FOR SELECT
+    USING (true);
+
+CREATE POLICY "Allow anon insert match events" ON match_events_log
+    FOR INSERT
+    WITH CHECK (true);
+
+-- ============================================
+-- PUSH NOTIFICATIONS
+-- User follow tim/liga/fixture + device Web Push subscription
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS notification_follows (
+    id BIGSERIAL PRIMARY KEY,
+    user_id UUID NOT NULL,
+    entity_type VARCHAR(20) NOT NULL CHECK (entity_type IN ('team', 'league', 'fixture')),
+    entity_id BIGINT NOT NULL,
+    events TEXT[] DEFAULT ARRAY['kickoff', 'goal', 'fulltime'],
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (user_id, entity_type, entity_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_follows_entity ON notification_follows(entity_type, entity_id);
+CREATE INDEX IF NOT EXISTS idx_notification_follows_user ON notification_follows(user_id);
+
+CREATE TABLE IF NOT EXISTS push_subscriptions (
+    id BIGSERIAL PRIMARY KEY,
+    user_id UUID NOT NULL,
+    endpoint TEXT NOT NULL UNIQUE,
+    p256dh TEXT NOT NULL,
+    auth TEXT NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_push_subscriptions_user ON push_subscriptions(user_id);
+
+-- Follow & push endpoint user sengaja tanpa policy: anon gak bisa baca / nulis sama sekali,
+-- semua lewat backend (POST /api/notifications/* + dispatcher) pake service_role
+ALTER TABLE notification_follows ENABLE ROW LEVEL SECURITY;
+ALTER TABLE push_subscriptions ENABLE ROW LEVEL SECURITY;
+
+-- Entity yang di-follow minimal satu user (live sync planner + stat snapshots), satu row per entity
+-- bukan per user. security_invoker biar view ikut RLS notification_follows (cuma service_role)
+CREATE OR REPLACE VIEW followed_entities WITH (security_invoker = true) AS
+    SELECT DISTINCT entity_type, entity_id
+    FROM notification_follows;
+
+REVOKE SELECT ON followed_entities FROM anon, authenticated;
+
+-- ============================================
+-- FOOTBALL PREDICTIONS
+-- Ditulis lewat POST /api/predictions/winner & /score (kickoff lock + satu prediksi per user per match)
+-- Kalau table udah ada, hapus duplikat (email, match_id) dulu sebelum bikin unique index
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS winner_predictions (
+    id BIGSERIAL PRIMARY KEY,
+    email VARCHAR(255) NOT NULL,
+    match_id BIGINT NOT NULL,
+    predicted_result VARCHAR(10) NOT NULL CHECK (predicted_result IN ('home', 'draw', 'away')),
+    status VARCHAR(20) DEFAULT 'pending',
+    is_correct BOOLEAN,
+    points_earned INTEGER DEFAULT 0,
+    actual_result VARCHAR(10),
+    graded_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS score_predictions (
+    id BIGSERIAL PRIMARY KEY,
+    email VARCHAR(255) NOT NULL,
+    match_id BIGINT NOT NULL,
+    predicted_home_score INTEGER NOT NULL,
+    predicted_away_score INTEGER NOT NULL,
+    status VARCHAR(20) DEFAULT 'pending',
+    is_correct BOOLEAN,
+    points_earned INTEGER DEFAULT 0,
+    actual_home_score INTEGER,
+    actual_away_score INTEGER,
+    graded_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_winner_predictions_user_match ON winner_predictions(email, match_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_score_predictions_user_match ON score_predictions(email, match_id);
+CREATE INDEX IF NOT EXISTS idx_winner_predictions_pending ON winner_predictions(status, match_id);
+CREATE INDEX IF NOT EXISTS idx_score_predictions_pending ON score_predictions(status, match_id);
+
+-- User cuma bisa baca prediksinya sendiri. Tulis (submit + grading) cuma lewat service_role di backend,
+-- biar kickoff lock & status / points_earned gak bisa diakalin lewat PostgREST pake anon key
+ALTER TABLE winner_predictions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE score_predictions ENABLE ROW LEVEL SECURITY;
+
+REVOKE INSERT, UPDATE, DELETE ON winner_predictions, score_predictions FROM anon, authenticated;
+
+DROP POLICY IF EXISTS "Users read own winner predictions" ON winner_predictions;
+CREATE POLICY "Users read own winner predictions" ON winner_predictions
+    FOR SELECT
+    USING (email = auth.jwt() ->> 'email');
+
+DROP POLICY IF EXISTS "Users read own score predictions" ON score_predictions;
+CREATE POLICY "Users read own score predictions" ON score_predictions
+    FOR SELECT
+    USING (email = auth.jwt() ->> 'email');
+
+-- ============================================
+-- SPORT PREDICTIONS
+-- Prediksi basketball, tennis, volleyball, baseball, MMA
+-- Format kolom prediction per type: lihat src/services/sportGradingStrategies.js
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS sport_predictions (
+    id BIGSERIAL PRIMARY KEY,
+    email VARCHAR(255) NOT NULL,
+    sport VARCHAR(20) NOT NULL CHECK (sport IN ('basketball', 'tennis', 'volleyball', 'baseball', 'mma')),
+    match_id VARCHAR(50) NOT NULL,
+    match_date DATE,
+    prediction_type VARCHAR(20) NOT NULL,
+    prediction JSONB NOT NULL,
+    status VARCHAR(20) DEFAULT 'pending',
+    is_correct BOOLEAN,
+    points_earned INTEGER DEFAULT 0,
+    actual_result JSONB,
+    league_name VARCHAR(255),
+    graded_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (email, sport, match_id, prediction_type)
+);
+
+CREATE INDEX IF NOT EXISTS idx_sport_predictions_pending ON sport_predictions(status, sport, match_id);
+CREATE INDEX IF NOT EXISTS idx_sport_predictions_email ON sport_predictions(email);
+
+-- ============================================
+-- POINTS LEDGER
+-- Setiap pemberian poin dicatat sekali per (prediksi, reason)
+-- prediction_ref: 'winner:<id>', 'score:<id>', 'sport:<id>', 'profile:<email>' (opening balance)
+-- reason: 'prediction', 'streak_bonus', 'opening_balance', 'regrade:<n>' (selisih setelah regrade)
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS points_ledger (
+    id BIGSERIAL PRIMARY KEY,
+    email VARCHAR(255) NOT NULL,
+    prediction_ref VARCHAR(100) NOT NULL,
+    match_ref VARCHAR(100),
+    league_id INTEGER,
+    reason VARCHAR(30) NOT NULL,
+    points INTEGER NOT NULL DEFAULT 0,
+    is_correct BOOLEAN,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (prediction_ref, reason)
+);
+
+CREATE INDEX IF NOT EXISTS idx_points_ledger_email ON points_ledger(email);
+CREATE INDEX IF NOT EXISTS idx_points_ledger_created ON points_ledger(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_points_ledger_league ON points_ledger(league_id, created_at);
+
+-- Sengaja tanpa policy: ledger cuma ditulis / dibaca service_role (lewat function di bawah),
+-- anon gak bisa nambah row poin atau baca email user
+ALTER TABLE points_ledger ENABLE ROW LEVEL SECURITY;
+
+-- Catat poin satu user untuk satu match + update profile dalam satu transaksi
+-- p_entries: [{ "prediction_ref": "winner:1", "points": 10, "is_correct": true }, ...]
+-- Prediksi yang udah ada di ledger di-skip, kalau semuanya udah ada profile gak disentuh
+-- p_league_id: league API-Football (NULL untuk sport lain), buat leaderboard per liga
+CREATE OR REPLACE FUNCTION apply_match_points(p_email TEXT, p_match_ref TEXT, p_league_id INTEGER, p_entries JSONB)
+RETURNS JSONB AS $$
+DECLARE
+    v_profile RECORD;
+    v_inserted INTEGER;
+    v_points INTEGER;
+    v_correct INTEGER;
+    v_streak INTEGER;
+    v_bonus INTEGER := 0;
+BEGIN
+    -- Lock profile biar grading yang overlap antri
+    SELECT current_streak, best_streak INTO v_profile
+    FROM profiles WHERE email = p_email FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object('applied', false, 'error', 'profile_not_found', 'points', 0, 'streak_bonus', 0);
+    END IF;
+
+    WITH inserted AS (
+        INSERT INTO points_ledger (email, prediction_ref, match_ref, league_id, reason, points, is_correct)
+        SELECT p_email, e->>'prediction_ref', p_match_ref, p_league_id, 'prediction',
+               COALESCE((e->>'points')::INTEGER, 0), (e->>'is_correct')::BOOLEAN
+        FROM jsonb_array_elements(p_entries) e
+        ON CONFLICT (prediction_ref, reason) DO NOTHING
+        RETURNING points, is_correct
+    )
+    SELECT COUNT(*), COALESCE(SUM(points), 0), COUNT(*) FILTER (WHERE is_correct)
+    INTO v_inserted, v_points, v_correct
+    FROM inserted;
+
+    IF v_inserted = 0 THEN
+        RETURN jsonb_build_object('applied', false, 'points', 0, 'streak_bonus', 0);
+    END IF;
+
+    -- Streak PER MATCH: minimal 1 prediksi benar
+    v_streak := CASE WHEN v_correct > 0 THEN COALESCE(v_profile.current_streak, 0) + 1 ELSE 0 END;
+
+    -- Bonus cuma waktu nyampe milestone 3, 5, 10
+    IF v_correct > 0 THEN
+        v_bonus := CASE v_streak WHEN 3 THEN 5 WHEN 5 THEN 10 WHEN 10 THEN 25 ELSE 0 END;
+    END IF;
+
+    IF v_bonus > 0 THEN
+        INSERT INTO points_ledger (email, prediction_ref, match_ref, league_id, reason, points, is_correct)
+        VALUES (p_email, p_entries->0->>'prediction_ref', p_match_ref, p_league_id, 'streak_bonus', v_bonus, true)
+        ON CONFLICT (prediction_ref, reason) DO NOTHING;
+    END IF;
+
+    UPDATE profiles SET
+        total_experience = COALESCE(total_experience, 0) + v_points + v_bonus,
+        season_points = COALESCE(season_points, 0) + v_points + v_bonus,
+        current_streak = v_streak,
+        best_streak = GREATEST(v_streak, COALESCE(best_streak, 0)),
+        correct_predictions = COALESCE(correct_predictions, 0) + v_correct,
+        total_predictions = COALESCE(total_predictions, 0) + v_inserted
+    WHERE email = p_email;
+
+    RETURN jsonb_build_object(
+        'applied', true,
+        'points', v_points,
+        'streak_bonus', v_bonus,
+        'current_streak', v_streak
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- Regrade: balik award lama + apply hasil baru (hasil dikoreksi / match di-void)
+-- p_entries: [{ "prediction_ref", "points", "is_correct" (null = void),
+--               "previous_points", "previous_is_correct", "previous_status" }, ...]
+-- Yang ditulis cuma selisih (reason 'regrade:<n>'), streak + streak bonus gak diubah
+CREATE OR REPLACE FUNCTION regrade_match_points(p_email TEXT, p_match_ref TEXT, p_league_id INTEGER, p_entries JSONB)
+RETURNS JSONB AS $$
+DECLARE
+    v_entry RECORD;
+    v_rows INTEGER;
+    v_net INTEGER;
+    v_prev_correct BOOLEAN;
+    v_delta INTEGER;
+    v_reason TEXT;
+    v_points INTEGER := 0;
+    v_correct INTEGER := 0;
+    v_total INTEGER := 0;
+    v_changed INTEGER := 0;
+BEGIN
+    PERFORM 1 FROM profiles WHERE email = p_email FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object('applied', false, 'error', 'profile_not_found', 'points', 0);
+    END IF;
+
+    FOR v_entry IN
+        SELECT * FROM jsonb_to_recordset(p_entries) AS x(
+            prediction_ref TEXT, points INTEGER, is_correct BOOLEAN,
+            previous_points INTEGER, previous_is_correct BOOLEAN, previous_status TEXT
+        )
+    LOOP
+        SELECT COUNT(*), COALESCE(SUM(points), 0) INTO v_rows, v_net
+        FROM points_ledger
+        WHERE prediction_ref = v_entry.prediction_ref AND reason <> 'streak_bonus';
+
+        IF v_rows > 0 THEN
+            SELECT is_correct INTO v_prev_correct
+            FROM points_ledger
+            WHERE prediction_ref = v_entry.prediction_ref AND reason <> 'streak_bonus'
+            ORDER BY id DESC LIMIT 1;
+        ELSIF v_entry.previous_status = 'graded' THEN
+            -- Di-grade sebelum ada ledger, poinnya udah masuk lewat opening balance
+            v_net := COALESCE(v_entry.previous_points, 0);
+            v_prev_correct := v_entry.previous_is_correct;
+        ELSE
+            v_prev_correct := NULL;
+        END IF;
+
+        v_delta := COALESCE(v_entry.points, 0) - v_net;
+
+        IF v_delta = 0 AND v_prev_correct IS NOT DISTINCT FROM v_entry.is_correct THEN
+            CONTINUE;
+        END IF;
+
+        IF v_rows = 0 AND v_entry.previous_status IS DISTINCT FROM 'graded' THEN
+            v_reason := 'prediction';
+        ELSE
+            SELECT 'regrade:' || (COUNT(*) + 1) INTO v_reason
+            FROM points_ledger
+            WHERE prediction_ref = v_entry.prediction_ref AND reason LIKE 'regrade:%';
+        END IF;
+
+        INSERT INTO points_ledger (email, prediction_ref, match_ref, league_id, reason, points, is_correct)
+        VALUES (p_email, v_entry.prediction_ref, p_match_ref, p_league_id, v_reason, v_delta, v_entry.is_correct);
+
+        v_points := v_points + v_delta;
+        v_correct := v_correct
+            + (CASE WHEN v_entry.is_correct THEN 1 ELSE 0 END)
+            - (CASE WHEN v_prev_correct THEN 1 ELSE 0 END);
+        v_total := v_total
+            + (CASE WHEN v_entry.is_correct IS NOT NULL THEN 1 ELSE 0 END)
+            - (CASE WHEN v_prev_correct IS NOT NULL THEN 1 ELSE 0 END);
+        v_changed := v_changed + 1;
+    END LOOP;
+
+    IF v_changed = 0 THEN
+        RETURN jsonb_build_object('applied', false, 'points', 0);
+    END IF;
+
+    UPDATE profiles SET
+        total_experience = COALESCE(total_experience, 0) + v_points,
+        season_points = COALESCE(season_points, 0) + v_points,
+        correct_predictions = GREATEST(COALESCE(correct_predictions, 0) + v_correct, 0),
+        total_predictions = GREATEST(COALESCE(total_predictions, 0) + v_total, 0)
+    WHERE email = p_email;
+
+    RETURN jsonb_build_object('applied', true, 'changed', v_changed, 'points', v_points);
+END;
+$$ LANGUAGE plpgsql;
+
+-- Samakan profiles.total_experience dengan total points_ledger
+CREATE OR REPLACE FUNCTION reconcile_profile_points(p_email TEXT)
+RETURNS JSONB AS $$
+DECLARE
+    v_before INTEGER;
+    v_after INTEGER;
+BEGIN
+    SELECT COALESCE(total_experience, 0) INTO v_before
+    FROM profiles WHERE email = p_email FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Profile not found: %', p_email;
+    END IF;
+
+    SELECT COALESCE(SUM(points), 0) INTO v_after
+    FROM points_ledger WHERE email = p_email;
+
+    UPDATE profiles SET total_experience = v_after WHERE email = p_email;
+
+    RETURN jsonb_build_object('email', p_email, 'before', v_before, 'after', v_after);
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function poin cuma buat backend (supabaseAdmin), bukan buat client yang pegang anon key
+REVOKE EXECUTE ON FUNCTION apply_match_points(TEXT, TEXT, INTEGER, JSONB) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION regrade_match_points(TEXT, TEXT, INTEGER, JSONB) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION reconcile_profile_points(TEXT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION apply_match_points(TEXT, TEXT, INTEGER, JSONB) TO service_role;
+GRANT EXECUTE ON FUNCTION regrade_match_points(TEXT, TEXT, INTEGER, JSONB) TO service_role;
+GRANT EXECUTE ON FUNCTION reconcile_profile_points(TEXT) TO service_role;
+
+-- Opening balance: poin yang udah ada sebelum ledger dipakai (aman dijalankan ulang)
+DO $$
+BEGIN
+    IF to_regclass('public.profiles') IS NOT NULL THEN
+        INSERT INTO points_ledger (email, prediction_ref, reason, points)
+        SELECT email, 'profile:' || email, 'opening_balance', COALESCE(total_experience, 0)
+        FROM profiles
+        WHERE email IS NOT NULL
+        ON CONFLICT (prediction_ref, reason) DO NOTHING;
+    END IF;
+END $$;
+
+-- ============================================
+-- LEADERBOARD & SEASONS
+-- Season aktif cuma satu, rollover_season() arsip klasemen akhir + reset season_points
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS seasons (
+    id BIGSERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    starts_at TIMESTAMPTZ NOT NULL,
+    ends_at TIMESTAMPTZ NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'archived')),
+    archived_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_seasons_one_active ON seasons(status) WHERE status = 'active';
+
+-- Klasemen arsip dibaca publik, jadi yang disimpen nama yang udah disamarkan (bud***), bukan email
+CREATE TABLE IF NOT EXISTS season_standings (
+    id BIGSERIAL PRIMARY KEY,
+    season_id BIGINT NOT NULL REFERENCES seasons(id) ON DELETE CASCADE,
+    rank INTEGER NOT NULL,
+    display_name VARCHAR(50) NOT NULL,
+    season_points INTEGER NOT NULL DEFAULT 0,
+    correct_predictions INTEGER DEFAULT 0,
+    total_predictions INTEGER DEFAULT 0
+);
+
+CREATE INDEX IF NOT EXISTS idx_season_standings_rank ON season_standings(season_id, rank);
+
+ALTER TABLE seasons ENABLE ROW LEVEL SECURITY;
+ALTER TABLE season_standings ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow public read seasons" ON seasons
+    FOR SELECT
+    USING (true);
+
+CREATE POLICY "Allow public read season standings" ON season_standings
+    FOR SELECT
+    USING (true);
+
+-- Leaderboard dari points_ledger (week / month / per liga)
+-- p_since NULL = semua waktu, p_league_id NULL = semua liga
+CREATE OR REPLACE FUNCTION get_leaderboard(p_since TIMESTAMPTZ, p_league_id INTEGER, p_limit INTEGER)
+RETURNS TABLE (email VARCHAR, points BIGINT, correct_predictions BIGINT, total_predictions BIGINT) AS $$
+    SELECT
+        l.email,
+        SUM(l.points) AS points,
+        COUNT(*) FILTER (WHERE l.reason = 'prediction' AND l.is_correct) AS correct_predictions,
+        COUNT(*) FILTER (WHERE l.reason = 'prediction') AS total_predictions
+    FROM points_ledger l
+    WHERE l.reason <> 'opening_balance'
+      AND (p_since IS NULL OR l.created_at >= p_since)
+      AND (p_league_id IS NULL OR l.league_id = p_league_id)
+    GROUP BY l.email
+    ORDER BY points DESC, correct_predictions DESC
+    LIMIT p_limit;
+$$ LANGUAGE sql STABLE;
+
+-- Balikin email mentah, jadi cuma backend (masking di leaderboardService)
+REVOKE EXECUTE ON FUNCTION get_leaderboard(TIMESTAMPTZ, INTEGER, INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION get_leaderboard(TIMESTAMPTZ, INTEGER, INTEGER) TO service_role;
+
+-- Tutup season yang udah lewat ends_at: arsip klasemen, reset season_points, buka season baru
+-- Belum ada season sama sekali → bikin season pertama mulai awal bulan ini
+CREATE OR REPLACE FUNCTION rollover_season(p_length_months INTEGER)
+RETURNS JSONB AS $$
+DECLARE
+    v_season seasons%ROWTYPE;
+    v_archived INTEGER;
+    v_starts_at TIMESTAMPTZ;
+    v_next_id BIGINT;
+BEGIN
+    SELECT * INTO v_season FROM seasons WHERE status = 'active' FOR UPDATE;
+
+    IF NOT FOUND THEN
+        v_starts_at := date_trunc('month', NOW());
+        INSERT INTO seasons (name, starts_at, ends_at)
+        VALUES ('Season ' || to_char(v_starts_at, 'Mon YYYY'), v_starts_at, v_starts_at + make_interval(months => p_length_months))
+        RETURNING id INTO v_next_id;
+
+        RETURN jsonb_build_object('rolled_over', false, 'created', v_next_id);
+    END IF;
+
+    IF v_season.ends_at > NOW() THEN
+        RETURN jsonb_build_object('rolled_over', false, 'season_id', v_season.id);
+    END IF;
+
+    -- Samarkan sama persis kayak maskEmail() di leaderboardService: budi.santoso@gmail.com -> bud***
+    INSERT INTO season_standings (season_id, rank, display_name, season_points, correct_predictions, total_predictions)
+    SELECT
+        v_season.id,
+        RANK() OVER (ORDER BY COALESCE(p.season_points, 0) DESC),
+        left(split_part(p.email, '@', 1), CASE WHEN length(split_part(p.email, '@', 1)) <= 3 THEN 1 ELSE 3 END) || '***',
+        COALESCE(p.season_points, 0),
+        COALESCE(l.correct, 0),
+        COALESCE(l.total, 0)
+    FROM profiles p
+    LEFT JOIN (
+        SELECT email,
+               COUNT(*) FILTER (WHERE reason = 'prediction' AND is_correct) AS correct,
+               COUNT(*) FILTER (WHERE reason = 'prediction') AS total
+        FROM points_ledger
+        WHERE created_at >= v_season.starts_at AND created_at < v_season.ends_at
+        GROUP BY email
+    ) l ON l.email = p.email
+    WHERE p.email IS NOT NULL AND COALESCE(p.season_points, 0) > 0;
+
+    GET DIAGNOSTICS v_archived = ROW_COUNT;
+
+    UPDATE profiles SET season_points = 0 WHERE COALESCE(season_points, 0) <> 0;
+
+    UPDATE seasons SET status = 'archived', archived_at = NOW() WHERE id = v_season.id;
+
+    INSERT INTO seasons (name, starts_at, ends_at)
+    VALUES (
+        'Season ' || to_char(v_season.ends_at, 'Mon YYYY'),
+        v_season.ends_at,
+        v_season.ends_at + make_interval(months => p_length_months)
+    )
+    RETURNING id INTO v_next_id;
+
+    RETURN jsonb_build_object(
+        'rolled_over', true,
+        'archived_season_id', v_season.id,
+        'archived_standings', v_archived,
+        'season_id', v_next_id
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- Nulis seasons / season_standings / profiles yang anon cuma bisa baca: cuma cron backend (service_role)
+REVOKE EXECUTE ON FUNCTION rollover_season(INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION rollover_season(INTEGER) TO service_role;
+
+-- ============================================
+-- ADMIN: MATCH BLACKLIST & MANUAL OVERRIDE
+-- Dikelola lewat /api/admin (role admin)
+-- ============================================
+
+-- Match yang stuck/rusak di API-Football, di-skip waktu sync
+CREATE TABLE IF NOT EXISTS match_blacklist (
+    match_id BIGINT PRIMARY KEY,
+    reason TEXT NOT NULL,
+    created_by VARCHAR(255),
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE match_blacklist ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow public read match blacklist" ON match_blacklist
+    FOR SELECT
+    USING (true);
+
+-- Write cuma lewat service_role (/api/admin pake supabaseAdmin), anon gak dikasih policy write
+DROP POLICY IF EXISTS "Allow anon insert match blacklist" ON match_blacklist;
+DROP POLICY IF EXISTS "Allow anon update match blacklist" ON match_blacklist;
+DROP POLICY IF EXISTS "Allow anon delete match blacklist" ON match_blacklist;
+
+-- Pindahan dari BLACKLISTED_MATCH_IDS yang dulu hard-coded di matchSync.js
+INSERT INTO match_blacklist (match_id, reason, created_by) VALUES
+    (1434975, 'Rayners Lane vs Hitchin Town - stuck since 27/12/2025', 'migration')
+ON CONFLICT (match_id) DO NOTHING;
+
+-- Override manual status/skor: sync gak nimpa row yang manual_override = true
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS manual_override BOOLEAN DEFAULT FALSE;
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS override_reason TEXT;
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS override_by VARCHAR(255);
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS override_at TIMESTAMPTZ;
+
+-- Grading ngikutin row manual_override, jadi anon (sync) gak boleh nyalain flag-nya
+-- atau ngubah row yang lagi di-override. Set / clear override cuma lewat service_role
+DROP POLICY IF EXISTS "Allow anon insert" ON matches;
+DROP POLICY IF EXISTS "Allow anon update" ON matches;
+
+CREATE POLICY "Allow anon insert" ON matches
+    FOR INSERT
+    WITH CHECK (manual_override IS NOT TRUE);
+
+CREATE POLICY "Allow anon update" ON matches
+    FOR UPDATE
+    USING (manual_override IS NOT TRUE)
+    WITH CHECK (manual_override IS NOT TRUE);
+
+-- ============================================
+-- JOB SCHEDULER
+-- History run background job + lease biar job gak jalan dobel di beberapa instance
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS job_runs (
+    id BIGSERIAL PRIMARY KEY,
+    job_name VARCHAR(100) NOT NULL,
+    triggered_by VARCHAR(20) NOT NULL DEFAULT 'cron' CHECK (triggered_by IN ('cron', 'manual', 'startup')),
+    instance_id VARCHAR(255),
+    status VARCHAR(20) NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'success', 'failed')),
+    started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    finished_at TIMESTAMPTZ,
+    duration_ms INTEGER,
+    counts JSONB DEFAULT '{}'::jsonb,
+    error TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_job_runs_job_started ON job_runs(job_name, started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_job_runs_started ON job_runs(started_at);
+
+CREATE TABLE IF NOT EXISTS job_leases (
+    job_name VARCHAR(100) PRIMARY KEY,
+    holder VARCHAR(255) NOT NULL,
+    acquired_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    expires_at TIMESTAMPTZ NOT NULL
+);
+
+ALTER TABLE job_runs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE job_leases ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow public read job runs" ON job_runs
+    FOR SELECT
+    USING (true);
+
+-- job_runs cuma ditulis scheduler lewat service_role, anon gak bisa insert / ubah / hapus history
+DROP POLICY IF EXISTS "Allow anon insert job runs" ON job_runs;
+DROP POLICY IF EXISTS "Allow anon update job runs" ON job_runs;
+DROP POLICY IF EXISTS "Allow anon delete job runs" ON job_runs;
+
+-- job_leases sengaja tanpa policy: cuma lewat acquire/release_job_lease di bawah,
+-- jadi client gak bisa hapus / nyerobot lease instance lain langsung
+DROP POLICY IF EXISTS "Allow anon manage job leases" ON job_leases;
+
+-- Run terakhir per job (GET /api/jobs)
+CREATE OR REPLACE VIEW job_latest_runs AS
+    SELECT DISTINCT ON (job_name) *
+    FROM job_runs
+    ORDER BY job_name, started_at DESC;
+
+-- Ambil lease: berhasil kalau belum ada, udah expired, atau holder-nya sama
+-- TTL dibatasi 1 detik - 1 jam biar lease nyangkut gak bisa nahan job selamanya
+CREATE OR REPLACE FUNCTION acquire_job_lease(p_job_name TEXT, p_holder TEXT, p_ttl_seconds INTEGER)
+RETURNS BOOLEAN AS $$
+BEGIN
+    INSERT INTO job_leases (job_name, holder, acquired_at, expires_at)
+    VALUES (p_job_name, p_holder, NOW(), NOW() + make_interval(secs => LEAST(GREATEST(COALESCE(p_ttl_seconds, 0), 1), 3600)))
+    ON CONFLICT (job_name) DO UPDATE
+        SET holder = EXCLUDED.holder,
+            acquired_at = EXCLUDED.acquired_at,
+            expires_at = EXCLUDED.expires_at
+        WHERE job_leases.expires_at <= NOW() OR job_leases.holder = EXCLUDED.holder;
+
+    RETURN FOUND;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION release_job_lease(p_job_name TEXT, p_holder TEXT)
+RETURNS VOID AS $$
+    DELETE FROM job_leases WHERE job_name = p_job_name AND holder = p_holder;
+$$ LANGUAGE sql SECURITY DEFINER SET search_path = public;
+
+-- SECURITY DEFINER bypass RLS job_leases, jadi cuma scheduler (service_role) yang boleh manggil
+REVOKE EXECUTE ON FUNCTION acquire_job_lease(TEXT, TEXT, INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION release_job_lease(TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION acquire_job_lease(TEXT, TEXT, INTEGER) TO service_role;
+GRANT EXECUTE ON FUNCTION release_job_lease(TEXT, TEXT) TO service_role;
+
+-- ============================================
+-- MATCH SYNC DAYS
+-- Hari yang udah di-sync ke table matches (tanggal lokal + batas UTC-nya), ditulis syncTodayMatches
+-- GET /api/matches?date=&tz= cuma baca database kalau range hari di tz itu ketutup penuh
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS match_sync_days (
+    sync_date DATE NOT NULL,
+    timezone VARCHAR(50) NOT NULL,
+    range_start TIMESTAMPTZ NOT NULL,
+    range_end TIMESTAMPTZ NOT NULL,
+    synced_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (sync_date, timezone)
+);
+
+CREATE INDEX IF NOT EXISTS idx_match_sync_days_range ON match_sync_days(range_start, range_end);
+
+ALTER TABLE match_sync_days ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow public read match sync days" ON match_sync_days
+    FOR SELECT
+    USING (true);
+
+CREATE POLICY "Allow anon insert match sync days" ON match_sync_days
+    FOR INSERT
+    WITH CHECK (true);
+
+CREATE POLICY "Allow anon update match sync days" ON match_sync_days
+    FOR UPDATE
+    USING (true);
+
+-- ============================================
+-- MATCH STAT SNAPSHOTS
+-- Statistik live (shots, corner, possession, ...) per STAT_SNAPSHOT_INTERVAL_MINUTES menit,
+-- direkam live sync buat liga tier-1 / yang di-follow (lihat services/statSnapshots.js)
+-- Tanpa FK ke matches biar history-nya tetap ada setelah cleanup
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS match_stat_snapshots (
+    id BIGSERIAL PRIMARY KEY,
+    match_id BIGINT NOT NULL,
+    minute INTEGER NOT NULL,
+    status_short VARCHAR(10),
+    home_score INTEGER,
+    away_score INTEGER,
+    statistics JSONB DEFAULT '[]'::jsonb,
+    captured_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (match_id, minute)
+);
+
+CREATE INDEX IF NOT EXISTS idx_match_stat_snapshots_match ON match_stat_snapshots(match_id, minute);
+
+ALTER TABLE match_stat_snapshots ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow public read match stat snapshots" ON match_stat_snapshots
+    FOR SELECT
+    USING (true);
+
+CREATE POLICY "Allow anon insert match stat snapshots" ON match_stat_snapshots
+    FOR INSERT
+    WITH CHECK (true);
+
+CREATE POLICY "Allow anon update match stat snapshots" ON match_stat_snapshots
+    FOR UPDATE
+    USING (true);
+
+-- ============================================
+-- MATCH ARCHIVE
+-- Detail match yang udah selesai (events, lineups, statistics, rating pemain),
+-- ditulis waktu match.fulltime / job matchArchive (lihat services/matchArchive.js)
+-- Tanpa FK ke matches biar tetap ada setelah cleanupOldMatches
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS match_archives (
+    match_id BIGINT PRIMARY KEY,
+    provider VARCHAR(30),
+    status_short VARCHAR(10),
+    fixture JSONB,
+    counts JSONB DEFAULT '{}'::jsonb,
+    complete BOOLEAN DEFAULT false,
+    attempts INTEGER DEFAULT 0,
+    last_error TEXT,
+    fulltime_at TIMESTAMPTZ,
+    finalized_at TIMESTAMPTZ,
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Pertama kali match kebaca selesai; copy sebelum MATCH_ARCHIVE_SETTLE_MINUTES lewat masih sementara
+ALTER TABLE match_archives ADD COLUMN IF NOT EXISTS fulltime_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_match_archives_pending ON match_archives(complete, attempts);
+
+CREATE TABLE IF NOT EXISTS match_archive_events (
+    id BIGSERIAL PRIMARY KEY,
+    match_id BIGINT NOT NULL,
+    seq INTEGER NOT NULL,
+    elapsed INTEGER,
+    extra INTEGER,
+    team_id BIGINT,
+    team_name VARCHAR(255),
+    player_id BIGINT,
+    player_name VARCHAR(255),
+    assist_id BIGINT,
+    assist_name VARCHAR(255),
+    type VARCHAR(30),
+    detail VARCHAR(100),
+    comments TEXT,
+    UNIQUE (match_id, seq)
+);
+
+CREATE TABLE IF NOT EXISTS match_archive_lineups (
+    id BIGSERIAL PRIMARY KEY,
+    match_id BIGINT NOT NULL,
+    team_id BIGINT,
+    team JSONB,
+    formation VARCHAR(20),
+    coach JSONB,
+    start_xi JSONB DEFAULT '[]'::jsonb,
+    substitutes JSONB DEFAULT '[]'::jsonb,
+    UNIQUE (match_id, team_id)
+);
+
+CREATE TABLE IF NOT EXISTS match_archive_statistics (
+    id BIGSERIAL PRIMARY KEY,
+    match_id BIGINT NOT NULL,
+    team_id BIGINT,
+    team JSONB,
+    statistics JSONB DEFAULT '[]'::jsonb,
+    UNIQUE (match_id, team_id)
+);
+
+CREATE TABLE IF NOT EXISTS match_archive_players (
+    id BIGSERIAL PRIMARY KEY,
+    match_id BIGINT NOT NULL,
+    team_id BIGINT,
+    team_name VARCHAR(255),
+    player_id BIGINT,
+    player_name VARCHAR(255),
+    player_photo TEXT,
+    number INTEGER,
+    position VARCHAR(5),
+    minutes INTEGER,
+    rating NUMERIC(4, 2),
+    statistics JSONB DEFAULT '[]'::jsonb,
+    UNIQUE (match_id, player_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_match_archive_events_match ON match_archive_events(match_id);
+CREATE INDEX IF NOT EXISTS idx_match_archive_lineups_match ON match_archive_lineups(match_id);
+CREATE INDEX IF NOT EXISTS idx_match_archive_statistics_match ON match_archive_statistics(match_id);
+CREATE INDEX IF NOT EXISTS idx_match_archive_players_match ON match_archive_players(match_id);
+CREATE INDEX IF NOT EXISTS idx_match_archive_players_rating ON match_archive_players(rating DESC);
+
+ALTER TABLE match_archives ENABLE ROW LEVEL SECURITY;
+ALTER TABLE match_archive_events ENABLE ROW LEVEL SECURITY;
+ALTER TABLE match_archive_lineups ENABLE ROW LEVEL SECURITY;
+ALTER TABLE match_archive_statistics ENABLE ROW LEVEL SECURITY;
+ALTER TABLE match_archive_players ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow public read match archives" ON match_archives
+    FOR SELECT
+    USING (true);
+
+CREATE POLICY "Allow anon insert match archives" ON match_archives
+    FOR INSERT
+    WITH CHECK (true);
+
+CREATE POLICY "Allow anon update match archives" ON match_archives
+    FOR UPDATE
+    USING (true);
+
+CREATE POLICY "Allow public read match archive events" ON match_archive_events
+    FOR SELECT
+    USING (true);
+
+CREATE POLICY "Allow anon insert match archive events" ON match_archive_events
+    FOR INSERT
+    WITH CHECK (true);
+
+CREATE POLICY "Allow anon update match archive events" ON match_archive_events
+    FOR UPDATE
+    USING (true);
+
+CREATE POLICY "Allow anon delete match archive events" ON match_archive_events
+    FOR DELETE
+    USING (true);
+
+CREATE POLICY "Allow public read match archive lineups" ON match_archive_lineups
+    FOR SELECT
+    USING (true);
+
+CREATE POLICY "Allow anon insert match archive lineups" ON match_archive_lineups
+    FOR INSERT
+    WITH CHECK (true);
+
+CREATE POLICY "Allow anon update match archive lineups" ON match_archive_lineups
+    FOR UPDATE
+    USING (true);
+
+CREATE POLICY "Allow anon delete match archive lineups" ON match_archive_lineups
+    FOR DELETE
+    USING (true);
+
+CREATE POLICY "Allow public read match archive statistics" ON match_archive_statistics
+    FOR SELECT
+    USING (true);
+
+CREATE POLICY "Allow anon insert match archive statistics" ON match_archive_statistics
+    FOR INSERT
+    WITH CHECK (true);
+
+CREATE POLICY "Allow anon update match archive statistics" ON match_archive_statistics
+    FOR UPDATE
+    USING (true);
+
+CREATE POLICY "Allow anon delete match archive statistics" ON match_archive_statistics
+    FOR DELETE
+    USING (true);
+
+CREATE POLICY "Allow public read match archive players" ON match_archive_players
+    FOR SELECT
+    USING (true);
+
+CREATE POLICY "Allow anon insert match archive players" ON match_archive_players
+    FOR INSERT
+    WITH CHECK (true);
+
+CREATE POLICY "Allow anon update match archive players" ON match_archive_players
+    FOR UPDATE
+    USING (true);
+
+CREATE POLICY "Allow anon delete match archive players" ON match_archive_players
+    FOR DELETE
+    USING (true);
+
 -- ============================================
 -- USEFUL QUERIES
 -- ============================================
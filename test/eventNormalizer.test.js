@@ -0,0 +1,207 @@
+require('./helpers/env');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const normalizer = require('../src/services/eventNormalizer');
+const matchSync = require('../src/services/matchSync');
+const apiBasketball = require('../src/services/apiBasketball');
+const apiVolleyball = require('../src/services/apiVolleyball');
+const apiBaseball = require('../src/services/apiBaseball');
+const apiTennis = require('../src/services/apiTennis');
+const apiMMA = require('../src/services/apiMMA');
+const apiFormula1 = require('../src/services/apiFormula1');
+const { canonicalFixture, apiSportsGame } = require('./helpers/fixtures');
+
+const sides = (event) => event.participants.map(entry => [entry.side, entry.name, entry.score, entry.winner]);
+
+describe('eventNormalizer.fromFootball', () => {
+    it('maps a finished transformMatch row with half scores', () => {
+        const row = matchSync.transformMatch({
+            ...canonicalFixture({
+                id: 1001,
+                status: 'FT',
+                goals: { home: 3, away: 1 },
+                halftime: { home: 1, away: 1 },
+                fulltime: { home: 3, away: 1 }
+            }),
+            teams: {
+                home: { id: 33, name: 'Manchester United', logo: 'mu.png', winner: true },
+                away: { id: 40, name: 'Liverpool', logo: 'liv.png', winner: false }
+            }
+        });
+
+        const event = normalizer.fromFootball(row);
+
+        assert.equal(event.id, 'football-1001');
+        assert.equal(event.sport, 'football');
+        assert.equal(event.externalId, '1001');
+        assert.equal(event.name, 'Manchester United vs Liverpool');
+        assert.equal(event.startTime, '2026-10-19T12:00:00+00:00');
+        assert.deepEqual(event.status, { state: 'finished', short: 'FT', long: 'Match Finished', clock: null });
+        assert.deepEqual(event.competition, {
+            id: '39', name: 'Premier League', logo: null, country: 'England', season: 2026, round: 'Regular Season - 8'
+        });
+        assert.deepEqual(sides(event), [['home', 'Manchester United', 3, true], ['away', 'Liverpool', 1, false]]);
+        assert.deepEqual(event.periods, [{ label: '1H', home: 1, away: 1 }, { label: '2H', home: 2, away: 0 }]);
+        assert.equal(event.venue, 'Old Trafford');
+    });
+
+    it('shows the minute on live matches', () => {
+        const event = normalizer.fromFootball(matchSync.transformMatch(canonicalFixture({ status: '2H', elapsed: 67, goals: { home: 0, away: 0 } })));
+
+        assert.equal(event.status.state, 'live');
+        assert.equal(event.status.clock, "67'");
+        assert.deepEqual(sides(event), [['home', 'Manchester United', 0, null], ['away', 'Liverpool', 0, null]]);
+    });
+
+    it('separates cancelled from postponed', () => {
+        const cancelled = normalizer.fromFootball(matchSync.transformMatch(canonicalFixture({ status: 'CANC' })));
+        const postponed = normalizer.fromFootball(matchSync.transformMatch(canonicalFixture({ status: 'PST' })));
+
+        assert.equal(cancelled.status.state, 'cancelled');
+        assert.equal(postponed.status.state, 'postponed');
+    });
+});
+
+describe('eventNormalizer team sports', () => {
+    it('maps basketball quarters and derives the winner', () => {
+        const event = normalizer.fromBasketball(apiBasketball.transformGame(apiSportsGame({
+            status: 'FT',
+            statusLong: 'Game Finished',
+            scores: {
+                home: { quarter_1: 25, quarter_2: 30, quarter_3: 22, quarter_4: 28, over_time: null, total: 105 },
+                away: { quarter_1: 20, quarter_2: 27, quarter_3: 31, quarter_4: 21, over_time: null, total: 99 }
+            }
+        })));
+
+        assert.equal(event.id, 'basketball-5001');
+        assert.equal(event.name, 'Los Angeles Lakers vs Boston Celtics');
+        assert.equal(event.status.state, 'finished');
+        assert.equal(event.competition.country, 'USA');
+        assert.deepEqual(sides(event), [['home', 'Los Angeles Lakers', 105, true], ['away', 'Boston Celtics', 99, false]]);
+        assert.deepEqual(event.periods.map(period => period.label), ['Q1', 'Q2', 'Q3', 'Q4']);
+        assert.deepEqual(event.periods[2], { label: 'Q3', home: 22, away: 31 });
+    });
+
+    it('hides the zero scores api-sports sends before tip-off', () => {
+        const event = normalizer.fromBasketball(apiBasketball.transformGame(apiSportsGame({ status: 'NS' })));
+
+        assert.equal(event.status.state, 'scheduled');
+        assert.deepEqual(sides(event), [['home', 'Los Angeles Lakers', null, null], ['away', 'Boston Celtics', null, null]]);
+        assert.deepEqual(event.periods, []);
+    });
+
+    it('maps volleyball sets played so far', () => {
+        const event = normalizer.fromVolleyball(apiVolleyball.transformGame(apiSportsGame({
+            status: 'SET3',
+            scores: { home: 1, away: 1 },
+            periods: { first: { home: 25, away: 20 }, second: { home: 23, away: 25 }, third: { home: 8, away: 10 } }
+        })));
+
+        assert.equal(event.status.state, 'live');
+        assert.deepEqual(event.periods.map(period => [period.label, period.home, period.away]), [['S1', 25, 20], ['S2', 23, 25], ['S3', 8, 10]]);
+        assert.deepEqual(sides(event), [['home', 'Los Angeles Lakers', 1, null], ['away', 'Boston Celtics', 1, null]]);
+    });
+
+    it('maps baseball innings and treats POST as postponed, not finished', () => {
+        const live = normalizer.fromBaseball(apiBaseball.transformGame(apiSportsGame({
+            status: 'IN3',
+            statusExtra: { inning: 3 },
+            scores: {
+                home: { total: 2, innings: { 1: 0, 2: 2 } },
+                away: { total: 1, innings: { 1: 1, 2: 0, 3: 0 } }
+            }
+        })));
+
+        assert.equal(live.status.clock, 'Inning 3');
+        assert.deepEqual(live.periods.map(period => [period.label, period.home, period.away]), [['1', 0, 1], ['2', 2, 0], ['3', null, 0]]);
+
+        const postponed = normalizer.fromBaseball(apiBaseball.transformGame(apiSportsGame({ status: 'POST' })));
+        assert.equal(postponed.status.state, 'postponed');
+        assert.equal(postponed.participants[0].score, null);
+    });
+});
+
+describe('eventNormalizer.fromTennis', () => {
+    it('maps players, sets won and set scores', () => {
+        const event = normalizer.fromTennis(apiTennis.transformMatch({
+            event_key: 9001,
+            event_date: '2026-10-19',
+            event_time: '14:30',
+            event_first_player: 'J. Sinner',
+            first_player_key: 1905,
+            event_second_player: 'C. Alcaraz',
+            second_player_key: 2382,
+            event_status: 'Finished',
+            event_live: '0',
+            event_winner: 'Second Player',
+            event_type_type: 'Atp Singles',
+            tournament_name: 'Shanghai',
+            tournament_key: 2155,
+            tournament_round: 'Final',
+            tournament_season: '2026',
+            scores: [
+                { score_first: '6', score_second: '4', score_set: '1' },
+                { score_first: '3', score_second: '6', score_set: '2' },
+                { score_first: '5', score_second: '7', score_set: '3' }
+            ]
+        }));
+
+        assert.equal(event.id, 'tennis-9001');
+        assert.equal(event.name, 'J. Sinner vs C. Alcaraz');
+        assert.equal(event.startTime, '2026-10-19T14:30:00');
+        assert.equal(event.status.state, 'finished');
+        assert.deepEqual(event.competition, { id: '2155', name: 'Shanghai', logo: null, country: 'Atp Singles', season: '2026', round: 'Final' });
+        assert.deepEqual(sides(event), [['home', 'J. Sinner', 1, false], ['away', 'C. Alcaraz', 2, true]]);
+        assert.deepEqual(event.periods.map(period => period.label), ['S1', 'S2', 'S3']);
+    });
+});
+
+describe('eventNormalizer.fromMMA and fromFormula1', () => {
+    it('maps fighters and the finishing round', () => {
+        const event = normalizer.fromMMA(apiMMA.transformFight({
+            id: 777,
+            date: '2026-10-19T02:00:00+00:00',
+            status: { short: 'FT', long: 'Finished' },
+            fighters: {
+                home: { id: 1, name: 'Fighter A', winner: true },
+                away: { id: 2, name: 'Fighter B', winner: false }
+            },
+            result: { method: 'KO/TKO', round: 2, time: '3:12' },
+            category: { id: 4, name: 'UFC' }
+        }));
+
+        assert.equal(event.name, 'Fighter A vs Fighter B');
+        assert.equal(event.status.state, 'finished');
+        assert.equal(event.status.clock, 'R2 3:12');
+        assert.equal(event.competition.name, 'UFC');
+        assert.deepEqual(sides(event), [['home', 'Fighter A', null, true], ['away', 'Fighter B', null, false]]);
+    });
+
+    it('maps a race without participants', () => {
+        const event = normalizer.fromFormula1(apiFormula1.transformRace({
+            id: 1800,
+            competition: { id: 8, name: 'Mexico Grand Prix', location: { country: 'Mexico', city: 'Mexico City' } },
+            circuit: { id: 17, name: 'Autodromo Hermanos Rodriguez' },
+            season: 2026,
+            type: 'Race',
+            date: '2026-10-25T20:00:00+00:00',
+            status: 'Scheduled'
+        }));
+
+        assert.equal(event.id, 'formula1-1800');
+        assert.equal(event.name, 'Mexico Grand Prix - Race');
+        assert.equal(event.status.state, 'scheduled');
+        assert.equal(event.venue, 'Autodromo Hermanos Rodriguez');
+        assert.equal(event.competition.country, 'Mexico');
+        assert.deepEqual(event.participants, []);
+    });
+});
+
+describe('eventNormalizer.toEvents', () => {
+    it('rejects unknown sports and ignores non-arrays', () => {
+        assert.throws(() => normalizer.toEvents('curling', []), /Unknown sport/);
+        assert.deepEqual(normalizer.toEvents('basketball', null), []);
+    });
+});
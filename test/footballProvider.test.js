@@ -0,0 +1,103 @@
+require('./helpers/env');
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const apiFootballProvider = require('../src/services/providers/apiFootballProvider');
+const footballDataProvider = require('../src/services/providers/footballDataProvider');
+
+// Modul baru tiap test: health / cooldown provider disimpen di state modul
+const loadFootballProvider = () => {
+    delete require.cache[require.resolve('../src/services/footballProvider')];
+    return require('../src/services/footballProvider');
+};
+
+const ok = (data) => async () => ({ success: true, data, results: data.length });
+const fail = (error) => async () => ({ success: false, error });
+
+describe('footballProvider failover', () => {
+    let footballProvider;
+
+    beforeEach(() => {
+        mock.method(footballDataProvider, 'isConfigured', () => true);
+        footballProvider = loadFootballProvider();
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('fails over to the next provider and skips the failed one while it cools down', async () => {
+        const primary = mock.method(apiFootballProvider, 'getFixtures', fail('quota exceeded'));
+        const backup = mock.method(footballDataProvider, 'getFixtures', ok([{ id: 'fd-1' }]));
+
+        const first = await footballProvider.getLiveMatches();
+        const second = await footballProvider.getLiveMatches();
+
+        assert.equal(first.provider, 'football-data');
+        assert.equal(second.provider, 'football-data');
+        assert.equal(primary.mock.callCount(), 1);
+        assert.equal(backup.mock.callCount(), 2);
+
+        const status = footballProvider.getStatus().providers['api-football'];
+        assert.equal(status.healthy, false);
+        assert.equal(status.failures, 1);
+        assert.equal(status.lastError, 'quota exceeded');
+    });
+
+    it('still tries a provider in cooldown when every provider is down', async () => {
+        const primary = mock.method(apiFootballProvider, 'getFixtures', fail('down'));
+        mock.method(footballDataProvider, 'getFixtures', fail('down too'));
+
+        await footballProvider.getLiveMatches();
+        const result = await footballProvider.getLiveMatches();
+
+        assert.equal(primary.mock.callCount(), 2);
+        assert.deepEqual([result.success, result.provider, result.error], [false, 'football-data', 'down too']);
+    });
+
+    it('marks a provider healthy again after a success', async () => {
+        mock.method(apiFootballProvider, 'getFixtures', fail('timeout'));
+        mock.method(footballDataProvider, 'getFixtures', fail('timeout'));
+        await footballProvider.getLiveMatches();
+
+        mock.method(apiFootballProvider, 'getFixtures', ok([{ id: 1 }]));
+        const result = await footballProvider.getLiveMatches();
+
+        assert.equal(result.provider, 'api-football');
+        assert.equal(footballProvider.getStatus().providers['api-football'].healthy, true);
+    });
+
+    it('moves past unsupported queries without cooling the provider down', async () => {
+        mock.method(apiFootballProvider, 'getStandings', async () => ({ success: false, unsupported: true, error: 'not supported' }));
+        mock.method(footballDataProvider, 'getStandings', ok([]));
+
+        const result = await footballProvider.getStandings(39);
+
+        assert.equal(result.provider, 'football-data');
+        assert.equal(footballProvider.getStatus().providers['api-football'].healthy, true);
+    });
+
+    it('stops at a not-found instead of asking the next provider', async () => {
+        mock.method(apiFootballProvider, 'getStandings', async () => ({ success: false, notFound: true, error: 'Not found' }));
+        const backup = mock.method(footballDataProvider, 'getStandings', ok([]));
+
+        const result = await footballProvider.getStandings(999);
+
+        assert.deepEqual([result.notFound, result.provider], [true, 'api-football']);
+        assert.equal(backup.mock.callCount(), 0);
+        assert.equal(footballProvider.getStatus().providers['api-football'].healthy, true);
+    });
+
+    it('keeps sync pinned to api-football instead of the first configured provider', async () => {
+        const backup = mock.method(footballDataProvider, 'getFixtures', ok([{ id: 'fd-1' }]));
+        mock.method(apiFootballProvider, 'getFixtures', fail('quota exceeded'));
+
+        const failed = await footballProvider.getTodayMatches({ provider: footballProvider.SYNC_PROVIDER });
+        assert.deepEqual([failed.success, failed.provider], [false, 'api-football']);
+
+        mock.method(apiFootballProvider, 'isConfigured', () => false);
+        const unconfigured = await footballProvider.getLiveMatches({ provider: footballProvider.SYNC_PROVIDER });
+
+        assert.deepEqual(unconfigured, { success: false, error: 'Football provider api-football not configured' });
+        assert.equal(backup.mock.callCount(), 0);
+    });
+});
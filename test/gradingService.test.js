@@ -0,0 +1,190 @@
+const { supabase } = require('./helpers/env');
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const gradingService = require('../src/services/gradingService');
+const apiBasketball = require('../src/services/apiBasketball');
+const footballProvider = require('../src/services/footballProvider');
+const { apiSportsGame, canonicalFixture } = require('./helpers/fixtures');
+
+describe('gradingService.isBigMatch', () => {
+    it('matches big leagues case-insensitively by substring', () => {
+        assert.equal(gradingService.isBigMatch('Premier League'), true);
+        assert.equal(gradingService.isBigMatch('uefa champions league'), true);
+        assert.equal(gradingService.isBigMatch('BRI Liga 1'), true);
+        assert.equal(gradingService.isBigMatch('Eredivisie'), false);
+    });
+
+    it('returns false without a league name', () => {
+        assert.equal(gradingService.isBigMatch(null), false);
+        assert.equal(gradingService.isBigMatch(''), false);
+    });
+});
+
+describe('gradingService.calculatePoints', () => {
+    it('awards winner predictions 10 points, 15 in a big league', () => {
+        assert.equal(gradingService.calculatePoints('winner', true, 'Eredivisie'), 10);
+        assert.equal(gradingService.calculatePoints('winner', true, 'Premier League'), 15);
+    });
+
+    it('awards score predictions 20 points, 25 in a big league', () => {
+        assert.equal(gradingService.calculatePoints('score', true, 'Eredivisie'), 20);
+        assert.equal(gradingService.calculatePoints('score', true, 'Serie A'), 25);
+    });
+
+    it('awards nothing for wrong predictions', () => {
+        assert.equal(gradingService.calculatePoints('winner', false, 'Premier League'), 0);
+        assert.equal(gradingService.calculatePoints('score', false, 'Eredivisie'), 0);
+    });
+
+    it('awards nothing for unknown prediction types', () => {
+        assert.equal(gradingService.calculatePoints('first_scorer', true, 'Premier League'), 0);
+    });
+
+    it('treats a missing league as a regular match', () => {
+        assert.equal(gradingService.calculatePoints('winner', true, undefined), 10);
+    });
+});
+
+describe('gradingService.calculateStreakBonus', () => {
+    it('gives no bonus below a 3 streak', () => {
+        for (const streak of [0, 1, 2]) {
+            assert.equal(gradingService.calculateStreakBonus(streak), 0, `streak ${streak}`);
+        }
+    });
+
+    it('steps up at 3, 5 and 10 correct in a row', () => {
+        assert.equal(gradingService.calculateStreakBonus(3), 5);
+        assert.equal(gradingService.calculateStreakBonus(4), 5);
+        assert.equal(gradingService.calculateStreakBonus(5), 10);
+        assert.equal(gradingService.calculateStreakBonus(9), 10);
+        assert.equal(gradingService.calculateStreakBonus(10), 25);
+        assert.equal(gradingService.calculateStreakBonus(42), 25);
+    });
+});
+
+describe('gradingService sport results for postponed games', () => {
+    const postponed = (status) => async () => ({
+        success: true,
+        data: [apiSportsGame({ id: 5001, status, statusLong: 'Game Postponed' })]
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('leaves postponed and interrupted basketball games ungraded', async () => {
+        for (const status of ['POST', 'INTR']) {
+            mock.method(apiBasketball, 'getGameById', postponed(status));
+
+            assert.equal(await gradingService.getSportMatchResult('basketball', 5001), null);
+            mock.restoreAll();
+        }
+    });
+
+    it('still grades finished basketball games', async () => {
+        mock.method(apiBasketball, 'getGameById', async () => ({
+            success: true,
+            data: [apiSportsGame({ id: 5001, status: 'FT', statusLong: 'Game Finished', scores: { home: { total: 110 }, away: { total: 104 } } })]
+        }));
+
+        const result = await gradingService.getSportMatchResult('basketball', 5001);
+
+        assert.equal(result.winner, 'home');
+        assert.equal(result.isVoid, undefined);
+    });
+
+    it('reports postponed games as void when regrading settled predictions', async () => {
+        mock.method(apiBasketball, 'getGameById', postponed('POST'));
+
+        const result = await gradingService.getSportMatchResult('basketball', 5001, null, { voidDeferred: true });
+
+        assert.equal(result.isVoid, true);
+        assert.equal(result.status, 'POST');
+    });
+});
+
+describe('gradingService.getMatchResult with manual overrides', () => {
+    const overridden = (overrides) => ({
+        id: 42,
+        status_short: 'FT',
+        home_score: 2,
+        away_score: 2,
+        home_team_name: 'Manchester United',
+        away_team_name: 'Liverpool',
+        league_id: 39,
+        league_name: 'Premier League',
+        manual_override: true,
+        ...overrides
+    });
+
+    beforeEach(() => supabase.reset());
+    afterEach(() => mock.restoreAll());
+
+    it('grades with the overridden score instead of the provider', async () => {
+        supabase.seed('matches', [overridden()]);
+        const getMatchById = mock.method(footballProvider, 'getMatchById', async () => ({
+            success: true,
+            data: canonicalFixture({ id: 42, status: 'FT', goals: { home: 1, away: 0 } })
+        }));
+
+        const result = await gradingService.getMatchResult(42);
+
+        assert.deepEqual([result.homeScore, result.awayScore, result.winner], [2, 2, 'draw']);
+        assert.equal(getMatchById.mock.callCount(), 0);
+    });
+
+    it('voids or holds back overridden matches by their overridden status', async () => {
+        supabase.seed('matches', [overridden({ id: 42, status_short: 'CANC' }), overridden({ id: 43, status_short: 'PST' })]);
+        mock.method(footballProvider, 'getMatchById', async () => ({
+            success: true,
+            data: canonicalFixture({ id: 43, status: 'FT', goals: { home: 1, away: 0 } })
+        }));
+
+        assert.equal((await gradingService.getMatchResult(42)).isVoid, true);
+        assert.equal(await gradingService.getMatchResult(43), null);
+    });
+
+    it('uses the provider when the match is not overridden', async () => {
+        supabase.seed('matches', [overridden({ manual_override: false })]);
+        mock.method(footballProvider, 'getMatchById', async () => ({
+            success: true,
+            data: canonicalFixture({ id: 42, status: 'FT', goals: { home: 1, away: 0 } })
+        }));
+
+        const result = await gradingService.getMatchResult(42);
+
+        assert.equal(result.winner, 'home');
+    });
+
+    it('skips the match when the override cannot be read', async () => {
+        supabase.failNext('matches', { message: 'connection reset' });
+        const getMatchById = mock.method(footballProvider, 'getMatchById', async () => ({ success: false }));
+
+        assert.equal(await gradingService.getMatchResult(42), null);
+        assert.equal(getMatchById.mock.callCount(), 0);
+    });
+});
+
+describe('gradingService.verifyRecentGrades', () => {
+    beforeEach(() => supabase.reset());
+    afterEach(() => mock.restoreAll());
+
+    const hoursAgo = (hours) => new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+
+    it('re-checks hourly at first, then only every few hours', async () => {
+        supabase.seed('winner_predictions', [
+            { id: 1, email: 'a@example.com', match_id: 101, status: 'graded', graded_at: hoursAgo(2.5) },
+            { id: 2, email: 'a@example.com', match_id: 102, status: 'graded', graded_at: hoursAgo(9.5) },
+            { id: 3, email: 'a@example.com', match_id: 103, status: 'void', graded_at: hoursAgo(12.5) },
+            // Regrade baru di match 104 ngereset backoff-nya
+            { id: 4, email: 'a@example.com', match_id: 104, status: 'graded', graded_at: hoursAgo(20.5) },
+            { id: 5, email: 'b@example.com', match_id: 104, status: 'graded', graded_at: hoursAgo(1.5) }
+        ]);
+        const getMatchById = mock.method(footballProvider, 'getMatchById', async () => ({ success: false, error: 'timeout' }));
+
+        const result = await gradingService.verifyRecentGrades(48);
+
+        assert.deepEqual([result.checked, result.skipped], [3, 1]);
+        assert.deepEqual(getMatchById.mock.calls.map(call => call.arguments[0]).sort(), [101, 103, 104]);
+    });
+});
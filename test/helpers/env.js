@@ -0,0 +1,40 @@
+/**
+ * Test environment
+ * Di-require paling atas di tiap file test, SEBELUM module dari src/:
+ * - Env dummy biar module yang bikin client di top-level (logout, account) gak throw
+ * - HTTP_MODE=replay ke folder kosong: request provider yang lupa di-stub langsung gagal,
+ *   gak pernah keluar ke API beneran (dan gak makan quota)
+ * - src/config/database.js diganti Supabase stub (helpers/supabaseStub), supabase & supabaseAdmin
+ *   sama-sama nunjuk ke stub yang sama
+ * - console.log/info/warn dimatiin (emoji di log bikin parser output node --test di Node 20 error),
+ *   nyalain lagi pake TEST_VERBOSE=true
+ */
+
+const path = require('path');
+const { createSupabaseStub } = require('./supabaseStub');
+
+process.env.NODE_ENV = 'test';
+process.env.SUPABASE_URL = 'http://127.0.0.1:9';
+process.env.SUPABASE_ANON_KEY = 'test-anon-key';
+process.env.SUPABASE_SERVICE_ROLE_KEY = 'test-service-role-key';
+process.env.API_FOOTBALL_KEY = 'test-api-football-key';
+process.env.HTTP_MODE = 'replay';
+process.env.HTTP_FIXTURES_DIR = path.join(__dirname, '../fixtures/http');
+process.env.CACHE_ENABLED = 'false';
+
+if (process.env.TEST_VERBOSE !== 'true') {
+    console.log = () => {};
+    console.info = () => {};
+    console.warn = () => {};
+}
+
+const supabase = createSupabaseStub();
+
+require.cache[require.resolve('../../src/config/database')] = {
+    id: require.resolve('../../src/config/database'),
+    filename: require.resolve('../../src/config/database'),
+    loaded: true,
+    exports: { supabase, supabaseAdmin: supabase }
+};
+
+module.exports = { supabase };
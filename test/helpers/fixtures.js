@@ -0,0 +1,87 @@
+/**
+ * Builder data test: canonical fixture (matchNormalizer) dan raw game api-sports
+ */
+
+const STATUS_LONG = {
+    NS: 'Not Started',
+    '1H': 'First Half',
+    HT: 'Halftime',
+    '2H': 'Second Half',
+    FT: 'Match Finished'
+};
+
+/**
+ * Canonical fixture minimal
+ * @param {Object} overrides - { id, status, elapsed, date, home, away, goals, league, halftime, fulltime }
+ */
+const canonicalFixture = ({
+    id = 1001,
+    status = 'NS',
+    statusLong,
+    elapsed = null,
+    date = '2026-10-19T12:00:00+00:00',
+    home = { id: 33, name: 'Manchester United' },
+    away = { id: 40, name: 'Liverpool' },
+    goals = { home: null, away: null },
+    league = { id: 39, name: 'Premier League', country: 'England' },
+    halftime = { home: null, away: null },
+    fulltime = { home: null, away: null },
+    provider = 'api-football'
+} = {}) => ({
+    id,
+    provider,
+    date,
+    timestamp: Math.floor(new Date(date).getTime() / 1000),
+    timezone: 'UTC',
+    venue: { name: 'Old Trafford', city: 'Manchester' },
+    status: {
+        short: status,
+        long: statusLong === undefined ? STATUS_LONG[status] || null : statusLong,
+        elapsed,
+        extra: null
+    },
+    league: {
+        logo: null,
+        flag: null,
+        season: 2026,
+        round: 'Regular Season - 8',
+        ...league
+    },
+    teams: {
+        home: { logo: null, winner: null, ...home },
+        away: { logo: null, winner: null, ...away }
+    },
+    goals,
+    score: {
+        halftime,
+        fulltime,
+        extratime: { home: null, away: null },
+        penalty: { home: null, away: null }
+    }
+});
+
+/**
+ * Raw game api-sports (basketball / volleyball / baseball, response /games)
+ */
+const apiSportsGame = ({ id = 5001, status = 'NS', statusLong = 'Not Started', statusExtra = {}, scores = {}, periods, league, week } = {}) => ({
+    id,
+    date: '2026-10-19T19:00:00+00:00',
+    time: '19:00',
+    timestamp: 1792436400,
+    timezone: 'UTC',
+    status: { short: status, long: statusLong, ...statusExtra },
+    league: { id: 12, name: 'NBA', type: 'League', season: '2026-2027', logo: null, ...league },
+    country: { id: 5, name: 'USA', code: 'US', flag: null },
+    teams: {
+        home: { id: 145, name: 'Los Angeles Lakers', logo: null },
+        away: { id: 133, name: 'Boston Celtics', logo: null }
+    },
+    scores,
+    periods,
+    week
+});
+
+module.exports = {
+    canonicalFixture,
+    apiSportsGame
+};
@@ -0,0 +1,45 @@
+/**
+ * Request helper buat route test (pengganti supertest, pake fetch bawaan Node)
+ *
+ *   const app = createApp('/api/matches', require('../../src/routes/matches'));
+ *   const { status, body, headers } = await request(app, '/api/matches?live=true');
+ */
+
+const express = require('express');
+
+const createApp = (mountPath, router) => {
+    const app = express();
+    app.use(express.json());
+    app.use(mountPath, router);
+    return app;
+};
+
+const request = async (app, path, { method = 'GET', headers = {}, body } = {}) => {
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+
+    try {
+        const { port } = server.address();
+        const response = await fetch(`http://127.0.0.1:${port}${path}`, {
+            method,
+            headers: body ? { 'Content-Type': 'application/json', ...headers } : headers,
+            body: body ? JSON.stringify(body) : undefined
+        });
+
+        const text = await response.text();
+        let parsed = text;
+        try {
+            parsed = JSON.parse(text);
+        } catch {
+            // bukan JSON, balikin text apa adanya
+        }
+
+        return { status: response.status, headers: response.headers, body: parsed };
+    } finally {
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+    }
+};
+
+module.exports = { createApp, request };
@@ -0,0 +1,188 @@
+/**
+ * Supabase stub
+ * Query builder chainable in-memory, cukup buat query yang dipake di src/
+ * (select/insert/upsert/update/delete + filter eq/neq/in/gt/gte/lt/lte/not/is, order, limit, range, single)
+ *
+ * Usage:
+ *   const { supabase } = require('./helpers/env');
+ *   supabase.seed('matches', [{ id: 1, status: 'live' }]);
+ *   supabase.failNext('matches', { message: 'boom' });             // query berikutnya ke table itu error
+ *   supabase.failNext('matches', { message: 'boom' }, 'upsert');   // cuma upsert berikutnya
+ *   supabase.calls                                                 // log query: { table, action, filters, payload }
+ *   supabase.addUser('token', { id: 'uuid', email: 'a@b.c' });     // token valid buat supabase.auth.getUser (requireAuth)
+ *   supabase.reset();
+ */
+
+// Timestamp dibandingin sebagai instant (kayak timestamptz), bukan string: '...+07:00' vs '...Z'
+const TIMESTAMP = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/;
+const comparable = (value) => (typeof value === 'string' && TIMESTAMP.test(value) ? Date.parse(value) : value);
+
+const isNull = (value) => value === null || value === undefined;
+
+const compare = (a, b) => {
+    const [left, right] = [comparable(a), comparable(b)];
+    return left > right ? 1 : left < right ? -1 : 0;
+};
+
+const FILTERS = {
+    eq: (value, expected) => String(value) === String(expected),
+    neq: (value, expected) => String(value) !== String(expected),
+    gt: (value, expected) => !isNull(value) && compare(value, expected) > 0,
+    gte: (value, expected) => !isNull(value) && compare(value, expected) >= 0,
+    lt: (value, expected) => !isNull(value) && compare(value, expected) < 0,
+    lte: (value, expected) => !isNull(value) && compare(value, expected) <= 0,
+    in: (value, expected) => expected.map(String).includes(String(value)),
+    is: (value, expected) => (expected === null ? isNull(value) : value === expected)
+};
+
+const createSupabaseStub = () => {
+    const tables = new Map();
+    const failures = new Map();
+    const rpcHandlers = new Map();
+    const users = new Map();
+    const calls = [];
+
+    const rowsOf = (table) => {
+        if (!tables.has(table)) tables.set(table, []);
+        return tables.get(table);
+    };
+
+    const from = (table) => {
+        const query = { table, action: 'select', filters: [], payload: null, order: [], offset: 0, limit: null, single: false, options: {} };
+
+        const matches = (row) => query.filters.every(({ op, column, value, negate }) => {
+            const result = FILTERS[op](row[column], value);
+            return negate ? !result : result;
+        });
+
+        const execute = () => {
+            calls.push({ table, action: query.action, filters: query.filters, payload: query.payload });
+
+            const failure = failures.get(table);
+            if (failure && (!failure.action || failure.action === query.action)) {
+                failures.delete(table);
+                return { data: null, error: failure.error, count: null };
+            }
+
+            const rows = rowsOf(table);
+            let data;
+
+            if (query.action === 'insert' || query.action === 'upsert') {
+                const incoming = [].concat(query.payload);
+                const conflictKeys = (query.options.onConflict || 'id').split(',').map(key => key.trim());
+
+                data = [];
+                for (const row of incoming) {
+                    const index = query.action === 'upsert'
+                        ? rows.findIndex(existing => conflictKeys.every(key => String(existing[key]) === String(row[key])))
+                        : -1;
+                    // ignoreDuplicates = ON CONFLICT DO NOTHING: row yang bentrok gak ikut dibalikin
+                    if (index >= 0 && query.options.ignoreDuplicates) continue;
+                    if (index >= 0) rows[index] = { ...rows[index], ...row };
+                    else rows.push({ ...row });
+                    data.push(row);
+                }
+            } else if (query.action === 'update') {
+                data = rows.filter(matches);
+                for (const row of data) Object.assign(row, query.payload);
+            } else if (query.action === 'delete') {
+                data = rows.filter(matches);
+                tables.set(table, rows.filter(row => !matches(row)));
+            } else {
+                data = rows.filter(matches);
+            }
+
+            for (const { column, ascending } of [...query.order].reverse()) {
+                data = [...data].sort((a, b) => (ascending ? 1 : -1) * compare(a[column], b[column]));
+            }
+            if (query.limit !== null) data = data.slice(query.offset, query.offset + query.limit);
+
+            const count = data.length;
+            data = data.map(row => ({ ...row }));
+
+            if (query.single) {
+                if (data.length === 0) {
+                    return query.single === 'maybe'
+                        ? { data: null, error: null, count }
+                        : { data: null, error: { code: 'PGRST116', message: 'No rows found' }, count };
+                }
+                return { data: data[0], error: null, count };
+            }
+
+            return { data, error: null, count };
+        };
+
+        const set = (changes) => {
+            Object.assign(query, changes);
+            return builder;
+        };
+
+        const builder = {
+            select: () => builder,
+            insert: (payload) => set({ action: 'insert', payload }),
+            upsert: (payload, options = {}) => set({ action: 'upsert', payload, options }),
+            update: (payload) => set({ action: 'update', payload }),
+            delete: () => set({ action: 'delete' }),
+            not: (column, op, value) => {
+                // Format PostgREST: .not('status', 'in', '(a,b)'), .not('col', 'is', null)
+                if (op === 'in' && typeof value === 'string') {
+                    value = value.replace(/[()]/g, '').split(',').map(item => item.trim().replace(/^"|"$/g, ''));
+                }
+                if (value === 'null') value = null;
+                query.filters.push({ op, column, value, negate: true });
+                return builder;
+            },
+            order: (column, { ascending = true } = {}) => {
+                query.order.push({ column, ascending });
+                return builder;
+            },
+            limit: (limit) => set({ limit }),
+            range: (start, end) => set({ offset: start, limit: end - start + 1 }),
+            single: () => set({ single: true }),
+            maybeSingle: () => set({ single: 'maybe' }),
+            then: (resolve, reject) => Promise.resolve().then(execute).then(resolve, reject)
+        };
+
+        for (const op of Object.keys(FILTERS)) {
+            builder[op] = (column, value) => {
+                query.filters.push({ op, column, value });
+                return builder;
+            };
+        }
+
+        return builder;
+    };
+
+    const rpc = async (name, params) => {
+        calls.push({ table: null, action: 'rpc', name, payload: params });
+        const handler = rpcHandlers.get(name);
+        return handler ? handler(params) : { data: null, error: null };
+    };
+
+    const auth = {
+        getUser: async (token) => (users.has(token)
+            ? { data: { user: users.get(token) }, error: null }
+            : { data: { user: null }, error: { message: 'Invalid token' } })
+    };
+
+    return {
+        from,
+        rpc,
+        auth,
+        calls,
+        seed: (table, rows) => tables.set(table, rows.map(row => ({ ...row }))),
+        rows: (table) => rowsOf(table),
+        failNext: (table, error, action = null) => failures.set(table, { error, action }),
+        onRpc: (name, handler) => rpcHandlers.set(name, handler),
+        addUser: (token, user) => users.set(token, user),
+        reset: () => {
+            tables.clear();
+            users.clear();
+            failures.clear();
+            rpcHandlers.clear();
+            calls.length = 0;
+        }
+    };
+};
+
+module.exports = { createSupabaseStub };
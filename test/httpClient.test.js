@@ -0,0 +1,73 @@
+require('./helpers/env');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const httpClient = require('../src/services/httpClient');
+
+describe('httpClient.describeRequest', () => {
+    it('builds the same key from baseURL + params regardless of param order', () => {
+        const a = httpClient.describeRequest({ baseURL: 'https://v3.football.api-sports.io/', url: '/fixtures', params: { live: 'all', timezone: 'Asia/Jakarta' } });
+        const b = httpClient.describeRequest({ url: 'https://v3.football.api-sports.io/fixtures?timezone=Asia/Jakarta', params: { live: 'all' } });
+
+        assert.equal(a.key, 'GET v3.football.api-sports.io/fixtures?live=all&timezone=Asia/Jakarta');
+        assert.equal(b.key, a.key);
+        assert.equal(b.file, a.file);
+        assert.equal(a.file, path.join(httpClient.FIXTURES_DIR, 'v3.football.api-sports.io', 'fixtures__live-all_timezone-Asia_Jakarta.json'));
+    });
+
+    it('strips credential params from the key, the file name and the stored params', () => {
+        const request = httpClient.describeRequest({
+            url: 'https://api.api-tennis.com/tennis/?APIkey=secret-1&token=secret-2',
+            params: { method: 'get_livescore', api_key: 'secret-3' }
+        });
+
+        assert.equal(request.key, 'GET api.api-tennis.com/tennis/?method=get_livescore');
+        assert.deepEqual(request.params, { method: 'get_livescore' });
+        assert.doesNotMatch(request.file, /secret/);
+    });
+
+    it('skips empty params and marks non-GET fixtures with the method', () => {
+        const request = httpClient.describeRequest({ url: 'https://example.com/a/b', method: 'post', params: { id: 7, season: undefined, league: null } });
+
+        assert.equal(request.key, 'POST example.com/a/b?id=7');
+        assert.equal(path.basename(request.file), 'b__id-7.POST.json');
+    });
+
+    it('shortens long param slugs with a hash so distinct requests keep distinct files', () => {
+        const ids = (start) => Array.from({ length: 40 }, (_, i) => start + i).join('-');
+        const a = httpClient.describeRequest({ url: 'https://example.com/fixtures', params: { ids: ids(1000) } });
+        const b = httpClient.describeRequest({ url: 'https://example.com/fixtures', params: { ids: ids(2000) } });
+
+        assert.ok(path.basename(a.file).length < 120);
+        assert.notEqual(a.file, b.file);
+    });
+});
+
+describe('httpClient replay', () => {
+    it('fails unrecorded requests with ERR_REPLAY_MISS instead of going out', async () => {
+        assert.equal(httpClient.getMode(), 'replay');
+
+        await assert.rejects(
+            httpClient.get('https://example.com/never-recorded', { params: { key: 'secret' } }),
+            (error) => error.code === 'ERR_REPLAY_MISS' && /GET example\.com\/never-recorded/.test(error.message) && !/secret/.test(error.message)
+        );
+    });
+
+    it('answers intercepted requests without the API key and rejects non-2xx like axios', async () => {
+        const remove = httpClient.intercept({ url: 'https://example.com/fixtures', params: { id: 1 } }, async () => ({ data: { ok: true } }));
+        const removeError = httpClient.intercept({ url: 'https://example.com/fixtures', params: { id: 2 } }, async () => ({ status: 429, data: {} }));
+
+        try {
+            const client = httpClient.create({ baseURL: 'https://example.com' });
+            const response = await client.get('/fixtures', { params: { id: 1, apikey: 'secret' } });
+            assert.deepEqual(response.data, { ok: true });
+
+            await assert.rejects(client.get('/fixtures', { params: { id: 2 } }), (error) => error.response.status === 429);
+        } finally {
+            remove();
+            removeError();
+        }
+    });
+});
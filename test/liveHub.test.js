@@ -0,0 +1,48 @@
+require('./helpers/env');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const liveHub = require('../src/services/liveHub');
+
+/**
+ * Socket palsu: cuma yang dipake handleMessage (readyState, send, channels)
+ */
+const fakeSocket = () => ({
+    OPEN: 1,
+    readyState: 1,
+    channels: new Set(),
+    sent: [],
+    send(data) {
+        this.sent.push(JSON.parse(data));
+    }
+});
+
+describe('liveHub.handleMessage', () => {
+    it('rejects frames that are valid JSON but not an object', () => {
+        for (const raw of ['null', '42', '"x"', '[]']) {
+            const socket = fakeSocket();
+
+            assert.doesNotThrow(() => liveHub.handleMessage(socket, raw));
+            assert.deepEqual(socket.sent, [{ type: 'error', error: 'Message must be a JSON object' }]);
+        }
+    });
+
+    it('rejects invalid JSON', () => {
+        const socket = fakeSocket();
+
+        liveHub.handleMessage(socket, '{nope');
+
+        assert.deepEqual(socket.sent, [{ type: 'error', error: 'Invalid JSON' }]);
+    });
+
+    it('answers ping and unknown actions', () => {
+        const socket = fakeSocket();
+
+        liveHub.handleMessage(socket, JSON.stringify({ action: 'ping' }));
+        liveHub.handleMessage(socket, JSON.stringify({ action: 'dance' }));
+
+        assert.equal(socket.sent[0].type, 'pong');
+        assert.deepEqual(socket.sent[1], { type: 'error', error: 'Unknown action: dance' });
+    });
+});
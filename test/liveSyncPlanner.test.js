@@ -0,0 +1,39 @@
+const { supabase } = require('./helpers/env');
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const liveSyncPlanner = require('../src/services/liveSyncPlanner');
+
+// Follows di-cache 10 menit: tiap test pake "now" yang lebih jauh biar selalu baca ulang
+let clock = Date.parse('2026-10-19T12:00:00Z');
+const nextNow = () => new Date(clock += 60 * 60 * 1000);
+
+describe('liveSyncPlanner.getFollows', () => {
+    beforeEach(() => supabase.reset());
+
+    it('pages through every followed entity past the 1000-row cap', async () => {
+        supabase.seed('followed_entities', [
+            ...Array.from({ length: 1500 }, (_, i) => ({ entity_type: 'team', entity_id: i + 1 })),
+            { entity_type: 'league', entity_id: 39 },
+            { entity_type: 'fixture', entity_id: 1234 }
+        ]);
+
+        const follows = await liveSyncPlanner.getFollows(nextNow());
+
+        assert.equal(follows.teams.size, 1500);
+        assert.deepEqual([...follows.leagues], [39]);
+        assert.deepEqual([...follows.fixtures], [1234]);
+        assert.equal(supabase.calls.filter(call => call.table === 'followed_entities').length, 2);
+    });
+
+    it('keeps the previous follows when a page fails', async () => {
+        supabase.seed('followed_entities', [{ entity_type: 'league', entity_id: 39 }]);
+        await liveSyncPlanner.getFollows(nextNow());
+
+        supabase.failNext('followed_entities', { message: 'boom' });
+        const follows = await liveSyncPlanner.getFollows(nextNow());
+
+        assert.deepEqual([...follows.leagues], [39]);
+    });
+});
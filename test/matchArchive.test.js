@@ -0,0 +1,297 @@
+const { supabase } = require('./helpers/env');
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const matchArchive = require('../src/services/matchArchive');
+const footballProvider = require('../src/services/footballProvider');
+const apiFootball = require('../src/services/apiFootball');
+const { canonicalFixture } = require('./helpers/fixtures');
+
+const UNITED = { id: 33, name: 'Manchester United' };
+const LIVERPOOL = { id: 40, name: 'Liverpool' };
+
+const finishedFixture = (overrides = {}) => ({
+    ...canonicalFixture({ id: 42, status: 'FT', elapsed: 90, goals: { home: 1, away: 0 } }),
+    events: [
+        { time: { elapsed: 23, extra: null }, team: UNITED, player: { id: 909, name: 'M. Rashford' }, assist: { id: 1485, name: 'B. Fernandes' }, type: 'Goal', detail: 'Normal Goal', comments: null },
+        { time: { elapsed: 61, extra: null }, team: LIVERPOOL, player: { id: 306, name: 'M. Salah' }, assist: { id: null, name: null }, type: 'Card', detail: 'Yellow Card', comments: 'Foul' }
+    ],
+    // Urutan provider kebalik, arsip harus balikin home dulu
+    lineups: [
+        { team: LIVERPOOL, formation: '4-3-3', coach: { id: 2, name: 'A. Slot' }, startXI: [{ player: { id: 306, name: 'M. Salah', number: 11, pos: 'F' } }], substitutes: [] },
+        { team: UNITED, formation: '4-2-3-1', coach: { id: 1, name: 'R. Amorim' }, startXI: [{ player: { id: 909, name: 'M. Rashford', number: 10, pos: 'F' } }], substitutes: [] }
+    ],
+    statistics: [
+        { team: UNITED, statistics: [{ type: 'Total Shots', value: 11 }] },
+        { team: LIVERPOOL, statistics: [{ type: 'Total Shots', value: 14 }] }
+    ],
+    ...overrides
+});
+
+const fixturePlayers = [
+    { team: UNITED, players: [{ player: { id: 909, name: 'M. Rashford', photo: 'rashford.png' }, statistics: [{ games: { minutes: 90, number: 10, position: 'F', rating: '8.1' } }] }] },
+    { team: LIVERPOOL, players: [{ player: { id: 306, name: 'M. Salah', photo: 'salah.png' }, statistics: [{ games: { minutes: 90, number: 11, position: 'F', rating: null } }] }] }
+];
+
+const stubProvider = (fixture = finishedFixture(), players = fixturePlayers) => {
+    mock.method(footballProvider, 'getMatchById', async () => ({ success: true, provider: 'api-football', data: fixture }));
+    mock.method(apiFootball, 'getFixturePlayers', async () => ({ success: true, data: players }));
+};
+
+const hoursAgo = (hours) => new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+
+/**
+ * Match 42 udah kebaca selesai dari lama (lewat SETTLE_MINUTES), jadi finalize berikutnya bisa complete
+ */
+const seedSettled = () => supabase.seed('match_archives', [{ match_id: 42, complete: false, attempts: 0, fulltime_at: hoursAgo(3) }]);
+
+describe('matchArchive.finalizeMatch', () => {
+    beforeEach(() => supabase.reset());
+    afterEach(() => mock.restoreAll());
+
+    it('stores events, lineups, statistics and player ratings in their own tables', async () => {
+        seedSettled();
+        stubProvider();
+
+        const result = await matchArchive.finalizeMatch(42);
+
+        assert.equal(result.success, true);
+        assert.equal(result.complete, true);
+        assert.deepEqual(result.counts, { events: 2, lineups: 2, statistics: 2, players: 2 });
+
+        const [archive] = supabase.rows('match_archives');
+        assert.equal(archive.match_id, 42);
+        assert.equal(archive.status_short, 'FT');
+        assert.equal(archive.attempts, 1);
+        assert.equal(archive.fixture.events, undefined);
+
+        assert.deepEqual(supabase.rows('match_archive_events').map(row => [row.seq, row.elapsed, row.player_name, row.assist_name]), [
+            [0, 23, 'M. Rashford', 'B. Fernandes'],
+            [1, 61, 'M. Salah', null]
+        ]);
+        assert.deepEqual(supabase.rows('match_archive_players').map(row => [row.player_id, row.rating, row.minutes]), [
+            [909, 8.1, 90],
+            [306, null, 90]
+        ]);
+    });
+
+    it('replaces the stored copy when a match is finalized again', async () => {
+        seedSettled();
+        stubProvider();
+
+        await matchArchive.finalizeMatch(42);
+        await matchArchive.finalizeMatch(42);
+
+        assert.equal(supabase.rows('match_archives').length, 1);
+        assert.equal(supabase.rows('match_archives')[0].attempts, 2);
+        assert.equal(supabase.rows('match_archive_events').length, 2);
+        assert.equal(supabase.rows('match_archive_lineups').length, 2);
+    });
+
+    it('upserts rows by key and prunes the ones the provider dropped', async () => {
+        seedSettled();
+        stubProvider();
+        await matchArchive.finalizeMatch(42);
+        mock.restoreAll();
+
+        stubProvider(finishedFixture({ events: finishedFixture().events.slice(0, 1) }), fixturePlayers.slice(0, 1));
+        supabase.calls.length = 0;
+        const result = await matchArchive.finalizeMatch(42);
+
+        assert.deepEqual(result.counts, { events: 1, lineups: 2, statistics: 2, players: 1 });
+        assert.deepEqual(supabase.rows('match_archive_events').map(row => [row.seq, row.player_name]), [[0, 'M. Rashford']]);
+        assert.deepEqual(supabase.rows('match_archive_players').map(row => row.player_id), [909]);
+
+        // Tiap table: upsert dulu, delete sisa setelahnya (gak pernah dikosongin duluan)
+        const writes = supabase.calls.filter(call => call.table === 'match_archive_events').map(call => call.action);
+        assert.deepEqual(writes, ['upsert', 'delete']);
+    });
+
+    it('keeps the old copy and marks the part missing when a write fails', async () => {
+        seedSettled();
+        stubProvider();
+        await matchArchive.finalizeMatch(42);
+
+        supabase.failNext('match_archive_players', { message: 'statement timeout' }, 'upsert');
+        const result = await matchArchive.finalizeMatch(42);
+
+        assert.equal(result.success, true);
+        assert.equal(result.complete, false);
+        assert.equal(result.counts.players, 0);
+        assert.equal(supabase.rows('match_archive_players').length, 2);
+
+        const [archive] = supabase.rows('match_archives');
+        assert.equal(archive.complete, false);
+        assert.equal(archive.last_error, 'match_archive_players: statement timeout; Missing players');
+    });
+
+    it('marks missing parts and keeps earlier copies when the provider returns them empty', async () => {
+        seedSettled();
+        stubProvider(finishedFixture(), []);
+        const first = await matchArchive.finalizeMatch(42);
+
+        assert.equal(first.complete, false);
+        assert.equal(supabase.rows('match_archives')[0].last_error, 'Missing players');
+        mock.restoreAll();
+
+        stubProvider(finishedFixture({ events: [] }));
+        const second = await matchArchive.finalizeMatch(42);
+
+        assert.equal(second.complete, true);
+        assert.deepEqual(second.counts, { events: 2, lineups: 2, statistics: 2, players: 2 });
+        assert.equal(supabase.rows('match_archive_events').length, 2);
+        assert.equal(supabase.rows('match_archives')[0].last_error, null);
+    });
+
+    it('keeps the copy taken at fulltime provisional until it settles', async () => {
+        stubProvider();
+
+        const result = await matchArchive.finalizeMatch(42);
+
+        assert.deepEqual([result.success, result.complete, result.settled], [true, false, false]);
+        assert.equal(supabase.rows('match_archive_events').length, 2);
+
+        const [archive] = supabase.rows('match_archives');
+        assert.equal(archive.complete, false);
+        assert.equal(archive.attempts, 0);
+        assert.equal(archive.last_error, null);
+        assert.ok(Date.now() - Date.parse(archive.fulltime_at) < 60 * 1000);
+    });
+
+    it('refuses matches that are not finished and counts the attempt', async () => {
+        stubProvider(finishedFixture({ status: { short: '2H', long: 'Second Half', elapsed: 80, extra: null } }));
+
+        const result = await matchArchive.finalizeMatch(42);
+
+        assert.equal(result.success, false);
+        assert.equal(supabase.rows('match_archive_events').length, 0);
+        assert.deepEqual(supabase.rows('match_archives').map(row => [row.complete, row.attempts]), [[false, 1]]);
+    });
+
+    it('counts provider failures as attempts', async () => {
+        mock.method(footballProvider, 'getMatchById', async () => ({ success: false, error: 'timeout' }));
+
+        const result = await matchArchive.finalizeMatch(42);
+
+        assert.equal(result.success, false);
+        assert.equal(supabase.rows('match_archives')[0].last_error, 'timeout');
+    });
+
+    it('ignores fallback provider fixtures', async () => {
+        const getMatchById = mock.method(footballProvider, 'getMatchById', async () => ({ success: true, data: finishedFixture() }));
+
+        const result = await matchArchive.finalizeMatch('fd-1234');
+
+        assert.equal(result.success, false);
+        assert.equal(getMatchById.mock.callCount(), 0);
+    });
+});
+
+describe('matchArchive.getArchivedMatch', () => {
+    beforeEach(() => supabase.reset());
+    afterEach(() => mock.restoreAll());
+
+    it('rebuilds the canonical fixture with home-first extras', async () => {
+        seedSettled();
+        stubProvider();
+        await matchArchive.finalizeMatch(42);
+
+        const archived = await matchArchive.getArchivedMatch('42');
+
+        assert.equal(archived.complete, true);
+        assert.equal(archived.provider, 'api-football');
+        assert.deepEqual(archived.fixture.events, finishedFixture().events);
+        assert.deepEqual(archived.fixture.lineups.map(lineup => lineup.team.id), [33, 40]);
+        assert.deepEqual(archived.fixture.lineups[1].startXI, finishedFixture().lineups[0].startXI);
+        assert.deepEqual(archived.fixture.statistics, finishedFixture().statistics);
+        assert.deepEqual(archived.players, [
+            { team: UNITED, players: [{ player: { id: 909, name: 'M. Rashford', photo: 'rashford.png' }, statistics: fixturePlayers[0].players[0].statistics }] },
+            { team: LIVERPOOL, players: [{ player: { id: 306, name: 'M. Salah', photo: 'salah.png' }, statistics: fixturePlayers[1].players[0].statistics }] }
+        ]);
+    });
+
+    it('is null for matches that were never archived', async () => {
+        assert.equal(await matchArchive.getArchivedMatch('42'), null);
+        assert.equal(await matchArchive.getArchivedMatch('fd-1234'), null);
+    });
+});
+
+describe('matchArchive.archivePendingMatches', () => {
+    beforeEach(() => supabase.reset());
+    afterEach(() => mock.restoreAll());
+
+    it('finalizes recent finished matches that are missing or incomplete', async () => {
+        supabase.seed('matches', [
+            { id: 1, status_short: 'FT', date: hoursAgo(3) },
+            { id: 2, status_short: 'FT', date: hoursAgo(4) },
+            { id: 3, status_short: 'AET', date: hoursAgo(5) },
+            { id: 4, status_short: 'PEN', date: hoursAgo(6) },
+            { id: 5, status_short: '2H', date: hoursAgo(1) },
+            { id: 6, status_short: 'FT', date: hoursAgo(72) }
+        ]);
+        supabase.seed('match_archives', [
+            { match_id: 2, complete: true, attempts: 1 },
+            { match_id: 3, complete: false, attempts: 1 },
+            { match_id: 4, complete: false, attempts: matchArchive.MAX_ATTEMPTS }
+        ]);
+
+        const getMatchById = mock.method(footballProvider, 'getMatchById', async (id) => ({
+            success: true,
+            provider: 'api-football',
+            data: finishedFixture({ id })
+        }));
+        mock.method(apiFootball, 'getFixturePlayers', async () => ({ success: true, data: fixturePlayers }));
+
+        const result = await matchArchive.archivePendingMatches();
+
+        assert.deepEqual(result, { success: true, pending: 2, archived: 2, failed: 0 });
+        assert.deepEqual(getMatchById.mock.calls.map(call => call.arguments[0]).sort(), [1, 3]);
+    });
+
+    it('finalizes a provisional fulltime copy once more after it settles', async () => {
+        supabase.seed('matches', [{ id: 42, status_short: 'FT', date: hoursAgo(2) }]);
+        stubProvider();
+
+        await matchArchive.finalizeMatch(42);
+        const waiting = await matchArchive.archivePendingMatches();
+
+        assert.deepEqual(waiting, { success: true, pending: 0, archived: 0, failed: 0 });
+
+        supabase.rows('match_archives')[0].fulltime_at = hoursAgo(2);
+        const settled = await matchArchive.archivePendingMatches();
+
+        assert.deepEqual(settled, { success: true, pending: 1, archived: 1, failed: 0 });
+        assert.deepEqual(supabase.rows('match_archives').map(row => [row.complete, row.attempts]), [[true, 1]]);
+
+        assert.equal((await matchArchive.archivePendingMatches()).pending, 0);
+    });
+
+    it('pages through finished matches so the newest ones are not cut off', async () => {
+        const ids = Array.from({ length: 450 }, (_, i) => i + 1);
+        supabase.seed('matches', ids.map(id => ({ id, status_short: 'FT', date: hoursAgo(40 - id / 20) })));
+        supabase.seed('match_archives', ids.slice(0, -1).map(id => ({ match_id: id, complete: true, attempts: 1 })));
+        const getMatchById = mock.method(footballProvider, 'getMatchById', async () => ({ success: false, error: 'timeout' }));
+
+        const result = await matchArchive.archivePendingMatches();
+
+        assert.deepEqual(result, { success: true, pending: 1, archived: 0, failed: 1 });
+        assert.deepEqual(getMatchById.mock.calls.map(call => call.arguments[0]), [450]);
+
+        const archiveLookups = supabase.calls
+            .filter(call => call.table === 'match_archives' && call.action === 'select')
+            .map(call => call.filters.find(filter => filter.op === 'in'))
+            .filter(Boolean);
+        assert.deepEqual(archiveLookups.map(filter => filter.value.length), [200, 200, 50]);
+    });
+
+    it('stops at the batch limit', async () => {
+        supabase.seed('matches', [1, 2, 3].map(id => ({ id, status_short: 'FT', date: hoursAgo(id) })));
+        const getMatchById = mock.method(footballProvider, 'getMatchById', async () => ({ success: false, error: 'timeout' }));
+
+        const result = await matchArchive.archivePendingMatches(2);
+
+        assert.deepEqual(result, { success: true, pending: 3, archived: 0, failed: 2 });
+        assert.equal(getMatchById.mock.callCount(), 2);
+    });
+});
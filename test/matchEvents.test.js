@@ -0,0 +1,62 @@
+const { supabase } = require('./helpers/env');
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const matchEvents = require('../src/services/matchEvents');
+const matchSync = require('../src/services/matchSync');
+const eventBus = require('../src/services/eventBus');
+const { canonicalFixture } = require('./helpers/fixtures');
+
+const row = (options) => matchSync.transformMatch(canonicalFixture({ id: 1, ...options }));
+
+describe('matchEvents.diffMatchRows', () => {
+    it('keys each goal by its number for that team', () => {
+        const events = matchEvents.diffMatchRows(
+            row({ status: '1H', goals: { home: 0, away: 1 } }),
+            row({ status: '2H', goals: { home: 2, away: 1 } })
+        );
+
+        assert.deepEqual(events.map(event => event.key), ['match.goal:home:1', 'match.goal:home:2']);
+    });
+
+    it('reuses the goal key when a disallowed goal is given again', () => {
+        const scored = matchEvents.diffMatchRows(row({ status: '1H', goals: { home: 0, away: 0 } }), row({ status: '1H', goals: { home: 1, away: 0 } }));
+        const disallowed = matchEvents.diffMatchRows(row({ status: '1H', goals: { home: 1, away: 0 } }), row({ status: '1H', goals: { home: 0, away: 0 } }));
+
+        assert.deepEqual(scored.map(event => event.key), ['match.goal:home:1']);
+        assert.deepEqual(disallowed.map(event => event.key), ['match.goal_disallowed:home:1']);
+    });
+});
+
+describe('matchEvents.processChanges', () => {
+    beforeEach(() => supabase.reset());
+    afterEach(() => mock.restoreAll());
+
+    it('publishes an event only once when two syncs diff the same stored row', async () => {
+        const publish = mock.method(eventBus, 'publish', () => {});
+        const previous = new Map([[1, row({ status: '1H', goals: { home: 0, away: 0 } })]]);
+        const current = [row({ status: '1H', goals: { home: 1, away: 0 } })];
+
+        const first = await matchEvents.processChanges(previous, current);
+        const second = await matchEvents.processChanges(previous, current);
+
+        assert.equal(first.count, 1);
+        assert.equal(second.count, 0);
+        assert.equal(publish.mock.callCount(), 1);
+        assert.deepEqual(supabase.rows('match_events_log').map(logged => logged.event_key), ['match.goal:home:1']);
+    });
+
+    it('still publishes when the event log cannot be written', async () => {
+        const publish = mock.method(eventBus, 'publish', () => {});
+        supabase.failNext('match_events_log', { message: 'boom' });
+
+        const result = await matchEvents.processChanges(
+            new Map([[1, row({ status: 'NS' })]]),
+            [row({ status: '1H', elapsed: 1 })]
+        );
+
+        assert.equal(result.count, 1);
+        assert.deepEqual(publish.mock.calls.map(call => call.arguments[0].type), ['match.kickoff']);
+    });
+});
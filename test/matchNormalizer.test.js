@@ -0,0 +1,93 @@
+require('./helpers/env');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const matchNormalizer = require('../src/services/matchNormalizer');
+
+/**
+ * Match football-data v4 minimal, override per test
+ */
+const footballDataMatch = (overrides = {}) => ({
+    id: 4410,
+    utcDate: '2026-10-19T19:00:00Z',
+    status: 'FINISHED',
+    minute: null,
+    matchday: 9,
+    competition: { id: 2021, code: 'PL', name: 'Premier League', emblem: 'https://crests/pl.png' },
+    area: { name: 'England', flag: 'https://flags/eng.svg' },
+    season: { startDate: '2026-08-15' },
+    homeTeam: { id: 57, name: 'Arsenal', crest: 'https://crests/57.png' },
+    awayTeam: { id: 61, name: 'Chelsea', crest: 'https://crests/61.png' },
+    score: { winner: 'HOME_TEAM', duration: 'REGULAR', fullTime: { home: 2, away: 1 }, halfTime: { home: 1, away: 0 } },
+    ...overrides
+});
+
+describe('matchNormalizer.fromFootballData', () => {
+    it('maps football-data statuses to API-Football short codes', () => {
+        const cases = [
+            [{ status: 'TIMED' }, 'NS'],
+            [{ status: 'SCHEDULED' }, 'NS'],
+            [{ status: 'IN_PLAY', minute: 30 }, '1H'],
+            [{ status: 'IN_PLAY', minute: 67 }, '2H'],
+            [{ status: 'IN_PLAY', minute: 104 }, 'ET'],
+            [{ status: 'IN_PLAY', minute: 120, score: { duration: 'PENALTY_SHOOTOUT' } }, 'P'],
+            [{ status: 'PAUSED', minute: 45 }, 'HT'],
+            [{ status: 'PAUSED', minute: 90 }, 'BT'],
+            [{ status: 'FINISHED', score: { duration: 'REGULAR' } }, 'FT'],
+            [{ status: 'FINISHED', score: { duration: 'EXTRA_TIME' } }, 'AET'],
+            [{ status: 'FINISHED', score: { duration: 'PENALTY_SHOOTOUT' } }, 'PEN'],
+            [{ status: 'SUSPENDED' }, 'SUSP'],
+            [{ status: 'POSTPONED' }, 'PST'],
+            [{ status: 'CANCELLED' }, 'CANC'],
+            [{ status: 'AWARDED' }, 'AWD']
+        ];
+
+        for (const [overrides, short] of cases) {
+            const fixture = matchNormalizer.fromFootballData(footballDataMatch(overrides));
+            assert.equal(fixture.status.short, short, JSON.stringify(overrides));
+            assert.equal(fixture.status.long, matchNormalizer.STATUS_LONG[short]);
+        }
+    });
+
+    it('subtracts shootout goals from the football-data full-time score', () => {
+        const fixture = matchNormalizer.fromFootballData(footballDataMatch({
+            score: {
+                winner: 'AWAY_TEAM',
+                duration: 'PENALTY_SHOOTOUT',
+                fullTime: { home: 5, away: 6 },
+                regularTime: { home: 1, away: 1 },
+                extraTime: { home: 0, away: 0 },
+                penalties: { home: 4, away: 5 },
+                halfTime: { home: 0, away: 1 }
+            }
+        }));
+
+        assert.deepEqual(fixture.goals, { home: 1, away: 1 });
+        assert.deepEqual(fixture.score.penalty, { home: 4, away: 5 });
+        assert.deepEqual(fixture.score.fulltime, { home: 1, away: 1 });
+        assert.deepEqual([fixture.teams.home.winner, fixture.teams.away.winner], [false, true]);
+    });
+
+    it('keeps the full-time score when there was no shootout', () => {
+        const fixture = matchNormalizer.fromFootballData(footballDataMatch());
+
+        assert.deepEqual(fixture.goals, { home: 2, away: 1 });
+        assert.deepEqual(fixture.score.fulltime, { home: 2, away: 1 });
+        assert.deepEqual(fixture.score.penalty, { home: null, away: null });
+    });
+
+    it('prefixes football-data IDs and maps known competitions to API-Football league IDs', () => {
+        const fixture = matchNormalizer.fromFootballData(footballDataMatch());
+
+        assert.equal(fixture.id, 'fd-4410');
+        assert.equal(fixture.provider, 'football-data');
+        assert.deepEqual([fixture.teams.home.id, fixture.teams.away.id], ['fd-57', 'fd-61']);
+        assert.equal(fixture.league.id, 39);
+        assert.equal(fixture.league.season, 2026);
+        assert.equal(fixture.league.round, 'Matchday 9');
+
+        const unknown = matchNormalizer.fromFootballData(footballDataMatch({ competition: { id: 2013, code: 'BSB', name: 'Serie B' } }));
+        assert.equal(unknown.league.id, 'fd-BSB');
+    });
+});
@@ -0,0 +1,189 @@
+const { supabase } = require('./helpers/env');
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const matchSync = require('../src/services/matchSync');
+const footballProvider = require('../src/services/footballProvider');
+const timezone = require('../src/services/timezone');
+const { canonicalFixture } = require('./helpers/fixtures');
+
+describe('matchSync.transformMatch', () => {
+    it('maps in-play statuses to live', () => {
+        for (const short of ['1H', 'HT', '2H', 'ET', 'BT', 'P', 'LIVE']) {
+            const row = matchSync.transformMatch(canonicalFixture({ status: short, elapsed: 50 }));
+            assert.equal(row.status, 'live', short);
+            assert.equal(row.is_live, true, short);
+            assert.equal(row.status_short, short);
+        }
+    });
+
+    it('maps FT, AET and PEN to finished', () => {
+        for (const short of ['FT', 'AET', 'PEN']) {
+            const row = matchSync.transformMatch(canonicalFixture({ status: short }));
+            assert.equal(row.status, 'finished', short);
+            assert.equal(row.is_live, false, short);
+        }
+    });
+
+    it('maps postponed, cancelled, abandoned and walkover to postponed', () => {
+        for (const short of ['PST', 'CANC', 'ABD', 'AWD', 'WO']) {
+            const row = matchSync.transformMatch(canonicalFixture({ status: short }));
+            assert.equal(row.status, 'postponed', short);
+            assert.equal(row.is_live, false, short);
+        }
+    });
+
+    it('treats NS, TBD and unknown codes as scheduled', () => {
+        for (const short of ['NS', 'TBD', 'SUSP', 'INT', 'WHATEVER']) {
+            const row = matchSync.transformMatch(canonicalFixture({ status: short }));
+            assert.equal(row.status, 'scheduled', short);
+            assert.equal(row.is_live, false, short);
+        }
+    });
+
+    it('falls back to the built-in status label when the provider sends none', () => {
+        const row = matchSync.transformMatch(canonicalFixture({ status: 'PST', statusLong: null }));
+        assert.equal(row.status_long, 'Match Postponed');
+
+        const unknown = matchSync.transformMatch(canonicalFixture({ status: 'XYZ', statusLong: null }));
+        assert.equal(unknown.status_long, null);
+    });
+
+    it('keeps the provider status label when present', () => {
+        const row = matchSync.transformMatch(canonicalFixture({ status: '2H', statusLong: 'Second Half' }));
+        assert.equal(row.status_long, 'Second Half');
+    });
+
+    it('flattens teams, league, venue and scores', () => {
+        const row = matchSync.transformMatch(canonicalFixture({
+            id: 777,
+            status: 'FT',
+            goals: { home: 2, away: 1 },
+            halftime: { home: 1, away: 0 },
+            fulltime: { home: 2, away: 1 }
+        }));
+
+        assert.equal(row.id, 777);
+        assert.equal(row.home_team_name, 'Manchester United');
+        assert.equal(row.away_team_id, 40);
+        assert.equal(row.league_id, 39);
+        assert.equal(row.league_name, 'Premier League');
+        assert.equal(row.venue, 'Old Trafford');
+        assert.equal(row.venue_city, 'Manchester');
+        assert.equal(row.home_score, 2);
+        assert.equal(row.away_score, 1);
+        assert.equal(row.ht_home, 1);
+        assert.equal(row.ht_away, 0);
+        assert.equal(row.ft_home, 2);
+        assert.equal(row.ft_away, 1);
+    });
+
+    it('transformMatches maps every fixture', () => {
+        const rows = matchSync.transformMatches([
+            canonicalFixture({ id: 1 }),
+            canonicalFixture({ id: 2, status: '1H', elapsed: 12 })
+        ]);
+
+        assert.deepEqual(rows.map(row => [row.id, row.status, row.elapsed]), [[1, 'scheduled', null], [2, 'live', 12]]);
+    });
+});
+
+describe('matchSync.saveMatchesToDb', () => {
+    beforeEach(() => supabase.reset());
+
+    it('upserts transformed rows and skips blacklisted and overridden matches', async () => {
+        supabase.seed('match_blacklist', [{ match_id: 3 }]);
+        supabase.seed('matches', [{ id: 2, status: 'scheduled', manual_override: true }]);
+
+        await matchSync.loadBlacklist(true);
+        const result = await matchSync.saveMatchesToDb([
+            canonicalFixture({ id: 1, status: '1H', elapsed: 3 }),
+            canonicalFixture({ id: 2, status: 'FT' }),
+            canonicalFixture({ id: 3, status: 'NS' })
+        ]);
+
+        assert.equal(result.success, true);
+        assert.equal(result.count, 1);
+
+        const stored = Object.fromEntries(supabase.rows('matches').map(row => [row.id, row.status]));
+        assert.deepEqual(stored, { 1: 'live', 2: 'scheduled' });
+    });
+
+    it('reports database errors', async () => {
+        await matchSync.loadBlacklist(true);
+        supabase.failNext('matches', { message: 'connection refused' }, 'upsert');
+
+        const result = await matchSync.saveMatchesToDb([canonicalFixture({ id: 4 })]);
+
+        assert.deepEqual(result, { success: false, error: 'connection refused' });
+    });
+
+    it('skips the save when the stored rows cannot be read, keeping overridden matches untouched', async () => {
+        supabase.seed('matches', [{ id: 2, status: 'finished', manual_override: true }]);
+        await matchSync.loadBlacklist(true);
+        supabase.failNext('matches', { message: 'statement timeout' }, 'select');
+
+        const result = await matchSync.saveMatchesToDb([canonicalFixture({ id: 2, status: '2H', elapsed: 70 })]);
+
+        assert.deepEqual(result, { success: false, error: 'Failed to read stored matches: statement timeout' });
+        assert.equal(supabase.calls.filter(call => call.table === 'matches' && call.action === 'upsert').length, 0);
+        assert.equal(supabase.rows('matches')[0].status, 'finished');
+    });
+});
+
+describe('matchSync synced days', () => {
+    beforeEach(() => supabase.reset());
+    afterEach(() => mock.restoreAll());
+
+    it('records the synced day with its UTC bounds after saving', async () => {
+        mock.method(footballProvider, 'getTodayMatches', async () => ({ success: true, results: 1, data: [canonicalFixture({ id: 1 })] }));
+        await matchSync.loadBlacklist(true);
+
+        await matchSync.syncTodayMatches();
+
+        const today = timezone.today();
+        const { start, end } = timezone.getDayRange(today);
+        assert.deepEqual(
+            supabase.rows('match_sync_days').map(row => [row.sync_date, row.timezone, row.range_start, row.range_end]),
+            [[today, 'Asia/Jakarta', start, end]]
+        );
+    });
+
+    it('does not record the day when saving fails', async () => {
+        mock.method(footballProvider, 'getTodayMatches', async () => ({ success: true, results: 1, data: [canonicalFixture({ id: 1 })] }));
+        await matchSync.loadBlacklist(true);
+        supabase.failNext('matches', { message: 'connection refused' }, 'upsert');
+
+        await matchSync.syncTodayMatches();
+
+        assert.equal(supabase.rows('match_sync_days').length, 0);
+    });
+
+    it('covers a range only when synced days join up across it', async () => {
+        for (const date of ['2026-10-18', '2026-10-20']) {
+            await matchSync.recordSyncedDay(date);
+        }
+        const london = timezone.getDayRange('2026-10-19', 'Europe/London');
+
+        assert.deepEqual(await matchSync.isRangeSynced(london.start, london.end), { success: true, covered: false });
+
+        await matchSync.recordSyncedDay('2026-10-19');
+
+        assert.deepEqual(await matchSync.isRangeSynced(london.start, london.end), { success: true, covered: true });
+    });
+
+    it('prunes synced days that start before the cleanup cutoff, including the cut day', async () => {
+        for (const date of ['2026-10-18', '2026-10-19', '2026-10-20']) {
+            await matchSync.recordSyncedDay(date);
+        }
+
+        // Tengah hari WIB tanggal 19: cleanup udah hapus sebagian match hari itu
+        const result = await matchSync.pruneSyncedDays('2026-10-19T06:00:00.000Z');
+        const day = timezone.getDayRange('2026-10-19');
+
+        assert.deepEqual(result, { success: true, deleted: 2 });
+        assert.deepEqual(supabase.rows('match_sync_days').map(row => row.sync_date), ['2026-10-20']);
+        assert.deepEqual(await matchSync.isRangeSynced(day.start, day.end), { success: true, covered: false });
+    });
+});
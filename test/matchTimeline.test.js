@@ -0,0 +1,216 @@
+const { supabase } = require('./helpers/env');
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const matchTimeline = require('../src/services/matchTimeline');
+const statSnapshots = require('../src/services/statSnapshots');
+const apiFootball = require('../src/services/apiFootball');
+const liveSyncPlanner = require('../src/services/liveSyncPlanner');
+const { canonicalFixture } = require('./helpers/fixtures');
+
+const UNITED = { id: 33, name: 'Manchester United' };
+const LIVERPOOL = { id: 40, name: 'Liverpool' };
+
+const event = (elapsed, team, type, detail, { extra = null, player = null, assist = null, comments = null } = {}) => ({
+    time: { elapsed, extra },
+    team,
+    player: player || { id: null, name: null },
+    assist: assist || { id: null, name: null },
+    type,
+    detail,
+    comments
+});
+
+const stats = (home, away) => [
+    { team: UNITED, statistics: Object.entries(home).map(([type, value]) => ({ type, value })) },
+    { team: LIVERPOOL, statistics: Object.entries(away).map(([type, value]) => ({ type, value })) }
+];
+
+describe('matchTimeline.buildTimeline', () => {
+    const fixture = {
+        ...canonicalFixture({ id: 42, status: 'FT', goals: { home: 2, away: 2 } }),
+        events: [
+            event(90, LIVERPOOL, 'Goal', 'Penalty', { extra: 3, player: { id: 306, name: 'M. Salah' } }),
+            event(23, UNITED, 'Goal', 'Normal Goal', { player: { id: 909, name: 'M. Rashford' }, assist: { id: 1485, name: 'B. Fernandes' } }),
+            event(38, UNITED, 'Card', 'Yellow Card', { player: { id: 2935, name: 'H. Maguire' } }),
+            event(51, UNITED, 'Goal', 'Own Goal', { player: { id: 2935, name: 'H. Maguire' } }),
+            event(60, LIVERPOOL, 'subst', 'Substitution 1', { player: { id: 1, name: 'D. Nunez' }, assist: { id: 2, name: 'C. Gakpo' } }),
+            event(67, UNITED, 'Var', 'Goal cancelled', { player: { id: 909, name: 'M. Rashford' } }),
+            event(75, UNITED, 'Goal', 'Normal Goal', { player: { id: 1485, name: 'B. Fernandes' } }),
+            event(88, LIVERPOOL, 'Goal', 'Missed Penalty', { player: { id: 306, name: 'M. Salah' } }),
+            event(90, LIVERPOOL, 'Card', 'Second Yellow card', { extra: 1, player: { id: 3, name: 'A. Mac Allister' } })
+        ],
+        lineups: [
+            { team: UNITED, formation: '4-2-3-1', coach: { name: 'R. Amorim' }, startXI: [{ player: { id: 909, name: 'M. Rashford', number: 10, pos: 'F' } }], substitutes: [] },
+            { team: LIVERPOOL, formation: '4-3-3', coach: { name: 'A. Slot' }, startXI: [{ player: { id: 1, name: 'D. Nunez', number: 9, pos: 'F' } }], substitutes: [{ player: { id: 2, name: 'C. Gakpo', number: 18, pos: 'F' } }] }
+        ],
+        statistics: stats({ 'Ball Possession': '48%', 'Total Shots': 11 }, { 'Ball Possession': '52%', 'Total Shots': 14 })
+    };
+
+    it('orders events by minute and keeps a running score', () => {
+        const { timeline, score } = matchTimeline.buildTimeline(fixture);
+
+        assert.deepEqual(timeline.map(entry => [entry.label, entry.type, entry.side, `${entry.score.home}-${entry.score.away}`]), [
+            ["23'", 'goal', 'home', '1-0'],
+            ["38'", 'yellow_card', 'home', '1-0'],
+            ["51'", 'own_goal', 'home', '1-1'],
+            ["60'", 'substitution', 'away', '1-1'],
+            ["67'", 'var', 'home', '1-1'],
+            ["75'", 'goal', 'home', '2-1'],
+            ["88'", 'missed_penalty', 'away', '2-1'],
+            ["90+1'", 'second_yellow', 'away', '2-1'],
+            ["90+3'", 'penalty', 'away', '2-2']
+        ]);
+        assert.deepEqual(score, { home: 2, away: 2 });
+    });
+
+    it('keeps assists and shirt numbers from the lineups', () => {
+        const { timeline } = matchTimeline.buildTimeline(fixture);
+
+        assert.deepEqual(timeline[0].player, { id: 909, name: 'M. Rashford', number: 10 });
+        assert.deepEqual(timeline[0].assist, { id: 1485, name: 'B. Fernandes', number: null });
+
+        const substitution = timeline.find(entry => entry.type === 'substitution');
+        assert.equal(substitution.player.number, 9);
+        assert.equal(substitution.assist.number, 18);
+    });
+
+    it('leaves shootout penalties out of the score', () => {
+        const { timeline, score } = matchTimeline.buildTimeline({
+            ...fixture,
+            events: [
+                event(12, UNITED, 'Goal', 'Normal Goal'),
+                event(120, LIVERPOOL, 'Goal', 'Penalty', { comments: 'Penalty Shootout' }),
+                event(120, UNITED, 'Goal', 'Missed Penalty', { comments: 'Penalty Shootout' })
+            ]
+        });
+
+        assert.deepEqual(score, { home: 1, away: 0 });
+        assert.deepEqual(timeline.map(entry => entry.phase), ['regular', 'shootout', 'shootout']);
+    });
+
+    it('summarizes lineups and pairs statistics per side', () => {
+        const { lineups, statistics } = matchTimeline.buildTimeline(fixture);
+
+        assert.equal(lineups.home.formation, '4-2-3-1');
+        assert.equal(lineups.away.coach, 'A. Slot');
+        assert.equal(lineups.away.substitutes[0].name, 'C. Gakpo');
+        assert.deepEqual(statistics, [
+            { type: 'Ball Possession', home: '48%', away: '52%' },
+            { type: 'Total Shots', home: 11, away: 14 }
+        ]);
+    });
+});
+
+describe('matchTimeline.buildMomentum', () => {
+    it('scores each interval from new shots and corners plus possession', () => {
+        const momentum = matchTimeline.buildMomentum([
+            { minute: 10, statistics: stats({ 'Shots on Goal': 2, 'Total Shots': 3, 'Ball Possession': '60%' }, { 'Shots on Goal': 0, 'Total Shots': 0, 'Ball Possession': '40%' }) },
+            { minute: 20, statistics: stats({ 'Shots on Goal': 2, 'Total Shots': 3, 'Ball Possession': '50%' }, { 'Shots on Goal': 1, 'Total Shots': 2, 'Corner Kicks': 2, 'Ball Possession': '50%' }) },
+            { minute: 25, statistics: stats({ 'Shots on Goal': 2, 'Total Shots': 3, 'Ball Possession': '50%' }, { 'Shots on Goal': 1, 'Total Shots': 2, 'Corner Kicks': 2, 'Ball Possession': '50%' }) }
+        ], 33);
+
+        assert.deepEqual(momentum.map(point => [point.from, point.minute, point.value]), [
+            [0, 10, 92],
+            [10, 20, -87],
+            [20, 25, 0]
+        ]);
+        assert.deepEqual(momentum[0].pressure, { home: 9.6, away: 0.4 });
+    });
+
+    it('is empty without snapshots', () => {
+        assert.deepEqual(matchTimeline.buildMomentum([], 33), []);
+    });
+});
+
+describe('matchTimeline.buildStatisticsHistory', () => {
+    it('pairs each snapshot and builds a numeric series per statistic', () => {
+        const history = matchTimeline.buildStatisticsHistory([
+            { minute: 5, captured_at: '2026-10-19T12:05:00.000Z', status_short: '1H', home_score: 0, away_score: 0, statistics: stats({ 'Ball Possession': '55%', 'Total Shots': 1 }, { 'Ball Possession': '45%', 'Total Shots': null }) },
+            { minute: 10, captured_at: '2026-10-19T12:10:00.000Z', status_short: '1H', home_score: 1, away_score: 0, statistics: stats({ 'Ball Possession': '58%', 'Total Shots': 3 }, { 'Ball Possession': '42%', 'Total Shots': 1 }) }
+        ], 33);
+
+        assert.deepEqual(history.snapshots[1].score, { home: 1, away: 0 });
+        assert.deepEqual(history.snapshots[0].statistics['Ball Possession'], { home: '55%', away: '45%' });
+        assert.deepEqual(history.series['Ball Possession'], [
+            { minute: 5, home: 55, away: 45 },
+            { minute: 10, home: 58, away: 42 }
+        ]);
+        assert.deepEqual(history.series['Total Shots'], [
+            { minute: 5, home: 1, away: 0 },
+            { minute: 10, home: 3, away: 1 }
+        ]);
+    });
+
+    it('uses the home team id to pick sides', () => {
+        const { series } = matchTimeline.buildStatisticsHistory([
+            { minute: 5, statistics: stats({ 'Total Shots': 4 }, { 'Total Shots': 1 }) }
+        ], LIVERPOOL.id);
+
+        assert.deepEqual(series['Total Shots'], [{ minute: 5, home: 1, away: 4 }]);
+    });
+});
+
+describe('statSnapshots.captureLive', () => {
+    const liveRow = (overrides) => ({ id: 42, league_id: 39, is_live: true, elapsed: 10, status_short: '1H', home_score: 0, away_score: 0, ...overrides });
+    const noFollows = () => ({ leagues: new Set(), teams: new Set(), fixtures: new Set() });
+
+    beforeEach(() => {
+        statSnapshots.clear();
+        supabase.reset();
+    });
+    afterEach(() => mock.restoreAll());
+
+    it('captures tier-1 live fixtures once per interval and persists them', async () => {
+        mock.method(liveSyncPlanner, 'getFollows', async () => noFollows());
+        const getStatistics = mock.method(apiFootball, 'getMatchStatistics', async () => ({
+            success: true,
+            data: stats({ 'Total Shots': 1 }, { 'Total Shots': 0 })
+        }));
+
+        assert.equal(await statSnapshots.captureLive([liveRow(), liveRow({ id: 43, league_id: 999 })]), 1);
+        assert.equal(await statSnapshots.captureLive([liveRow({ elapsed: 12 })]), 0);
+        assert.equal(await statSnapshots.captureLive([liveRow({ elapsed: 15, home_score: 1 })]), 1);
+
+        assert.deepEqual(getStatistics.mock.calls.map(call => call.arguments[0]), [42, 42]);
+        assert.deepEqual(
+            supabase.rows('match_stat_snapshots').map(row => [row.match_id, row.minute, row.status_short, row.home_score]),
+            [[42, 10, '1H', 0], [42, 15, '1H', 1]]
+        );
+        assert.deepEqual((await statSnapshots.getSnapshots(42)).map(snapshot => snapshot.minute), [10, 15]);
+        assert.deepEqual(await statSnapshots.getSnapshots(43), []);
+    });
+
+    it('captures fixtures from followed leagues', async () => {
+        mock.method(liveSyncPlanner, 'getFollows', async () => ({ ...noFollows(), leagues: new Set([999]) }));
+        mock.method(apiFootball, 'getMatchStatistics', async () => ({
+            success: true,
+            data: stats({ 'Total Shots': 1 }, { 'Total Shots': 0 })
+        }));
+
+        assert.equal(await statSnapshots.captureLive([liveRow({ id: 43, league_id: 999 }), liveRow({ id: 44, league_id: 1000 })]), 1);
+        assert.deepEqual(supabase.rows('match_stat_snapshots').map(row => row.match_id), [43]);
+    });
+
+    it('skips fixtures that are not in play or have no statistics yet', async () => {
+        mock.method(liveSyncPlanner, 'getFollows', async () => noFollows());
+        mock.method(apiFootball, 'getMatchStatistics', async () => ({ success: true, data: [] }));
+
+        assert.equal(await statSnapshots.captureLive([liveRow({ is_live: false }), liveRow({ elapsed: null }), liveRow()]), 0);
+        assert.deepEqual(await statSnapshots.getSnapshots(42), []);
+    });
+
+    it('falls back to the in-memory copy when the database read fails', async () => {
+        mock.method(liveSyncPlanner, 'getFollows', async () => noFollows());
+        mock.method(apiFootball, 'getMatchStatistics', async () => ({
+            success: true,
+            data: stats({ 'Total Shots': 1 }, { 'Total Shots': 0 })
+        }));
+
+        await statSnapshots.captureLive([liveRow()]);
+        supabase.failNext('match_stat_snapshots', { message: 'boom' }, 'select');
+
+        assert.deepEqual((await statSnapshots.getSnapshots(42)).map(snapshot => snapshot.minute), [10]);
+    });
+});
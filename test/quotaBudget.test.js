@@ -0,0 +1,76 @@
+require('./helpers/env');
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Modul baru tiap test: pemakaian harian & quota header disimpen di state modul
+const loadQuotaBudget = (env = {}) => {
+    Object.assign(process.env, env);
+    delete require.cache[require.resolve('../src/services/quotaBudget')];
+    return require('../src/services/quotaBudget');
+};
+
+const respond = (limit, remaining) => async () => ({
+    headers: {
+        'x-ratelimit-requests-limit': String(limit),
+        'x-ratelimit-requests-remaining': String(remaining)
+    }
+});
+
+const spend = async (quotaBudget, sport, times, headers) => {
+    for (let i = 0; i < times; i++) {
+        await quotaBudget.track(sport, headers);
+    }
+};
+
+describe('quotaBudget sport shares', () => {
+    afterEach(() => {
+        delete process.env.QUOTA_SHARED_LIMIT;
+    });
+
+    it('does not cut a sport down to its share when every sport has its own limit', async () => {
+        const quotaBudget = loadQuotaBudget();
+
+        await spend(quotaBudget, 'football', 1, respond(100, 99));
+        await spend(quotaBudget, 'basketball', 6, respond(100, 95));
+
+        assert.deepEqual(quotaBudget.check('basketball', { consumer: 'request', priority: 'normal' }), { allowed: true });
+        assert.equal(quotaBudget.getStatus().sports.basketball.budget, null);
+    });
+
+    it('still stops a sport at its own reserve', async () => {
+        const quotaBudget = loadQuotaBudget();
+
+        await spend(quotaBudget, 'basketball', 1, respond(100, 5));
+
+        assert.equal(quotaBudget.check('basketball', { consumer: 'request', priority: 'normal' }).allowed, false);
+        assert.equal(quotaBudget.check('basketball', { consumer: 'liveSync', priority: 'critical' }).allowed, true);
+    });
+
+    it('splits one pooled limit between sports when QUOTA_SHARED_LIMIT is on', async () => {
+        const quotaBudget = loadQuotaBudget({ QUOTA_SHARED_LIMIT: 'true' });
+
+        await spend(quotaBudget, 'basketball', 6, respond(100, 94));
+
+        const decision = quotaBudget.check('basketball', { consumer: 'request', priority: 'normal' });
+        assert.deepEqual(decision, { allowed: false, reason: 'basketball daily budget used' });
+        assert.equal(quotaBudget.getStatus().sports.basketball.budget, 6);
+    });
+
+    it('measures job budgets against the limits of all sports', async () => {
+        const quotaBudget = loadQuotaBudget();
+        const ctx = { consumer: 'topPlayers', priority: 'low' };
+
+        await quotaBudget.runWith(ctx, async () => {
+            await spend(quotaBudget, 'football', 1, respond(100, 99));
+            await spend(quotaBudget, 'basketball', 5, respond(100, 95));
+        });
+
+        // 5% dari 200 (football + basketball) = 10 call
+        assert.deepEqual(quotaBudget.check('basketball', ctx), { allowed: true });
+
+        await quotaBudget.runWith(ctx, () => spend(quotaBudget, 'basketball', 4, respond(100, 91)));
+
+        assert.deepEqual(quotaBudget.check('basketball', ctx), { allowed: false, reason: 'topPlayers daily budget used' });
+    });
+});
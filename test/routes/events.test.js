@@ -0,0 +1,119 @@
+require('../helpers/env');
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const footballProvider = require('../../src/services/footballProvider');
+const apiBasketball = require('../../src/services/apiBasketball');
+const apiVolleyball = require('../../src/services/apiVolleyball');
+const apiBaseball = require('../../src/services/apiBaseball');
+const apiTennis = require('../../src/services/apiTennis');
+const apiMMA = require('../../src/services/apiMMA');
+const apiFormula1 = require('../../src/services/apiFormula1');
+const { createApp, request } = require('../helpers/http');
+const { canonicalFixture, apiSportsGame } = require('../helpers/fixtures');
+
+const app = createApp('/api/events', require('../../src/routes/events'));
+
+const ok = (data, provider) => async () => ({ success: true, data, ...(provider && { provider }) });
+
+describe('GET /api/events', () => {
+    beforeEach(() => {
+        mock.method(footballProvider, 'getMatchesByDate', ok([
+            canonicalFixture({ id: 1, status: 'NS', date: '2026-10-19T19:00:00+00:00' }),
+            canonicalFixture({ id: 2, status: '2H', elapsed: 70, date: '2026-10-19T12:00:00+00:00', goals: { home: 1, away: 0 } })
+        ], 'api-football'));
+        mock.method(apiBasketball, 'getGamesByDate', ok([apiSportsGame({ id: 10, status: 'NS' })]));
+        mock.method(apiVolleyball, 'getGamesByDate', ok([]));
+        mock.method(apiBaseball, 'getGamesByDate', async () => ({ success: false, error: 'quota exceeded' }));
+        mock.method(apiTennis, 'getMatchesByDate', ok([]));
+        mock.method(apiMMA, 'getFightsByDate', ok([]));
+        mock.method(apiFormula1, 'getRacesBySeason', ok([
+            { id: 50, competition: { name: 'Mexico Grand Prix' }, type: 'Race', date: '2026-10-19T08:00:00+00:00', status: 'Completed' },
+            { id: 51, competition: { name: 'Brazil Grand Prix' }, type: 'Race', date: '2026-11-08T17:00:00+00:00', status: 'Scheduled' }
+        ]));
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('merges every sport, live first then by start time', async () => {
+        const { status, body } = await request(app, '/api/events?date=2026-10-19');
+
+        assert.equal(status, 200);
+        assert.equal(body.date, '2026-10-19');
+        assert.equal(body.count, 4);
+        assert.deepEqual(body.events.map(event => event.id), ['football-2', 'formula1-50', 'football-1', 'basketball-10']);
+        assert.deepEqual(apiBasketball.getGamesByDate.mock.calls[0].arguments, ['2026-10-19', 'Asia/Jakarta']);
+        assert.deepEqual(apiFormula1.getRacesBySeason.mock.calls[0].arguments, ['2026']);
+    });
+
+    it('reports per-sport status without failing the whole response', async () => {
+        const { body } = await request(app, '/api/events?date=2026-10-19');
+
+        assert.deepEqual(body.sports.football, { success: true, count: 2, provider: 'api-football' });
+        assert.deepEqual(body.sports.baseball, { success: false, count: 0, error: 'quota exceeded' });
+        assert.equal(body.sports.formula1.count, 1);
+    });
+
+    it('filters by one or more sports', async () => {
+        const { body } = await request(app, '/api/events?date=2026-10-19&sport=basketball,formula1');
+
+        assert.deepEqual(Object.keys(body.sports), ['basketball', 'formula1']);
+        assert.deepEqual(body.events.map(event => event.sport), ['formula1', 'basketball']);
+        assert.equal(footballProvider.getMatchesByDate.mock.callCount(), 0);
+    });
+
+    it('uses the live feeds and keeps only live events for ?live=true', async () => {
+        mock.method(footballProvider, 'getLiveMatches', ok([canonicalFixture({ id: 2, status: 'HT', elapsed: 45 })]));
+        mock.method(apiBasketball, 'getLiveGames', ok([apiSportsGame({ id: 11, status: 'Q2' })]));
+        mock.method(apiTennis, 'getLiveMatches', ok([]));
+
+        const { body } = await request(app, '/api/events?live=true&sport=football,basketball,tennis');
+
+        assert.equal(body.live, true);
+        assert.equal(body.date, null);
+        assert.deepEqual(body.events.map(event => [event.id, event.status.state]), [['football-2', 'live'], ['basketball-11', 'live']]);
+        assert.equal(footballProvider.getMatchesByDate.mock.callCount(), 0);
+    });
+
+    it('uses the requested timezone for every sport', async () => {
+        mock.method(apiFormula1, 'getRacesBySeason', ok([
+            // 20 Okt 02:00 UTC = 19 Okt malam di New York, 20 Okt di Jakarta
+            { id: 52, competition: { name: 'United States Grand Prix' }, type: 'Race', date: '2026-10-20T02:00:00+00:00', status: 'Scheduled' }
+        ]));
+
+        const { status, body } = await request(app, '/api/events?date=2026-10-19&tz=America/New_York');
+
+        assert.equal(status, 200);
+        assert.equal(body.timezone, 'America/New_York');
+        assert.deepEqual(footballProvider.getMatchesByDate.mock.calls[0].arguments, ['2026-10-19', { timezone: 'America/New_York' }]);
+        for (const fetchDate of [apiBasketball.getGamesByDate, apiVolleyball.getGamesByDate, apiBaseball.getGamesByDate, apiTennis.getMatchesByDate, apiMMA.getFightsByDate]) {
+            assert.deepEqual(fetchDate.mock.calls[0].arguments, ['2026-10-19', 'America/New_York']);
+        }
+        assert.deepEqual(body.events.filter(event => event.sport === 'formula1').map(event => event.id), ['formula1-52']);
+
+        const badTz = await request(app, '/api/events?tz=Mars/Olympus');
+        assert.equal(badTz.status, 400);
+    });
+
+    it('validates date and sport', async () => {
+        const badDate = await request(app, '/api/events?date=19-10-2026');
+        assert.equal(badDate.status, 400);
+
+        const badSport = await request(app, '/api/events?sport=football,curling');
+        assert.equal(badSport.status, 400);
+        assert.match(badSport.body.error, /curling/);
+    });
+
+    it('answers 500 when every requested sport fails', async () => {
+        mock.method(apiVolleyball, 'getGamesByDate', async () => {
+            throw new Error('socket hang up');
+        });
+
+        const { status, body } = await request(app, '/api/events?date=2026-10-19&sport=volleyball,baseball');
+
+        assert.equal(status, 500);
+        assert.equal(body.sports.volleyball.error, 'socket hang up');
+        assert.equal(body.sports.baseball.error, 'quota exceeded');
+    });
+});
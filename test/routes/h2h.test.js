@@ -0,0 +1,116 @@
+require('../helpers/env');
+
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const footballProvider = require('../../src/services/footballProvider');
+const { createApp, request } = require('../helpers/http');
+const { canonicalFixture } = require('../helpers/fixtures');
+
+const app = createApp('/api/h2h', require('../../src/routes/h2h'));
+
+const UNITED = { id: 33, name: 'Manchester United', logo: 'mu.png' };
+const LIVERPOOL = { id: 40, name: 'Liverpool', logo: 'liv.png' };
+
+const meeting = (id, home, away, homeGoals, awayGoals) => canonicalFixture({
+    id,
+    status: 'FT',
+    home,
+    away,
+    goals: { home: homeGoals, away: awayGoals }
+});
+
+describe('GET /api/h2h', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('requires both team IDs', async () => {
+        const { status, body } = await request(app, '/api/h2h?team1=33');
+        assert.equal(status, 400);
+        assert.equal(body.success, false);
+    });
+
+    it('aggregates wins, draws and recent form from team1 perspective', async () => {
+        const getH2H = mock.method(footballProvider, 'getH2H', async () => ({
+            success: true,
+            provider: 'api-football',
+            data: [
+                meeting(1, UNITED, LIVERPOOL, 2, 1),  // team1 home win
+                meeting(2, LIVERPOOL, UNITED, 3, 0),  // team1 away loss
+                meeting(3, LIVERPOOL, UNITED, 1, 1),  // draw
+                meeting(4, LIVERPOOL, UNITED, 0, 2),  // team1 away win
+                meeting(5, UNITED, LIVERPOOL, 0, 1),  // team1 home loss
+                meeting(6, UNITED, LIVERPOOL, 4, 0)   // team1 home win, di luar 5 form terakhir
+            ]
+        }));
+
+        const { status, body } = await request(app, '/api/h2h?team1=33&team2=40&last=6');
+
+        assert.equal(status, 200);
+        assert.deepEqual(getH2H.mock.calls[0].arguments, ['33', '40', 6]);
+        assert.equal(body.provider, 'api-football');
+
+        const { h2h } = body;
+        assert.equal(h2h.total_matches, 6);
+        assert.equal(h2h.team1.wins, 3);
+        assert.equal(h2h.team2.wins, 2);
+        assert.equal(h2h.draws, 1);
+        assert.deepEqual(h2h.team1.form, ['W', 'L', 'D', 'W', 'L']);
+        assert.deepEqual(h2h.team2.form, ['L', 'W', 'D', 'L', 'W']);
+        assert.equal(h2h.team1.name, 'Manchester United');
+        assert.equal(h2h.team1.logo, 'mu.png');
+        assert.equal(h2h.team2.name, 'Liverpool');
+        assert.equal(h2h.matches.length, 6);
+        assert.deepEqual(
+            { home: h2h.matches[1].home_team, away: h2h.matches[1].away_team, score: [h2h.matches[1].home_score, h2h.matches[1].away_score] },
+            { home: 'Liverpool', away: 'Manchester United', score: [3, 0] }
+        );
+        assert.equal(h2h.matches[0].venue, 'Old Trafford');
+    });
+
+    it('treats missing goals as 0-0', async () => {
+        mock.method(footballProvider, 'getH2H', async () => ({
+            success: true,
+            provider: 'api-football',
+            data: [meeting(1, UNITED, LIVERPOOL, null, null)]
+        }));
+
+        const { body } = await request(app, '/api/h2h?team1=33&team2=40');
+
+        assert.equal(body.h2h.draws, 1);
+        assert.deepEqual(body.h2h.team1.form, ['D']);
+    });
+
+    it('returns an empty summary when the teams never met', async () => {
+        mock.method(footballProvider, 'getH2H', async () => ({ success: true, provider: 'api-football', data: [] }));
+
+        const { status, body } = await request(app, '/api/h2h?team1=33&team2=40');
+
+        assert.equal(status, 200);
+        assert.equal(body.h2h.total_matches, 0);
+        assert.equal(body.h2h.team1.name, null);
+        assert.deepEqual(body.h2h.matches, []);
+    });
+
+    it('answers 422 when the owning provider has no H2H', async () => {
+        mock.method(footballProvider, 'getH2H', async () => ({
+            success: false,
+            unsupported: true,
+            provider: 'football-data',
+            error: 'H2H by team ID not supported by football-data'
+        }));
+
+        const { status, body } = await request(app, '/api/h2h?team1=fd-66&team2=fd-64');
+
+        assert.equal(status, 422);
+        assert.match(body.error, /not supported/);
+    });
+
+    it('answers 500 when the provider fails', async () => {
+        mock.method(footballProvider, 'getH2H', async () => ({ success: false, error: 'quota exceeded' }));
+
+        const { status, body } = await request(app, '/api/h2h?team1=33&team2=40');
+
+        assert.equal(status, 500);
+        assert.equal(body.error, 'quota exceeded');
+    });
+});
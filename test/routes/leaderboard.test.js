@@ -0,0 +1,43 @@
+const { supabase } = require('../helpers/env');
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createApp, request } = require('../helpers/http');
+
+const app = createApp('/api/leaderboard', require('../../src/routes/leaderboard'));
+
+describe('GET /api/leaderboard/seasons/:id', () => {
+    beforeEach(() => supabase.reset());
+
+    it('returns the archived standings with their masked names', async () => {
+        supabase.seed('seasons', [{ id: 3, name: 'Season 3', starts_at: '2026-07-01T00:00:00Z', ends_at: '2026-10-01T00:00:00Z', status: 'archived' }]);
+        supabase.seed('season_standings', [
+            { season_id: 3, rank: 2, display_name: 'sit***', season_points: 80, correct_predictions: 8, total_predictions: 12 },
+            { season_id: 3, rank: 1, display_name: 'bud***', season_points: 120, correct_predictions: 12, total_predictions: 15 }
+        ]);
+
+        const { status, body } = await request(app, '/api/leaderboard/seasons/3');
+
+        assert.equal(status, 200);
+        assert.equal(body.season.name, 'Season 3');
+        assert.deepEqual(body.leaderboard.map(entry => [entry.rank, entry.name, entry.points]), [[1, 'bud***', 120], [2, 'sit***', 80]]);
+    });
+
+    it('rejects non-numeric season IDs with 400 without querying', async () => {
+        for (const id of ['abc', '3abc', '0', '-1', '1.5']) {
+            const { status, body } = await request(app, `/api/leaderboard/seasons/${id}`);
+
+            assert.equal(status, 400);
+            assert.equal(body.error, 'Season ID must be a positive integer');
+        }
+
+        assert.equal(supabase.calls.length, 0);
+    });
+
+    it('answers 404 for unknown seasons', async () => {
+        const { status } = await request(app, '/api/leaderboard/seasons/99');
+
+        assert.equal(status, 404);
+    });
+});
@@ -0,0 +1,595 @@
+const { supabase } = require('../helpers/env');
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const footballProvider = require('../../src/services/footballProvider');
+const matchSync = require('../../src/services/matchSync');
+const liveScoreFeed = require('../../src/services/liveScoreFeed');
+const statSnapshots = require('../../src/services/statSnapshots');
+const timezone = require('../../src/services/timezone');
+const { createApp, request } = require('../helpers/http');
+const { canonicalFixture } = require('../helpers/fixtures');
+
+const app = createApp('/api/matches', require('../../src/routes/matches'));
+
+const EREDIVISIE = { id: 88, name: 'Eredivisie', country: 'Netherlands' };
+const LIGA_1 = { id: 274, name: 'Liga 1', country: 'Indonesia' };
+
+const ok = (data, provider = 'api-football') => async () => ({ success: true, provider, data });
+
+/**
+ * Tandai hari Asia/Jakarta udah ke-sync (match_sync_days), kayak habis syncTodayMatches
+ */
+const seedSyncedDays = (...dates) => supabase.seed('match_sync_days', dates.map(date => {
+    const { start, end } = timezone.getDayRange(date);
+    return { sync_date: date, timezone: timezone.DEFAULT_TIMEZONE, range_start: start, range_end: end };
+}));
+
+describe('GET /api/matches', () => {
+    beforeEach(() => supabase.reset());
+    afterEach(() => mock.restoreAll());
+
+    it('merges today and live fixtures, live data winning', async () => {
+        mock.method(footballProvider, 'getTodayMatches', ok([
+            canonicalFixture({ id: 1, status: 'NS', date: '2026-10-19T18:00:00+00:00' }),
+            canonicalFixture({ id: 2, status: '1H', elapsed: 10, goals: { home: 0, away: 0 } })
+        ]));
+        mock.method(footballProvider, 'getLiveMatches', ok([
+            canonicalFixture({ id: 2, status: '2H', elapsed: 67, goals: { home: 1, away: 0 } }),
+            canonicalFixture({ id: 3, status: 'HT', elapsed: 45, date: '2026-10-18T23:30:00+00:00', league: EREDIVISIE })
+        ]));
+
+        const { status, body } = await request(app, '/api/matches');
+
+        assert.equal(status, 200);
+        assert.equal(body.success, true);
+        assert.equal(body.provider, 'api-football');
+        assert.equal(body.count, 3);
+
+        const live = body.matches.find(match => match.id === 2);
+        assert.equal(live.status_short, '2H');
+        assert.equal(live.home_score, 1);
+    });
+
+    it('sorts live first, then league tier, then kickoff', async () => {
+        mock.method(footballProvider, 'getTodayMatches', ok([
+            canonicalFixture({ id: 10, status: 'NS', date: '2026-10-19T20:00:00+00:00', league: EREDIVISIE }),
+            canonicalFixture({ id: 11, status: 'NS', date: '2026-10-19T19:00:00+00:00' }),
+            canonicalFixture({ id: 12, status: 'NS', date: '2026-10-19T12:00:00+00:00', league: LIGA_1 }),
+            canonicalFixture({ id: 13, status: 'NS', date: '2026-10-19T10:00:00+00:00', league: { id: 999, name: 'Regionalliga' } })
+        ]));
+        mock.method(footballProvider, 'getLiveMatches', ok([
+            canonicalFixture({ id: 14, status: '1H', elapsed: 5, league: EREDIVISIE })
+        ]));
+
+        const { body } = await request(app, '/api/matches');
+
+        assert.deepEqual(body.matches.map(match => match.id), [14, 12, 11, 10, 13]);
+    });
+
+    it('groups matches by league ID', async () => {
+        mock.method(footballProvider, 'getTodayMatches', ok([
+            canonicalFixture({ id: 1 }),
+            canonicalFixture({ id: 2 }),
+            canonicalFixture({ id: 3, league: EREDIVISIE })
+        ]));
+        mock.method(footballProvider, 'getLiveMatches', ok([]));
+
+        const { body } = await request(app, '/api/matches');
+
+        const groups = Object.fromEntries(body.grouped.map(group => [group.league_id, group.matches.length]));
+        assert.deepEqual(groups, { 39: 2, 88: 1 });
+    });
+
+    it('still answers when only the live feed works', async () => {
+        mock.method(footballProvider, 'getTodayMatches', async () => ({ success: false, error: 'timeout' }));
+        mock.method(footballProvider, 'getLiveMatches', ok([canonicalFixture({ id: 5, status: '2H', elapsed: 80 })], 'football-data'));
+
+        const { status, body } = await request(app, '/api/matches');
+
+        assert.equal(status, 200);
+        assert.equal(body.count, 1);
+        assert.equal(body.provider, 'football-data');
+    });
+
+    it('answers 500 when both feeds fail', async () => {
+        mock.method(footballProvider, 'getTodayMatches', async () => ({ success: false, error: 'timeout' }));
+        mock.method(footballProvider, 'getLiveMatches', async () => ({ success: false, error: 'quota exceeded' }));
+
+        const { status, body } = await request(app, '/api/matches');
+
+        assert.equal(status, 500);
+        assert.equal(body.success, false);
+        assert.equal(body.error, 'timeout');
+    });
+
+    it('routes ?live=true, ?date= and ?league= to the matching provider call', async () => {
+        const live = mock.method(footballProvider, 'getLiveMatches', ok([]));
+        const byDate = mock.method(footballProvider, 'getMatchesByDate', ok([]));
+        const byLeague = mock.method(footballProvider, 'getMatchesByLeague', ok([]));
+
+        await request(app, '/api/matches?live=true');
+        await request(app, '/api/matches?date=2026-10-18');
+        await request(app, '/api/matches?league=39');
+
+        assert.equal(live.mock.callCount(), 1);
+        assert.deepEqual(byDate.mock.calls[0].arguments, ['2026-10-18', { timezone: 'Asia/Jakarta' }]);
+        assert.deepEqual(byLeague.mock.calls[0].arguments, ['39']);
+    });
+});
+
+describe('GET /api/matches/live', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('returns transformed live fixtures', async () => {
+        mock.method(footballProvider, 'getLiveMatches', ok([canonicalFixture({ id: 7, status: 'HT', elapsed: 45 })]));
+
+        const { body } = await request(app, '/api/matches/live');
+
+        assert.equal(body.count, 1);
+        assert.equal(body.matches[0].status, 'live');
+        assert.equal(body.matches[0].status_long, 'Halftime');
+    });
+});
+
+describe('GET /api/matches/:id', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('passes include flags and returns the requested extras', async () => {
+        const events = [{ time: { elapsed: 23, extra: null }, type: 'Goal', detail: 'Normal Goal', team: { id: 33 } }];
+        const getMatchById = mock.method(footballProvider, 'getMatchById', async () => ({
+            success: true,
+            provider: 'api-football',
+            data: { ...canonicalFixture({ id: 42, status: 'FT' }), events, lineups: [{ team: { id: 33 } }] }
+        }));
+
+        const { status, body } = await request(app, '/api/matches/42?events=true');
+
+        assert.equal(status, 200);
+        assert.deepEqual(getMatchById.mock.calls[0].arguments, ['42', { statistics: false, events: true, lineups: false }]);
+        assert.equal(body.match.id, 42);
+        assert.deepEqual(body.events, events);
+        assert.equal(body.lineups, undefined);
+    });
+
+    it('answers 404 for unknown fixtures', async () => {
+        mock.method(footballProvider, 'getMatchById', async () => ({ success: false, notFound: true, error: 'empty' }));
+
+        const { status, body } = await request(app, '/api/matches/999999');
+
+        assert.equal(status, 404);
+        assert.equal(body.error, 'Match not found');
+    });
+});
+
+describe('GET /api/matches/:id (archive)', () => {
+    const archive = (overrides = {}) => ({
+        match_id: 42,
+        provider: 'api-football',
+        status_short: 'FT',
+        fixture: canonicalFixture({ id: 42, status: 'FT', elapsed: 90, goals: { home: 1, away: 0 } }),
+        counts: { events: 1, lineups: 0, statistics: 0, players: 1 },
+        complete: true,
+        attempts: 1,
+        finalized_at: '2026-10-19T14:00:00.000Z',
+        ...overrides
+    });
+
+    beforeEach(() => {
+        supabase.reset();
+        supabase.seed('match_archive_events', [{ match_id: 42, seq: 0, elapsed: 23, extra: null, team_id: 33, team_name: 'Manchester United', player_id: 909, player_name: 'M. Rashford', assist_id: null, assist_name: null, type: 'Goal', detail: 'Normal Goal', comments: null }]);
+        supabase.seed('match_archive_players', [{ match_id: 42, team_id: 33, team_name: 'Manchester United', player_id: 909, player_name: 'M. Rashford', player_photo: null, rating: 8.1, statistics: [{ games: { rating: '8.1' } }] }]);
+    });
+    afterEach(() => {
+        mock.restoreAll();
+        supabase.reset();
+    });
+
+    it('serves finished matches from the archive without calling the provider', async () => {
+        supabase.seed('match_archives', [archive()]);
+        const getMatchById = mock.method(footballProvider, 'getMatchById', async () => ({ success: false, error: 'should not be called' }));
+
+        const { status, headers, body } = await request(app, '/api/matches/42?events=true&players=true');
+
+        assert.equal(status, 200);
+        assert.equal(getMatchById.mock.callCount(), 0);
+        assert.equal(body.source, 'archive');
+        assert.equal(headers.get('x-data-source'), 'archive');
+        assert.equal(body.match.status_short, 'FT');
+        assert.deepEqual(body.events.map(event => [event.time.elapsed, event.player.name]), [[23, 'M. Rashford']]);
+        assert.equal(body.players[0].players[0].player.id, 909);
+    });
+
+    it('prefers the provider while the archive is incomplete, and falls back to it on errors', async () => {
+        supabase.seed('match_archives', [archive({ complete: false })]);
+        mock.method(footballProvider, 'getMatchById', async () => ({ success: false, error: 'timeout' }));
+
+        const { status, body } = await request(app, '/api/matches/42?events=true');
+
+        assert.equal(status, 200);
+        assert.equal(body.source, 'archive');
+        assert.equal(body.events.length, 1);
+    });
+
+    it('builds the timeline from the archive', async () => {
+        supabase.seed('match_archives', [archive()]);
+        mock.method(statSnapshots, 'getSnapshots', async () => []);
+        const getMatchById = mock.method(footballProvider, 'getMatchById', async () => ({ success: false, error: 'should not be called' }));
+
+        const { status, body } = await request(app, '/api/matches/42/timeline');
+
+        assert.equal(status, 200);
+        assert.equal(getMatchById.mock.callCount(), 0);
+        assert.equal(body.source, 'archive');
+        assert.deepEqual(body.score, { home: 1, away: 0 });
+        assert.equal(body.lastUpdated, '2026-10-19T14:00:00.000Z');
+    });
+});
+
+describe('GET /api/matches/:id/timeline', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('fetches every extra and merges them into one timeline', async () => {
+        const getMatchById = mock.method(footballProvider, 'getMatchById', async () => ({
+            success: true,
+            provider: 'api-football',
+            data: {
+                ...canonicalFixture({ id: 42, status: '2H', elapsed: 70, goals: { home: 1, away: 0 } }),
+                events: [{ time: { elapsed: 23, extra: null }, team: { id: 33, name: 'Manchester United' }, player: { id: 909, name: 'M. Rashford' }, assist: { id: null, name: null }, type: 'Goal', detail: 'Normal Goal', comments: null }],
+                statistics: [],
+                lineups: []
+            }
+        }));
+        mock.method(statSnapshots, 'getSnapshots', async () => [{
+            minute: 15,
+            statistics: [
+                { team: { id: 33 }, statistics: [{ type: 'Shots on Goal', value: 1 }, { type: 'Ball Possession', value: '55%' }] },
+                { team: { id: 40 }, statistics: [{ type: 'Shots on Goal', value: 0 }, { type: 'Ball Possession', value: '45%' }] }
+            ]
+        }]);
+
+        const { status, body } = await request(app, '/api/matches/42/timeline');
+
+        assert.equal(status, 200);
+        assert.deepEqual(getMatchById.mock.calls[0].arguments, ['42', { statistics: true, events: true, lineups: true }]);
+        assert.equal(body.match.id, 42);
+        assert.deepEqual(body.timeline.map(entry => [entry.label, entry.type, entry.score]), [["23'", 'goal', { home: 1, away: 0 }]]);
+        assert.deepEqual(body.score, { home: 1, away: 0 });
+        assert.equal(body.momentum.length, 1);
+        assert.ok(body.momentum[0].value > 0);
+        assert.deepEqual(statSnapshots.getSnapshots.mock.calls[0].arguments, [42]);
+    });
+
+    it('answers 404 for unknown fixtures', async () => {
+        mock.method(footballProvider, 'getMatchById', async () => ({ success: false, notFound: true, error: 'empty' }));
+
+        const { status } = await request(app, '/api/matches/999999/timeline');
+
+        assert.equal(status, 404);
+    });
+});
+
+describe('GET /api/matches/:id/statistics/history', () => {
+    const snapshotRow = (minute, home, away) => ({
+        match_id: 42,
+        minute,
+        captured_at: `2026-10-19T12:${String(minute).padStart(2, '0')}:00.000Z`,
+        status_short: '1H',
+        home_score: 0,
+        away_score: 0,
+        statistics: [
+            { team: { id: 33 }, statistics: [{ type: 'Total Shots', value: home }] },
+            { team: { id: 40 }, statistics: [{ type: 'Total Shots', value: away }] }
+        ]
+    });
+
+    beforeEach(() => supabase.reset());
+
+    it('returns the stored snapshots as a series, sided by the home team', async () => {
+        supabase.seed('matches', [{ id: 42, home_team_id: 40, home_team_name: 'Liverpool', away_team_id: 33, away_team_name: 'Manchester United', status_short: '1H' }]);
+        supabase.seed('match_stat_snapshots', [snapshotRow(10, 2, 1), snapshotRow(5, 1, 0), { ...snapshotRow(5, 9, 9), match_id: 43 }]);
+
+        const { status, body } = await request(app, '/api/matches/42/statistics/history');
+
+        assert.equal(status, 200);
+        assert.equal(body.count, 2);
+        assert.equal(body.interval_minutes, statSnapshots.SNAPSHOT_INTERVAL_MINUTES);
+        assert.equal(body.match.home_team_name, 'Liverpool');
+        assert.deepEqual(body.series['Total Shots'], [
+            { minute: 5, home: 0, away: 1 },
+            { minute: 10, home: 1, away: 2 }
+        ]);
+        assert.equal(body.lastUpdated, '2026-10-19T12:10:00.000Z');
+    });
+
+    it('is empty for fixtures without snapshots', async () => {
+        const { status, body } = await request(app, '/api/matches/42/statistics/history');
+
+        assert.equal(status, 200);
+        assert.equal(body.count, 0);
+        assert.deepEqual(body.series, {});
+    });
+});
+
+describe('GET /api/matches/date/:date', () => {
+    beforeEach(() => supabase.reset());
+    afterEach(() => mock.restoreAll());
+
+    it('validates the date format', async () => {
+        const { status } = await request(app, '/api/matches/date/19-10-2026');
+        assert.equal(status, 400);
+    });
+
+    it('returns the fixtures of that day from the provider when not synced', async () => {
+        mock.method(footballProvider, 'getMatchesByDate', ok([canonicalFixture({ id: 8 })]));
+
+        const { body } = await request(app, '/api/matches/date/2026-10-19');
+
+        assert.equal(body.date, '2026-10-19');
+        assert.equal(body.source, 'provider');
+        assert.deepEqual(body.matches.map(match => match.id), [8]);
+    });
+
+    it('returns synced fixtures from the database', async () => {
+        seedSyncedDays('2026-10-19');
+        supabase.seed('matches', [{ ...matchSync.transformMatch(canonicalFixture({ id: 9 })), last_updated: '2026-10-19T06:00:00.000Z' }]);
+        const byDate = mock.method(footballProvider, 'getMatchesByDate', ok([]));
+
+        const { headers, body } = await request(app, '/api/matches/date/2026-10-19');
+
+        assert.equal(body.source, 'database');
+        assert.deepEqual(body.matches.map(match => match.id), [9]);
+        assert.equal(headers.get('x-data-updated-at'), '2026-10-19T06:00:00.000Z');
+        assert.equal(byDate.mock.callCount(), 0);
+    });
+});
+
+const secondsAgo = (seconds) => new Date(Date.now() - seconds * 1000).toISOString();
+
+/**
+ * Row table matches (hasil sync) dari canonical fixture
+ */
+const storedRow = (options, { updatedSecondsAgo = 60, ...extra } = {}) => ({
+    ...matchSync.transformMatch(canonicalFixture(options)),
+    last_updated: secondsAgo(updatedSecondsAgo),
+    ...extra
+});
+
+describe('GET /api/matches (database-first)', () => {
+    const today = timezone.today();
+    const yesterday = timezone.addDays(today, -1);
+
+    beforeEach(() => {
+        supabase.reset();
+        seedSyncedDays(yesterday, today);
+        mock.method(liveScoreFeed, 'getSnapshot', () => ({ matches: [], lastSyncAt: null }));
+        mock.method(footballProvider, 'getTodayMatches', ok([canonicalFixture({ id: 999 })]));
+        mock.method(footballProvider, 'getLiveMatches', ok([]));
+        mock.method(footballProvider, 'getMatchesByDate', ok([canonicalFixture({ id: 998 })]));
+        mock.method(footballProvider, 'getMatchesByLeague', ok([canonicalFixture({ id: 997 })]));
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('serves synced matches without calling the provider', async () => {
+        supabase.seed('matches', [
+            storedRow({ id: 1, date: `${today}T12:00:00+00:00` }, { updatedSecondsAgo: 300 }),
+            storedRow({ id: 2, date: `${today}T08:00:00+00:00` }, { updatedSecondsAgo: 90 }),
+            storedRow({ id: 3, date: `${yesterday}T10:00:00+00:00`, status: 'FT' })
+        ]);
+
+        const { status, headers, body } = await request(app, '/api/matches');
+
+        assert.equal(status, 200);
+        assert.equal(body.source, 'database');
+        assert.equal(body.provider, null);
+        assert.deepEqual(body.matches.map(match => match.id).sort(), [1, 2]);
+        assert.equal(headers.get('x-data-source'), 'database');
+        assert.ok(Math.abs(Number(headers.get('x-data-age')) - 90) <= 2, headers.get('x-data-age'));
+        assert.equal(body.lastUpdated, supabase.rows('matches')[1].last_updated);
+        assert.equal(footballProvider.getTodayMatches.mock.callCount(), 0);
+        assert.equal(footballProvider.getLiveMatches.mock.callCount(), 0);
+    });
+
+    it('overlays live rows, including matches that kicked off yesterday', async () => {
+        supabase.seed('matches', [
+            storedRow({ id: 1, date: `${today}T12:00:00+00:00`, status: '1H', elapsed: 30 }, { updatedSecondsAgo: 20 }),
+            storedRow({ id: 4, date: `${yesterday}T12:30:00+00:00`, status: '2H', elapsed: 80 }, { updatedSecondsAgo: 20 })
+        ]);
+
+        const { body } = await request(app, '/api/matches');
+
+        assert.deepEqual(body.matches.map(match => match.id), [4, 1]);
+    });
+
+    it('prefers a fresh live snapshot but keeps admin overrides', async () => {
+        supabase.seed('matches', [
+            storedRow({ id: 1, date: `${today}T12:00:00+00:00`, status: '1H', elapsed: 30, goals: { home: 0, away: 0 } }, { updatedSecondsAgo: 60 }),
+            storedRow({ id: 2, date: `${today}T12:00:00+00:00`, status: 'FT', goals: { home: 3, away: 0 } }, { manual_override: true })
+        ]);
+
+        const lastSyncAt = secondsAgo(5);
+        mock.method(liveScoreFeed, 'getSnapshot', () => ({
+            lastSyncAt,
+            matches: [
+                matchSync.transformMatch(canonicalFixture({ id: 1, status: '1H', elapsed: 34, goals: { home: 1, away: 0 } })),
+                matchSync.transformMatch(canonicalFixture({ id: 2, status: '2H', elapsed: 70, goals: { home: 1, away: 1 } }))
+            ]
+        }));
+
+        const { headers, body } = await request(app, '/api/matches');
+
+        const byId = Object.fromEntries(body.matches.map(match => [match.id, match]));
+        assert.equal(byId[1].home_score, 1);
+        assert.equal(byId[1].elapsed, 34);
+        assert.equal(byId[2].status_short, 'FT');
+        assert.equal(byId[2].home_score, 3);
+        assert.equal(headers.get('x-data-updated-at'), lastSyncAt);
+    });
+
+    it('reads ?date= from the database', async () => {
+        supabase.seed('matches', [storedRow({ id: 3, date: `${yesterday}T10:00:00+00:00`, status: 'FT' })]);
+
+        const { headers, body } = await request(app, `/api/matches?date=${yesterday}`);
+
+        assert.equal(headers.get('x-data-source'), 'database');
+        assert.deepEqual(body.matches.map(match => match.id), [3]);
+        assert.equal(footballProvider.getMatchesByDate.mock.callCount(), 0);
+    });
+
+    it('falls through to the provider for dates that were never synced', async () => {
+        const { headers, body } = await request(app, '/api/matches?date=2030-01-01');
+
+        assert.equal(headers.get('x-data-source'), 'provider');
+        assert.equal(headers.get('x-data-age'), '0');
+        assert.equal(body.source, 'provider');
+        assert.equal(body.provider, 'api-football');
+        assert.deepEqual(body.matches.map(match => match.id), [998]);
+        assert.deepEqual(footballProvider.getMatchesByDate.mock.calls[0].arguments, ['2030-01-01', { timezone: 'Asia/Jakarta' }]);
+    });
+
+    it('falls through to the provider when the database read fails', async () => {
+        supabase.seed('matches', [storedRow({ id: 1, date: `${today}T12:00:00+00:00` })]);
+        supabase.failNext('matches', { message: 'connection refused' });
+
+        const { body } = await request(app, '/api/matches');
+
+        assert.equal(body.source, 'provider');
+        assert.deepEqual(body.matches.map(match => match.id), [999]);
+    });
+
+    it('reads ?league= with a synced ?date= from the database', async () => {
+        supabase.seed('matches', [
+            storedRow({ id: 1, date: `${yesterday}T12:00:00+00:00`, status: 'FT' }),
+            storedRow({ id: 5, date: `${yesterday}T12:00:00+00:00`, league: { id: 88, name: 'Eredivisie' } })
+        ]);
+
+        const { body } = await request(app, `/api/matches?league=39&date=${yesterday}`);
+
+        assert.equal(body.source, 'database');
+        assert.deepEqual(body.matches.map(match => match.id), [1]);
+    });
+
+    it('asks the provider for the full season on ?league= without a date', async () => {
+        supabase.seed('matches', [storedRow({ id: 1, date: `${yesterday}T12:00:00+00:00`, status: 'FT' })]);
+        const byLeague = mock.method(footballProvider, 'getMatchesByLeague', ok([canonicalFixture({ id: 7 })]));
+
+        const { body } = await request(app, '/api/matches?league=39');
+
+        assert.equal(body.source, 'provider');
+        assert.equal(byLeague.mock.callCount(), 1);
+    });
+
+    it('never runs the live query against the database', async () => {
+        supabase.seed('matches', [storedRow({ id: 1, date: `${today}T12:00:00+00:00`, status: '1H', elapsed: 10 })]);
+
+        const { headers } = await request(app, '/api/matches?live=true');
+
+        assert.equal(headers.get('x-data-source'), 'provider');
+        assert.equal(footballProvider.getLiveMatches.mock.callCount(), 1);
+    });
+});
+
+describe('GET /api/matches/league/:leagueId', () => {
+    beforeEach(() => supabase.reset());
+    afterEach(() => mock.restoreAll());
+
+    it('serves a synced day of league matches from the database', async () => {
+        seedSyncedDays('2026-10-19');
+        supabase.seed('matches', [storedRow({ id: 1 }), storedRow({ id: 2, league: { id: 88, name: 'Eredivisie' } })]);
+        const fixtures = mock.method(footballProvider, 'getFixtures', ok([]));
+
+        const { headers, body } = await request(app, '/api/matches/league/39?date=2026-10-19');
+
+        assert.equal(headers.get('x-data-source'), 'database');
+        assert.deepEqual(body.matches.map(match => match.id), [1]);
+        assert.equal(fixtures.mock.callCount(), 0);
+    });
+
+    it('asks the provider for the full season, a specific season or an unsynced day', async () => {
+        seedSyncedDays('2026-10-19');
+        supabase.seed('matches', [storedRow({ id: 1 })]);
+        const byLeague = mock.method(footballProvider, 'getMatchesByLeague', ok([canonicalFixture({ id: 7 })]));
+        const fixtures = mock.method(footballProvider, 'getFixtures', ok([canonicalFixture({ id: 7 })]));
+
+        const fullSeason = await request(app, '/api/matches/league/39');
+        assert.equal(fullSeason.headers.get('x-data-source'), 'provider');
+        assert.deepEqual(fullSeason.body.matches.map(match => match.id), [7]);
+
+        const withSeason = await request(app, '/api/matches/league/39?season=2024');
+        assert.equal(withSeason.body.source, 'provider');
+        assert.deepEqual(byLeague.mock.calls[1].arguments, ['39', '2024']);
+
+        const unsynced = await request(app, '/api/matches/league/39?date=2026-10-20');
+        assert.equal(unsynced.headers.get('x-data-source'), 'provider');
+        assert.equal(fixtures.mock.callCount(), 1);
+    });
+});
+
+describe('GET /api/matches ?tz=', () => {
+    // 01:00 WIT tanggal 19, tapi masih 23:00 WIB tanggal 18
+    const lateKickoff = '2026-10-18T16:00:00+00:00';
+
+    beforeEach(() => {
+        supabase.reset();
+        seedSyncedDays('2026-10-18', '2026-10-19');
+        supabase.seed('matches', [storedRow({ id: 1, date: lateKickoff, status: 'FT' })]);
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('uses the local day of the requested timezone', async () => {
+        const wit = await request(app, '/api/matches/date/2026-10-19?tz=Asia/Jayapura');
+        assert.equal(wit.body.timezone, 'Asia/Jayapura');
+        assert.deepEqual(wit.body.matches.map(match => match.id), [1]);
+
+        const wib = await request(app, '/api/matches?date=2026-10-18');
+        assert.equal(wib.body.timezone, 'Asia/Jakarta');
+        assert.deepEqual(wib.body.matches.map(match => match.id), [1]);
+    });
+
+    it('reads a day from the database only once every synced day it spans is in', async () => {
+        // 19 Okt London = 18 Okt 23:00 s/d 19 Okt 23:00 UTC, lewat dari hari 19 WIB (s/d 17:00 UTC)
+        const byDate = mock.method(footballProvider, 'getMatchesByDate', ok([canonicalFixture({ id: 8 })]));
+
+        const partial = await request(app, '/api/matches?date=2026-10-19&tz=Europe/London');
+
+        assert.equal(partial.headers.get('x-data-source'), 'provider');
+        assert.deepEqual(partial.body.matches.map(match => match.id), [8]);
+        assert.deepEqual(byDate.mock.calls[0].arguments, ['2026-10-19', { timezone: 'Europe/London' }]);
+
+        seedSyncedDays('2026-10-18', '2026-10-19', '2026-10-20');
+        supabase.seed('matches', [storedRow({ id: 2, date: '2026-10-19T20:00:00+00:00', status: 'FT' })]);
+        const covered = await request(app, '/api/matches?date=2026-10-19&tz=Europe/London');
+
+        assert.equal(covered.headers.get('x-data-source'), 'database');
+        assert.deepEqual(covered.body.matches.map(match => match.id), [2]);
+        assert.equal(byDate.mock.callCount(), 1);
+    });
+
+    it('passes the timezone to the provider', async () => {
+        const today = mock.method(footballProvider, 'getTodayMatches', ok([]));
+        mock.method(footballProvider, 'getLiveMatches', ok([]));
+        supabase.reset();
+
+        await request(app, '/api/matches?tz=Asia/Makassar');
+
+        assert.deepEqual(today.mock.calls[0].arguments, [{ timezone: 'Asia/Makassar' }]);
+    });
+
+    it('turns archive date filters into local day bounds', async () => {
+        const wit = await request(app, '/api/matches/archived?date_from=2026-10-19&date_to=2026-10-19&tz=Asia/Jayapura');
+        const wib = await request(app, '/api/matches/archived?date_from=2026-10-19&date_to=2026-10-19');
+
+        assert.deepEqual(wit.body.data.matches.map(match => match.id), [1]);
+        assert.deepEqual(wib.body.data.matches, []);
+    });
+
+    it('rejects unknown timezones', async () => {
+        const { status, body } = await request(app, '/api/matches?tz=Mars/Olympus');
+
+        assert.equal(status, 400);
+        assert.match(body.error, /Mars\/Olympus/);
+    });
+});
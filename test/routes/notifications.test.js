@@ -0,0 +1,85 @@
+const { supabase } = require('../helpers/env');
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createApp, request } = require('../helpers/http');
+
+const app = createApp('/api/notifications', require('../../src/routes/notifications'));
+
+const USER = { id: '00000000-0000-0000-0000-000000000001', email: 'fan@example.com', app_metadata: {} };
+const auth = { Authorization: 'Bearer user-token' };
+
+describe('POST /api/notifications/subscribe', () => {
+    beforeEach(() => {
+        supabase.reset();
+        supabase.addUser('user-token', USER);
+    });
+
+    it('follows an entity', async () => {
+        const { status, body } = await request(app, '/api/notifications/subscribe', {
+            method: 'POST',
+            headers: auth,
+            body: { type: 'team', entityId: '33' }
+        });
+
+        assert.equal(status, 200);
+        assert.equal(body.follow.entity_id, 33);
+        assert.deepEqual(supabase.rows('notification_follows').map(row => [row.user_id, row.entity_type, row.entity_id]), [[USER.id, 'team', 33]]);
+    });
+
+    it('rejects non-numeric entity IDs with 400 before touching the database', async () => {
+        for (const entityId of ['abc', '12abc', -1, 1.5]) {
+            const { status } = await request(app, '/api/notifications/subscribe', {
+                method: 'POST',
+                headers: auth,
+                body: { type: 'team', entityId, subscription: { endpoint: 'https://push.example/1', keys: { p256dh: 'p', auth: 'a' } } }
+            });
+
+            assert.equal(status, 400);
+        }
+
+        assert.equal(supabase.rows('push_subscriptions').length, 0);
+        assert.equal(supabase.rows('notification_follows').length, 0);
+    });
+
+    it('requires a valid token', async () => {
+        const { status } = await request(app, '/api/notifications/subscribe', {
+            method: 'POST',
+            headers: { Authorization: 'Bearer nope' },
+            body: { type: 'team', entityId: 33 }
+        });
+
+        assert.equal(status, 401);
+    });
+});
+
+describe('POST /api/notifications/unsubscribe', () => {
+    beforeEach(() => {
+        supabase.reset();
+        supabase.addUser('user-token', USER);
+    });
+
+    it('rejects non-numeric entity IDs with 400', async () => {
+        const { status } = await request(app, '/api/notifications/unsubscribe', {
+            method: 'POST',
+            headers: auth,
+            body: { type: 'team', entityId: 'abc' }
+        });
+
+        assert.equal(status, 400);
+    });
+
+    it('removes the follow', async () => {
+        supabase.seed('notification_follows', [{ user_id: USER.id, entity_type: 'team', entity_id: 33 }]);
+
+        const { status } = await request(app, '/api/notifications/unsubscribe', {
+            method: 'POST',
+            headers: auth,
+            body: { type: 'team', entityId: 33 }
+        });
+
+        assert.equal(status, 200);
+        assert.equal(supabase.rows('notification_follows').length, 0);
+    });
+});
@@ -0,0 +1,62 @@
+const { supabase } = require('../helpers/env');
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createApp, request } = require('../helpers/http');
+
+const app = createApp('/api/predictions', require('../../src/routes/predictions'));
+
+const USER = { id: '00000000-0000-0000-0000-000000000001', email: 'fan@example.com', app_metadata: {} };
+const auth = { Authorization: 'Bearer user-token' };
+
+const inHours = (hours) => new Date(Date.now() + hours * 3600 * 1000).toISOString();
+
+describe('POST /api/predictions/winner', () => {
+    beforeEach(() => {
+        supabase.reset();
+        supabase.addUser('user-token', USER);
+        supabase.seed('matches', [
+            { id: 123, date: inHours(2), status_short: 'NS' },
+            { id: 124, date: inHours(-1), status_short: '1H' }
+        ]);
+    });
+
+    it('saves a prediction before kickoff', async () => {
+        const { status, body } = await request(app, '/api/predictions/winner', {
+            method: 'POST',
+            headers: auth,
+            body: { matchId: '123', prediction: 'home' }
+        });
+
+        assert.equal(status, 201);
+        assert.equal(body.prediction.match_id, 123);
+        assert.deepEqual(supabase.rows('winner_predictions').map(row => [row.email, row.match_id, row.predicted_result]), [[USER.email, 123, 'home']]);
+    });
+
+    it('rejects malformed match IDs with 400 before touching the database', async () => {
+        for (const matchId of ['123abc', -123, 0, 1.5, undefined]) {
+            const { status, body } = await request(app, '/api/predictions/winner', {
+                method: 'POST',
+                headers: auth,
+                body: { matchId, prediction: 'home' }
+            });
+
+            assert.equal(status, 400);
+            assert.equal(body.error, 'matchId must be a positive integer');
+        }
+
+        assert.equal(supabase.rows('winner_predictions').length, 0);
+    });
+
+    it('locks predictions after kickoff', async () => {
+        const { status } = await request(app, '/api/predictions/winner', {
+            method: 'POST',
+            headers: auth,
+            body: { matchId: 124, prediction: 'away' }
+        });
+
+        assert.equal(status, 403);
+        assert.equal(supabase.rows('winner_predictions').length, 0);
+    });
+});
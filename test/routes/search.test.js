@@ -0,0 +1,101 @@
+require('../helpers/env');
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const footballProvider = require('../../src/services/footballProvider');
+const apiTennis = require('../../src/services/apiTennis');
+const apiBasketball = require('../../src/services/apiBasketball');
+const apiVolleyball = require('../../src/services/apiVolleyball');
+const apiBaseball = require('../../src/services/apiBaseball');
+const { createApp, request } = require('../helpers/http');
+const { canonicalFixture, apiSportsGame } = require('../helpers/fixtures');
+
+const app = createApp('/api/search', require('../../src/routes/search'));
+
+const empty = async () => ({ success: true, data: [] });
+
+describe('GET /api/search', () => {
+    beforeEach(() => {
+        mock.method(footballProvider, 'getTodayMatches', async () => ({
+            success: true,
+            provider: 'api-football',
+            data: [
+                canonicalFixture({ id: 1, status: 'NS' }),
+                canonicalFixture({
+                    id: 2,
+                    status: '2H',
+                    elapsed: 60,
+                    home: { id: 541, name: 'Real Madrid' },
+                    away: { id: 529, name: 'Barcelona' },
+                    league: { id: 140, name: 'La Liga', country: 'Spain' }
+                })
+            ]
+        }));
+        mock.method(apiTennis, 'getTodayMatches', empty);
+        mock.method(apiBasketball, 'getTodayGames', async () => ({
+            success: true,
+            data: [apiSportsGame({ status: 'Q3' })]
+        }));
+        mock.method(apiVolleyball, 'getTodayGames', empty);
+        mock.method(apiBaseball, 'getTodayGames', async () => ({ success: false, error: 'quota exceeded' }));
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('rejects queries shorter than two characters without calling providers', async () => {
+        const { status, body } = await request(app, '/api/search?q=a');
+
+        assert.equal(status, 200);
+        assert.equal(body.total, 0);
+        assert.equal(footballProvider.getTodayMatches.mock.callCount(), 0);
+    });
+
+    it('matches team names across sports', async () => {
+        const { status, body } = await request(app, '/api/search?q=los%20angeles');
+
+        assert.equal(status, 200);
+        assert.equal(body.total, 1);
+        assert.equal(body.results.matches[0].sport, 'basketball');
+        assert.equal(body.results.matches[0].homeTeam.name, 'Los Angeles Lakers');
+        assert.deepEqual(Object.keys(body.results.grouped), ['basketball']);
+    });
+
+    it('searches canonical football fixtures by team and league', async () => {
+        const byTeam = await request(app, '/api/search?q=barcelona&sport=football');
+        assert.deepEqual(byTeam.body.results.matches.map(match => match.id), [2]);
+
+        const byLeague = await request(app, '/api/search?q=premier&sport=football');
+        assert.deepEqual(byLeague.body.results.matches.map(match => match.id), [1]);
+    });
+
+    it('only queries the requested sport', async () => {
+        await request(app, '/api/search?q=lakers&sport=basketball');
+
+        assert.equal(apiBasketball.getTodayGames.mock.callCount(), 1);
+        assert.equal(footballProvider.getTodayMatches.mock.callCount(), 0);
+        assert.equal(apiTennis.getTodayMatches.mock.callCount(), 0);
+    });
+
+    it('skips sports whose provider fails', async () => {
+        mock.method(apiBasketball, 'getTodayGames', async () => {
+            throw new Error('socket hang up');
+        });
+
+        const { status, body } = await request(app, '/api/search?q=liverpool');
+
+        assert.equal(status, 200);
+        assert.deepEqual(body.results.matches.map(match => [match.sport, match.id]), [['football', 1]]);
+    });
+
+    it('lists live basketball before scheduled football', async () => {
+        mock.method(footballProvider, 'getTodayMatches', async () => ({
+            success: true,
+            data: [canonicalFixture({ id: 9, home: { id: 1, name: 'Boston United' } })]
+        }));
+
+        const { body } = await request(app, '/api/search?q=boston');
+
+        assert.deepEqual(body.results.matches.map(match => match.sport), ['basketball', 'football']);
+    });
+});
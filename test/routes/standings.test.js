@@ -0,0 +1,105 @@
+require('../helpers/env');
+
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const footballProvider = require('../../src/services/footballProvider');
+const { createApp, request } = require('../helpers/http');
+
+const app = createApp('/api/standings', require('../../src/routes/standings'));
+
+const entry = (rank, id, name, points) => ({
+    rank,
+    team: { id, name, logo: `${id}.png` },
+    points,
+    goalsDiff: 10 - rank,
+    form: 'WWDLW',
+    description: rank === 1 ? 'Promotion - Champions League' : null,
+    all: { played: 8, win: 6, draw: 1, lose: 1, goals: { for: 18, against: 8 } },
+    home: { played: 4, win: 4, draw: 0, lose: 0, goals: { for: 11, against: 2 } },
+    away: { played: 4, win: 2, draw: 1, lose: 1, goals: { for: 7, against: 6 } }
+});
+
+const LEAGUE = { id: 39, name: 'Premier League', country: 'England', logo: 'pl.png', flag: 'gb.svg', season: 2026 };
+
+describe('GET /api/standings', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('requires a league', async () => {
+        const { status, body } = await request(app, '/api/standings');
+        assert.equal(status, 400);
+        assert.equal(body.error, 'League ID is required');
+    });
+
+    it('flattens the first standings table', async () => {
+        const getStandings = mock.method(footballProvider, 'getStandings', async () => ({
+            success: true,
+            provider: 'api-football',
+            data: { league: LEAGUE, standings: [[entry(1, 42, 'Arsenal', 19), entry(2, 50, 'Manchester City', 17)]] }
+        }));
+
+        const { status, body } = await request(app, '/api/standings?league=39&season=2026');
+
+        assert.equal(status, 200);
+        assert.deepEqual(getStandings.mock.calls[0].arguments, ['39', '2026']);
+        assert.equal(body.provider, 'api-football');
+        assert.deepEqual(body.league, LEAGUE);
+        assert.equal(body.has_groups, false);
+        assert.equal(body.standings.length, 2);
+
+        const [leader] = body.standings;
+        assert.equal(leader.rank, 1);
+        assert.deepEqual(leader.team, { id: 42, name: 'Arsenal', logo: '42.png' });
+        assert.equal(leader.points, 19);
+        assert.equal(leader.goals_for, 18);
+        assert.equal(leader.goals_against, 8);
+        assert.equal(leader.goal_diff, 9);
+        assert.equal(leader.home.win, 4);
+        assert.equal(leader.away.goals_against, 6);
+    });
+
+    it('reports groups when the league has several tables', async () => {
+        mock.method(footballProvider, 'getStandings', async () => ({
+            success: true,
+            provider: 'api-football',
+            data: { league: { ...LEAGUE, id: 2, name: 'UEFA Champions League' }, standings: [[entry(1, 1, 'A', 9)], [entry(1, 2, 'B', 7)]] }
+        }));
+
+        const { body } = await request(app, '/api/standings?league=2');
+
+        assert.equal(body.has_groups, true);
+        assert.equal(body.standings.length, 1);
+    });
+
+    it('passes through the fallback provider name', async () => {
+        mock.method(footballProvider, 'getStandings', async () => ({
+            success: true,
+            provider: 'football-data',
+            data: { league: LEAGUE, standings: [[entry(1, 'fd-57', 'Arsenal FC', 19)]] }
+        }));
+
+        const { body } = await request(app, '/api/standings?league=39');
+
+        assert.equal(body.provider, 'football-data');
+        assert.equal(body.standings[0].team.id, 'fd-57');
+    });
+
+    it('returns an empty table when the provider has no standings', async () => {
+        mock.method(footballProvider, 'getStandings', async () => ({ success: true, provider: 'api-football', data: null }));
+
+        const { status, body } = await request(app, '/api/standings?league=39');
+
+        assert.equal(status, 200);
+        assert.deepEqual(body.standings, []);
+        assert.equal(body.league, null);
+    });
+
+    it('answers 500 when every provider fails', async () => {
+        mock.method(footballProvider, 'getStandings', async () => ({ success: false, error: 'No football provider configured' }));
+
+        const { status, body } = await request(app, '/api/standings?league=39');
+
+        assert.equal(status, 500);
+        assert.equal(body.error, 'No football provider configured');
+    });
+});
@@ -0,0 +1,135 @@
+require('./helpers/env');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const apiBasketball = require('../src/services/apiBasketball');
+const apiVolleyball = require('../src/services/apiVolleyball');
+const apiBaseball = require('../src/services/apiBaseball');
+const { apiSportsGame } = require('./helpers/fixtures');
+
+describe('apiBasketball.transformGame', () => {
+    it('maps totals, quarters and teams', () => {
+        const game = apiBasketball.transformGame(apiSportsGame({
+            status: 'FT',
+            statusLong: 'Game Finished',
+            scores: {
+                home: { quarter_1: 25, quarter_2: 30, quarter_3: 22, quarter_4: 28, over_time: null, total: 105 },
+                away: { quarter_1: 20, quarter_2: 27, quarter_3: 31, quarter_4: 21, over_time: null, total: 99 }
+            }
+        }));
+
+        assert.equal(game.homeScore, 105);
+        assert.equal(game.awayScore, 99);
+        assert.deepEqual(game.quarters.home, { q1: 25, q2: 30, q3: 22, q4: 28, ot: null });
+        assert.equal(game.quarters.away.q3, 31);
+        assert.equal(game.homeTeam.name, 'Los Angeles Lakers');
+        assert.equal(game.awayTeam.id, 133);
+        assert.equal(game.league.name, 'NBA');
+        assert.equal(game.country.code, 'US');
+        assert.equal(game.isFinished, true);
+        assert.equal(game.isLive, false);
+    });
+
+    it('flags quarters, overtime and breaks as live', () => {
+        for (const status of ['Q1', 'Q4', 'OT', 'BT', 'HT']) {
+            const game = apiBasketball.transformGame(apiSportsGame({ status }));
+            assert.equal(game.isLive, true, status);
+            assert.equal(game.isFinished, false, status);
+        }
+    });
+
+    it('treats AOT as finished', () => {
+        assert.equal(apiBasketball.transformGame(apiSportsGame({ status: 'AOT' })).isFinished, true);
+    });
+
+    it('defaults missing scores to zero', () => {
+        const game = apiBasketball.transformGame(apiSportsGame({ status: 'NS', scores: {} }));
+        assert.equal(game.homeScore, 0);
+        assert.equal(game.awayScore, 0);
+        assert.equal(game.quarters.home.q1, 0);
+        assert.equal(game.quarters.home.ot, null);
+        assert.equal(game.isLive, false);
+        assert.equal(game.isFinished, false);
+    });
+
+    it('transformGames ignores non-array input', () => {
+        assert.deepEqual(apiBasketball.transformGames(null), []);
+        assert.equal(apiBasketball.transformGames([apiSportsGame(), apiSportsGame({ id: 2 })]).length, 2);
+    });
+});
+
+describe('apiVolleyball.transformGame', () => {
+    it('maps sets won and per-set points', () => {
+        const game = apiVolleyball.transformGame(apiSportsGame({
+            status: 'FT',
+            scores: { home: 3, away: 1 },
+            periods: {
+                first: { home: 25, away: 20 },
+                second: { home: 23, away: 25 },
+                third: { home: 25, away: 18 },
+                fourth: { home: 25, away: 22 },
+                fifth: { home: null, away: null }
+            },
+            week: '5'
+        }));
+
+        assert.equal(game.homeScore, 3);
+        assert.equal(game.awayScore, 1);
+        assert.deepEqual(game.sets.home, { set1: 25, set2: 23, set3: 25, set4: 25, set5: null });
+        assert.equal(game.sets.away.set2, 25);
+        assert.equal(game.week, '5');
+        assert.equal(game.isFinished, true);
+        assert.equal(game.isLive, false);
+    });
+
+    it('flags any SET status and break time as live', () => {
+        for (const status of ['SET1', 'SET5', 'BT', 'IN_PROGRESS']) {
+            assert.equal(apiVolleyball.transformGame(apiSportsGame({ status })).isLive, true, status);
+        }
+    });
+
+    it('leaves unplayed sets null', () => {
+        const game = apiVolleyball.transformGame(apiSportsGame({ status: 'NS' }));
+        assert.equal(game.homeScore, 0);
+        assert.equal(game.sets.home.set1, null);
+        assert.equal(game.currentSet, null);
+    });
+});
+
+describe('apiBaseball.transformGame', () => {
+    it('maps runs, innings and hits/errors', () => {
+        const game = apiBaseball.transformGame(apiSportsGame({
+            status: 'FT',
+            scores: {
+                home: { total: 5, hits: 9, errors: 1, innings: { 1: 0, 2: 2, 3: 0, 4: 1, 5: 0, 6: 0, 7: 2, 8: 0, 9: null, extra: null } },
+                away: { total: 3, hits: 7, errors: 0, innings: { 1: 1, 2: 0, 3: 0, 4: 0, 5: 2, 6: 0, 7: 0, 8: 0, 9: 0, extra: null } }
+            }
+        }));
+
+        assert.equal(game.homeScore, 5);
+        assert.equal(game.awayScore, 3);
+        assert.equal(game.innings.home.inn2, 2);
+        assert.equal(game.innings.home.inn9, null);
+        assert.equal(game.innings.away.inn5, 2);
+        assert.deepEqual(game.stats.home, { hits: 9, errors: 1, runs: 5 });
+        assert.deepEqual(game.stats.away, { hits: 7, errors: 0, runs: 3 });
+        assert.equal(game.isFinished, true);
+    });
+
+    it('flags innings as live and exposes the current inning', () => {
+        const game = apiBaseball.transformGame(apiSportsGame({ status: 'IN7', statusExtra: { inning: 7 } }));
+        assert.equal(game.isLive, true);
+        assert.equal(game.currentInning, 7);
+
+        assert.equal(apiBaseball.transformGame(apiSportsGame({ status: 'IN12' })).isLive, true);
+    });
+
+    it('counts postponed and cancelled games as finished', () => {
+        for (const status of ['POST', 'CANC', 'SUSP']) {
+            const game = apiBaseball.transformGame(apiSportsGame({ status }));
+            assert.equal(game.isFinished, true, status);
+            assert.equal(game.isLive, false, status);
+        }
+    });
+});
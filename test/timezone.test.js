@@ -0,0 +1,59 @@
+require('./helpers/env');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const timezone = require('../src/services/timezone');
+
+describe('timezone.getDayRange', () => {
+    it('maps a local day in WIB, WITA and WIT to UTC bounds', () => {
+        assert.deepEqual(timezone.getDayRange('2026-10-19', 'Asia/Jakarta'), {
+            start: '2026-10-18T17:00:00.000Z',
+            end: '2026-10-19T17:00:00.000Z'
+        });
+        assert.equal(timezone.getDayRange('2026-10-19', 'Asia/Makassar').start, '2026-10-18T16:00:00.000Z');
+        assert.equal(timezone.getDayRange('2026-10-19', 'Asia/Jayapura').start, '2026-10-18T15:00:00.000Z');
+    });
+
+    it('defaults to Asia/Jakarta', () => {
+        assert.equal(timezone.DEFAULT_TIMEZONE, 'Asia/Jakarta');
+        assert.equal(timezone.getDayRange('2026-01-01').start, '2025-12-31T17:00:00.000Z');
+    });
+
+    it('handles days where daylight saving time starts', () => {
+        const { start, end } = timezone.getDayRange('2026-03-08', 'America/New_York');
+
+        assert.equal(start, '2026-03-08T05:00:00.000Z');
+        assert.equal(end, '2026-03-09T04:00:00.000Z');
+    });
+});
+
+describe('timezone.formatDate', () => {
+    it('uses the local calendar date of the instant', () => {
+        const kickoff = '2026-10-18T23:30:00+00:00';
+
+        assert.equal(timezone.formatDate(kickoff, 'UTC'), '2026-10-18');
+        assert.equal(timezone.formatDate(kickoff, 'Asia/Jakarta'), '2026-10-19');
+        assert.equal(timezone.formatDate(kickoff, 'America/Sao_Paulo'), '2026-10-18');
+    });
+
+    it('reports the offset in minutes', () => {
+        assert.equal(timezone.getOffsetMinutes(new Date('2026-10-19T00:00:00Z'), 'Asia/Jayapura'), 540);
+        assert.equal(timezone.getOffsetMinutes(new Date('2026-07-01T00:00:00Z'), 'Europe/London'), 60);
+    });
+});
+
+describe('timezone helpers', () => {
+    it('validates IANA names', () => {
+        assert.equal(timezone.isValidTimezone('Asia/Makassar'), true);
+        assert.equal(timezone.isValidTimezone('UTC'), true);
+        assert.equal(timezone.isValidTimezone('Mars/Olympus'), false);
+        assert.equal(timezone.isValidTimezone(''), false);
+        assert.equal(timezone.isValidTimezone(['Asia/Jakarta']), false);
+    });
+
+    it('shifts calendar dates across month and year ends', () => {
+        assert.equal(timezone.addDays('2026-10-31', 1), '2026-11-01');
+        assert.equal(timezone.addDays('2026-01-01', -1), '2025-12-31');
+    });
+});